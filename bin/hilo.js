@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// hilo: operator and tester command-line tool. Run `hilo help` for the commands.
+//
+//   hilo pool status 117 --network uat
+//   hilo bet place 117 Yes 10 --network localhost --account 2 --json
+//
+// The network and its accounts come from hardhat.config.cjs (--network), contract addresses from
+// the deployment manifest (--deployment).
+const fs = require("fs");
+const path = require("path");
+const { runCli } = require("../cli");
+
+async function connect({ network, deployment, abiDir, account }) {
+  // Hardhat picks the network from HARDHAT_NETWORK and the config from HARDHAT_CONFIG when
+  // loaded from plain node, so the tool also works outside the repository directory
+  if (network) process.env.HARDHAT_NETWORK = network;
+  process.env.HARDHAT_CONFIG = process.env.HARDHAT_CONFIG || path.join(__dirname, "..", "hardhat.config.cjs");
+  const { ethers } = require("hardhat");
+  const { HiloSDK, CONTRACT_SOURCES, DEFAULT_MANIFEST_PATH } = require("../sdk");
+
+  const signers = await ethers.getSigners();
+  const signer = /^\d+$/.test(account)
+    ? signers[Number(account)]
+    : signers.find((candidate) => candidate.address.toLowerCase() === account.toLowerCase());
+  if (!signer) {
+    throw new Error(`Account ${account} is not configured for this network (${signers.length} accounts)`);
+  }
+
+  const manifestPath = deployment || process.env.DEPLOYMENT_MANIFEST || DEFAULT_MANIFEST_PATH;
+  // scripts/deploy.js writes the ABIs next to the manifest
+  const manifestDir = path.dirname(manifestPath);
+  const hasAbis = Object.keys(CONTRACT_SOURCES).every((name) => fs.existsSync(path.join(manifestDir, `${name}.json`)));
+  const defaultAbiDir = hasAbis ? manifestDir : undefined;
+  return HiloSDK.fromManifest(signer, { manifestPath, abiDir: abiDir || defaultAbiDir });
+}
+
+runCli(process.argv.slice(2), { connect })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    const message = error.shortMessage || error.message;
+    console.error(process.argv.includes("--json") ? JSON.stringify({ error: message }) : message);
+    process.exit(1);
+  });
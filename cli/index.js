@@ -0,0 +1,530 @@
+// `hilo` command-line tool for operators and testers.
+//
+// Every command takes its IDs, amounts and addresses as arguments and runs against a HiloSDK
+// returned by `connect`, so the commands can be driven in-process as well as from bin/hilo.js.
+// With --json the result is printed as JSON (bigints as decimal strings) for scripting.
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { PRECISION } = require("../sdk");
+const { parseDuration } = require("../scripts/lib/bondingConfig");
+
+// Options accepted by every command
+const GLOBAL_OPTIONS = {
+  network: { type: "string" },
+  deployment: { type: "string" },
+  "abi-dir": { type: "string" },
+  account: { type: "string", default: "0" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+function parseId(name, raw) {
+  if (!/^\d+$/.test(String(raw))) throw new Error(`${name} must be a whole number, got "${raw}"`);
+  return BigInt(raw);
+}
+
+function parseBps(name, raw) {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0 || value > Number(PRECISION)) {
+    throw new Error(`${name} must be basis points between 0 and ${PRECISION}, got "${raw}"`);
+  }
+  return value;
+}
+
+// Amount in base units of a token with `decimals`
+function parseAmount(name, raw, decimals) {
+  try {
+    const amount = ethers.parseUnits(String(raw), decimals);
+    if (amount > 0n) return amount;
+  } catch {
+    // Reported below
+  }
+  throw new Error(`${name} must be a positive token amount, got "${raw}"`);
+}
+
+/**
+ * Unix timestamp from seconds, an ISO date, or "+<duration>" relative to the latest block
+ * (e.g. "+10m"), which also works on local chains whose clock has been moved forward.
+ */
+async function parseTime(sdk, name, raw) {
+  if (/^\d+$/.test(raw)) return BigInt(raw);
+  if (raw.startsWith("+")) {
+    const { timestamp } = await sdk.runner.provider.getBlock("latest");
+    return BigInt(timestamp) + parseDuration(raw.slice(1));
+  }
+  const millis = Date.parse(raw);
+  if (Number.isNaN(millis)) {
+    throw new Error(`${name} must be a unix timestamp, an ISO date or +<duration>, got "${raw}"`);
+  }
+  return BigInt(Math.floor(millis / 1000));
+}
+
+// Option index from an index or a (case-insensitive) option name
+function resolveOption(names, raw) {
+  if (/^\d+$/.test(raw)) {
+    const index = Number(raw);
+    if (index >= names.length) throw new Error(`Option ${index} does not exist, options are: ${names.join(", ")}`);
+    return index;
+  }
+  const index = names.findIndex((name) => name.toLowerCase() === raw.toLowerCase());
+  if (index < 0) throw new Error(`No option named "${raw}", options are: ${names.join(", ")}`);
+  return index;
+}
+
+async function poolOptionNames(sdk, poolId) {
+  const [names] = await sdk.bonding.getPoolOptions(poolId);
+  return [...names];
+}
+
+function parseVerdict(raw) {
+  const verdict = raw.toLowerCase();
+  if (verdict !== "approve" && verdict !== "reject") {
+    throw new Error(`Expected "approve" or "reject", got "${raw}"`);
+  }
+  return verdict === "approve";
+}
+
+async function accountAddress(sdk, raw) {
+  return raw ? ethers.getAddress(raw) : sdk.runner.getAddress();
+}
+
+// `token` is the {symbol, decimals} of the collateral the amount is in (see HiloSDK.getToken)
+const formatTokens = (amount, token) => `${ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+const formatShares = (shares, token) => ethers.formatUnits(shares, token.decimals);
+const formatOdds = (odds) => `${(Number(odds) / Number(PRECISION)).toFixed(4)}x`;
+const formatTime = (timestamp) => (timestamp > 0 ? new Date(timestamp * 1000).toISOString() : "-");
+
+/**
+ * @typedef {Object} Command
+ * @property {string[]} args Positional argument names
+ * @property {string} [usage] Options part of the usage line
+ * @property {string} description
+ * @property {Object} [options] util.parseArgs option definitions
+ * @property {string[]} [required] Options that must be given
+ * @property {(sdk: Object, args: Object, options: Object) => Promise<Object>} run
+ * @property {(result: Object) => string} format Text output
+ */
+
+/** @type {Object<string, Command>} */
+const COMMANDS = {
+  "pool create": {
+    args: [],
+    usage: "--pool <id> [--group <id>] --title <text> --start <time> --settle <time> --options <a,b,...> [--data <text>] [--token <address>]",
+    description: "Create a pool and its option group (pool creator role). Times are unix seconds, ISO dates or +<duration>. " +
+      "--token picks an allowed collateral token instead of the market's betting token",
+    options: {
+      pool: { type: "string" },
+      group: { type: "string" },
+      title: { type: "string" },
+      start: { type: "string" },
+      settle: { type: "string" },
+      options: { type: "string" },
+      data: { type: "string", default: "" },
+      token: { type: "string" }
+    },
+    required: ["pool", "title", "start", "settle", "options"],
+    async run(sdk, args, options) {
+      const poolId = parseId("--pool", options.pool);
+      const names = options.options.split(",").map((name) => name.trim()).filter(Boolean);
+      if (names.length < 2) throw new Error("--options needs at least two comma-separated names");
+
+      const { groupId, receipt } = await sdk.createPool({
+        poolId,
+        groupId: options.group === undefined ? poolId : parseId("--group", options.group),
+        title: options.title,
+        startTime: await parseTime(sdk, "--start", options.start),
+        settleTime: await parseTime(sdk, "--settle", options.settle),
+        options: names,
+        data: options.data,
+        token: options.token === undefined ? undefined : ethers.getAddress(options.token)
+      });
+      return { poolId, groupId, options: names, token: await sdk.getGroupToken(groupId), txHash: receipt.hash };
+    },
+    format: (result) => `Created pool ${result.poolId} with option group ${result.groupId} (${result.options.join(", ")}) ` +
+      `in ${result.token.symbol} in ${result.txHash}`
+  },
+
+  "pool status": {
+    args: ["groupId"],
+    description: "Show an option group: lifecycle phase, pool timeline, voting result and odds per option",
+    async run(sdk, { groupId }) {
+      return sdk.getMarket(parseId("groupId", groupId));
+    },
+    format(market) {
+      const state = market.settled ? `settled, option ${market.winningOptionIndex} won`
+        : market.canceled ? "canceled" : "open";
+      const lines = [
+        `${market.title} (pool ${market.poolId}, option group ${market.id}): ${state}`,
+        `  phase            ${market.phase.phaseName}${market.phase.nextTransition > 0
+          ? ` until ${formatTime(market.phase.nextTransition)}` : ""}`,
+        `  betting opens    ${formatTime(market.startTimeframe)}`,
+        `  evaluation ends  ${formatTime(market.timelines.evaluationEnd)}`,
+        `  option voting    ${formatTime(market.timelines.optionVotingStart)} - ${formatTime(market.timelines.optionVotingEnd)}`,
+        `  dispute ends     ${formatTime(market.timelines.disputeEnd)}`,
+        `  betting closes   ${formatTime(market.settleTimeframe)}`,
+        `  voting result    ${market.status.processed
+          ? `${market.status.finalApproval ? "approved" : "rejected"}, winning option ${market.status.winningOptionIndex}`
+          : "pending"}`,
+        `  liquidity        ${formatTokens(market.totalLiquidity, market.collateral)}, fees ${formatTokens(market.totalFees, market.collateral)}`
+      ];
+      for (const option of market.options) {
+        lines.push(`  [${option.index}] ${option.name}: odds ${formatOdds(option.odds)}, bets ${formatTokens(option.totalBets, market.collateral)}`);
+      }
+      return lines.join("\n");
+    }
+  },
+
+  "pool list": {
+    args: [],
+    usage: "[--offset <n>] [--limit <n>]",
+    description: "List option groups in creation order with their state and odds, --limit (default 50) at a time",
+    options: { offset: { type: "string" }, limit: { type: "string" } },
+    async run(sdk, args, options) {
+      const offset = options.offset === undefined ? 0 : Number(parseId("--offset", options.offset));
+      const limit = options.limit === undefined ? undefined : Number(parseId("--limit", options.limit));
+      const page = await sdk.getOptionGroups({ offset, limit });
+      const tokens = {};
+      for (const group of page.groups) tokens[group.token] ??= await sdk.getToken(group.token);
+      return { offset, tokens, ...page };
+    },
+    format(result) {
+      if (result.groups.length === 0) return `No option groups from ${result.offset} (${result.total} in total)`;
+      const lines = result.groups.map((group) => {
+        const state = group.settled ? `settled, option ${group.winningOptionIndex} won`
+          : group.canceled ? "canceled" : `open until ${formatTime(group.settleTimeframe)}`;
+        return `Option group ${group.groupId} (pool ${group.poolId}): ${state}, ${group.betCount} bets, ` +
+          `liquidity ${formatTokens(group.totalLiquidity, result.tokens[group.token])}, odds ${group.odds.map(formatOdds).join(" / ")}`;
+      });
+      const last = result.offset + result.groups.length;
+      lines.push(`${result.offset + 1}-${last} of ${result.total}${last < result.total ? `, next: --offset ${last}` : ""}`);
+      return lines.join("\n");
+    }
+  },
+
+  "pool settle": {
+    args: ["groupId"],
+    description: "Settle an option group with the winning option from HiloBonding",
+    async run(sdk, { groupId }) {
+      const id = parseId("groupId", groupId);
+      const { winningOptionIndex, receipt } = await sdk.settle(id);
+      return { groupId: id, winningOptionIndex, txHash: receipt.hash };
+    },
+    format: (result) => `Settled option group ${result.groupId}: option ${result.winningOptionIndex} won (${result.txHash})`
+  },
+
+  "bet place": {
+    args: ["groupId", "option", "amount"],
+    usage: "[--slippage <bps>]",
+    description: "Bet on an option, given by index or name, in the group's token. Approves the token if needed",
+    options: { slippage: { type: "string" } },
+    async run(sdk, { groupId, option, amount }, options) {
+      const id = parseId("groupId", groupId);
+      const optionIndex = resolveOption([...await sdk.market.getOptionNames(id)], option);
+      const token = await sdk.getGroupToken(id);
+      const { betId, minOdds, receipt } = await sdk.placeBet({
+        groupId: id,
+        option: optionIndex,
+        amount: parseAmount("amount", amount, token.decimals),
+        slippageBps: options.slippage === undefined ? undefined : parseBps("--slippage", options.slippage)
+      });
+      // The odds actually locked, which may be below the quote within the slippage tolerance
+      const bet = await sdk.getBet(betId);
+      return {
+        betId,
+        groupId: id,
+        option: optionIndex,
+        amount: bet.amount,
+        lockedOdds: bet.lockedOdds,
+        potentialPayout: bet.potentialPayout,
+        minOdds,
+        token,
+        txHash: receipt.hash
+      };
+    },
+    format: (result) => `Placed bet ${result.betId}: ${formatTokens(result.amount, result.token)} on option ${result.option} ` +
+      `at ${formatOdds(result.lockedOdds)}, pays ${formatTokens(result.potentialPayout, result.token)} if it wins (${result.txHash})`
+  },
+
+  "bet exit": {
+    args: ["betId"],
+    usage: "[--fraction <bps>] [--slippage <bps>]",
+    description: "Cash out an active bet, or the --fraction of it in basis points",
+    options: { fraction: { type: "string" }, slippage: { type: "string" } },
+    async run(sdk, { betId }, options) {
+      const id = parseId("betId", betId);
+      const slippageBps = options.slippage === undefined ? undefined : parseBps("--slippage", options.slippage);
+      const token = await sdk.getGroupToken((await sdk.getBet(id)).groupId);
+      if (options.fraction === undefined || parseBps("--fraction", options.fraction) === Number(PRECISION)) {
+        const { exitAmount, receipt } = await sdk.earlyExit(id, { slippageBps });
+        return { betId: id, exitAmount, token, txHash: receipt.hash };
+      }
+      const fractionBps = parseBps("--fraction", options.fraction);
+      const { exitAmount, sliceBetId, receipt } = await sdk.partialEarlyExit(id, fractionBps, { slippageBps });
+      return { betId: id, fractionBps, sliceBetId, exitAmount, token, txHash: receipt.hash };
+    },
+    format: (result) => (result.sliceBetId === undefined
+      ? `Cashed out bet ${result.betId} for ${formatTokens(result.exitAmount, result.token)} (${result.txHash})`
+      : `Cashed out ${result.fractionBps / 100}% of bet ${result.betId} as bet ${result.sliceBetId} ` +
+        `for ${formatTokens(result.exitAmount, result.token)} (${result.txHash})`)
+  },
+
+  "bet list": {
+    args: ["groupId"],
+    usage: "[--user <address>]",
+    description: "List the active bets of --user (default: the account) in an option group",
+    options: { user: { type: "string" } },
+    async run(sdk, { groupId }, options) {
+      const user = await accountAddress(sdk, options.user);
+      const id = parseId("groupId", groupId);
+      return { user, token: await sdk.getGroupToken(id), bets: await sdk.getPositions(user, id) };
+    },
+    format(result) {
+      if (result.bets.length === 0) return `No active bets for ${result.user}`;
+      const { token } = result;
+      return result.bets.map((bet) => `Bet ${bet.id}: ${formatTokens(bet.amount, token)} on option ${bet.optionIndex} ` +
+        `at ${formatOdds(bet.lockedOdds)}, pays ${formatTokens(bet.potentialPayout, token)}, ` +
+        `cash out now for ${formatTokens(bet.cashoutValue, token)}`
+      ).join("\n");
+    }
+  },
+
+  "bet portfolio": {
+    args: [],
+    usage: "[--user <address>] [--from-block <number>]",
+    description: "List every bet of --user (default: the account) across option groups with realized and unrealized P&L",
+    options: { user: { type: "string" }, "from-block": { type: "string" } },
+    async run(sdk, args, options) {
+      const user = await accountAddress(sdk, options.user);
+      const fromBlock = options["from-block"] === undefined ? 0 : Number(parseId("--from-block", options["from-block"]));
+      return sdk.getPortfolio(user, { fromBlock });
+    },
+    format(result) {
+      if (result.bets.length === 0) return `No bets for ${result.user}`;
+      const formatPnl = (pnl, token) => (pnl === null ? "unknown" : `${pnl < 0n ? "" : "+"}${formatTokens(pnl, token)}`);
+      const lines = result.bets.map((bet) => {
+        const token = result.tokens[bet.token];
+        const value = bet.statusName !== "Active" ? `P&L ${formatPnl(bet.realizedPnl, token)}`
+          : bet.cashoutValue !== null
+            ? `cash out now for ${formatTokens(bet.cashoutValue, token)}, P&L ${formatPnl(bet.unrealizedPnl, token)} unrealized`
+            : `${formatTokens(bet.claimable, token)} to claim, P&L ${formatPnl(bet.unrealizedPnl, token)} unrealized`;
+        return `Bet ${bet.id} (group ${bet.groupId}) ${bet.statusName}: ${formatTokens(bet.amount, token)} on option ` +
+          `${bet.optionIndex} at ${formatOdds(bet.lockedOdds)}, ${value}`;
+      });
+      // One summary per collateral token, amounts of different tokens are not added up
+      for (const [address, totals] of Object.entries(result.totalsByToken)) {
+        const token = result.tokens[address];
+        lines.push(`Staked ${formatTokens(totals.staked, token)}: realized P&L ${formatPnl(totals.realizedPnl, token)}, ` +
+          `unrealized ${formatPnl(totals.unrealizedPnl, token)}`);
+      }
+      return lines.join("\n");
+    }
+  },
+
+  "liquidity add": {
+    args: ["groupId", "amount"],
+    description: "Add liquidity in the group's token to an option group for LP shares. Approves the token if needed",
+    async run(sdk, { groupId, amount }) {
+      const id = parseId("groupId", groupId);
+      const token = await sdk.getGroupToken(id);
+      const value = parseAmount("amount", amount, token.decimals);
+      const { shares, receipt } = await sdk.addLiquidity(id, value);
+      return { groupId: id, amount: value, shares, token, txHash: receipt.hash };
+    },
+    format: (result) => `Added ${formatTokens(result.amount, result.token)} to option group ${result.groupId} ` +
+      `for ${formatShares(result.shares, result.token)} shares (${result.txHash})`
+  },
+
+  "liquidity remove": {
+    args: ["groupId"],
+    description: "Redeem all of the account's LP shares in a settled or canceled option group",
+    async run(sdk, { groupId }) {
+      const id = parseId("groupId", groupId);
+      const token = await sdk.getGroupToken(id);
+      const { amount, receipt } = await sdk.removeLiquidity(id);
+      return { groupId: id, amount, token, txHash: receipt.hash };
+    },
+    format: (result) => `Withdrew ${formatTokens(result.amount, result.token)} from option group ${result.groupId} (${result.txHash})`
+  },
+
+  "liquidity status": {
+    args: ["groupId"],
+    usage: "[--provider <address>]",
+    description: "Show the LP shares of --provider (default: the account) and what they are worth",
+    options: { provider: { type: "string" } },
+    async run(sdk, { groupId }, options) {
+      const provider = await accountAddress(sdk, options.provider);
+      const id = parseId("groupId", groupId);
+      return { provider, token: await sdk.getGroupToken(id), ...await sdk.getLiquidityPosition(provider, id) };
+    },
+    format: (result) => `${result.provider}: ${formatShares(result.shares, result.token)} of ` +
+      `${formatShares(result.totalShares, result.token)} shares, ` +
+      `worth ${formatTokens(result.liquidityValue, result.token)} plus ${formatTokens(result.accruedFees, result.token)} in fees`
+  },
+
+  "fees status": {
+    args: ["groupId"],
+    description: "Show how an option group's fees were split between LPs, the protocol treasury and the pool creator",
+    async run(sdk, { groupId }) {
+      const id = parseId("groupId", groupId);
+      return { groupId: id, ...await sdk.getFeeBreakdown(id) };
+    },
+    format: (result) => [
+      `Option group ${result.groupId}: ${formatTokens(result.totalFees, result.token)} in fees`,
+      `  LPs: ${formatTokens(result.lpFees, result.token)}`,
+      `  Protocol: ${formatTokens(result.protocolFees, result.token)} (${formatTokens(result.protocolPending, result.token)} to collect)`,
+      `  Creator: ${formatTokens(result.creatorFees, result.token)} (${formatTokens(result.creatorPending, result.token)} to collect)`
+    ].join("\n")
+  },
+
+  "fees collect": {
+    args: ["groupId"],
+    description: "Send an option group's uncollected protocol and creator fees to the treasury and the pool creator",
+    async run(sdk, { groupId }) {
+      const id = parseId("groupId", groupId);
+      const token = await sdk.getGroupToken(id);
+      const { protocolAmount, creatorAmount, creator, receipt } = await sdk.collectProtocolFees(id);
+      return { groupId: id, protocolAmount, creatorAmount, creator, token, txHash: receipt.hash };
+    },
+    format: (result) => `Collected ${formatTokens(result.protocolAmount, result.token)} for the treasury and ` +
+      `${formatTokens(result.creatorAmount, result.token)} for the pool creator from option group ${result.groupId} (${result.txHash})`
+  },
+
+  "vote evaluate": {
+    args: ["poolId", "verdict"],
+    description: "Vote approve or reject on a pool during its evaluation (validator role)",
+    async run(sdk, { poolId, verdict }) {
+      const id = parseId("poolId", poolId);
+      const approve = parseVerdict(verdict);
+      const { approveVotes, rejectVotes, receipt } = await sdk.voteEvaluation(id, approve);
+      return { poolId: id, approve, approveVotes, rejectVotes, txHash: receipt.hash };
+    },
+    format: (result) => `Voted to ${result.approve ? "approve" : "reject"} pool ${result.poolId}: ` +
+      `${result.approveVotes} approve, ${result.rejectVotes} reject (${result.txHash})`
+  },
+
+  "vote option": {
+    args: ["poolId", "option"],
+    description: "Vote for the winning option, by index or name, during option voting (validator role)",
+    async run(sdk, { poolId, option }) {
+      const id = parseId("poolId", poolId);
+      const optionIndex = resolveOption(await poolOptionNames(sdk, id), option);
+      const { voteCount, receipt } = await sdk.voteOption(id, optionIndex);
+      return { poolId: id, option: optionIndex, voteCount, txHash: receipt.hash };
+    },
+    format: (result) => `Voted for option ${result.option} of pool ${result.poolId}, now at ${result.voteCount} votes (${result.txHash})`
+  },
+
+  "vote dispute": {
+    args: ["poolId", "kind", "value"],
+    usage: "(evaluation approve|reject | option <option>)",
+    description: "Dispute the evaluation result or the winning option during the dispute window (validator role)",
+    async run(sdk, { poolId, kind, value }) {
+      const id = parseId("poolId", poolId);
+      let vote;
+      if (kind === "evaluation") {
+        vote = { approve: parseVerdict(value) };
+      } else if (kind === "option") {
+        vote = { option: resolveOption(await poolOptionNames(sdk, id), value) };
+      } else {
+        throw new Error(`Dispute kind must be "evaluation" or "option", got "${kind}"`);
+      }
+      const { voteCount, receipt } = await sdk.voteDispute(id, vote);
+      return { poolId: id, kind, ...vote, voteCount, txHash: receipt.hash };
+    },
+    format: (result) => `Cast ${result.kind} dispute vote on pool ${result.poolId} for ` +
+      `${result.kind === "evaluation" ? (result.approve ? "approve" : "reject") : `option ${result.option}`}, ` +
+      `now at ${result.voteCount} votes (${result.txHash})`
+  },
+
+  claim: {
+    args: ["groupId"],
+    description: "Claim the account's winnings in a settled option group",
+    async run(sdk, { groupId }) {
+      const id = parseId("groupId", groupId);
+      const token = await sdk.getGroupToken(id);
+      const { amount, receipt } = await sdk.claim(id);
+      return { groupId: id, amount, token, txHash: receipt.hash };
+    },
+    format: (result) => `Claimed ${formatTokens(result.amount, result.token)} from option group ${result.groupId} (${result.txHash})`
+  }
+};
+
+function commandUsage(name) {
+  const command = COMMANDS[name];
+  return ["hilo", name, ...command.args.map((arg) => `<${arg}>`), command.usage].filter(Boolean).join(" ");
+}
+
+function usage() {
+  return [
+    "Usage: hilo <command> [arguments] [--network <name>] [--deployment <manifest>] [--account <index|address>] [--json]",
+    "",
+    "Commands:",
+    ...Object.keys(COMMANDS).map((name) => `  ${commandUsage(name)}\n      ${COMMANDS[name].description}`),
+    "",
+    "Options:",
+    "  --network <name>        Hardhat network to use (default: hardhat's default network)",
+    "  --deployment <path>     Deployment manifest (default: DEPLOYMENT_MANIFEST or scripts/build/deployment.json)",
+    "  --abi-dir <dir>         ABI directory (default: next to the manifest, else the Hardhat artifacts)",
+    "  --account <index|addr>  Signer from the network's accounts (default: 0)",
+    "  --json                  Print the result as JSON"
+  ].join("\n");
+}
+
+const toJson = (value) => JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+
+/**
+ * Run one `hilo` command.
+ * @param {string[]} argv Arguments after `hilo`, e.g. ["bet", "place", "117", "Yes", "10"]
+ * @param {Object} params
+ * @param {(options: {network?: string, deployment?: string, abiDir?: string, account: string}) => Promise<Object>} params.connect
+ *   Returns the HiloSDK to run the command with
+ * @param {(text: string) => void} [params.write]
+ * @returns {Promise<Object|null>} The command result, or null when only help was printed
+ */
+async function runCli(argv, { connect, write = console.log }) {
+  const name = COMMANDS[argv[0]] ? argv[0] : argv.slice(0, 2).join(" ");
+  if (argv.length === 0 || ["help", "--help", "-h"].includes(argv[0])) {
+    write(usage());
+    return null;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command "${argv.slice(0, 2).join(" ")}". Run "hilo help" for the list of commands.`);
+  }
+
+  const { values: options, positionals } = parseArgs({
+    args: argv.slice(name.split(" ").length),
+    options: { ...GLOBAL_OPTIONS, ...command.options },
+    allowPositionals: true,
+    strict: true
+  });
+  if (options.help) {
+    write(`Usage: ${commandUsage(name)}\n${command.description}`);
+    return null;
+  }
+  if (positionals.length !== command.args.length) {
+    throw new Error(`Usage: ${commandUsage(name)}`);
+  }
+  const missing = (command.required || []).filter((option) => options[option] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing ${missing.map((option) => `--${option}`).join(", ")}. Usage: ${commandUsage(name)}`);
+  }
+
+  const args = Object.fromEntries(command.args.map((arg, index) => [arg, positionals[index]]));
+  const sdk = await connect({
+    network: options.network,
+    deployment: options.deployment,
+    abiDir: options["abi-dir"],
+    account: options.account
+  });
+  const result = await command.run(sdk, args, options);
+  write(options.json ? toJson(result) : command.format(result));
+  return result;
+}
+
+module.exports = {
+  COMMANDS,
+  runCli,
+  usage,
+  toJson
+};
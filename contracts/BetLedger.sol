@@ -2,6 +2,10 @@
 pragma solidity 0.8.26;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "hardhat/console.sol";
 
 // Minimal interface for HiloPredictionMarket needed by BetLedger's view function
@@ -10,9 +14,44 @@ interface IHiloPredictionMarketReader {
     function getInitialLiquidity(uint256 _optionGroupId) external view returns (uint256[] memory); // Needed for K calculation assumption
     function earlyExitFee() external view returns (uint256);
     function PRECISION() external view returns (uint256);
+    function previewEarlyExit(uint256 _betId) external view returns (uint256[] memory newLiquidity, uint256 fee, uint256 exitAmount);
+    function getOptionGroupIds(uint256 _offset, uint256 _limit) external view returns (uint256[] memory ids, uint256 total);
+    function getAllOdds(uint256 _optionGroupId) external view returns (uint256[] memory);
+    function getOptionNames(uint256 _optionGroupId) external view returns (string[] memory optionNames);
+    function previewBet(uint256 _optionGroupId, uint256 _optionIndex, uint256 _amount)
+        external view returns (uint256[] memory newLiquidity, uint256 lockedOdds, uint256 fee, uint256 potentialPayout);
+    function owner() external view returns (address);
+    function getTotalBetsPerOption(uint256 _optionGroupId) external view returns (uint256[] memory);
+    function getFeeBreakdown(uint256 _optionGroupId) external view returns (
+        uint256 lpFees,
+        uint256 protocolFees,
+        uint256 creatorFees,
+        uint256 protocolCollected,
+        uint256 creatorCollected
+    );
+    function optionGroups(uint256 _optionGroupId) external view returns (
+        uint256 poolId,
+        bool initialized,
+        bool settled,
+        bool canceled,
+        uint8 winningOptionIndex,
+        uint256 settleTimeframe,
+        uint256 totalLiquidity,
+        uint256 totalFees,
+        uint256 totalShares,
+        uint256 feesPerShare,
+        address token,
+        uint256 balance
+    );
 }
 
-contract BetLedger is Ownable {
+/**
+ * @title BetLedger
+ * @notice Records every bet of the HiloPredictionMarket. Each bet is also an ERC-721 receipt with the
+ * bet ID as token ID: its owner is the bet's `user`, the only account that can exit, claim or be
+ * refunded for it, and transferring the token moves the bet to the new owner.
+ */
+contract BetLedger is ERC721, Ownable {
 
     enum BetStatus { Active, CashedOut, SettledWon, SettledLost, Refunded }
 
@@ -34,12 +73,53 @@ contract BetLedger is Ownable {
         uint256 cashoutValue; // Value after estimated fee
     }
 
+    // Struct for the paginated option group listing
+    struct OptionGroupSummary {
+        uint256 groupId;
+        uint256 poolId;
+        bool settled;
+        bool canceled;
+        uint8 winningOptionIndex;
+        uint256 settleTimeframe;
+        uint256 totalLiquidity;
+        address token; // Collateral token of the group
+        uint256 betCount; // All bets recorded in the group, including exit slices
+        uint256[] odds; // Current odds per option (precision adjusted)
+    }
+
+    // Struct for the solvency view of an option group
+    struct GroupLiabilities {
+        uint256 assets; // Tokens the market holds for the group
+        uint256[] payouts; // Potential payouts of the active bets on each option, owed if it wins
+        uint256 refunds; // Stakes of the active bets, owed if the group is canceled
+        uint256 pendingFees; // Protocol and pool creator fees not collected yet
+        uint256 worstCase; // The most the group can still owe bettors and fee receivers
+        bool solvent; // Whether assets cover worstCase
+    }
+
+    // Struct for the risk limits of an option group; a zero limit is not enforced
+    struct RiskLimits {
+        uint256 maxBetShare; // Largest bet, in basis points of the group's remaining liquidity before it
+        uint256 maxOutcomeLiability; // Cap on the potential payouts of the active bets on any one option
+        uint256 maxWalletStake; // Cap on the amounts of one wallet's active bets in the group
+    }
+
+    uint256 private constant BASIS_POINTS = 10000;
+
     mapping(uint256 => Bet) public bets; // betId => Bet details
     uint256 public nextBetId = 1; // Start IDs from 1
 
     // Indexes for efficient lookups
     mapping(address => mapping(uint256 => uint256[])) private userActiveBetsInGroup; // user => groupId => array of active betIds
     mapping(uint256 => uint256[]) private groupBetIds; // groupId => array of all betIds
+    mapping(address => uint256[]) private userBetIds; // user => array of all betIds across groups
+
+    // Totals over the active bets of each group, for the solvency checks
+    mapping(uint256 => mapping(uint256 => uint256)) private activePayouts; // groupId => optionIndex => sum of potential payouts
+    mapping(uint256 => uint256) private activeStakes; // groupId => sum of amounts
+    mapping(uint256 => mapping(address => uint256)) private walletStakes; // groupId => user => sum of amounts
+
+    mapping(uint256 => RiskLimits) public riskLimits; // groupId => limits enforced on new bets
 
     IHiloPredictionMarketReader public hiloMarket; // Store market contract address
 
@@ -52,17 +132,29 @@ contract BetLedger is Ownable {
         uint256 potentialPayout
     );
     event BetStatusUpdated(uint256 indexed betId, BetStatus newStatus);
+    event BetSplit(uint256 indexed betId, uint256 indexed sliceBetId, uint256 amount, uint256 potentialPayout);
+    event RiskLimitsUpdated(
+        uint256 indexed optionGroupId,
+        uint256 maxBetShare,
+        uint256 maxOutcomeLiability,
+        uint256 maxWalletStake
+    );
 
     modifier onlyPredictionMarket() {
         require(msg.sender == owner(), "BetLedger: Caller is not the Prediction Market contract");
         _;
     }
 
+    modifier onlyMarketOwner() {
+        require(msg.sender == hiloMarket.owner(), "BetLedger: Caller is not the market owner");
+        _;
+    }
+
     /**
      * @notice Constructor sets the address of the HiloPredictionMarket contract which is the owner.
      * @param _predictionMarketAddress The address of the HiloPredictionMarket contract.
      */
-    constructor(address _predictionMarketAddress) Ownable(_predictionMarketAddress) {
+    constructor(address _predictionMarketAddress) ERC721("Hilo Bet", "HILOBET") Ownable(_predictionMarketAddress) {
         require(_predictionMarketAddress != address(0), "BetLedger: Invalid market address");
         hiloMarket = IHiloPredictionMarketReader(_predictionMarketAddress);
     }
@@ -92,6 +184,7 @@ contract BetLedger is Ownable {
     ) external onlyPredictionMarket returns (uint256 betId) {
         require(_user != address(0), "BetLedger: Invalid user address");
         require(_amount > 0, "BetLedger: Bet amount must be positive");
+        _checkRiskLimits(_user, _optionGroupId, _optionIndex, _amount, _potentialPayout);
 
         betId = nextBetId++;
         
@@ -105,12 +198,17 @@ contract BetLedger is Ownable {
         newBet.timestamp = uint64(block.timestamp);
         newBet.status = BetStatus.Active;
         newBet.lockedOdds = _lockedOdds; // Store the locked odds value
+        activePayouts[_optionGroupId][_optionIndex] += _potentialPayout;
+        activeStakes[_optionGroupId] += _amount;
+        walletStakes[_optionGroupId][_user] += _amount;
 
         // Add to indexes
         userActiveBetsInGroup[_user][_optionGroupId].push(betId);
         groupBetIds[_optionGroupId].push(betId);
+        userBetIds[_user].push(betId);
         
         emit BetRecorded(betId, _user, _optionGroupId, _optionIndex, _amount, _potentialPayout);
+        _mint(_user, betId);
         return betId;
     }
 
@@ -121,6 +219,53 @@ contract BetLedger is Ownable {
      * @param newStatus The new status to set for the bet.
      */
     function updateBetStatus(uint256 _betId, BetStatus newStatus) external onlyPredictionMarket {
+        _updateBetStatus(_betId, newStatus);
+    }
+
+    /**
+     * @notice Closes a user's active bets in a settled option group: bets on the winning option
+     * become SettledWon, the others SettledLost.
+     * @param _user The bettor.
+     * @param _groupId The settled option group.
+     * @param _winningOptionIndex The winning option.
+     * @return payout Sum of the potential payouts of the winning bets.
+     * @return settledCount Number of bets closed.
+     */
+    function settleUserBets(
+        address _user,
+        uint256 _groupId,
+        uint256 _winningOptionIndex
+    ) external onlyPredictionMarket returns (uint256 payout, uint256 settledCount) {
+        // Copy of the active index; closing a bet removes it from the stored array
+        uint256[] memory activeBetIds = userActiveBetsInGroup[_user][_groupId];
+        for (uint256 i = 0; i < activeBetIds.length; i++) {
+            Bet storage bet = bets[activeBetIds[i]];
+            if (bet.optionIndex == _winningOptionIndex) {
+                payout += bet.potentialPayout;
+                _updateBetStatus(bet.id, BetStatus.SettledWon);
+            } else {
+                _updateBetStatus(bet.id, BetStatus.SettledLost);
+            }
+        }
+        return (payout, activeBetIds.length);
+    }
+
+    /**
+     * @notice Marks a user's active bets in a canceled option group as Refunded.
+     * @param _user The bettor.
+     * @param _groupId The canceled option group.
+     * @return refunded The refunded bets, whose amounts the market pays back.
+     */
+    function refundUserBets(address _user, uint256 _groupId) external onlyPredictionMarket returns (Bet[] memory refunded) {
+        uint256[] memory activeBetIds = userActiveBetsInGroup[_user][_groupId];
+        refunded = new Bet[](activeBetIds.length);
+        for (uint256 i = 0; i < activeBetIds.length; i++) {
+            _updateBetStatus(activeBetIds[i], BetStatus.Refunded);
+            refunded[i] = bets[activeBetIds[i]];
+        }
+    }
+
+    function _updateBetStatus(uint256 _betId, BetStatus newStatus) private {
         // Load into memory instead of using storage pointer
         Bet memory bet = bets[_betId];
         require(bet.id == _betId && bet.id != 0, "BetLedger: Update target bet does not exist"); // Ensure bet exists
@@ -145,28 +290,114 @@ contract BetLedger is Ownable {
         // If status is changing FROM Active TO something else, remove from active index
         if (wasActive && newStatus != BetStatus.Active) {
             _removeFromUserActiveBets(bet.user, bet.groupId, _betId);
+            activePayouts[bet.groupId][bet.optionIndex] -= bet.potentialPayout;
+            activeStakes[bet.groupId] -= bet.amount;
+            walletStakes[bet.groupId][bet.user] -= bet.amount;
         }
         // If somehow changing back TO Active (e.g., correction), need logic to re-add to index (omitted for simplicity)
 
         emit BetStatusUpdated(_betId, newStatus);
     }
 
+    /**
+     * @notice Splits a slice off an active bet and records it as cashed out (partial early exit).
+     * @dev Should only be callable by the linked HiloPredictionMarket contract. The original bet stays
+     * active with its amount and potential payout reduced by the slice; the slice keeps the original
+     * user, option, locked odds and timestamp.
+     * @param _betId The ID of the active bet to split.
+     * @param _amount The part of the bet amount being cashed out.
+     * @param _potentialPayout The part of the potential payout being cashed out.
+     * @return sliceBetId The ID assigned to the cashed-out slice.
+     */
+    function splitBet(
+        uint256 _betId,
+        uint256 _amount,
+        uint256 _potentialPayout
+    ) external onlyPredictionMarket returns (uint256 sliceBetId) {
+        Bet storage bet = bets[_betId];
+        require(bet.id == _betId && bet.id != 0, "BetLedger: Split target bet does not exist");
+        require(bet.status == BetStatus.Active, "BetLedger: Split target bet not active");
+        require(_amount > 0 && _amount < bet.amount, "BetLedger: Invalid split amount");
+        require(_potentialPayout <= bet.potentialPayout, "BetLedger: Invalid split payout");
+
+        bet.amount -= _amount;
+        bet.potentialPayout -= _potentialPayout;
+        activePayouts[bet.groupId][bet.optionIndex] -= _potentialPayout;
+        activeStakes[bet.groupId] -= _amount;
+        walletStakes[bet.groupId][bet.user] -= _amount;
+
+        sliceBetId = nextBetId++;
+
+        Bet storage slice = bets[sliceBetId];
+        slice.id = sliceBetId;
+        slice.user = bet.user;
+        slice.groupId = bet.groupId;
+        slice.optionIndex = bet.optionIndex;
+        slice.amount = _amount;
+        slice.potentialPayout = _potentialPayout;
+        slice.timestamp = bet.timestamp;
+        slice.status = BetStatus.CashedOut;
+        slice.lockedOdds = bet.lockedOdds;
+
+        // The slice is never active, so it only joins the group and user indexes
+        groupBetIds[bet.groupId].push(sliceBetId);
+        userBetIds[bet.user].push(sliceBetId);
+
+        emit BetSplit(_betId, sliceBetId, _amount, _potentialPayout);
+        emit BetStatusUpdated(sliceBetId, BetStatus.CashedOut);
+        _mint(bet.user, sliceBetId);
+        return sliceBetId;
+    }
+
     // --- Internal Helper for Index Maintenance ---
 
     function _removeFromUserActiveBets(address user, uint256 groupId, uint256 betIdToRemove) private {
-        uint256[] storage activeBets = userActiveBetsInGroup[user][groupId];
-        uint256 lastIndex = activeBets.length - 1;
-        for (uint i = 0; i < activeBets.length; i++) {
-            if (activeBets[i] == betIdToRemove) {
+        _removeBetId(userActiveBetsInGroup[user][groupId], betIdToRemove);
+    }
+
+    function _removeBetId(uint256[] storage betIds, uint256 betIdToRemove) private {
+        uint256 lastIndex = betIds.length - 1;
+        for (uint i = 0; i < betIds.length; i++) {
+            if (betIds[i] == betIdToRemove) {
                 // Swap with last element and pop (only if not already the last element)
                  if (i != lastIndex) {
-                    activeBets[i] = activeBets[lastIndex];
+                    betIds[i] = betIds[lastIndex];
                 }
-                activeBets.pop();
-                return; // Assume IDs are unique per user/group active list
+                betIds.pop();
+                return; // Assume IDs are unique per list
             }
         }
-        // Bet ID not found in active list (might have already been removed or never added correctly) - do nothing
+        // Bet ID not found in the list (might have already been removed or never added correctly) - do nothing
+    }
+
+    // Copy at most `_limit` IDs of `list` starting at `_offset`; empty past the end
+    function _page(
+        uint256[] storage list,
+        uint256 _offset,
+        uint256 _limit
+    ) private view returns (uint256[] memory page, uint256 total) {
+        total = list.length;
+        if (_offset >= total) {
+            return (new uint256[](0), total);
+        }
+        uint256 length = total - _offset < _limit ? total - _offset : _limit;
+        page = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            page[i] = list[_offset + i];
+        }
+    }
+
+    // Quote each bet through the market so the value shown is the one earlyExit pays.
+    // If an exit cannot be priced (e.g. K is zero), its cashout is reported as zero
+    function _withCashout(uint256[] memory _betIds) private view returns (BetCashoutInfo[] memory results) {
+        results = new BetCashoutInfo[](_betIds.length);
+        for (uint256 i = 0; i < _betIds.length; i++) {
+            uint256 cashoutValue = 0;
+            try hiloMarket.previewEarlyExit(_betIds[i]) returns (uint256[] memory, uint256, uint256 exitAmount) {
+                cashoutValue = exitAmount;
+            } catch {}
+            results[i] = BetCashoutInfo({ betId: _betIds[i], cashoutValue: cashoutValue });
+        }
     }
 
     // --- View Functions ---
@@ -189,6 +420,15 @@ contract BetLedger is Ownable {
         return userActiveBetsInGroup[_user][_optionGroupId];
     }
 
+    /**
+     * @notice Get the IDs of all bets of a user across every group (any status), oldest first.
+     * @dev Includes the cashed-out slices of partial early exits. Bets received by transfer are
+     * appended, and a bet transferred away is swapped with the user's last bet before removal.
+     */
+    function getUserBetIds(address _user) external view returns (uint256[] memory) {
+        return userBetIds[_user];
+    }
+
      /**
      * @notice Get the IDs of all bets placed in a specific group (active or inactive).
      * @dev Useful for iterating during settlement or cancellation by an off-chain process or restricted function.
@@ -197,9 +437,75 @@ contract BetLedger is Ownable {
         return groupBetIds[_optionGroupId];
     }
 
+    /**
+     * @notice Gets the details of several bets in one call.
+     * @dev Reverts if any of the IDs does not exist.
+     * @param _betIds The bet IDs.
+     * @return result Bet structs in the order of `_betIds`.
+     */
+    function getBetDetailsBatch(uint256[] calldata _betIds) external view returns (Bet[] memory result) {
+        result = new Bet[](_betIds.length);
+        for (uint256 i = 0; i < _betIds.length; i++) {
+            require(_betIds[i] != 0 && bets[_betIds[i]].id == _betIds[i], "BetLedger: Bet ID does not exist");
+            result[i] = bets[_betIds[i]];
+        }
+    }
+
+    /**
+     * @notice One page of getAllBetIdsInGroup, for groups too large to read in one call.
+     * @param _optionGroupId The market ID.
+     * @param _offset Index of the first bet ID returned.
+     * @param _limit Maximum number of bet IDs returned.
+     * @return ids The page, in recording order; shorter than `_limit` (or empty) past the end.
+     * @return total Number of bets recorded in the group.
+     */
+    function getAllBetIdsInGroupPaginated(
+        uint256 _optionGroupId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return _page(groupBetIds[_optionGroupId], _offset, _limit);
+    }
+
+    /**
+     * @notice One page of getUserActiveBetIds.
+     * @dev The active list is reordered when a bet leaves it (swap and pop), so pages read across
+     *      transactions that settle or exit bets may skip or repeat IDs.
+     * @param _user The user address.
+     * @param _optionGroupId The market ID.
+     * @param _offset Index of the first bet ID returned.
+     * @param _limit Maximum number of bet IDs returned.
+     * @return ids The page.
+     * @return total Number of active bets of the user in the group.
+     */
+    function getUserActiveBetIdsPaginated(
+        address _user,
+        uint256 _optionGroupId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return _page(userActiveBetsInGroup[_user][_optionGroupId], _offset, _limit);
+    }
+
+    /**
+     * @notice One page of getUserBetIds.
+     * @param _user The user address.
+     * @param _offset Index of the first bet ID returned.
+     * @param _limit Maximum number of bet IDs returned.
+     * @return ids The page, oldest first.
+     * @return total Number of bets of the user across all groups.
+     */
+    function getUserBetIdsPaginated(
+        address _user,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return _page(userBetIds[_user], _offset, _limit);
+    }
+
     /**
      * @notice Gets active bets for a user in a group and calculates their current cashout value.
-     * @dev Assumes binary market for K calculation based on initial liquidity.
+     * @dev Each value is HiloPredictionMarket.previewEarlyExit, i.e. exactly what earlyExit would pay.
      * @param _user The user address.
      * @param _optionGroupId The market ID.
      * @return An array of structs containing betId and calculated cashoutValue.
@@ -219,130 +525,300 @@ contract BetLedger is Ownable {
         }
         // Removed other try/catch for brevity - add specific checks below
 
-        uint256[] memory activeBetIds = userActiveBetsInGroup[_user][_optionGroupId];
-        uint256 numActiveBets = activeBetIds.length;
-        if (numActiveBets == 0) {
-            return new BetCashoutInfo[](0);
+        return _withCashout(userActiveBetsInGroup[_user][_optionGroupId]);
+    }
+
+    /**
+     * @notice One page of getActiveBetsWithCashout, pricing only `_limit` bets per call.
+     * @param _user The user address.
+     * @param _optionGroupId The market ID.
+     * @param _offset Index in the user's active bets of the first bet returned.
+     * @param _limit Maximum number of bets returned.
+     * @return results Bet IDs with their cashout values.
+     * @return total Number of active bets of the user in the group.
+     */
+    function getActiveBetsWithCashoutPaginated(
+        address _user,
+        uint256 _optionGroupId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (BetCashoutInfo[] memory results, uint256 total) {
+        uint256[] memory ids;
+        (ids, total) = _page(userActiveBetsInGroup[_user][_optionGroupId], _offset, _limit);
+        return (_withCashout(ids), total);
+    }
+
+    /**
+     * @notice Summaries of the market's option groups, in creation order.
+     * @param _offset Index of the first option group returned.
+     * @param _limit Maximum number of option groups returned.
+     * @return summaries State, current odds and bet count of each group in the page.
+     * @return total Number of option groups in the market.
+     */
+    function getOptionGroupSummaries(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (OptionGroupSummary[] memory summaries, uint256 total) {
+        uint256[] memory groupIds;
+        (groupIds, total) = hiloMarket.getOptionGroupIds(_offset, _limit);
+        summaries = new OptionGroupSummary[](groupIds.length);
+        for (uint256 i = 0; i < groupIds.length; i++) {
+            OptionGroupSummary memory summary = summaries[i];
+            summary.groupId = groupIds[i];
+            (
+                summary.poolId,
+                ,
+                summary.settled,
+                summary.canceled,
+                summary.winningOptionIndex,
+                summary.settleTimeframe,
+                summary.totalLiquidity,
+                ,
+                ,
+                ,
+                summary.token,
+            ) = hiloMarket.optionGroups(groupIds[i]);
+            summary.betCount = groupBetIds[groupIds[i]].length;
+            summary.odds = hiloMarket.getAllOdds(groupIds[i]);
         }
+    }
 
-        // Get current state from HiloPredictionMarket via view calls
-        // Add specific reverts on failure now
-        uint256[] memory currentLiquidity = hiloMarket.getCurrentLiquidity(_optionGroupId);
-        require(currentLiquidity.length > 0, "BetLedger: Market returned empty current liquidity");
-
-        uint256[] memory initialLiquidity = hiloMarket.getInitialLiquidity(_optionGroupId);
-        require(initialLiquidity.length > 0, "BetLedger: Market returned empty initial liquidity");
-
-        uint256 feePercent = hiloMarket.earlyExitFee();
-        uint256 precision = hiloMarket.PRECISION(); // Already checked above, assume ok
-
-        // Assuming binary market for simplicity, like the rest of the logic
-        require(currentLiquidity.length == 2, "Ledger: Market not binary (currentLiq)");
-        require(initialLiquidity.length == 2, "Ledger: Market not binary (initialLiq)");
-        require(precision > 0, "Ledger: Precision is zero");
-
-        uint256 currentLiqOpt1 = currentLiquidity[0];
-        uint256 currentLiqOpt2 = currentLiquidity[1];
-
-        // Calculate K based on initial liquidity assumption (potential inaccuracy noted before)
-        // Consider requiring K or a calculation function from IHiloPredictionMarketReader if needed
-        uint256 constantK = 0;
-        if (initialLiquidity[0] > 0 && initialLiquidity[1] > type(uint256).max / initialLiquidity[0]) {
-            // Potential overflow if calculating K naively, use a safe default or revert
-             revert("BetLedger: K calculation overflow risk");
-        } else {
-             constantK = initialLiquidity[0] * initialLiquidity[1];
+    /**
+     * @notice What an option group owes in the worst case against the tokens the market holds for it.
+     * @dev While the group is open the worst case is the outcome with the largest potential payouts,
+     * or a cancellation refunding every active stake. Once it is settled only the winning option's
+     * payouts are owed, once canceled only the refunds. Liquidity providers are not creditors: they
+     * redeem what the assets leave above the worst case.
+     * @param _groupId The option group.
+     * @return liabilities Assets, per-outcome payouts, refunds, pending fees and the worst case.
+     */
+    function getGroupLiabilities(uint256 _groupId) public view returns (GroupLiabilities memory liabilities) {
+        bool settled;
+        bool canceled;
+        uint8 winningOptionIndex;
+        (, , settled, canceled, winningOptionIndex, , , , , , , liabilities.assets) = hiloMarket.optionGroups(_groupId);
+        (, uint256 protocolFees, uint256 creatorFees, uint256 protocolCollected, uint256 creatorCollected) =
+            hiloMarket.getFeeBreakdown(_groupId);
+        liabilities.pendingFees = protocolFees + creatorFees - protocolCollected - creatorCollected;
+        liabilities.refunds = activeStakes[_groupId];
+
+        uint256 optionsCount = hiloMarket.getTotalBetsPerOption(_groupId).length;
+        liabilities.payouts = new uint256[](optionsCount);
+        uint256 owed = canceled ? liabilities.refunds : 0;
+        for (uint256 i = 0; i < optionsCount; i++) {
+            liabilities.payouts[i] = activePayouts[_groupId][i];
+            if (settled ? i == winningOptionIndex : !canceled && liabilities.payouts[i] > owed) {
+                owed = liabilities.payouts[i];
+            }
         }
-        if (constantK == 0) {
-            // If K is zero (e.g., initial liquidity was zero), cashout is likely impossible or zero
-             // Return array with zero cashout values
-             BetCashoutInfo[] memory zeroResults = new BetCashoutInfo[](numActiveBets);
-             for(uint k=0; k<numActiveBets; ++k) {
-                 zeroResults[k] = BetCashoutInfo({betId: activeBetIds[k], cashoutValue: 0});
-             }
-             return zeroResults;
+        if (!settled && !canceled && liabilities.refunds > owed) {
+            owed = liabilities.refunds;
         }
+        liabilities.worstCase = owed + liabilities.pendingFees;
+        liabilities.solvent = liabilities.assets >= liabilities.worstCase;
+    }
 
+    /**
+     * @notice The worst case amount an option group can owe (see getGroupLiabilities).
+     * @param _groupId The option group.
+     * @return The group's worst case liability, including fees not collected yet.
+     */
+    function getWorstCaseLiability(uint256 _groupId) external view returns (uint256) {
+        return getGroupLiabilities(_groupId).worstCase;
+    }
 
-        BetCashoutInfo[] memory results = new BetCashoutInfo[](numActiveBets);
-
-        for (uint i = 0; i < numActiveBets; i++) {
-            uint256 betId = activeBetIds[i];
-            Bet storage bet = bets[betId]; // Use storage pointer
+    /**
+     * @notice Sets the risk limits new bets in an option group must stay within. Zero disables a limit.
+     * @dev Only callable by the owner of the linked HiloPredictionMarket. Limits apply to bets placed
+     * after the update; existing bets are not affected.
+     * @param _groupId The option group.
+     * @param _maxBetShare Largest bet in basis points of the group's remaining liquidity (current liquidity plus reserves).
+     * @param _maxOutcomeLiability Cap on the summed potential payouts of the active bets on any one option.
+     * @param _maxWalletStake Cap on the summed amounts of one wallet's active bets in the group.
+     */
+    function configureRiskLimits(
+        uint256 _groupId,
+        uint256 _maxBetShare,
+        uint256 _maxOutcomeLiability,
+        uint256 _maxWalletStake
+    ) external onlyMarketOwner {
+        require(_maxBetShare <= BASIS_POINTS, "BetLedger: Bet share above 100%");
+        riskLimits[_groupId] = RiskLimits(_maxBetShare, _maxOutcomeLiability, _maxWalletStake);
+        emit RiskLimitsUpdated(_groupId, _maxBetShare, _maxOutcomeLiability, _maxWalletStake);
+    }
 
-            // Calculate cashout only if the bet actually exists (paranoid check)
-            if (bet.id == 0) {
-                 results[i] = BetCashoutInfo({ betId: betId, cashoutValue: 0 });
-                 continue;
+    /**
+     * @notice The largest amount a wallet can bet on an option right now without breaking the group's risk limits.
+     * @dev The outcome liability cap is applied by bisecting the market's previewBet quote, since a bet's
+     * potential payout grows faster than its amount. The bet must still pass the market's own checks,
+     * including the group's solvency.
+     * @param _groupId The option group.
+     * @param _optionIndex The option to bet on.
+     * @param _user The bettor.
+     * @return maxAmount The largest allowed amount, or type(uint256).max when the group has no limits.
+     */
+    function getMaxBet(uint256 _groupId, uint256 _optionIndex, address _user) external view returns (uint256 maxAmount) {
+        RiskLimits memory limits = riskLimits[_groupId];
+        maxAmount = type(uint256).max;
+        if (limits.maxBetShare > 0) {
+            maxAmount = _maxBetForShare(_groupId, limits.maxBetShare);
+        }
+        if (limits.maxWalletStake > 0) {
+            maxAmount = Math.min(maxAmount, _headroom(walletStakes[_groupId][_user], limits.maxWalletStake));
+        }
+        if (limits.maxOutcomeLiability > 0) {
+            // A bet pays out at least its amount, so the payout headroom bounds the search
+            uint256 headroom = _headroom(activePayouts[_groupId][_optionIndex], limits.maxOutcomeLiability);
+            uint256 low = 0;
+            uint256 high = Math.min(maxAmount, headroom);
+            while (low < high) {
+                uint256 mid = low + (high - low + 1) / 2;
+                (, , , uint256 potentialPayout) = hiloMarket.previewBet(_groupId, _optionIndex, mid);
+                if (potentialPayout <= headroom) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
             }
+            maxAmount = low;
+        }
+    }
 
-            uint256 profitPortion = bet.potentialPayout > bet.amount ? bet.potentialPayout - bet.amount : 0;
-            uint256 calculatedCashoutRaw = 0;
-
-            // Perform the "offsetting bet" calculation
-            // calculateOffsettingBetExit is internal, remove try/catch
-            // It will revert on division by zero due to internal requires.
-            calculatedCashoutRaw = calculateOffsettingBetExit(
-                bet.optionIndex,
-                profitPortion,
-                currentLiqOpt1,
-                currentLiqOpt2,
-                constantK
+    // Reverts if a new bet would break one of its group's risk limits
+    function _checkRiskLimits(
+        address _user,
+        uint256 _groupId,
+        uint256 _optionIndex,
+        uint256 _amount,
+        uint256 _potentialPayout
+    ) private view {
+        RiskLimits memory limits = riskLimits[_groupId];
+        if (limits.maxBetShare > 0) {
+            require(_amount <= _maxBetForShare(_groupId, limits.maxBetShare), "RiskLimit: Bet exceeds max share of liquidity");
+        }
+        if (limits.maxOutcomeLiability > 0) {
+            require(
+                activePayouts[_groupId][_optionIndex] + _potentialPayout <= limits.maxOutcomeLiability,
+                "RiskLimit: Outcome liability cap reached"
             );
+        }
+        if (limits.maxWalletStake > 0) {
+            require(walletStakes[_groupId][_user] + _amount <= limits.maxWalletStake, "RiskLimit: Wallet position cap reached");
+        }
+    }
+
+    // The market records a bet before moving its liquidity, so this is the liquidity the bet is priced against
+    function _maxBetForShare(uint256 _groupId, uint256 _share) private view returns (uint256) {
+        uint256[] memory currentLiquidity = hiloMarket.getCurrentLiquidity(_groupId);
+        uint256[] memory initialLiquidity = hiloMarket.getInitialLiquidity(_groupId);
+        uint256 remaining;
+        for (uint256 i = 0; i < currentLiquidity.length; i++) {
+            // Current liquidity plus the option's reserve, as in MarketMath.calculateTotalRemainingLiquidity
+            remaining += Math.max(currentLiquidity[i], initialLiquidity[i]);
+        }
+        return (remaining * _share) / BASIS_POINTS;
+    }
 
-            // Apply Fees (Applying to whole value like HiloMarket's earlyExit)
-            uint256 fee = (calculatedCashoutRaw * feePercent) / precision;
-            uint256 cashoutValue = calculatedCashoutRaw > fee ? calculatedCashoutRaw - fee : 0;
+    function _headroom(uint256 _used, uint256 _cap) private pure returns (uint256) {
+        return _used >= _cap ? 0 : _cap - _used;
+    }
+
+    // --- Bet receipts (ERC-721) ---
 
-            // Optional: Add capping logic here if needed (e.g., min(cashoutValue, bet.amount * 2))
+    /**
+     * @notice Metadata of a bet receipt: its option group, option name, amount, locked odds and status.
+     * @dev Returned as a base64 JSON data URI. The amount is in base units of the group's token and the
+     * locked odds are decimal, e.g. "1.9500".
+     * @param _betId The bet ID.
+     */
+    function tokenURI(uint256 _betId) public view override returns (string memory) {
+        _requireOwned(_betId);
+        Bet storage bet = bets[_betId];
+        string memory optionName = hiloMarket.getOptionNames(bet.groupId)[bet.optionIndex];
+        string memory groupId = Strings.toString(bet.groupId);
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"Hilo Bet #', Strings.toString(_betId),
+            '","description":"Bet on ', _escapeJSON(optionName), ' in Hilo option group ', groupId,
+            '","attributes":[{"trait_type":"Option Group","value":"', groupId,
+            '"},{"trait_type":"Option","value":"', _escapeJSON(optionName),
+            '"},{"trait_type":"Amount","value":"', Strings.toString(bet.amount)
+        );
+        json = abi.encodePacked(
+            json,
+            '"},{"trait_type":"Locked Odds","value":"', _formatOdds(bet.lockedOdds),
+            '"},{"trait_type":"Status","value":"', _statusName(bet.status),
+            '"}]}'
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(json));
+    }
 
-            results[i] = BetCashoutInfo({
-                betId: betId,
-                cashoutValue: cashoutValue
-            });
+    // A transfer moves the bet to its new owner, who can then exit, claim or be refunded for it
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from == address(0) || to == address(0) || from == to) {
+            return from;
         }
 
-        return results;
+        Bet storage bet = bets[tokenId];
+        bet.user = to;
+        _removeBetId(userBetIds[from], tokenId);
+        userBetIds[to].push(tokenId);
+        if (bet.status == BetStatus.Active) {
+            _removeFromUserActiveBets(from, bet.groupId, tokenId);
+            userActiveBetsInGroup[to][bet.groupId].push(tokenId);
+            // Counts toward the new owner's wallet cap for later bets; the transfer itself is not limited
+            walletStakes[bet.groupId][from] -= bet.amount;
+            walletStakes[bet.groupId][to] += bet.amount;
+        }
     }
 
-     /**
-      * @notice Internal pure function to calculate raw exit value using offsetting bet logic.
-      * @dev Separated for clarity and potential reuse/testing. Reverts on division by zero.
-      * @param _optionIndex Index of the original bet (0 or 1).
-      * @param _profitPortion Theoretical profit (PotentialPayout - Amount).
-      * @param _currentLiqOpt1 Current liquidity of option 1.
-      * @param _currentLiqOpt2 Current liquidity of option 2.
-      * @param _constantK The constant product K.
-      * @return rawValue Raw cashout value before fees.
-      */
-     function calculateOffsettingBetExit(
-         uint256 _optionIndex,
-         uint256 _profitPortion,
-         uint256 _currentLiqOpt1,
-         uint256 _currentLiqOpt2,
-         uint256 _constantK
-     ) internal pure returns (uint256 rawValue) {
-          require(_constantK > 0, "K must be positive");
-
-          if (_optionIndex == 0) { // Bet on Option 1 -> Simulate betting profit on Option 2
-                uint256 simulatedLiqOpt2 = _currentLiqOpt2 + _profitPortion;
-                // Division by zero check is crucial
-                require(simulatedLiqOpt2 > 0, "CALC_ERR: Simulated liq2 is zero");
-                // Add check before division
-                require(_constantK > 0, "CALC_ERR: K is zero before div");
-                uint256 simulatedLiqOpt1 = _constantK / simulatedLiqOpt2;
-                rawValue = _currentLiqOpt1 > simulatedLiqOpt1 ? _currentLiqOpt1 - simulatedLiqOpt1 : 0;
-          } else { // Bet on Option 2 -> Simulate betting profit on Option 1
-                uint256 simulatedLiqOpt1 = _currentLiqOpt1 + _profitPortion;
-                 // Division by zero check is crucial
-                require(simulatedLiqOpt1 > 0, "CALC_ERR: Simulated liq1 is zero");
-                 // Add check before division
-                require(_constantK > 0, "CALC_ERR: K is zero before div");
-                uint256 simulatedLiqOpt2 = _constantK / simulatedLiqOpt1;
-                rawValue = _currentLiqOpt2 > simulatedLiqOpt2 ? _currentLiqOpt2 - simulatedLiqOpt2 : 0;
-          }
-          return rawValue;
-     }
+    // Odds scaled by the market's PRECISION as a decimal string, e.g. 19500 => "1.9500"
+    function _formatOdds(uint256 _odds) private view returns (string memory) {
+        uint256 precision = hiloMarket.PRECISION();
+        uint256 fraction = _odds % precision;
+        string memory padding = "";
+        for (uint256 scale = precision / 10; scale > 1 && fraction < scale; scale /= 10) {
+            padding = string.concat(padding, "0");
+        }
+        return string.concat(Strings.toString(_odds / precision), ".", padding, Strings.toString(fraction));
+    }
+
+    function _statusName(BetStatus _status) private pure returns (string memory) {
+        if (_status == BetStatus.Active) return "Active";
+        if (_status == BetStatus.CashedOut) return "CashedOut";
+        if (_status == BetStatus.SettledWon) return "SettledWon";
+        if (_status == BetStatus.SettledLost) return "SettledLost";
+        return "Refunded";
+    }
+
+    // Option names are chosen by pool creators, so quotes, backslashes and control characters are escaped
+    function _escapeJSON(string memory _value) private pure returns (string memory) {
+        bytes memory input = bytes(_value);
+        bytes memory output = new bytes(input.length * 6);
+        uint256 length;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") {
+                output[length++] = "\\";
+                output[length++] = char;
+            } else if (uint8(char) < 0x20) {
+                bytes16 hexDigits = "0123456789abcdef";
+                output[length++] = "\\";
+                output[length++] = "u";
+                output[length++] = "0";
+                output[length++] = "0";
+                output[length++] = hexDigits[uint8(char) >> 4];
+                output[length++] = hexDigits[uint8(char) & 0x0f];
+            } else {
+                output[length++] = char;
+            }
+        }
+        assembly {
+            mstore(output, length)
+        }
+        return string(output);
+    }
 
     /**
      * @notice Updates the HiloPredictionMarket reference
@@ -0,0 +1,191 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// Minimal interface for the HiloPredictionMarket functions the vault uses
+interface IHiloPredictionMarketLiquidity {
+    function removeLiquidity(uint256 _optionGroupId) external;
+}
+
+/**
+ * @title HiloDefaultLiquidityProvider
+ * @notice Vault that funds the default liquidity of new option groups in its betting token. The
+ * market asks it for liquidity when a group is created, and the vault holds the group's LP shares
+ * until it recalls them with removeLiquidity once the group is settled or canceled. Capital out in
+ * groups and the realized profit or loss of every recalled group are tracked.
+ */
+contract HiloDefaultLiquidityProvider is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    address public predictionMarket;
+    IERC20 public bettingToken;
+
+    // Capital the vault lent to one option group
+    struct GroupPosition {
+        uint256 deployed; // Default liquidity sent to the group
+        uint256 returned; // Tokens the LP shares redeemed for
+        int256 pnl; // returned - deployed, once recalled
+        bool recalled; // Whether the shares were redeemed
+    }
+
+    mapping(uint256 => GroupPosition) public positions; // optionGroupId => position
+    uint256[] public activePools; // Option groups holding vault capital
+    mapping(uint256 => uint256) private activePoolIndex; // optionGroupId => index in activePools + 1
+
+    uint256 public totalDeployed; // Capital currently in option groups
+    int256 public realizedPnl; // Sum of the pnl of recalled groups
+
+    event DefaultLiquidityAdded(uint256 indexed optionGroupId, uint256 amount);
+    event DefaultLiquidityRemoved(uint256 indexed optionGroupId, uint256 amount, int256 pnl);
+    event FundsDeposited(address indexed from, uint256 amount);
+    event FundsWithdrawn(address indexed token, address indexed to, uint256 amount);
+
+    modifier onlyPredictionMarket() {
+        require(msg.sender == predictionMarket, "Caller is not the prediction market");
+        _;
+    }
+
+    /**
+     * @param _predictionMarket The HiloPredictionMarket the vault funds
+     * @param _bettingToken Token the vault holds; it funds option groups with this collateral only
+     */
+    constructor(address _predictionMarket, address _bettingToken) Ownable(msg.sender) {
+        require(_predictionMarket != address(0), "Invalid prediction market address");
+        require(_bettingToken != address(0), "Invalid betting token address");
+        predictionMarket = _predictionMarket;
+        bettingToken = IERC20(_bettingToken);
+    }
+
+    /**
+     * @notice Send default liquidity for a new option group to the market
+     * @dev Called by the market while it creates the group; it mints the LP shares to the vault. Does
+     * not revert when the vault is short, so group creation goes on without vault liquidity.
+     * @param _optionGroupId The new option group
+     * @param _amount Default liquidity the market asks for
+     * @return funded Whether the tokens were sent
+     */
+    function fundOptionGroup(uint256 _optionGroupId, uint256 _amount) external onlyPredictionMarket returns (bool funded) {
+        if (_amount == 0 || positions[_optionGroupId].deployed > 0 || bettingToken.balanceOf(address(this)) < _amount) {
+            return false;
+        }
+
+        positions[_optionGroupId].deployed = _amount;
+        totalDeployed += _amount;
+        activePools.push(_optionGroupId);
+        activePoolIndex[_optionGroupId] = activePools.length;
+
+        bettingToken.safeTransfer(predictionMarket, _amount);
+        emit DefaultLiquidityAdded(_optionGroupId, _amount);
+        return true;
+    }
+
+    /**
+     * @notice Redeem the vault's LP shares in a settled or canceled option group and book its P&L
+     * @dev Anyone can call this; the tokens always come back to the vault. Reverts with the market's
+     * reason if the group cannot be redeemed yet.
+     * @param _optionGroupId An option group the vault funded
+     */
+    function removeDefaultLiquidity(uint256 _optionGroupId) external nonReentrant {
+        require(activePoolIndex[_optionGroupId] > 0, "No default liquidity to remove");
+        uint256 balanceBefore = bettingToken.balanceOf(address(this));
+        IHiloPredictionMarketLiquidity(predictionMarket).removeLiquidity(_optionGroupId);
+        _recordReturn(_optionGroupId, bettingToken.balanceOf(address(this)) - balanceBefore);
+    }
+
+    /**
+     * @notice Recall the default liquidity of up to `_maxPools` active groups, skipping groups that
+     * cannot be redeemed yet
+     * @param _maxPools Largest number of active groups to try, from the most recently funded
+     * @return removed Number of groups recalled
+     */
+    function batchRemoveLiquidity(uint256 _maxPools) external nonReentrant returns (uint256 removed) {
+        uint256 count = activePools.length;
+        uint256 tries = _maxPools < count ? _maxPools : count;
+        // Walk backwards: recalling a group moves the last active group into its slot
+        for (uint256 i = count; i > count - tries; i--) {
+            uint256 optionGroupId = activePools[i - 1];
+            uint256 balanceBefore = bettingToken.balanceOf(address(this));
+            try IHiloPredictionMarketLiquidity(predictionMarket).removeLiquidity(optionGroupId) {
+                _recordReturn(optionGroupId, bettingToken.balanceOf(address(this)) - balanceBefore);
+                removed++;
+            } catch {}
+        }
+    }
+
+    // Close a group's position with what its LP shares redeemed for
+    function _recordReturn(uint256 _optionGroupId, uint256 _returned) private {
+        GroupPosition storage position = positions[_optionGroupId];
+        position.returned = _returned;
+        position.pnl = int256(_returned) - int256(position.deployed);
+        position.recalled = true;
+        totalDeployed -= position.deployed;
+        realizedPnl += position.pnl;
+
+        // Swap and pop from the active list
+        uint256 index = activePoolIndex[_optionGroupId] - 1;
+        uint256 lastGroupId = activePools[activePools.length - 1];
+        activePools[index] = lastGroupId;
+        activePoolIndex[lastGroupId] = index + 1;
+        activePools.pop();
+        delete activePoolIndex[_optionGroupId];
+
+        emit DefaultLiquidityRemoved(_optionGroupId, _returned, position.pnl);
+    }
+
+    /**
+     * @notice Top up the vault from the caller's balance
+     * @param _amount Tokens to deposit; the caller must have approved the vault
+     */
+    function depositFunds(uint256 _amount) external {
+        require(_amount > 0, "Amount must be positive");
+        bettingToken.safeTransferFrom(msg.sender, address(this), _amount);
+        emit FundsDeposited(msg.sender, _amount);
+    }
+
+    /**
+     * @notice Withdraw idle funds to the owner. Capital out in option groups is not in the vault's
+     * balance, so only idle funds can be withdrawn.
+     * @param _amount Tokens to withdraw
+     */
+    function withdrawFunds(uint256 _amount) external onlyOwner nonReentrant {
+        require(_amount > 0, "Amount must be positive");
+        require(_amount <= bettingToken.balanceOf(address(this)), "Amount exceeds idle funds");
+        bettingToken.safeTransfer(owner(), _amount);
+        emit FundsWithdrawn(address(bettingToken), owner(), _amount);
+    }
+
+    /**
+     * @notice The vault's idle funds, capital out in option groups and realized P&L
+     * @return available Idle funds, available for new groups or withdrawal
+     * @return deployed Capital currently in option groups
+     * @return pnl Realized profit (or loss, if negative) of the recalled groups
+     */
+    function getFundingStatus() external view returns (uint256 available, uint256 deployed, int256 pnl) {
+        return (bettingToken.balanceOf(address(this)), totalDeployed, realizedPnl);
+    }
+
+    /**
+     * @notice A page of the option groups holding vault capital
+     * @param _start Index of the first group
+     * @param _count Largest number of groups to return
+     */
+    function getActivePools(uint256 _start, uint256 _count) external view returns (uint256[] memory page) {
+        uint256 total = activePools.length;
+        if (_start >= total) {
+            return new uint256[](0);
+        }
+        uint256 end = _start + _count > total ? total : _start + _count;
+        page = new uint256[](end - _start);
+        for (uint256 i = _start; i < end; i++) {
+            page[i - _start] = activePools[i];
+        }
+    }
+
+    function getActivePoolsCount() external view returns (uint256) {
+        return activePools.length;
+    }
+}
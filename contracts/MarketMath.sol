@@ -95,6 +95,207 @@ library MarketMath {
         return rawReturn;
     }
 
+    /**
+     * @notice Applies the platform fee to the raw profit of a bet and derives its locked odds.
+     * @param amount The amount being bet.
+     * @param rawReturn The profit extracted from the other options before fees.
+     * @param platformFee Fee on the raw profit, scaled by `precision`.
+     * @param precision Scaling factor of the fee and the odds.
+     * @return potentialReturn The amount paid if the bet wins (amount + profit - fee).
+     * @return lockedOdds The effective odds, scaled by `precision`.
+     * @return feeAmount The fee taken from the raw profit.
+     */
+    function calculateBetReturn(
+        uint256 amount,
+        uint256 rawReturn,
+        uint256 platformFee,
+        uint256 precision
+    ) public pure returns (uint256 potentialReturn, uint256 lockedOdds, uint256 feeAmount) {
+        uint256 extractionRatio = (rawReturn * precision) / amount;
+        lockedOdds = precision + (extractionRatio * (precision - platformFee)) / precision;
+        feeAmount = (rawReturn * platformFee) / precision;
+        potentialReturn = amount + rawReturn - feeAmount;
+    }
+
+    /**
+     * @notice Sum all values of an array except the one at `excludedIndex`.
+     * @param values The array to sum.
+     * @param excludedIndex Index to skip.
+     * @return total Sum of the remaining values.
+     */
+    function sumExcluding(uint256[] memory values, uint256 excludedIndex) internal pure returns (uint256 total) {
+        for (uint256 i = 0; i < values.length; i++) {
+            if (i != excludedIndex) {
+                total += values[i];
+            }
+        }
+        return total;
+    }
+
+    /**
+     * @notice Constant product used to price one option against the rest of the book.
+     * @dev Binary markets stay anchored to the initial K (I8*J8 in the Excel model). With more than
+     *      two options the other options move together, so K is taken from the current liquidity of
+     *      the option and the sum of all other options.
+     * @param initialLiquidity Array of initial liquidity for all options.
+     * @param currentLiquidity Array of current liquidity for all options.
+     * @param optionIndex The option being priced.
+     * @return constantK The constant product for this option.
+     */
+    function calculateConstantK(
+        uint256[] memory initialLiquidity,
+        uint256[] memory currentLiquidity,
+        uint256 optionIndex
+    ) internal pure returns (uint256 constantK) {
+        require(currentLiquidity.length == initialLiquidity.length, "MarketMath: Array length mismatch");
+        require(optionIndex < currentLiquidity.length, "MarketMath: Invalid option index");
+
+        if (currentLiquidity.length == 2) {
+            return initialLiquidity[0] * initialLiquidity[1];
+        }
+        return currentLiquidity[optionIndex] * sumExcluding(currentLiquidity, optionIndex);
+    }
+
+    /**
+     * @notice Calculate the liquidity change and raw return of a bet on any option.
+     * @dev Generalizes the binary reserve/excess pricing: all other options act as a single
+     *      counter-side. When the other options hold more bets than this one and this option has
+     *      a reserve, the bet is scaled by reserve / excess before it enters the pool. Reverts when
+     *      K is zero: with more than two options, rounding can leave an option (or all the others)
+     *      without liquidity, and such an option cannot be priced.
+     * @param initialLiquidity Array of initial liquidity for all options.
+     * @param currentLiquidity Array of current liquidity for all options.
+     * @param totalBets Array of total bets for all options (before this bet).
+     * @param optionIndex The option being bet on.
+     * @param betAmount The amount being bet.
+     * @param precision Precision factor.
+     * @return newOptionLiquidity Liquidity of the option after the bet.
+     * @return newOtherLiquidity Combined liquidity of all other options after the bet.
+     * @return rawReturn Tokens extracted from the other options (profit before fees).
+     */
+    function calculateBetOutcome(
+        uint256[] memory initialLiquidity,
+        uint256[] memory currentLiquidity,
+        uint256[] memory totalBets,
+        uint256 optionIndex,
+        uint256 betAmount,
+        uint256 precision
+    ) public pure returns (uint256 newOptionLiquidity, uint256 newOtherLiquidity, uint256 rawReturn) {
+        uint256 constantK = calculateConstantK(initialLiquidity, currentLiquidity, optionIndex);
+        require(constantK > 0, "MarketMath: Option liquidity depleted");
+        uint256 otherBets = sumExcluding(totalBets, optionIndex);
+        uint256 otherLiquidity = sumExcluding(currentLiquidity, optionIndex);
+        uint256 reserve = calculateReserve(initialLiquidity[optionIndex], currentLiquidity[optionIndex]);
+
+        uint256 effectiveBet = betAmount;
+        if (otherBets > totalBets[optionIndex] && reserve > 0) {
+            // Other options have excess: scale the bet by reserve / excess
+            uint256 scaleFactor = (reserve * precision) / (otherBets - totalBets[optionIndex]);
+            effectiveBet = (betAmount * scaleFactor) / precision;
+        }
+
+        newOptionLiquidity = currentLiquidity[optionIndex] + effectiveBet;
+        require(newOptionLiquidity > 0, "MarketMath: Zero option liquidity");
+        newOtherLiquidity = constantK / newOptionLiquidity;
+        rawReturn = otherLiquidity > newOtherLiquidity ? otherLiquidity - newOtherLiquidity : 0;
+
+        return (newOptionLiquidity, newOtherLiquidity, rawReturn);
+    }
+
+    /**
+     * @notice Calculate the raw cashout of a bet using offsetting bet logic.
+     * @dev The bet's profit portion is simulated as a bet on the other options; the reduction in
+     *      this option's liquidity is the cashout value before fees. Reverts when K is zero, like
+     *      calculateBetOutcome.
+     * @param initialLiquidity Array of initial liquidity for all options.
+     * @param currentLiquidity Array of current liquidity for all options.
+     * @param optionIndex The option of the bet being exited.
+     * @param profitPortion The bet's potential payout minus its amount.
+     * @return newOptionLiquidity Liquidity of the option after the offsetting bet.
+     * @return newOtherLiquidity Combined liquidity of all other options after the offsetting bet.
+     * @return rawValue Cashout value before fees.
+     */
+    function calculateOffsettingExit(
+        uint256[] memory initialLiquidity,
+        uint256[] memory currentLiquidity,
+        uint256 optionIndex,
+        uint256 profitPortion
+    ) public pure returns (uint256 newOptionLiquidity, uint256 newOtherLiquidity, uint256 rawValue) {
+        uint256 constantK = calculateConstantK(initialLiquidity, currentLiquidity, optionIndex);
+        require(constantK > 0, "MarketMath: Option liquidity depleted");
+
+        newOtherLiquidity = sumExcluding(currentLiquidity, optionIndex) + profitPortion;
+        require(newOtherLiquidity > 0, "MarketMath: Simulated liquidity is zero");
+        newOptionLiquidity = constantK / newOtherLiquidity;
+        rawValue = currentLiquidity[optionIndex] > newOptionLiquidity ? currentLiquidity[optionIndex] - newOptionLiquidity : 0;
+
+        return (newOptionLiquidity, newOtherLiquidity, rawValue);
+    }
+
+    /**
+     * @notice Build the liquidity array after a bet or exit moved the other options as a whole.
+     * @dev The new combined liquidity is split across the other options in proportion to their
+     *      current liquidity (evenly if they are all empty). The last other option takes the
+     *      rounding remainder so the combined total is exact.
+     * @param currentLiquidity Array of current liquidity for all options.
+     * @param optionIndex The option that was bet on or exited.
+     * @param newOptionLiquidity New liquidity for that option.
+     * @param newOtherLiquidity New combined liquidity for all other options.
+     * @return updated The new liquidity array.
+     */
+    function distributeLiquidity(
+        uint256[] memory currentLiquidity,
+        uint256 optionIndex,
+        uint256 newOptionLiquidity,
+        uint256 newOtherLiquidity
+    ) public pure returns (uint256[] memory updated) {
+        uint256 optionsCount = currentLiquidity.length;
+        uint256 otherLiquidity = sumExcluding(currentLiquidity, optionIndex);
+        uint256 lastOther = optionIndex == optionsCount - 1 ? optionsCount - 2 : optionsCount - 1;
+
+        updated = new uint256[](optionsCount);
+        updated[optionIndex] = newOptionLiquidity;
+
+        uint256 assigned = 0;
+        for (uint256 i = 0; i < optionsCount; i++) {
+            if (i == optionIndex || i == lastOther) {
+                continue;
+            }
+            updated[i] = otherLiquidity > 0
+                ? (currentLiquidity[i] * newOtherLiquidity) / otherLiquidity
+                : newOtherLiquidity / (optionsCount - 1);
+            assigned += updated[i];
+        }
+        updated[lastOther] = newOtherLiquidity - assigned;
+
+        return updated;
+    }
+
+    /**
+     * @notice Scale every entry of a liquidity array by `numerator / denominator` of itself, up or down.
+     * @dev Used when liquidity joins or leaves a market with liquidity in it: scaling initial and current
+     *      liquidity alike keeps the odds, reserves and constant K consistent. Rounds each entry down.
+     * @param liquidity Array of liquidity for all options.
+     * @param numerator Amount joining or leaving (tokens or shares).
+     * @param denominator What the amount is measured against (remaining liquidity or total shares).
+     * @param increase True to add the scaled amount, false to remove it.
+     * @return scaled The new liquidity array.
+     */
+    function scaleLiquidity(
+        uint256[] memory liquidity,
+        uint256 numerator,
+        uint256 denominator,
+        bool increase
+    ) public pure returns (uint256[] memory scaled) {
+        require(denominator > 0, "MarketMath: Zero denominator");
+        scaled = new uint256[](liquidity.length);
+        for (uint256 i = 0; i < liquidity.length; i++) {
+            uint256 delta = (liquidity[i] * numerator) / denominator;
+            scaled[i] = increase ? liquidity[i] + delta : liquidity[i] - delta;
+        }
+        return scaled;
+    }
+
     /**
      * @notice Calculate early exit value before fees.
      * @dev Replicates logic from original calculateEarlyExitValue, including edge cases.
@@ -236,4 +437,94 @@ library MarketMath {
         winnings = numerator / totalBetsOnWinningOption;
         return winnings;
     }
-} 
\ No newline at end of file
+
+    /**
+     * @notice Prices a bet the way placeBet executes it: CPMM outcome, platform fee and the
+     * liquidity of every option afterwards, in one library call.
+     * @param initialLiquidity Array of initial liquidity for all options.
+     * @param currentLiquidity Array of current liquidity for all options.
+     * @param totalBets Array of total bets for all options.
+     * @param optionIndex The option being bet on.
+     * @param betAmount The amount being bet.
+     * @param platformFee Fee on the raw profit, scaled by `precision`.
+     * @param precision The precision factor (e.g., 10000).
+     * @return newLiquidity Current liquidity of every option after the bet.
+     * @return lockedOdds The effective odds, scaled by `precision`.
+     * @return feeAmount The fee taken from the raw profit.
+     * @return potentialReturn The amount paid if the bet wins.
+     */
+    function quoteBet(
+        uint256[] memory initialLiquidity,
+        uint256[] memory currentLiquidity,
+        uint256[] memory totalBets,
+        uint256 optionIndex,
+        uint256 betAmount,
+        uint256 platformFee,
+        uint256 precision
+    ) public pure returns (uint256[] memory newLiquidity, uint256 lockedOdds, uint256 feeAmount, uint256 potentialReturn) {
+        (uint256 newOptionLiquidity, uint256 newOtherLiquidity, uint256 rawReturn) = calculateBetOutcome(
+            initialLiquidity,
+            currentLiquidity,
+            totalBets,
+            optionIndex,
+            betAmount,
+            precision
+        );
+        (potentialReturn, lockedOdds, feeAmount) = calculateBetReturn(betAmount, rawReturn, platformFee, precision);
+        newLiquidity = distributeLiquidity(currentLiquidity, optionIndex, newOptionLiquidity, newOtherLiquidity);
+    }
+
+    /**
+     * @notice Prices an early exit the way earlyExit executes it: the profit portion is simulated as
+     * a bet on all other options combined and the early exit fee applies to the whole cashout value.
+     * @param initialLiquidity Array of initial liquidity for all options.
+     * @param currentLiquidity Array of current liquidity for all options.
+     * @param optionIndex The option of the exited bet.
+     * @param profitPortion Potential payout of the exited bet less its amount.
+     * @param earlyExitFee Fee on the cashout value, scaled by `precision`.
+     * @param precision The precision factor (e.g., 10000).
+     * @return newLiquidity Current liquidity of every option after the exit.
+     * @return fee The early exit fee.
+     * @return exitAmount The amount paid to the bettor.
+     */
+    function quoteEarlyExit(
+        uint256[] memory initialLiquidity,
+        uint256[] memory currentLiquidity,
+        uint256 optionIndex,
+        uint256 profitPortion,
+        uint256 earlyExitFee,
+        uint256 precision
+    ) public pure returns (uint256[] memory newLiquidity, uint256 fee, uint256 exitAmount) {
+        (uint256 newOptionLiquidity, uint256 newOtherLiquidity, uint256 rawValue) = calculateOffsettingExit(
+            initialLiquidity,
+            currentLiquidity,
+            optionIndex,
+            profitPortion
+        );
+        fee = (rawValue * earlyExitFee) / precision;
+        exitAmount = rawValue > fee ? rawValue - fee : 0;
+        newLiquidity = distributeLiquidity(currentLiquidity, optionIndex, newOptionLiquidity, newOtherLiquidity);
+    }
+
+    /**
+     * @notice Copy one page of a stored ID list, for paginated views.
+     * @dev Reads the caller's storage (library call), so the loop is not part of the caller's bytecode.
+     * @param list The stored list.
+     * @param offset Index of the first element returned.
+     * @param limit Maximum number of elements returned.
+     * @return page The elements from `offset`, empty when `offset` is past the end.
+     */
+    function paginate(
+        uint256[] storage list,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory page) {
+        uint256 total = list.length;
+        if (offset >= total) return new uint256[](0);
+        uint256 length = total - offset < limit ? total - offset : limit;
+        page = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+}
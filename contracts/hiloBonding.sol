@@ -70,6 +70,19 @@ contract HiloBonding is Ownable, ReentrancyGuard {
         uint256 maxDisputePerOptionCount;
     }
 
+    /**
+     * @dev Lifecycle phase of a pool as reported by getPoolPhase. Phases only move forward.
+     */
+    enum PoolPhase {
+        Evaluation,           // Validators approve or reject the pool
+        Rejected,             // Evaluation rejected the pool, no option votes until an evaluation dispute
+        AwaitingOptionVoting, // Evaluation finished, the event runs until option voting opens
+        OptionVoting,         // Validators vote for the winning option
+        Dispute,              // The evaluation and option results can be disputed
+        AwaitingProcessing,   // Dispute window over, processPool records the final result
+        Processed             // Final result recorded
+    }
+
     struct PoolOptions {
         string[] optionNames;
         bool hasOptions;
@@ -819,6 +832,30 @@ function getPoolEvaluationStatus(uint256 _poolId) external view poolExists(_pool
         );
     }
     
+    /**
+     * @notice Current lifecycle phase of a pool and when the next phase starts.
+     * @dev Uses the same windows the voting functions enforce: evaluation votes until evaluationEnd
+     * unless a clear result completed it early, option votes from optionVotingStart to optionVotingEnd,
+     * dispute votes until disputeEnd, and processPool after that. A rejected pool takes no option votes,
+     * so it stays Rejected until the dispute window, where only its evaluation can be disputed.
+     * @param _poolId The ID of the pool
+     * @return phase The current phase
+     * @return nextTransition First timestamp of the next phase, 0 once no time-based transition is left
+     */
+    function getPoolPhase(uint256 _poolId) external view poolExists(_poolId) returns (PoolPhase phase, uint256 nextTransition) {
+        PoolBase storage base = poolsBase[_poolId];
+
+        if (poolsState[_poolId].processed) return (PoolPhase.Processed, 0);
+
+        (bool evaluationComplete, bool evaluationApproved) = _getEffectiveEvaluationStatus(_poolId);
+        if (!evaluationComplete) return (PoolPhase.Evaluation, base.evaluationEnd + 1);
+        if (!evaluationApproved && block.timestamp <= base.optionVotingEnd) return (PoolPhase.Rejected, base.optionVotingEnd + 1);
+        if (block.timestamp < base.optionVotingStart) return (PoolPhase.AwaitingOptionVoting, base.optionVotingStart);
+        if (block.timestamp <= base.optionVotingEnd) return (PoolPhase.OptionVoting, base.optionVotingEnd + 1);
+        if (block.timestamp <= base.disputeEnd) return (PoolPhase.Dispute, base.disputeEnd + 1);
+        return (PoolPhase.AwaitingProcessing, 0);
+    }
+
     function getUserVotes(uint256 _poolId, address _user) external view poolExists(_poolId) returns (
         uint8 evaluationVote,
         uint8 disputeEvalVote,
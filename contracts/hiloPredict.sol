@@ -38,6 +38,14 @@ interface IBetLedger {
     ) external returns (uint256 betId);
 
     function updateBetStatus(uint256 _betId, BetStatus _newStatus) external;
+    function splitBet(uint256 _betId, uint256 _amount, uint256 _potentialPayout) external returns (uint256 sliceBetId);
+    function settleUserBets(
+        address _user,
+        uint256 _optionGroupId,
+        uint256 _winningOptionIndex
+    ) external returns (uint256 payout, uint256 settledCount);
+    function refundUserBets(address _user, uint256 _optionGroupId) external returns (Bet[] memory refunded);
+    function getWorstCaseLiability(uint256 _optionGroupId) external view returns (uint256);
 
     function getBetDetails(uint256 _betId) external view returns (Bet memory);
     function getUserActiveBetIds(address _user, uint256 _optionGroupId) external view returns (uint256[] memory);
@@ -80,18 +88,30 @@ interface IHiloStaking {
     function getPoolCreatorStake(address user) external view returns (uint256);
 }
 
+interface IHiloDefaultLiquidityProvider {
+    function bettingToken() external view returns (address);
+    function fundOptionGroup(uint256 _optionGroupId, uint256 _amount) external returns (bool funded);
+}
+
 contract HiloPredictionMarket is Ownable, ReentrancyGuard {
     using SafeERC20 for IERC20;
     // No direct 'using for' as functions are standalone pure calculations
 
     IHiloBonding public bondingContract;
     IHiloStaking public stakingContract;
-    IERC20 public bettingToken;
+    IERC20 public bettingToken; // Collateral of option groups created without a token
     IBetLedger public betLedgerContract; // Added BetLedger contract instance
     
     // Settings
     bool public defaultLiquidityEnabled = true;
-    uint256 public defaultLiquidityAmount = 150 * 10**18; // 100 tokens by default
+    uint256 public defaultLiquidityAmount = 150 * 10**18; // 150 tokens by default
+    
+    // Collateral tokens option groups may be created with (owner-managed allowlist)
+    mapping(address => bool) public allowedTokens;
+    // Default liquidity for groups in tokens other than bettingToken, in each token's own units
+    mapping(address => uint256) public tokenDefaultLiquidity;
+    // Vault funding the default liquidity of groups in its token (HiloDefaultLiquidityProvider), if set
+    IHiloDefaultLiquidityProvider public liquidityProvider;
     
     // Emergency pause mechanism
     bool public paused = false;
@@ -101,7 +121,7 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
     event ContractUnpaused(address by);
     
     modifier whenNotPaused() {
-        require(!paused, "Contract is paused");
+        _requireNotPaused();
         _;
     }
 
@@ -110,6 +130,24 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
     uint256 public constant MAX_FEE = 1000; // 10%
     uint256 public constant PRECISION = 10000;
 
+    // Fee split, as parts of PRECISION of every platform and early exit fee; LPs receive the rest
+    address public treasury;
+    uint256 public protocolFeeShare;
+    uint256 public creatorFeeShare;
+
+    // Where the fees of an option group went; amounts are in the group's token
+    struct FeeBreakdown {
+        uint256 lpFees; // Credited to LP shares
+        uint256 protocolFees; // Accrued for the treasury
+        uint256 creatorFees; // Accrued for the pool creator
+        uint256 protocolCollected; // Part of protocolFees already sent to the treasury
+        uint256 creatorCollected; // Part of creatorFees already sent to the pool creator
+    }
+    mapping(uint256 => FeeBreakdown) private groupFees;
+
+    // Sum of the option group balances in each token; the rest of the market's balance funds default liquidity
+    mapping(address => uint256) private allocatedBalance;
+
     // Option data structure
     struct Option {
         string name;
@@ -126,15 +164,24 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         uint256 settleTimeframe;
         uint256 totalLiquidity;
         uint256 totalFees;
+        uint256 totalShares; // LP shares outstanding
+        uint256 feesPerShare; // Fees credited per LP share, scaled by SHARE_PRECISION
+        address token; // Collateral: bets, liquidity, fees and payouts of the group are in this token
+        uint256 balance; // Tokens held for the group: liquidity and bets in, less everything paid out
         Option[] options;
         uint256[] initialLiquidity;
         uint256[] currentLiquidity;
         uint256[] totalBets;
-        mapping(address => uint256) liquidityProviders;
+        mapping(address => uint256) liquidityProviders; // Tokens contributed
         address[] liquidityProvidersList;
+        mapping(address => uint256) lpShares;
+        mapping(address => uint256) lpFeeDebt; // Fees per share already accounted for at mint time
     }
 
+    uint256 private constant SHARE_PRECISION = 1e18;
+
     mapping(uint256 => OptionGroup) public optionGroups;
+    uint256[] private optionGroupIds; // Every option group ID, in creation order
 
     event OptionGroupCreated(uint256 indexed optionGroupId, uint256 indexed poolId, uint256 optionsCount);
     
@@ -165,7 +212,11 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
     event OptionGroupSettled(uint256 indexed optionGroupId, uint8 winningOptionIndex);
     event WinningsClaimed(uint256 indexed optionGroupId, address indexed user, uint256 amount);
     event LiquidityRemoved(uint256 indexed optionGroupId, address indexed provider, uint256 amount);
+    event LiquiditySharesMinted(uint256 indexed optionGroupId, address indexed provider, uint256 shares);
+    event LiquiditySharesBurned(uint256 indexed optionGroupId, address indexed provider, uint256 shares);
     event FeesCollected(uint256 indexed optionGroupId, uint256 amount);
+    event CreatorFeesCollected(uint256 indexed optionGroupId, address indexed creator, uint256 amount);
+    event FeeSplitConfigured(address treasury, uint256 protocolFeeShare, uint256 creatorFeeShare);
     event OptionGroupCanceled(uint256 indexed optionGroupId);
     event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
     event EarlyExit(uint256 indexed optionGroupId, address indexed user, uint256 optionIndex, uint256 betAmount, uint256 exitAmount, uint256 indexed betId);
@@ -189,10 +240,10 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
     );
     
     event DefaultLiquidityConfigured(bool enabled, uint256 amount);
-    event DefaultLiquidityAttempted(uint256 optionGroupId, bool configEnabled);
+    event TokenConfigured(address indexed token, bool allowed, uint256 defaultLiquidityAmount);
+    event LiquidityProviderConfigured(address indexed provider, bool enabled);
     event DefaultLiquiditySuccess(uint256 optionGroupId, uint256 amount);
     event DefaultLiquidityFailed(uint256 optionGroupId, string reason);
-    event DefaultLiquidityCheckpoint(uint256 optionGroupId, string checkpoint);
 
     constructor(address _bondingContract, address _stakingContract, address _bettingToken, address _betLedgerAddress) Ownable(msg.sender) {
         require(_bondingContract != address(0), "Invalid bonding contract address");
@@ -202,6 +253,7 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         bondingContract = IHiloBonding(_bondingContract);
         stakingContract = IHiloStaking(_stakingContract);
         bettingToken = IERC20(_bettingToken);
+        allowedTokens[_bettingToken] = true;
         betLedgerContract = IBetLedger(_betLedgerAddress); // Set BetLedger address
     }
 
@@ -220,33 +272,99 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         emit DefaultLiquidityConfigured(_enabled, defaultLiquidityAmount);
     }
 
+    /**
+     * @notice Set the vault that funds default liquidity and enable or disable default liquidity
+     * @param _provider A HiloDefaultLiquidityProvider for this market, or the zero address to fund
+     * default liquidity from the market's own balance only
+     * @param _enabled Whether to enable default liquidity
+     */
+    function setLiquidityProvider(address _provider, bool _enabled) external onlyOwner {
+        liquidityProvider = IHiloDefaultLiquidityProvider(_provider);
+        defaultLiquidityEnabled = _enabled;
+        emit LiquidityProviderConfigured(_provider, _enabled);
+    }
+
+    /**
+     * @notice Allow or disallow a collateral token for new option groups
+     * @dev Existing groups keep their token. The default liquidity of bettingToken groups is set
+     * with configureDefaultLiquidity instead of `_defaultLiquidityAmount`
+     * @param _token The ERC-20 token
+     * @param _allowed Whether new option groups may use it
+     * @param _defaultLiquidityAmount Default liquidity for new groups in this token, in its own units
+     */
+    function configureToken(address _token, bool _allowed, uint256 _defaultLiquidityAmount) external onlyOwner {
+        require(_token != address(0), "Invalid token address");
+        allowedTokens[_token] = _allowed;
+        tokenDefaultLiquidity[_token] = _defaultLiquidityAmount;
+        emit TokenConfigured(_token, _allowed, _defaultLiquidityAmount);
+    }
+
+    /**
+     * @notice Configure how fees are split between the protocol treasury, pool creators and LPs
+     * @dev Applies to fees charged from now on; LPs receive what the two shares leave
+     * @param _treasury Receiver of the protocol share
+     * @param _protocolFeeShare Protocol share of every fee, in parts of PRECISION
+     * @param _creatorFeeShare Pool creator share of every fee, in parts of PRECISION
+     */
+    function configureFeeSplit(address _treasury, uint256 _protocolFeeShare, uint256 _creatorFeeShare) external onlyOwner {
+        require(_protocolFeeShare + _creatorFeeShare <= PRECISION, "Fee shares exceed 100%");
+        require(_treasury != address(0) || _protocolFeeShare == 0, "Invalid treasury address");
+        treasury = _treasury;
+        protocolFeeShare = _protocolFeeShare;
+        creatorFeeShare = _creatorFeeShare;
+        emit FeeSplitConfigured(_treasury, _protocolFeeShare, _creatorFeeShare);
+    }
+
     // Use MarketMath library for odds calculation in _emitOddsChanged
     function _emitOddsChanged(uint256 _optionGroupId) private {
         OptionGroup storage group = optionGroups[_optionGroupId];
-        uint256 totalRemainingLiq = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
-        uint256 optionsCount = group.options.length;
-        uint256[] memory newOdds = new uint256[](optionsCount);
-        uint256[] memory optionLiquidity = new uint256[](optionsCount);
+        (uint256[] memory newOdds, uint256 totalRemainingLiq) = _allOdds(group);
+        emit OddsChanged(_optionGroupId, newOdds, totalRemainingLiq, group.currentLiquidity);
+    }
 
+    // Odds of every option and the total remaining liquidity they are based on
+    function _allOdds(OptionGroup storage group) private view returns (uint256[] memory odds, uint256 totalRemainingLiq) {
+        totalRemainingLiq = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
+        uint256 optionsCount = group.options.length;
+        odds = new uint256[](optionsCount);
         for (uint256 i = 0; i < optionsCount; i++) {
-            newOdds[i] = MarketMath.calculateOddsForOption(group.currentLiquidity[i], totalRemainingLiq, PRECISION);
-            optionLiquidity[i] = group.currentLiquidity[i];
+            odds[i] = MarketMath.calculateOddsForOption(group.currentLiquidity[i], totalRemainingLiq, PRECISION);
         }
-        
-        // Use totalRemainingLiq consistent with odds calc
-        emit OddsChanged(_optionGroupId, newOdds, totalRemainingLiq, optionLiquidity);
     }
     
-    // Helper function to reduce stack depth - initializes arrays only
-    function _initializeOptionGroupArrays(uint256 _optionGroupId, uint256 optionsCount) private {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        group.initialLiquidity = new uint256[](optionsCount);
-        group.currentLiquidity = new uint256[](optionsCount);
-        group.totalBets = new uint256[](optionsCount);
+    function _requireNotPaused() private view {
+        require(!paused, "Contract is paused");
+    }
+
+    // The option group, reverting if it was never created
+    function _existingGroup(uint256 _optionGroupId) private view returns (OptionGroup storage group) {
+        group = optionGroups[_optionGroupId];
+        require(group.initialized, "Option group does not exist");
+    }
+
+    // Check the caller may create `_optionGroupId` with `_optionsCount` options
+    function _requireNewOptionGroup(uint256 _optionGroupId, uint256 _optionsCount, address _token) private view {
+        require(stakingContract.getPoolCreatorStake(msg.sender) > 0, "Not a pool creator");
+        require(!optionGroups[_optionGroupId].initialized, "Option group already exists");
+        require(_optionsCount >= 2, "Need at least 2 options");
+        require(allowedTokens[_token], "Token not allowed");
     }
 
     // Initialize option group data - handles full option group setup
-    function _initializeOptionGroup(OptionGroup storage group, string[] memory _options) private {
+    function _initializeOptionGroup(
+        uint256 _optionGroupId,
+        uint256 _poolId,
+        uint256 _settleTimeframe,
+        address _token,
+        string[] memory _options
+    ) private {
+        OptionGroup storage group = optionGroups[_optionGroupId];
+        group.poolId = _poolId;
+        group.initialized = true;
+        group.settleTimeframe = _settleTimeframe;
+        group.token = _token;
+
+        optionGroupIds.push(_optionGroupId);
         uint256 optionsCount = _options.length;
         for (uint256 i = 0; i < optionsCount; i++) {
             group.options.push(Option({ name: _options[i], index: i }));
@@ -258,73 +376,39 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
 
     /**
      * @notice Helper function to add default liquidity
-     * @dev Extracted to separate function to avoid stack depth issues
+     * @dev The liquidity provider vault alone funds groups in its token and holds their LP shares; a
+     * group it cannot fund gets no default liquidity. Groups in other tokens are funded from the
+     * market's balance outside option groups, and the market holds the shares until the owner
+     * redeems them with removeDefaultLiquidity.
      */
     function _tryAddDefaultLiquidity(uint256 _optionGroupId) private {
-        emit DefaultLiquidityAttempted(_optionGroupId, defaultLiquidityEnabled);
-        if (!defaultLiquidityEnabled) {
-            emit DefaultLiquidityFailed(_optionGroupId, "Default liquidity disabled");
-            return;
-        }
-        emit DefaultLiquidityCheckpoint(_optionGroupId, "Configuration check passed");
-        
         OptionGroup storage group = optionGroups[_optionGroupId];
         uint256 optionsCount = group.options.length;
-        if (optionsCount == 0) {
-             emit DefaultLiquidityFailed(_optionGroupId, "No options in group");
+        IERC20 token = IERC20(group.token);
+        uint256 defaultAmount = token == bettingToken ? defaultLiquidityAmount : tokenDefaultLiquidity[group.token];
+        // Split equally across options
+        uint256 totalDefaultAmount = (defaultAmount / optionsCount) * optionsCount;
+        if (!defaultLiquidityEnabled || totalDefaultAmount == 0) {
             return;
         }
-        if (defaultLiquidityAmount == 0) {
-             emit DefaultLiquidityFailed(_optionGroupId, "Default amount is zero");
-             return;
-        }
-        emit DefaultLiquidityCheckpoint(_optionGroupId, "Checks passed");
-        
-        uint256 amountPerOption = defaultLiquidityAmount / optionsCount;
-        if (amountPerOption == 0) {
-             emit DefaultLiquidityFailed(_optionGroupId, "Amount per option is zero (total amount too small)");
-             return;
-        }
-        emit DefaultLiquidityCheckpoint(_optionGroupId, "Amount per option calculated");
 
-        uint256 totalDefaultAmount = amountPerOption * optionsCount;
-        // Check if contract has enough balance *to cover this addition*
-        if (bettingToken.balanceOf(address(this)) < totalDefaultAmount) {
-            emit DefaultLiquidityFailed(_optionGroupId, "Insufficient contract balance for default liquidity");
-            return;
+        address provider = address(this);
+        bool vaultToken = address(liquidityProvider) != address(0) && liquidityProvider.bettingToken() == group.token;
+        if (vaultToken && liquidityProvider.fundOptionGroup(_optionGroupId, totalDefaultAmount)) {
+            provider = address(liquidityProvider);
         }
-        emit DefaultLiquidityCheckpoint(_optionGroupId, "Balance checked");
-
-        // Add liquidity to the group
-        for (uint256 i = 0; i < optionsCount; i++) {
-            group.initialLiquidity[i] += amountPerOption; // Track contribution
-            group.currentLiquidity[i] += amountPerOption; // Add to AMM pool
+        // The vault has sent its tokens by now; either way they must not belong to another group
+        if (
+            (vaultToken && provider == address(this)) ||
+            token.balanceOf(address(this)) < allocatedBalance[group.token] + totalDefaultAmount
+        ) {
+            emit DefaultLiquidityFailed(_optionGroupId, "Insufficient balance for default liquidity");
+            return;
         }
 
-        group.totalLiquidity += totalDefaultAmount; // Track total LP contribution
-
-        // Record contract as provider for this default liquidity
-        address self = address(this);
-        if (group.liquidityProviders[self] == 0) {
-             if (!isProviderInList(group.liquidityProvidersList, self)) { // Prevent duplicates if called multiple times somehow
-                 group.liquidityProvidersList.push(self);
-             }
-        }
-        group.liquidityProviders[self] += totalDefaultAmount;
+        _addLiquidity(_optionGroupId, provider, totalDefaultAmount);
 
         emit DefaultLiquiditySuccess(_optionGroupId, totalDefaultAmount);
-        emit LiquidityAdded(_optionGroupId, self, totalDefaultAmount);
-        _emitOddsChanged(_optionGroupId); // Emit odds after adding liquidity
-    }
-
-    // Helper to check if address is already in the provider list
-    function isProviderInList(address[] storage list, address provider) private view returns (bool) {
-        for (uint i = 0; i < list.length; i++) {
-            if (list[i] == provider) {
-                return true;
-            }
-        }
-        return false;
     }
 
     /**
@@ -343,18 +427,25 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         emit ContractUnpaused(msg.sender);
     }
     
-    function createOptionGroup(uint256 _optionGroupId, uint256 _poolId, string[] calldata _optionNames) external whenNotPaused {
-        require(stakingContract.getPoolCreatorStake(msg.sender) > 0, "Not a pool creator");
-        require(!optionGroups[_optionGroupId].initialized, "Option group already exists");
+    /**
+     * @notice Create an option group for an existing pool
+     * @param _token An allowed collateral token (see configureToken), e.g. bettingToken
+     */
+    function createOptionGroup(
+        uint256 _optionGroupId,
+        uint256 _poolId,
+        string[] calldata _optionNames,
+        address _token
+    ) external whenNotPaused {
         uint256 optionsCount = _optionNames.length;
-        require(optionsCount >= 2, "Need at least 2 options");
+        _requireNewOptionGroup(_optionGroupId, optionsCount, _token);
 
         (,, uint256 startTimeframe,, ) = bondingContract.getPoolBasics(_poolId);
         require(block.timestamp < startTimeframe, "Pool already started");
 
         (string[] memory bondingOptions, bool hasOptions) = bondingContract.getPoolOptions(_poolId);
         if (hasOptions) {
-            require(bondingOptions.length == optionsCount, "Option count mismatch with bonding contract");
+            require(bondingOptions.length == optionsCount, "Option count mismatch");
             for (uint256 i = 0; i < optionsCount; i++) {
                 require(keccak256(bytes(bondingOptions[i])) == keccak256(bytes(_optionNames[i])), "Option names mismatch");
             }
@@ -362,13 +453,8 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
             bondingContract.setPoolOptions(_poolId, _optionNames);
         }
 
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        group.poolId = _poolId;
-        group.initialized = true;
-        group.settleTimeframe = startTimeframe + 7 days; // Example alignment
-
         // Initialize the option group using our helper
-        _initializeOptionGroup(group, _optionNames);
+        _initializeOptionGroup(_optionGroupId, _poolId, startTimeframe + 7 days, _token, _optionNames);
 
         emit OptionGroupCreated(_optionGroupId, _poolId, optionsCount);
         
@@ -385,10 +471,41 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         string calldata _data,
         string[] calldata _optionNames
     ) external nonReentrant whenNotPaused {
-        require(stakingContract.getPoolCreatorStake(msg.sender) > 0, "Not a pool creator");
-        require(!optionGroups[_optionGroupId].initialized, "Option group already exists");
-        uint256 optionsCount = _optionNames.length;
-        require(optionsCount >= 2, "Need at least 2 options");
+        _createPoolAndOptionGroup(
+            _poolId, _optionGroupId, _poolTitle, _startTimeframe, _settleTimeframe, _data, _optionNames, address(bettingToken)
+        );
+    }
+
+    /**
+     * @notice Create a pool and its option group with `_token` as collateral
+     * @param _token An allowed collateral token (see configureToken)
+     */
+    function createPoolAndOptionGroup(
+        uint256 _poolId,
+        uint256 _optionGroupId,
+        string calldata _poolTitle,
+        uint256 _startTimeframe,
+        uint256 _settleTimeframe,
+        string calldata _data,
+        string[] calldata _optionNames,
+        address _token
+    ) external nonReentrant whenNotPaused {
+        _createPoolAndOptionGroup(
+            _poolId, _optionGroupId, _poolTitle, _startTimeframe, _settleTimeframe, _data, _optionNames, _token
+        );
+    }
+
+    function _createPoolAndOptionGroup(
+        uint256 _poolId,
+        uint256 _optionGroupId,
+        string calldata _poolTitle,
+        uint256 _startTimeframe,
+        uint256 _settleTimeframe,
+        string calldata _data,
+        string[] calldata _optionNames,
+        address _token
+    ) private {
+        _requireNewOptionGroup(_optionGroupId, _optionNames.length, _token);
         require(_startTimeframe > block.timestamp, "Start time in past");
         require(_settleTimeframe > _startTimeframe, "Invalid settle time");
 
@@ -396,13 +513,7 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         bondingContract.setPoolOptions(_poolId, _optionNames);
 
         // Initialize the option group
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        group.poolId = _poolId;
-        group.initialized = true;
-        group.settleTimeframe = _settleTimeframe;
-
-        // Use helper for option initialization
-        _initializeOptionGroup(group, _optionNames);
+        _initializeOptionGroup(_optionGroupId, _poolId, _settleTimeframe, _token, _optionNames);
         
         // Get timeline information directly for the event
         (,, , uint256 evaluationEnd, uint256 disputeEnd) = bondingContract.getPoolBasics(_poolId);
@@ -429,80 +540,128 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         _tryAddDefaultLiquidity(_optionGroupId);
     }
 
+    /**
+     * @notice Add liquidity to an option group in exchange for LP shares
+     * @dev Liquidity can join until the betting window closes. The first liquidity is split equally
+     * across options and mints one share per token. Later liquidity is added to every option in
+     * proportion to its initial and current liquidity, so odds do not move, and mints shares at the
+     * pool's remaining liquidity (current liquidity plus reserves) per share.
+     * @param _optionGroupId The ID of the option group
+     * @param _amount The amount of betting tokens to add
+     */
     function addLiquidity(uint256 _optionGroupId, uint256 _amount) external nonReentrant whenNotPaused {
+        OptionGroup storage group = _existingGroup(_optionGroupId);
+        require(!group.settled && !group.canceled, "Option group settled or canceled");
+        require(block.timestamp < group.settleTimeframe, "Betting window closed");
+        require(_amount > 0, "Amount must be positive");
+
+        IERC20(group.token).safeTransferFrom(msg.sender, address(this), _amount);
+        _addLiquidity(_optionGroupId, msg.sender, _amount);
+    }
+
+    // Adds liquidity already held by the contract and mints the provider's LP shares
+    function _addLiquidity(uint256 _optionGroupId, address _provider, uint256 _amount) private {
         OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
-        
-        // Determine if this is a call from the contract itself for default liquidity
-        bool isFromContract = (msg.sender == address(this));
-        
-        // Skip validation for contract default liquidity
-        if (!isFromContract) {
-            require(!group.settled && !group.canceled, "Option group settled or canceled");
-            (,, uint256 startTimeframe,, ) = bondingContract.getPoolBasics(group.poolId);
-            require(block.timestamp < startTimeframe, "Pool already started");
-            
-            // Transfer tokens from external caller
-            bettingToken.safeTransferFrom(msg.sender, address(this), _amount);
-        }
-        // No token transfer needed for default liquidity (contract already has the tokens)
-        
-        // Safety check for empty options array (shouldn't happen, but just in case)
         uint256 optionsCount = group.options.length;
-        if (optionsCount == 0) {
-            if (!isFromContract) {
-                bettingToken.safeTransfer(msg.sender, _amount); // Return tokens to external caller
+        uint256 value = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
+
+        uint256 shares;
+        if (group.totalShares == 0 || value == 0) {
+            uint256 amountPerOption = _amount / optionsCount;
+            for (uint256 i = 0; i < optionsCount; i++) {
+                group.initialLiquidity[i] += amountPerOption;
+                group.currentLiquidity[i] += amountPerOption;
             }
-            return;
+            shares = _amount;
+        } else {
+            shares = (_amount * group.totalShares) / value;
+            group.initialLiquidity = MarketMath.scaleLiquidity(group.initialLiquidity, _amount, value, true);
+            group.currentLiquidity = MarketMath.scaleLiquidity(group.currentLiquidity, _amount, value, true);
         }
-        
-        uint256 amountPerOption = _amount / optionsCount;
+        require(shares > 0, "Liquidity too small for a share");
+        _credit(group, _amount);
 
-        // Update totals - track liquidity provider's contribution
-        if (group.liquidityProviders[msg.sender] == 0) {
-            group.liquidityProvidersList.push(msg.sender);
+        if (group.liquidityProviders[_provider] == 0) {
+            group.liquidityProvidersList.push(_provider);
         }
-        group.liquidityProviders[msg.sender] += _amount;
+        group.liquidityProviders[_provider] += _amount;
 
-        // Distribute liquidity equally among all options
-        for (uint256 i = 0; i < optionsCount; i++) {
-            group.initialLiquidity[i] += amountPerOption;
-            group.currentLiquidity[i] += amountPerOption;
+        // New shares do not earn the fees collected before they were minted
+        group.lpShares[_provider] += shares;
+        group.lpFeeDebt[_provider] += (shares * group.feesPerShare) / SHARE_PRECISION;
+        group.totalShares += shares;
+
+        group.totalLiquidity = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
+
+        emit LiquidityAdded(_optionGroupId, _provider, _amount);
+        emit LiquiditySharesMinted(_optionGroupId, _provider, shares);
+        _emitOddsChanged(_optionGroupId);
+    }
+
+    // Record fees kept by an option group and credit them to its LP shares
+    function _accrueFees(OptionGroup storage group, uint256 _optionGroupId, uint256 _fee) private {
+        group.totalFees += _fee;
+
+        // The protocol and creator cuts wait for collectProtocolFees, LPs are credited per share
+        FeeBreakdown storage fees = groupFees[_optionGroupId];
+        uint256 protocolCut = (_fee * protocolFeeShare) / PRECISION;
+        uint256 creatorCut = (_fee * creatorFeeShare) / PRECISION;
+        uint256 lpCut = _fee - protocolCut - creatorCut;
+        fees.protocolFees += protocolCut;
+        fees.creatorFees += creatorCut;
+        fees.lpFees += lpCut;
+        if (group.totalShares > 0) {
+            group.feesPerShare += (lpCut * SHARE_PRECISION) / group.totalShares;
         }
+    }
 
-        // Use simplified logic during initialization to avoid complex calculations
-        if (isFromContract) {
-            // Simple constant product calculation for initialization
-            // K is no longer stored, remove related assignments
-            // if (optionsCount == 2) {
-            //     uint256 initialPerOption = amountPerOption;
-            //     // REMOVED: group.k = initialPerOption * initialPerOption * PRECISION;
-            // } else {
-            //     // REMOVED: group.k = (_amount * _amount * PRECISION) / optionsCount;
-            // }
-            } else {
-            // Standard path for normal liquidity addition - K update removed
-            // REMOVED: updateConstantProduct(_optionGroupId);
+    // A provider's share of the remaining liquidity and the fees credited to their shares. Once the
+    // group is settled or canceled, shares are worth their part of the group's balance above what it
+    // still owes (BetLedger.getWorstCaseLiability), of which the credited fees are a part
+    function _liquidityPosition(
+        OptionGroup storage group,
+        uint256 _optionGroupId,
+        address _provider
+    ) private view returns (uint256 liquidityValue, uint256 accruedFees) {
+        uint256 shares = group.lpShares[_provider];
+        if (shares == 0) {
+            return (0, 0);
         }
-        
-        // Recalculate totalLiquidity to include current liquidity values
-        uint256 currentTotal = 0;
-        for (uint256 i = 0; i < optionsCount; i++) {
-            currentTotal += group.currentLiquidity[i];
-            // Add any reserves (using our Excel calculation approach)
-            currentTotal += calculateReserve(group.initialLiquidity[i], group.currentLiquidity[i]);
+        accruedFees = (shares * group.feesPerShare) / SHARE_PRECISION - group.lpFeeDebt[_provider];
+        if (!group.settled && !group.canceled) {
+            uint256 value = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
+            return ((value * shares) / group.totalShares, accruedFees);
         }
-        group.totalLiquidity = currentTotal;
-        
-        _emitOddsChanged(_optionGroupId);
-        emit LiquidityAdded(_optionGroupId, msg.sender, _amount);
+        uint256 owed = betLedgerContract.getWorstCaseLiability(_optionGroupId);
+        uint256 equity = group.balance > owed ? ((group.balance - owed) * shares) / group.totalShares : 0;
+        accruedFees = Math.min(accruedFees, equity);
+        liquidityValue = equity - accruedFees;
     }
 
-    // Helper function to calculate reserve based on Excel approach
-    function calculateReserve(uint256 initialLiq, uint256 currentLiq) private pure returns (uint256) {
-        return currentLiq >= initialLiq ? 0 : initialLiq - currentLiq;
+    // Add tokens received for an option group to its balance
+    function _credit(OptionGroup storage group, uint256 _amount) private {
+        group.balance += _amount;
+        allocatedBalance[group.token] += _amount;
     }
-    
+
+    // Pay out of an option group's balance; a group never pays with another group's tokens. Paying
+    // the market itself only returns the tokens to its balance outside the groups
+    function _pay(OptionGroup storage group, address _to, uint256 _amount) private {
+        if (_amount > 0) {
+            require(group.balance >= _amount, "Group liabilities exceed assets");
+            group.balance -= _amount;
+            allocatedBalance[group.token] -= _amount;
+            if (_to != address(this)) {
+                IERC20(group.token).safeTransfer(_to, _amount);
+            }
+        }
+    }
+
+    // Revert unless the group's balance covers the most it can still owe
+    function _requireSolvent(OptionGroup storage group, uint256 _optionGroupId) private view {
+        require(group.balance >= betLedgerContract.getWorstCaseLiability(_optionGroupId), "Group liabilities exceed assets");
+    }
+
     // UPDATED: CPMM implementation of constant product calculation with PRECISION scaling
     function updateConstantProduct(uint256 _optionGroupId) internal {
         OptionGroup storage group = optionGroups[_optionGroupId];
@@ -730,7 +889,8 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
 
     /**
      * @notice Calculates the potential return and locked odds for a given bet amount.
-     * @dev Assumes binary market. Fee is calculated on the raw profit.
+     * @dev Assumes binary market and ignores the reserve scaling of placeBet; use previewBet for
+     * the quote placeBet executes. Fee is calculated on the raw profit.
      * @param _optionGroupId The ID of the option group.
      * @param _optionIndex The index of the option being bet on.
      * @param _amount The amount being bet.
@@ -743,43 +903,133 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         uint256 _optionIndex,
         uint256 _amount
     ) public view returns (uint256 potentialReturn, uint256 lockedOdds, uint256 rawReturn) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         require(_optionIndex < group.options.length, "Invalid option index");
         require(group.options.length == 2, "Potential return calc only supports binary");
 
-        // Save the current liquidity state (to avoid stack too deep)
-        uint256[] memory currentLiq = new uint256[](group.currentLiquidity.length);
-        for (uint i = 0; i < currentLiq.length; i++) {
-            currentLiq[i] = group.currentLiquidity[i];
-        }
-
-        // Calculate total remaining liquidity using full reserve calculation
-        uint256 totalRemainingLiquidity = MarketMath.calculateTotalRemainingLiquidity(
-            group.initialLiquidity,
-            currentLiq
-        );
-
-        // Calculate the raw return from the CPMM formula (profit before fees)
         rawReturn = MarketMath.calculateBetRawReturnBinary(
-            currentLiq[_optionIndex],
-            currentLiq[1 - _optionIndex],
+            group.currentLiquidity[_optionIndex],
+            group.currentLiquidity[1 - _optionIndex],
             _amount
         );
+        (potentialReturn, lockedOdds, ) = MarketMath.calculateBetReturn(_amount, rawReturn, platformFee, PRECISION);
+        return (potentialReturn, lockedOdds, rawReturn);
+    }
 
-        // Calculate locked odds using the exact formula from React implementation
-        uint256 tokensExtracted = rawReturn; // This is equivalent to liquidityOption2 - newLiquidityOption2
-        uint256 extractionRatio = (tokensExtracted * PRECISION) / _amount;
-        uint256 feeAdjustedRatio = (extractionRatio * (PRECISION - platformFee)) / PRECISION;
-        lockedOdds = PRECISION + feeAdjustedRatio;
+    /**
+     * @notice Quotes a bet exactly as placeBet would execute it in the current state.
+     * @dev Only prices the bet; the pool status and betting window checks of placeBet are not applied.
+     * @param _optionGroupId The ID of the option group.
+     * @param _optionIndex The index of the option being bet on.
+     * @param _amount The amount being bet.
+     * @return newLiquidity The current liquidity of every option after the bet.
+     * @return lockedOdds The odds the bet would lock, scaled by PRECISION.
+     * @return fee The platform fee taken from the raw return.
+     * @return potentialPayout The amount paid if the bet wins.
+     */
+    function previewBet(
+        uint256 _optionGroupId,
+        uint256 _optionIndex,
+        uint256 _amount
+    ) external view returns (uint256[] memory newLiquidity, uint256 lockedOdds, uint256 fee, uint256 potentialPayout) {
+        OptionGroup storage group = _existingGroup(_optionGroupId);
+        require(_optionIndex < group.options.length, "Invalid option index");
+        require(_amount > 0, "Amount must be positive");
 
-        // Apply platformFee to raw profit
-        uint256 feeAmount = (rawReturn * platformFee) / PRECISION;
-        
-        // Total return = original bet amount + (raw profit - fee)
-        potentialReturn = _amount + rawReturn - feeAmount;
-        
-        return (potentialReturn, lockedOdds, rawReturn);
+        return _quoteBet(group, _optionIndex, _amount);
+    }
+
+    /**
+     * @notice Quotes an early exit exactly as earlyExit would execute it in the current state.
+     * @dev Only prices the exit; the caller and betting window checks of earlyExit are not applied.
+     * @param _betId The ID of an active bet.
+     * @return newLiquidity The current liquidity of every option after the exit.
+     * @return fee The early exit fee taken from the cashout value.
+     * @return exitAmount The amount paid to the bettor.
+     */
+    function previewEarlyExit(
+        uint256 _betId
+    ) external view returns (uint256[] memory newLiquidity, uint256 fee, uint256 exitAmount) {
+        (IBetLedger.Bet memory bet, OptionGroup storage group) = _activeBet(_betId, false);
+
+        return _quoteEarlyExit(group, bet);
+    }
+
+    /**
+     * @notice Quotes a partial early exit exactly as partialEarlyExit would execute it in the current state.
+     * @param _betId The ID of an active bet.
+     * @param _fraction Fraction of the bet to exit, scaled by PRECISION.
+     * @return newLiquidity The current liquidity of every option after the exit.
+     * @return fee The early exit fee taken from the cashout value.
+     * @return exitAmount The amount paid to the bettor.
+     */
+    function previewPartialEarlyExit(
+        uint256 _betId,
+        uint256 _fraction
+    ) external view returns (uint256[] memory newLiquidity, uint256 fee, uint256 exitAmount) {
+        require(_fraction > 0 && _fraction < PRECISION, "EarlyExit: Invalid fraction");
+        (IBetLedger.Bet memory bet, OptionGroup storage group) = _activeBet(_betId, false);
+
+        return _quoteEarlyExit(group, _betSlice(bet, _fraction));
+    }
+
+    // An active bet and its option group, with the checks every early exit path starts with;
+    // previews skip the owner check
+    function _activeBet(
+        uint256 _betId,
+        bool _callerOwned
+    ) private view returns (IBetLedger.Bet memory bet, OptionGroup storage group) {
+        bet = betLedgerContract.getBetDetails(_betId);
+        require(bet.id == _betId && bet.id != 0, "EarlyExit: Invalid bet ID");
+        require(!_callerOwned || bet.user == msg.sender, "EarlyExit: Caller is not the bet owner");
+        require(bet.status == IBetLedger.BetStatus.Active, "EarlyExit: Bet not active");
+
+        group = optionGroups[bet.optionGroupId];
+        require(group.initialized, "EarlyExit: Option group does not exist");
+    }
+
+    // Scales a bet down in place to the part being exited: amount and potential payout times `_fraction`
+    // of PRECISION. Callers pass a copy read from the BetLedger and only keep using its unscaled fields
+    function _betSlice(IBetLedger.Bet memory bet, uint256 _fraction) private pure returns (IBetLedger.Bet memory) {
+        bet.amount = (bet.amount * _fraction) / PRECISION;
+        bet.potentialPayout = (bet.potentialPayout * _fraction) / PRECISION;
+        require(bet.amount > 0, "EarlyExit: Exit slice too small");
+        return bet;
+    }
+
+    // Price a bet against the combined liquidity of all other options, exactly like the React
+    // app for binary markets (reserve/excess scaling and constant K, see MarketMath)
+    function _quoteBet(
+        OptionGroup storage group,
+        uint256 _optionIndex,
+        uint256 _amount
+    ) private view returns (uint256[] memory newLiquidity, uint256 lockedOdds, uint256 feeAmount, uint256 potentialReturn) {
+        return MarketMath.quoteBet(
+            group.initialLiquidity,
+            group.currentLiquidity,
+            group.totalBets,
+            _optionIndex,
+            _amount,
+            platformFee,
+            PRECISION
+        );
+    }
+
+    // The profit portion of the bet is simulated as a bet on all other options combined;
+    // the early exit fee applies to the whole cashout value
+    function _quoteEarlyExit(
+        OptionGroup storage group,
+        IBetLedger.Bet memory bet
+    ) private view returns (uint256[] memory newLiquidity, uint256 fee, uint256 exitAmount) {
+        uint256 profitPortion = bet.potentialPayout > bet.amount ? bet.potentialPayout - bet.amount : 0;
+        return MarketMath.quoteEarlyExit(
+            group.initialLiquidity,
+            group.currentLiquidity,
+            bet.optionIndex,
+            profitPortion,
+            earlyExitFee,
+            PRECISION
+        );
     }
 
     /**
@@ -791,8 +1041,35 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         uint256 _amount,
         uint256 _minOdds // Minimum odds user is willing to accept (scaled by PRECISION)
     ) external nonReentrant whenNotPaused {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        _placeBet(_optionGroupId, _optionIndex, _amount, _minOdds);
+    }
+
+    /**
+     * @notice Place a bet on a specific option, reverting if it is mined after the deadline
+     * @param _optionGroupId The ID of the option group
+     * @param _optionIndex The index of the option being bet on
+     * @param _amount The amount being bet
+     * @param _minOdds Minimum odds user is willing to accept (scaled by PRECISION)
+     * @param _deadline Last block timestamp at which the bet may execute
+     */
+    function placeBet(
+        uint256 _optionGroupId,
+        uint256 _optionIndex,
+        uint256 _amount,
+        uint256 _minOdds,
+        uint256 _deadline
+    ) external nonReentrant whenNotPaused {
+        require(block.timestamp <= _deadline, "Transaction expired");
+        _placeBet(_optionGroupId, _optionIndex, _amount, _minOdds);
+    }
+
+    function _placeBet(
+        uint256 _optionGroupId,
+        uint256 _optionIndex,
+        uint256 _amount,
+        uint256 _minOdds
+    ) private {
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         require(!group.settled && !group.canceled, "Option group settled or canceled");
         require(_optionIndex < group.options.length, "Invalid option index");
         require(_amount > 0, "Amount must be positive");
@@ -805,84 +1082,25 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         require(block.timestamp < group.settleTimeframe, "Betting window closed");
 
         // Transfer tokens from bettor
-        bettingToken.safeTransferFrom(msg.sender, address(this), _amount);
+        IERC20(group.token).safeTransferFrom(msg.sender, address(this), _amount);
 
-        // Always use the full React formula approach - calculate state changes EXACTLY like the React app
-        uint256 potentialReturn;
-        uint256 lockedOdds;
-        uint256 rawReturn;
-        
-        // This is a binary market
-        require(group.options.length == 2, "Current implementation supports binary only");
-        
-        // Get total bets for excess calculations
-        uint256 totalYesBets = group.totalBets[0];
-        uint256 totalNoBets = group.totalBets[1];
-        
-        // Calculate excess exactly as in React
-        int256 excess1 = int256(totalYesBets) - int256(totalNoBets);
-        
-        // Calculate reserves exactly as in React
-        uint256 reserveX = group.currentLiquidity[0] >= group.initialLiquidity[0] ? 0 : group.initialLiquidity[0] - group.currentLiquidity[0];
-        uint256 reserveY = group.currentLiquidity[1] >= group.initialLiquidity[1] ? 0 : group.initialLiquidity[1] - group.currentLiquidity[1];
-        
-        // Get the opposite option index
-        uint256 oppositeIndex = 1 - _optionIndex;
-        
-        // Calculate based on constant product formula, exactly as in React
-        uint256 initialK = group.initialLiquidity[0] * group.initialLiquidity[1];
-        uint256 currentLiqThis = group.currentLiquidity[_optionIndex];
-        uint256 currentLiqOther = group.currentLiquidity[oppositeIndex];
-        
-        // Calculate new liquidities after the bet WITH PROPER SCALING EXACTLY LIKE REACT
-        uint256 newLiqThis;
-        
-        if (_optionIndex == 0) { // Yes bet
-            if (excess1 < 0 && reserveX > 0) { // No has excess
-                // Scale bet by reserveX / |excess1|
-                uint256 scaleFactor = (reserveX * PRECISION) / uint256(-excess1);
-                uint256 scaledBet = (_amount * scaleFactor) / PRECISION;
-                newLiqThis = currentLiqThis + scaledBet;
-            } else {
-                // Standard formula when Yes has no excess or positive excess
-                newLiqThis = currentLiqThis + _amount;
-            }
-        } else { // No bet
-            if (excess1 > 0 && reserveY > 0) { // Yes has excess
-                // Scale bet by reserveY / excess1
-                uint256 scaleFactor = (reserveY * PRECISION) / uint256(excess1);
-                uint256 scaledBet = (_amount * scaleFactor) / PRECISION;
-                newLiqThis = currentLiqThis + scaledBet;
-            } else {
-                // Standard formula when No has no excess or positive excess
-                newLiqThis = currentLiqThis + _amount;
-            }
-        }
-        
-        // Calculate opposite side liquidity using constant k
-        uint256 newLiqOther = initialK / newLiqThis;
-        
-        // Calculate extracted tokens (exactly as in React)
-        rawReturn = currentLiqOther > newLiqOther ? currentLiqOther - newLiqOther : 0;
-        uint256 extractionRatio = (rawReturn * PRECISION) / _amount;
-        uint256 feeAdjustedRatio = (extractionRatio * (PRECISION - platformFee)) / PRECISION;
-        lockedOdds = PRECISION + feeAdjustedRatio;
-        
-        // Calculate fee
-        uint256 feeAmount = (rawReturn * platformFee) / PRECISION;
-        
-        // Calculate final return
-        potentialReturn = _amount + rawReturn - feeAmount;
+        // Price the bet exactly as previewBet quotes it
+        (uint256[] memory newLiquidity, uint256 lockedOdds, uint256 feeAmount, uint256 potentialReturn) = _quoteBet(
+            group,
+            _optionIndex,
+            _amount
+        );
         
         // Check locked odds
         require(lockedOdds >= _minOdds, "Odds too low before bet execution");
         
         // Update state
-        group.totalFees += feeAmount;
+        _credit(group, _amount);
+        _accrueFees(group, _optionGroupId, feeAmount);
         group.totalBets[_optionIndex] += _amount;
         
         // Record bet in ledger
-        uint256 betId = betLedgerContract.recordBet(
+        betLedgerContract.recordBet(
             msg.sender,
             _optionGroupId,
             _optionIndex,
@@ -892,14 +1110,14 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
             lockedOdds
         );
         
-        // Update liquidity pools
-        group.currentLiquidity[_optionIndex] = newLiqThis;
-        group.currentLiquidity[oppositeIndex] = newLiqOther;
+        // The group must still cover its worst case outcome with this bet's payout
+        _requireSolvent(group, _optionGroupId);
+
+        // Update liquidity pools; the extraction is spread over the other options pro rata
+        group.currentLiquidity = newLiquidity;
         
         // Update total liquidity with reserves
-        group.totalLiquidity = newLiqThis + newLiqOther +
-                             (group.currentLiquidity[0] >= group.initialLiquidity[0] ? 0 : group.initialLiquidity[0] - group.currentLiquidity[0]) +
-                             (group.currentLiquidity[1] >= group.initialLiquidity[1] ? 0 : group.initialLiquidity[1] - group.currentLiquidity[1]);
+        group.totalLiquidity = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
         
         // Emit events
         emit BetPlaced(_optionGroupId, msg.sender, _optionIndex, _amount, potentialReturn, lockedOdds);
@@ -909,91 +1127,79 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
 
     // Rewritten earlyExit function to use BetLedger and offsetting logic
     function earlyExit(uint256 _betId) external nonReentrant whenNotPaused {
-        // 1. Fetch Bet Details from BetLedger
-        IBetLedger.Bet memory bet = betLedgerContract.getBetDetails(_betId);
+        _earlyExit(_betId, PRECISION, 0);
+    }
 
-        // 2. Validate the Request
-        require(bet.id == _betId && bet.id != 0, "EarlyExit: Invalid bet ID");
-        require(bet.user == msg.sender, "EarlyExit: Caller is not the bet owner");
-        require(bet.status == IBetLedger.BetStatus.Active, "EarlyExit: Bet not active");
+    /**
+     * @notice Cash out an active bet, reverting if it pays less than `_minExitAmount` or is mined after the deadline
+     * @param _betId The ID of the bet to cash out
+     * @param _minExitAmount Minimum amount the caller accepts after fees, e.g. a previewEarlyExit quote less slippage
+     * @param _deadline Last block timestamp at which the exit may execute
+     */
+    function earlyExit(uint256 _betId, uint256 _minExitAmount, uint256 _deadline) external nonReentrant whenNotPaused {
+        require(block.timestamp <= _deadline, "EarlyExit: Transaction expired");
+        _earlyExit(_betId, PRECISION, _minExitAmount);
+    }
 
+    /**
+     * @notice Cash out a fraction of an active bet. The bet is split in the BetLedger: the original keeps
+     * the remaining amount and potential payout, the cashed-out slice is recorded with `CashedOut` status.
+     * @param _betId The ID of the bet to partially cash out
+     * @param _fraction Fraction of the bet's amount and potential payout to exit, scaled by PRECISION (e.g. 4000 = 40%)
+     * @param _minExitAmount Minimum amount the caller accepts after fees, e.g. a previewPartialEarlyExit quote less slippage
+     * @param _deadline Last block timestamp at which the exit may execute
+     */
+    function partialEarlyExit(
+        uint256 _betId,
+        uint256 _fraction,
+        uint256 _minExitAmount,
+        uint256 _deadline
+    ) external nonReentrant whenNotPaused {
+        require(block.timestamp <= _deadline, "EarlyExit: Transaction expired");
+        require(_fraction > 0 && _fraction < PRECISION, "EarlyExit: Invalid fraction");
+        _earlyExit(_betId, _fraction, _minExitAmount);
+    }
+
+    // Exits `_fraction` of a bet (PRECISION = the whole bet)
+    function _earlyExit(uint256 _betId, uint256 _fraction, uint256 _minExitAmount) private {
+        // 1-2. Fetch the bet from BetLedger and validate the request
+        (IBetLedger.Bet memory bet, OptionGroup storage group) = _activeBet(_betId, true);
         uint256 optionGroupId = bet.optionGroupId;
-        OptionGroup storage group = optionGroups[optionGroupId];
-        require(group.initialized, "EarlyExit: Option group does not exist");
         require(!group.settled && !group.canceled, "EarlyExit: Option group settled or canceled");
-        require(group.options.length == 2, "EarlyExit: Only binary markets supported"); // Required by calc
 
         (,, uint256 startTimeframe,, uint256 settleTimeframe) = bondingContract.getPoolBasics(group.poolId);
         require(block.timestamp >= startTimeframe, "EarlyExit: Pool not started yet");
         require(block.timestamp < settleTimeframe, "EarlyExit: Pool betting period ended");
 
-        // 3. Get Current Market State
-        uint256 currentLiqOpt1 = group.currentLiquidity[0];
-        uint256 currentLiqOpt2 = group.currentLiquidity[1];
-        uint256 feePercent = earlyExitFee; // Already stored in this contract
-        // uint256 precision = PRECISION; // Already a constant
-
-        // Calculate K based on initial liquidity assumption (matches view function)
-        // Note potential inaccuracy if liquidity added/removed asymmetrically
-        uint256 constantK = 0;
-        if (group.initialLiquidity[0] > 0 && group.initialLiquidity[1] > type(uint256).max / group.initialLiquidity[0]) {
-             revert("EarlyExit: K calculation overflow risk");
-        } else {
-             constantK = group.initialLiquidity[0] * group.initialLiquidity[1];
-        }
-        require(constantK > 0, "EarlyExit: Cannot calculate with zero K");
-
-        // 4. Calculate Raw Cashout Value (Offsetting Bet Logic)
-        uint256 profitPortion = bet.potentialPayout > bet.amount ? bet.potentialPayout - bet.amount : 0;
-        uint256 calculatedCashoutRaw = 0;
-        uint256 simulatedLiqOpt1 = 0;
-        uint256 simulatedLiqOpt2 = 0;
-
-        // Replicate logic from BetLedger.calculateOffsettingBetExit
-        if (bet.optionIndex == 0) { // Original bet was on Option 1 (Yes)
-            simulatedLiqOpt2 = currentLiqOpt2 + profitPortion;
-            require(simulatedLiqOpt2 > 0, "EarlyExit: Simulated liq2 is zero");
-            simulatedLiqOpt1 = constantK / simulatedLiqOpt2;
-            calculatedCashoutRaw = currentLiqOpt1 > simulatedLiqOpt1 ? currentLiqOpt1 - simulatedLiqOpt1 : 0;
-        } else { // Original bet was on Option 2 (No)
-            simulatedLiqOpt1 = currentLiqOpt1 + profitPortion;
-            require(simulatedLiqOpt1 > 0, "EarlyExit: Simulated liq1 is zero");
-            simulatedLiqOpt2 = constantK / simulatedLiqOpt1;
-            calculatedCashoutRaw = currentLiqOpt2 > simulatedLiqOpt2 ? currentLiqOpt2 - simulatedLiqOpt2 : 0;
-        }
-
-        // 5. Apply Fee (Matching simulator: fee on profit portion)
-        // uint256 profitInCashout = calculatedCashoutRaw > bet.amount ? calculatedCashoutRaw - bet.amount : 0;
-        // uint256 fee = (profitInCashout * feePercent) / PRECISION;
-
-        // Alternative: Apply Fee (Matching original contract: fee on whole value)
-        uint256 fee = (calculatedCashoutRaw * feePercent) / PRECISION;
-
-        uint256 exitAmount = calculatedCashoutRaw > fee ? calculatedCashoutRaw - fee : 0;
-
-        // 6. Check Contract Balance
-        require(exitAmount <= bettingToken.balanceOf(address(this)), "EarlyExit: Contract insufficient balance");
+        // 3. Calculate Cashout Value (Offsetting Bet Logic, same quote as previewEarlyExit)
+        // A partial exit prices only its slice of the amount and potential payout
+        IBetLedger.Bet memory exited = _betSlice(bet, _fraction);
+        (uint256[] memory newLiquidity, uint256 fee, uint256 exitAmount) = _quoteEarlyExit(group, exited);
+        require(exitAmount >= _minExitAmount, "EarlyExit: Exit amount below minimum");
 
         // --- Update State --- 
 
-        // 7. Update HiloPredictionMarket State
+        // 5. Update HiloPredictionMarket State
         // Update liquidity pools to match the state *after* the simulated offsetting bet
-        group.currentLiquidity[0] = simulatedLiqOpt1;
-        group.currentLiquidity[1] = simulatedLiqOpt2;
+        group.currentLiquidity = newLiquidity;
         // Update total fees collected
-        group.totalFees += fee;
+        _accrueFees(group, optionGroupId, fee);
         // No longer update totalBets or userBets here
 
-        // 8. Update BetLedger State
-        betLedgerContract.updateBetStatus(_betId, IBetLedger.BetStatus.CashedOut);
-
-        // 9. Transfer Tokens
-        if (exitAmount > 0) { // Only transfer if there's something to send
-             bettingToken.safeTransfer(msg.sender, exitAmount);
+        // 6. Update BetLedger State; a partial exit splits the cashed-out slice off the bet
+        uint256 exitedBetId = _betId;
+        if (_fraction == PRECISION) {
+            betLedgerContract.updateBetStatus(_betId, IBetLedger.BetStatus.CashedOut);
+        } else {
+            exitedBetId = betLedgerContract.splitBet(_betId, exited.amount, exited.potentialPayout);
         }
 
-        // 10. Emit Event
-        emit EarlyExit(optionGroupId, msg.sender, bet.optionIndex, bet.amount, exitAmount, _betId);
+        // 7. Transfer Tokens, as long as the group still covers its remaining bets
+        _pay(group, msg.sender, exitAmount);
+        _requireSolvent(group, optionGroupId);
+
+        // 8. Emit Event
+        emit EarlyExit(optionGroupId, msg.sender, bet.optionIndex, exited.amount, exitAmount, exitedBetId);
         _emitOddsChanged(optionGroupId); // Reflect odds change after liquidity update
     }
 
@@ -1003,8 +1209,7 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
      * @param _winningOptionIndex The index of the winning option
      */
     function settleOptionGroup(uint256 _optionGroupId, uint8 _winningOptionIndex) external nonReentrant {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         require(!group.settled && !group.canceled, "Option group settled or canceled");
         require(_winningOptionIndex < group.options.length, "Invalid winning option index");
 
@@ -1015,178 +1220,207 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         require(block.timestamp >= group.settleTimeframe, "Settlement timeframe not reached");
         require(_winningOptionIndex == bondedWinningIndex, "Winning index mismatch with bonding");
 
-        // Check if any bets were placed
-        bool anyBets = false;
-        for (uint256 i = 0; i < group.options.length; i++) {
-            if (group.totalBets[i] > 0) {
-                anyBets = true;
-                break;
-            }
+        _settle(group, _optionGroupId, _winningOptionIndex);
+    }
+
+    // Settles or cancels an open group once HiloBonding has processed its pool: a rejected pool
+    // cancels it, an approved one settles it from its settle time on. Callers check the outcome.
+    function _autoResolve(OptionGroup storage group, uint256 _optionGroupId) private {
+        if (group.settled || group.canceled) {
+            return;
         }
-        
-        // Handle special case: no liquidity added but bets were placed
-        uint256 totalLiquidity = calculateRemainingLiquidity(_optionGroupId);
-        if (totalLiquidity == 0 && anyBets) {
-            // Still allow settlement for zero-liquidity pools with bets
-            group.winningOptionIndex = _winningOptionIndex;
-            group.settled = true;
-            emit OptionGroupSettled(_optionGroupId, _winningOptionIndex);
+        (bool processed,, bool finalApproval,, uint256 bondedWinningIndex) = bondingContract.getPoolStatus(group.poolId);
+        if (!processed) {
             return;
         }
-        
-        // Regular settlement
-        group.winningOptionIndex = _winningOptionIndex;
+        if (!finalApproval) {
+            _cancel(group, _optionGroupId);
+        } else if (block.timestamp >= group.settleTimeframe && bondedWinningIndex < group.options.length) {
+            _settle(group, _optionGroupId, bondedWinningIndex);
+        }
+    }
+
+    function _cancel(OptionGroup storage group, uint256 _optionGroupId) private {
+        group.canceled = true;
+        emit OptionGroupCanceled(_optionGroupId);
+    }
+
+    // Records the winning option; settleOptionGroup and the auto-settling paths share it
+    function _settle(OptionGroup storage group, uint256 _optionGroupId, uint256 _winningOptionIndex) private {
+        group.winningOptionIndex = uint8(_winningOptionIndex);
         group.settled = true;
-        emit OptionGroupSettled(_optionGroupId, _winningOptionIndex);
+        emit OptionGroupSettled(_optionGroupId, uint8(_winningOptionIndex));
     }
 
-    // UPDATED: claimWinnings with CPMM-aligned zero liquidity handling
+    /**
+     * @notice Claim winnings for the caller's bets in a settled option group
+     * @dev Iterates the caller's active bets in the BetLedger. Each bet on the winning option
+     *      is paid its stored potentialPayout and marked SettledWon; every other bet is marked
+     *      SettledLost. Bets already cashed out are no longer active and are skipped.
+     * @param _optionGroupId The ID of the option group
+     */
     function claimWinnings(uint256 _optionGroupId) external nonReentrant {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
+        require(!group.canceled, "Option group canceled");
         
         // If not settled yet, check if we can automatically settle
-        if (!group.settled) {
-            (bool processed,, bool finalApproval,, uint256 bondedWinningIndex) = bondingContract.getPoolStatus(group.poolId);
-            
-            // Auto-settle if conditions are met
-            if (processed && finalApproval && block.timestamp >= group.settleTimeframe && bondedWinningIndex < group.options.length) {
-                group.winningOptionIndex = uint8(bondedWinningIndex);
-                group.settled = true;
-                emit OptionGroupSettled(_optionGroupId, uint8(bondedWinningIndex));
-            } else {
-                revert("Option group not settled");
-            }
-        }
-
-        uint8 winningIndex = group.winningOptionIndex;
-        uint256 betAmount = group.totalBets[winningIndex];
-        require(betAmount > 0, "No winning bets");
+        _autoResolve(group, _optionGroupId);
+        require(group.settled, "Option group not settled");
 
-        uint256 totalLiquidity = calculateRemainingLiquidity(_optionGroupId);
-        uint256 potentialReturn;
-        
-        // UPDATED: Modified zero liquidity handling for CPMM
-        if (totalLiquidity == 0) {
-            // For zero liquidity pools, we'll distribute winnings proportionally based on total bets
-            uint256 totalBets = 0;
-            uint256 totalWinningBets = 0;
-            
-            for (uint256 i = 0; i < group.options.length; i++) {
-                totalBets += group.totalBets[i];
-                if (i == winningIndex) {
-                    totalWinningBets = group.totalBets[i];
-                }
-            }
-            
-            if (totalBets > totalWinningBets && totalWinningBets > 0) {
-                // Calculate share of the losing bets
-                potentialReturn = (betAmount * (totalBets - totalWinningBets)) / totalWinningBets;
-            } else {
-                // Fallback to previous calculation if we can't determine a fair distribution
-                potentialReturn = betAmount * (group.options.length - 1);
-            }
-        } else {
-            // Normal calculation using potential return function
-            // Ignore rawReturn and lockedOdds here as only potentialReturn is needed for fee calc
-            (potentialReturn, , ) = calculatePotentialReturn(_optionGroupId, winningIndex, betAmount);
-        }
-        
-        uint256 fee = (potentialReturn * platformFee) / PRECISION;
-        uint256 winnings = potentialReturn - fee;
+        // BetLedger marks each active bet SettledWon or SettledLost and sums the winners' potential payouts
+        (uint256 totalPayout, uint256 settledCount) = betLedgerContract.settleUserBets(
+            msg.sender,
+            _optionGroupId,
+            group.winningOptionIndex
+        );
+        require(settledCount > 0, "No active bets to claim");
 
-        group.totalFees += fee;
-        group.totalBets[winningIndex] = 0;
-        bettingToken.safeTransfer(msg.sender, betAmount + winnings);
+        _pay(group, msg.sender, totalPayout);
 
-        emit WinningsClaimed(_optionGroupId, msg.sender, betAmount + winnings);
+        emit WinningsClaimed(_optionGroupId, msg.sender, totalPayout);
     }
 
     // UPDATED: removeLiquidity with CPMM-aligned share calculation
     function removeLiquidity(uint256 _optionGroupId) external nonReentrant {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        _removeLiquidity(_optionGroupId, msg.sender);
+    }
+
+    /**
+     * @notice Redeem the default liquidity shares the market holds itself in a settled or canceled
+     * option group, including their part of the LP fees
+     * @dev The tokens stay in the market, outside every option group, and fund the default liquidity
+     * of later groups
+     * @param _optionGroupId The ID of the option group
+     */
+    function removeDefaultLiquidity(uint256 _optionGroupId) external onlyOwner nonReentrant {
+        _removeLiquidity(_optionGroupId, address(this));
+    }
+
+    // Burns all of a provider's shares in a settled or canceled group and pays out what they are worth
+    function _removeLiquidity(uint256 _optionGroupId, address _provider) private {
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         
         // If not settled yet, check if we can automatically settle or cancel
-        if (!group.settled && !group.canceled) {
-            (bool processed,, bool finalApproval,, uint256 bondedWinningIndex) = bondingContract.getPoolStatus(group.poolId);
-            
-            if (processed) {
-                if (finalApproval && block.timestamp >= group.settleTimeframe) {
-                    // Auto-settle
-                    group.winningOptionIndex = uint8(bondedWinningIndex);
-                    group.settled = true;
-                    emit OptionGroupSettled(_optionGroupId, uint8(bondedWinningIndex));
-                } else if (!finalApproval) {
-                    // Auto-cancel
-                    group.canceled = true;
-                    emit OptionGroupCanceled(_optionGroupId);
-                } else {
-                    revert("Option group not settled or canceled");
-                }
-            } else {
-                revert("Option group not settled or canceled");
-            }
-        }
+        _autoResolve(group, _optionGroupId);
+        require(group.settled || group.canceled, "Option group not settled or canceled");
 
-        uint256 providerLiquidity = group.liquidityProviders[msg.sender];
-        require(providerLiquidity > 0, "No liquidity provided");
+        uint256 shares = group.lpShares[_provider];
+        require(shares > 0, "No liquidity provided");
 
-        // UPDATED: Calculate share based on CPMM principles
-        uint256 totalRemaining = calculateRemainingLiquidity(_optionGroupId);
-        
-        // Provider's share is proportional to their contribution
-        uint256 providerShare = (totalRemaining * providerLiquidity) / group.totalLiquidity;
-        uint256 feeShare = (group.totalFees * providerLiquidity) / group.totalLiquidity;
+        // Redeem all shares for their part of what the group holds above its remaining liabilities
+        (uint256 liquidityValue, uint256 accruedFees) = _liquidityPosition(group, _optionGroupId, _provider);
+
+        // Take the redeemed part out of the pool so the odds views follow the remaining liquidity
+        uint256 totalShares = group.totalShares;
+        group.initialLiquidity = MarketMath.scaleLiquidity(group.initialLiquidity, shares, totalShares, false);
+        group.currentLiquidity = MarketMath.scaleLiquidity(group.currentLiquidity, shares, totalShares, false);
+        group.totalShares = totalShares - shares;
 
         // Update state
-        group.liquidityProviders[msg.sender] = 0;
+        group.lpShares[_provider] = 0;
+        group.lpFeeDebt[_provider] = 0;
+        group.liquidityProviders[_provider] = 0;
         
         // Send tokens to provider
-        bettingToken.safeTransfer(msg.sender, providerShare + feeShare);
+        _pay(group, _provider, liquidityValue + accruedFees);
 
-        emit LiquidityRemoved(_optionGroupId, msg.sender, providerShare + feeShare);
+        emit LiquiditySharesBurned(_optionGroupId, _provider, shares);
+        emit LiquidityRemoved(_optionGroupId, _provider, liquidityValue + accruedFees);
     }
 
     function cancelOptionGroup(uint256 _optionGroupId) external nonReentrant {
         require(stakingContract.getValidatorStake(msg.sender) > 0, "Not a validator");
 
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         require(!group.settled && !group.canceled, "Option group settled or canceled");
 
         (bool processed,, bool finalApproval,, ) = bondingContract.getPoolStatus(group.poolId);
         require(processed, "Pool not processed yet");
         require(!finalApproval, "Pool was approved");
 
-        group.canceled = true;
-        emit OptionGroupCanceled(_optionGroupId);
+        _cancel(group, _optionGroupId);
     }
 
-    function refundBet(uint256 _optionGroupId, uint256 _optionIndex) external nonReentrant {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+    /**
+     * @notice Refund the caller's active bets in a canceled option group
+     * @dev Each active bet returns its principal, is marked Refunded in the BetLedger
+     *      and emits BetRefunded with its bet ID.
+     * @param _optionGroupId The ID of the option group
+     */
+    function refundBets(uint256 _optionGroupId) external nonReentrant {
+        uint256 refundAmount = _refundUserBets(_optionGroupId, msg.sender);
+        require(refundAmount > 0, "No bet to refund");
+    }
+
+    /**
+     * @notice Refund the caller's active bets across several canceled option groups in one transaction
+     * @dev Each group refunds in its own token
+     * @param _optionGroupIds The IDs of the option groups to refund
+     */
+    function refundBetsBatch(uint256[] calldata _optionGroupIds) external nonReentrant {
+        uint256 refundAmount = 0;
+        for (uint256 i = 0; i < _optionGroupIds.length; i++) {
+            refundAmount += _refundUserBets(_optionGroupIds[i], msg.sender);
+        }
+        require(refundAmount > 0, "No bet to refund");
+    }
+
+    // Marks a user's active bets in a canceled group as Refunded and pays back their principal
+    function _refundUserBets(uint256 _optionGroupId, address _user) private returns (uint256 refundAmount) {
+        OptionGroup storage group = _existingGroup(_optionGroupId);
+        require(!group.settled, "Option group settled");
         
         // If not canceled yet, check if we can automatically cancel
-        if (!group.canceled) {
-            (bool processed,, bool finalApproval,, ) = bondingContract.getPoolStatus(group.poolId);
-            
-            if (processed && !finalApproval) {
-                // Auto-cancel
-                group.canceled = true;
-                emit OptionGroupCanceled(_optionGroupId);
-            } else {
-                revert("Option group not canceled");
-            }
+        _autoResolve(group, _optionGroupId);
+        require(group.canceled, "Option group not canceled");
+
+        // BetLedger marks the user's active bets Refunded; their principal comes back here
+        IBetLedger.Bet[] memory refunded = betLedgerContract.refundUserBets(_user, _optionGroupId);
+        for (uint256 i = 0; i < refunded.length; i++) {
+            IBetLedger.Bet memory bet = refunded[i];
+            group.totalBets[bet.optionIndex] -= bet.amount;
+            refundAmount += bet.amount;
+            emit BetRefunded(_optionGroupId, _user, bet.amount, bet.id);
         }
 
-        uint256 betAmount = group.totalBets[_optionIndex];
-        require(betAmount > 0, "No bet to refund");
+        _pay(group, _user, refundAmount);
+        return refundAmount;
+    }
 
-        group.totalBets[_optionIndex] = 0;
-        bettingToken.safeTransfer(msg.sender, betAmount);
+    /**
+     * @notice Send the uncollected protocol and pool creator fees of an option group to the treasury
+     * and to the pool creator from HiloBonding
+     * @dev Without a treasury the protocol fees stay pending and only the creator fees are sent
+     * @param _optionGroupId The ID of the option group
+     */
+    function collectProtocolFees(uint256 _optionGroupId) external nonReentrant {
+        OptionGroup storage group = _existingGroup(_optionGroupId);
+        FeeBreakdown storage fees = groupFees[_optionGroupId];
+        uint256 protocolAmount = treasury == address(0) ? 0 : fees.protocolFees - fees.protocolCollected;
+        uint256 creatorAmount = fees.creatorFees - fees.creatorCollected;
+        require(protocolAmount + creatorAmount > 0, "No fees to collect");
+
+        fees.protocolCollected += protocolAmount;
+        fees.creatorCollected += creatorAmount;
+
+        if (protocolAmount > 0) {
+            _pay(group, treasury, protocolAmount);
+            emit FeesCollected(_optionGroupId, protocolAmount);
+        }
+        if (creatorAmount > 0) {
+            (address creator, , , , ) = bondingContract.getPoolBasics(group.poolId);
+            _pay(group, creator, creatorAmount);
+            emit CreatorFeesCollected(_optionGroupId, creator, creatorAmount);
+        }
+    }
 
-        emit BetRefunded(_optionGroupId, msg.sender, betAmount, 0);
+    /**
+     * @notice How the fees of an option group were split and what has been collected
+     * @dev lpFees + protocolFees + creatorFees equals the group's totalFees
+     */
+    function getFeeBreakdown(uint256 _optionGroupId) external view returns (FeeBreakdown memory) {
+        _existingGroup(_optionGroupId);
+        return groupFees[_optionGroupId];
     }
 
     function updatePlatformFee(uint256 _newFee) external onlyOwner {
@@ -1203,31 +1437,30 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
         emit EarlyExitFeeUpdated(oldFee, _newFee);
     }
 
+    /**
+     * @notice Option group IDs in creation order, at most `_limit` of them starting at `_offset`
+     * @return ids The requested page; shorter than `_limit` (or empty) past the end of the list
+     * @return total Number of option groups created
+     */
+    function getOptionGroupIds(uint256 _offset, uint256 _limit) external view returns (uint256[] memory ids, uint256 total) {
+        return (MarketMath.paginate(optionGroupIds, _offset, _limit), optionGroupIds.length);
+    }
+
     function getOdds(uint256 _optionGroupId, uint256 _optionIndex) external view returns (uint256 odds) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         require(_optionIndex < group.options.length, "Invalid option index");
 
-        uint256 totalRemainingLiq = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
-        return MarketMath.calculateOddsForOption(group.currentLiquidity[_optionIndex], totalRemainingLiq, PRECISION);
+        (uint256[] memory allOdds, ) = _allOdds(group);
+        return allOdds[_optionIndex];
     }
 
     function getAllOdds(uint256 _optionGroupId) external view returns (uint256[] memory allOdds) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
-        uint256 optionsCount = group.options.length;
-        allOdds = new uint256[](optionsCount);
-        uint256 totalRemainingLiq = MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
-        
-        for (uint256 i = 0; i < optionsCount; i++) {
-            allOdds[i] = MarketMath.calculateOddsForOption(group.currentLiquidity[i], totalRemainingLiq, PRECISION);
-        }
-        return allOdds;
+        OptionGroup storage group = _existingGroup(_optionGroupId);
+        (allOdds, ) = _allOdds(group);
     }
 
     function getOptionNames(uint256 _optionGroupId) external view returns (string[] memory optionNames) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         uint256 count = group.options.length;
         optionNames = new string[](count);
         for (uint256 i = 0; i < count; i++) {
@@ -1237,33 +1470,45 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
     }
 
     function getLiquidityProviders(uint256 _optionGroupId) external view returns (address[] memory) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         return group.liquidityProvidersList;
     }
 
     function getLiquidityProvidedByAddress(uint256 _optionGroupId, address _provider) external view returns (uint256) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         return group.liquidityProviders[_provider];
     }
 
+    /**
+     * @notice An LP's position in an option group
+     * @param _optionGroupId The ID of the option group
+     * @param _provider The liquidity provider
+     * @return shares LP shares held by the provider
+     * @return totalShares LP shares outstanding for the group
+     * @return liquidityValue The provider's part of the remaining liquidity (current liquidity plus reserves)
+     * @return accruedFees Fees credited to the provider's shares since they were minted
+     */
+    function getLiquidityPosition(
+        uint256 _optionGroupId,
+        address _provider
+    ) external view returns (uint256 shares, uint256 totalShares, uint256 liquidityValue, uint256 accruedFees) {
+        OptionGroup storage group = _existingGroup(_optionGroupId);
+        (liquidityValue, accruedFees) = _liquidityPosition(group, _optionGroupId, _provider);
+        return (group.lpShares[_provider], group.totalShares, liquidityValue, accruedFees);
+    }
+
     function getTotalBetsPerOption(uint256 _optionGroupId) external view returns (uint256[] memory) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         return group.totalBets;
     }
 
     function getCurrentLiquidity(uint256 _optionGroupId) external view returns (uint256[] memory) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         return group.currentLiquidity;
     }
 
     function getInitialLiquidity(uint256 _optionGroupId) external view returns (uint256[] memory) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        require(group.initialized, "Option group does not exist");
-        console.log("HiloMarket.getInitialLiquidity: Entered for groupId %s", _optionGroupId);
+        OptionGroup storage group = _existingGroup(_optionGroupId);
         return group.initialLiquidity;
     }
 
@@ -1279,125 +1524,8 @@ contract HiloPredictionMarket is Ownable, ReentrancyGuard {
 
     function calculateRemainingLiquidity(uint256 _groupId) public view returns (uint256) {
         OptionGroup storage group = optionGroups[_groupId];
-        uint256 total = 0;
-        
-        // Sum both currentLiquidity and reserves
-        for (uint256 i = 0; i < group.currentLiquidity.length; i++) {
-            // Add current liquidity
-            total += group.currentLiquidity[i];
-            
-            // Add reserves (max(0, initialLiquidity - currentLiquidity))
-            total += calculateReserve(group.initialLiquidity[i], group.currentLiquidity[i]);
-        }
-        
-        return total;
-    }
-
-    function calculateEarlyExitValue(uint256 _optionGroupId, uint256 _optionIndex, uint256 _betAmount) public view returns (uint256 exitValue) {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        
-        // Get current liquidity
-        uint256 optionLiquidity = group.currentLiquidity[_optionIndex];
-        uint256 totalLiquidity = calculateRemainingLiquidity(_optionGroupId);
-        
-        // Safety checks
-        require(optionLiquidity > 0, "Option has no liquidity");
-        require(_betAmount <= optionLiquidity, "Exit amount exceeds option liquidity");
-        
-        // EDGE CASE 1: Handle very small liquidity situations
-        // This covers the equal odds case where liquidity might be balanced
-        uint256 otherLiquidity = totalLiquidity - optionLiquidity;
-        if (otherLiquidity == 0 || otherLiquidity < _betAmount / 100) {
-            return _betAmount; // Just return the bet amount as a safe value
-        }
-        
-        // Safety check for multiplication overflow
-        if (optionLiquidity > 0 && otherLiquidity > type(uint256).max / optionLiquidity) {
-            // If potential overflow, return original bet amount as a safe value
-            return _betAmount;
-        }
-        
-        // Calculate constant product before exit
-        uint256 constantProduct = optionLiquidity * otherLiquidity;
-        
-        // EDGE CASE 2: Handle case where removing bet leaves very small liquidity
-        uint256 newOptionLiquidity = optionLiquidity - _betAmount;
-        if (newOptionLiquidity == 0 || newOptionLiquidity < optionLiquidity / 100) {
-            return _betAmount; // If removing all or most liquidity, return original bet
-        }
-        
-        // Safety check for division
-        if (constantProduct == 0) {
-            return _betAmount; // Zero product case, return original bet
-        }
-        
-        // EDGE CASE 3: Protection against extreme division values
-        if (constantProduct / newOptionLiquidity > otherLiquidity * 100) {
-            return _betAmount; // Return bet amount if division would result in extreme values
-        }
-        
-        // Calculate new other liquidity to maintain constant product
-        uint256 newOtherLiquidity = constantProduct / newOptionLiquidity;
-        
-        // Calculate exit value - check for logic errors
-        if (newOtherLiquidity <= otherLiquidity) {
-            // This case shouldn't happen with proper AMM logic, but handle it gracefully
-            return _betAmount;
-        }
-        
-        uint256 additionalLiquidity = newOtherLiquidity - otherLiquidity;
-        
-        // EDGE CASE 4: Prevent getting more than bet amount in liquid markets
-        if (additionalLiquidity > _betAmount * 2) {
-            // Cap at 2x bet amount as a reasonable maximum
-            exitValue = _betAmount * 2;
-        } else if (additionalLiquidity > _betAmount && totalLiquidity > _betAmount * 10) {
-            // If exit value exceeds bet amount in a liquid market, cap at bet amount
-            exitValue = _betAmount;
-        } else {
-            exitValue = additionalLiquidity;
-        }
-        
-        return exitValue;
-    }
-
-    function updateLiquidityAfterEarlyExit(uint256 _optionGroupId, uint256 _optionIndex, uint256 _betAmount, uint256 _exitAmount) internal {
-        OptionGroup storage group = optionGroups[_optionGroupId];
-        
-        // Remove bet amount from option's liquidity
-        group.currentLiquidity[_optionIndex] -= _betAmount;
-        
-        // Distribute exit amount to other options according to their proportions
-        uint256 optionsCount = group.options.length;
-        uint256 totalOtherLiquidity = 0;
-        
-        // Calculate total liquidity in other options
-        for (uint256 i = 0; i < optionsCount; i++) {
-            if (i != _optionIndex) {
-                totalOtherLiquidity += group.currentLiquidity[i];
-            }
-        }
-        
-        // Distribute exit amount proportionally
-        if (totalOtherLiquidity > 0) {
-            for (uint256 i = 0; i < optionsCount; i++) {
-                if (i != _optionIndex) {
-                    uint256 proportion = (group.currentLiquidity[i] * _exitAmount) / totalOtherLiquidity;
-                    group.currentLiquidity[i] += proportion;
-                }
-            }
-        } else {
-            // If no other liquidity, distribute evenly
-            uint256 amountPerOption = _exitAmount / (optionsCount - 1);
-            for (uint256 i = 0; i < optionsCount; i++) {
-                if (i != _optionIndex) {
-                    group.currentLiquidity[i] += amountPerOption;
-                }
-            }
-        }
-        
-        // Update constant product
-        updateConstantProduct(_optionGroupId);
+        // Sum of currentLiquidity and reserves (max(0, initialLiquidity - currentLiquidity))
+        return MarketMath.calculateTotalRemainingLiquidity(group.currentLiquidity, group.initialLiquidity);
     }
 }
 
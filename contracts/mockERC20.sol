@@ -29,4 +29,24 @@ contract MockERC20 is ERC20, ERC20Burnable, Ownable {
 
     // No need to override burn and burnFrom as they are already provided by ERC20Burnable
     // with the correct signatures and return types
-}
\ No newline at end of file
+}
+/**
+ * @title MockERC20Decimals
+ * @dev MockERC20 with a configurable number of decimals, e.g. 6 like USDC.
+ */
+contract MockERC20Decimals is MockERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply,
+        uint8 decimals_
+    ) MockERC20(name, symbol, initialSupply) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
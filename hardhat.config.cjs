@@ -1,4 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("dotenv").config();
+
+// Deploy key for live networks; without it those networks have no accounts
+const accounts = process.env.DEPLOYER_PRIVATE_KEY ? [`0x${process.env.DEPLOYER_PRIVATE_KEY}`] : [];
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -19,5 +23,9 @@ module.exports = {
         count: 25, // Provide 25 accounts for testing
       },
     },
+    uat: {
+      url: process.env.UAT_RPC_URL || "https://erc20.hiloscan.io:8448",
+      accounts,
+    },
   },
 };
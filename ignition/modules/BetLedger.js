@@ -0,0 +1,8 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Owned by the deployer until HiloModule hands it to the prediction market
+module.exports = buildModule("BetLedgerModule", (m) => {
+  const betLedger = m.contract("BetLedger", [m.getAccount(0)]);
+
+  return { betLedger };
+});
@@ -0,0 +1,12 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// MockERC20 betting token for local and test networks
+module.exports = buildModule("BettingTokenModule", (m) => {
+  const name = m.getParameter("name", "Hilo Test Token");
+  const symbol = m.getParameter("symbol", "HTT");
+  const initialSupply = m.getParameter("initialSupply", 10_000_000n * 10n ** 18n);
+
+  const bettingToken = m.contract("MockERC20", [name, symbol, initialSupply]);
+
+  return { bettingToken };
+});
@@ -0,0 +1,19 @@
+// Allow a collateral token on a deployed market. Deploy it once per token, under its own
+// deployment id so each token keeps its own journal:
+//
+//   npx hardhat ignition deploy ignition/modules/CollateralToken.js --network localhost \
+//     --deployment-id collateral-usdc --parameters ignition/parameters/collateral-usdc.json
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("CollateralTokenModule", (m) => {
+  const market = m.getParameter("market");
+  const token = m.getParameter("token");
+  const allowed = m.getParameter("allowed", true);
+  // In the token's own base units
+  const defaultLiquidity = m.getParameter("defaultLiquidity", 0n);
+
+  const hiloPredictionMarket = m.contractAt("HiloPredictionMarket", market);
+  m.call(hiloPredictionMarket, "configureToken", [token, allowed, defaultLiquidity]);
+
+  return { hiloPredictionMarket };
+});
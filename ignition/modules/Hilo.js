@@ -0,0 +1,48 @@
+// Full Hilo stack: every contract plus the wiring scripts/deploy.js performs.
+//
+//   npx hardhat ignition deploy ignition/modules/Hilo.js --network localhost \
+//     --parameters ignition/parameters/localhost.json
+//
+// Ignition journals each step under ignition/deployments/, so rerunning the command resumes an
+// interrupted deployment instead of starting over.
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const HiloPredictionMarketModule = require("./HiloPredictionMarket");
+
+const ETHER = 10n ** 18n;
+
+module.exports = buildModule("HiloModule", (m) => {
+  const contracts = m.useModule(HiloPredictionMarketModule);
+  const { hiloPredictionMarket, hiloBonding, hiloStaking, bettingToken, betLedger } = contracts;
+  const deployer = m.getAccount(0);
+
+  const defaultLiquidityEnabled = m.getParameter("defaultLiquidityEnabled", true);
+  const defaultLiquidity = m.getParameter("defaultLiquidity", 150n * ETHER);
+  const platformFee = m.getParameter("platformFee", 300);
+  const earlyExitFee = m.getParameter("earlyExitFee", 500);
+  // LPs keep every fee unless a treasury or pool creator share is set
+  const treasury = m.getParameter("treasury", "0x0000000000000000000000000000000000000000");
+  const protocolFeeShare = m.getParameter("protocolFeeShare", 0);
+  const creatorFeeShare = m.getParameter("creatorFeeShare", 0);
+  const initialFund = m.getParameter("initialFund", 1_000_000n * ETHER);
+  const rewardFund = m.getParameter("rewardFund", 10n * ETHER);
+
+  // BetLedger must point at the market before the market becomes its owner
+  const linkLedger = m.call(betLedger, "updateHiloPredictionMarket", [hiloPredictionMarket]);
+  m.call(betLedger, "transferOwnership", [hiloPredictionMarket], { after: [linkLedger] });
+
+  m.call(hiloStaking, "updateAuthorizedAddress", [hiloBonding, true], { id: "authorizeBondingInStaking" });
+  m.call(hiloStaking, "updateAuthorizedAddress", [hiloPredictionMarket, true], { id: "authorizeMarketInStaking" });
+  m.call(hiloStaking, "updateAuthorizedAddress", [deployer, true], { id: "authorizeDeployerInStaking" });
+  m.call(hiloBonding, "updateAuthorizedAddress", [hiloPredictionMarket, true], { id: "authorizeMarketInBonding" });
+  m.call(hiloBonding, "updateAuthorizedAddress", [deployer, true], { id: "authorizeDeployerInBonding" });
+
+  m.call(hiloPredictionMarket, "configureDefaultLiquidity", [defaultLiquidityEnabled, defaultLiquidity]);
+  m.call(hiloPredictionMarket, "updatePlatformFee", [platformFee]);
+  m.call(hiloPredictionMarket, "updateEarlyExitFee", [earlyExitFee]);
+  m.call(hiloPredictionMarket, "configureFeeSplit", [treasury, protocolFeeShare, creatorFeeShare]);
+
+  m.call(bettingToken, "transfer", [hiloPredictionMarket, initialFund], { id: "fundPredictionMarket" });
+  m.send("fundStakingRewards", hiloStaking, rewardFund);
+
+  return contracts;
+});
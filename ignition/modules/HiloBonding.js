@@ -0,0 +1,32 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { BONDING_CONFIG_FIELDS } = require("../../scripts/lib/bondingConfig");
+const HiloStakingModule = require("./HiloStaking");
+
+const ETHER = 10n ** 18n;
+
+// One parameter per config field; the constructor takes them in BONDING_CONFIG_FIELDS order
+const DEFAULT_CONFIG = {
+  evaluationDuration: 86400,
+  optionVotingDuration: 86400,
+  disputeDuration: 43200,
+  autoUnfreezeDelay: 21600,
+  falseEvalPenalty: ETHER / 10n,
+  trueEvalReward: ETHER / 20n,
+  trueDisputeReward: ETHER / 10n,
+  falseDisputePenalty: (ETHER * 15n) / 100n,
+  goodPoolReward: ETHER / 5n,
+  badPoolPenalty: (ETHER * 3n) / 10n,
+  minVotesRequired: 2,
+  poolCreationFee: 0n,
+  initialPerOptionCap: 5,
+  maxVoteDifference: 5
+};
+
+module.exports = buildModule("HiloBondingModule", (m) => {
+  const { hiloStaking } = m.useModule(HiloStakingModule);
+
+  const configValues = BONDING_CONFIG_FIELDS.map(({ name }) => m.getParameter(name, DEFAULT_CONFIG[name]));
+  const hiloBonding = m.contract("HiloBonding", [hiloStaking, configValues]);
+
+  return { hiloBonding, hiloStaking };
+});
@@ -0,0 +1,20 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const BettingTokenModule = require("./BettingToken");
+const HiloBondingModule = require("./HiloBonding");
+const BetLedgerModule = require("./BetLedger");
+const MarketMathModule = require("./MarketMath");
+
+module.exports = buildModule("HiloPredictionMarketModule", (m) => {
+  const { bettingToken } = m.useModule(BettingTokenModule);
+  const { hiloBonding, hiloStaking } = m.useModule(HiloBondingModule);
+  const { betLedger } = m.useModule(BetLedgerModule);
+  const { marketMath } = m.useModule(MarketMathModule);
+
+  const hiloPredictionMarket = m.contract(
+    "HiloPredictionMarket",
+    [hiloBonding, hiloStaking, bettingToken, betLedger],
+    { libraries: { MarketMath: marketMath } }
+  );
+
+  return { hiloPredictionMarket, hiloBonding, hiloStaking, bettingToken, betLedger, marketMath };
+});
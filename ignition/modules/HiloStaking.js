@@ -0,0 +1,13 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const ETHER = 10n ** 18n;
+
+module.exports = buildModule("HiloStakingModule", (m) => {
+  const validatorThreshold = m.getParameter("validatorThreshold", 1n * ETHER);
+  const poolCreatorThreshold = m.getParameter("poolCreatorThreshold", 2n * ETHER);
+  const evaluatorThreshold = m.getParameter("evaluatorThreshold", ETHER / 2n);
+
+  const hiloStaking = m.contract("HiloStaking", [validatorThreshold, poolCreatorThreshold, evaluatorThreshold]);
+
+  return { hiloStaking };
+});
@@ -0,0 +1,24 @@
+// Full Hilo stack with a HiloDefaultLiquidityProvider vault funding default liquidity:
+//
+//   npx hardhat ignition deploy ignition/modules/LiquidityVault.js --network localhost \
+//     --parameters ignition/parameters/localhost.json
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const HiloModule = require("./Hilo");
+
+const ETHER = 10n ** 18n;
+
+module.exports = buildModule("LiquidityVaultModule", (m) => {
+  const contracts = m.useModule(HiloModule);
+  const { hiloPredictionMarket, bettingToken } = contracts;
+
+  const defaultLiquidityEnabled = m.getParameter("defaultLiquidityEnabled", true);
+  const deposit = m.getParameter("deposit", 1_000n * ETHER);
+
+  const liquidityVault = m.contract("HiloDefaultLiquidityProvider", [hiloPredictionMarket, bettingToken]);
+  m.call(hiloPredictionMarket, "setLiquidityProvider", [liquidityVault, defaultLiquidityEnabled]);
+
+  const approveVault = m.call(bettingToken, "approve", [liquidityVault, deposit]);
+  m.call(liquidityVault, "depositFunds", [deposit], { after: [approveVault] });
+
+  return { ...contracts, liquidityVault };
+});
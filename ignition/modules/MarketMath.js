@@ -0,0 +1,8 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// External library linked into HiloPredictionMarket
+module.exports = buildModule("MarketMathModule", (m) => {
+  const marketMath = m.library("MarketMath");
+
+  return { marketMath };
+});
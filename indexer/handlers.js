@@ -0,0 +1,323 @@
+// Event handlers deriving markets, bets, odds and votes from indexed events.
+// Handlers receive events in chain order with normalized args (bigints as decimal strings), both
+// while indexing and when the derived tables are replayed after a reorg.
+
+const { BET_STATUSES } = require("../sdk/decode");
+const { calculateReserve, calculateTotalRemainingLiquidity, calculateOdds, scaleLiquidity } = require("../sdk/pricing");
+
+// Events indexed per contract. Events not listed here are ignored.
+const TRACKED_EVENTS = {
+  HiloPredictionMarket: [
+    "OptionGroupCreated",
+    "PoolAndOptionGroupCreated",
+    "BetPlaced",
+    "EarlyExit",
+    "OddsChanged",
+    "LiquidityAdded",
+    "LiquiditySharesMinted",
+    "LiquiditySharesBurned",
+    "OptionGroupSettled",
+    "OptionGroupCanceled"
+  ],
+  BetLedger: ["BetRecorded", "BetStatusUpdated", "BetSplit", "Transfer"],
+  HiloBonding: ["EvaluationVoteCast", "OptionVoteCast", "DisputeVoteCast"]
+};
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {string} contract Contract name, e.g. "BetLedger"
+ * @property {string} name Event name
+ * @property {Object<string, *>} args Event arguments by name; uint values as decimal strings
+ * @property {number} blockNumber
+ * @property {number} logIndex
+ * @property {string} txHash
+ * @property {number} timestamp Block timestamp
+ */
+
+/**
+ * Prepare the statements used by the handlers once per database.
+ * @param {import("better-sqlite3").Database} db
+ */
+function prepareStatements(db) {
+  return {
+    insertMarket: db.prepare(`
+      INSERT OR IGNORE INTO markets (group_id, pool_id, options_count, settle_timeframe, created_block)
+      VALUES (@groupId, @poolId, @optionsCount, @settleTimeframe, @blockNumber)`),
+    upsertPoolMarket: db.prepare(`
+      INSERT INTO markets (group_id, pool_id, title, options, options_count, start_timeframe, settle_timeframe, created_block)
+      VALUES (@groupId, @poolId, @title, @options, @optionsCount, @startTimeframe, @settleTimeframe, @blockNumber)
+      ON CONFLICT (group_id) DO UPDATE SET title = excluded.title, options = excluded.options,
+        start_timeframe = excluded.start_timeframe, settle_timeframe = excluded.settle_timeframe`),
+    settleMarket: db.prepare("UPDATE markets SET settled = 1, winning_option = ? WHERE group_id = ?"),
+    cancelMarket: db.prepare("UPDATE markets SET canceled = 1 WHERE group_id = ?"),
+    getMarket: db.prepare("SELECT * FROM markets WHERE group_id = ?"),
+    setMarketLiquidity: db.prepare(`
+      UPDATE markets SET initial_liquidity = @initialLiquidity, current_liquidity = @currentLiquidity,
+        total_shares = @totalShares
+      WHERE group_id = @groupId`),
+    insertBet: db.prepare(`
+      INSERT INTO bets (bet_id, user, group_id, option_index, amount, potential_payout, locked_odds, status,
+        parent_bet_id, tx_hash, block_number, timestamp)
+      VALUES (@betId, @user, @groupId, @optionIndex, @amount, @potentialPayout, @lockedOdds, @status,
+        @parentBetId, @txHash, @blockNumber, @timestamp)`),
+    getBet: db.prepare("SELECT * FROM bets WHERE bet_id = ?"),
+    // placeBet records the bet in the ledger before emitting BetPlaced in the same transaction
+    lockOdds: db.prepare(`
+      UPDATE bets SET locked_odds = @lockedOdds
+      WHERE bet_id = (
+        SELECT bet_id FROM bets
+        WHERE tx_hash = @txHash AND group_id = @groupId AND option_index = @optionIndex AND amount = @amount
+          AND locked_odds IS NULL
+        ORDER BY CAST(bet_id AS INTEGER) LIMIT 1
+      )`),
+    setBetStatus: db.prepare("UPDATE bets SET status = ? WHERE bet_id = ?"),
+    setExitAmount: db.prepare("UPDATE bets SET exit_amount = ? WHERE bet_id = ?"),
+    resizeBet: db.prepare("UPDATE bets SET amount = ?, potential_payout = ? WHERE bet_id = ?"),
+    setBetUser: db.prepare("UPDATE bets SET user = ? WHERE bet_id = ?"),
+    insertOdds: db.prepare(`
+      INSERT INTO odds (group_id, block_number, log_index, timestamp, odds, option_liquidity, reserves, total_liquidity)
+      VALUES (@groupId, @blockNumber, @logIndex, @timestamp, @odds, @optionLiquidity, @reserves, @totalLiquidity)`),
+    insertVote: db.prepare(`
+      INSERT INTO votes (block_number, log_index, pool_id, voter, kind, value, timestamp)
+      VALUES (@blockNumber, @logIndex, @poolId, @voter, @kind, @value, @timestamp)`)
+  };
+}
+
+const handlers = {
+  OptionGroupCreated(statements, event) {
+    const { optionGroupId, poolId, optionsCount } = event.args;
+    statements.insertMarket.run({
+      groupId: optionGroupId,
+      poolId,
+      optionsCount: Number(optionsCount),
+      settleTimeframe: null,
+      blockNumber: event.blockNumber
+    });
+  },
+
+  PoolAndOptionGroupCreated(statements, event) {
+    const { args } = event;
+    statements.upsertPoolMarket.run({
+      groupId: args.optionGroupId,
+      poolId: args.poolId,
+      title: args.poolTitle,
+      options: JSON.stringify(args.optionNames),
+      optionsCount: args.optionNames.length,
+      startTimeframe: Number(args.startTimeframe),
+      settleTimeframe: Number(args.settleTimeframe),
+      blockNumber: event.blockNumber
+    });
+  },
+
+  OptionGroupSettled(statements, event) {
+    statements.settleMarket.run(Number(event.args.winningOptionIndex), event.args.optionGroupId);
+  },
+
+  OptionGroupCanceled(statements, event) {
+    statements.cancelMarket.run(event.args.optionGroupId);
+  },
+
+  BetRecorded(statements, event) {
+    const { args } = event;
+    statements.insertBet.run({
+      betId: args.betId,
+      user: args.user,
+      groupId: args.optionGroupId,
+      optionIndex: Number(args.optionIndex),
+      amount: args.amount,
+      potentialPayout: args.potentialPayout,
+      lockedOdds: null,
+      status: BET_STATUSES[0],
+      parentBetId: null,
+      txHash: event.txHash,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp
+    });
+  },
+
+  BetPlaced(statements, event) {
+    const { args } = event;
+    statements.lockOdds.run({
+      lockedOdds: args.lockedOdds,
+      txHash: event.txHash,
+      groupId: args.optionGroupId,
+      optionIndex: Number(args.optionIndex),
+      amount: args.amount
+    });
+  },
+
+  BetStatusUpdated(statements, event) {
+    statements.setBetStatus.run(BET_STATUSES[Number(event.args.newStatus)], event.args.betId);
+  },
+
+  // A partial early exit shrinks the original bet and creates the cashed-out slice under a new ID
+  BetSplit(statements, event) {
+    const { betId, sliceBetId, amount, potentialPayout } = event.args;
+    const original = statements.getBet.get(betId);
+    if (!original) {
+      throw new Error(`BetSplit for unknown bet ${betId} at block ${event.blockNumber}`);
+    }
+    statements.resizeBet.run(
+      (BigInt(original.amount) - BigInt(amount)).toString(),
+      (BigInt(original.potential_payout) - BigInt(potentialPayout)).toString(),
+      betId
+    );
+    statements.insertBet.run({
+      betId: sliceBetId,
+      user: original.user,
+      groupId: original.group_id,
+      optionIndex: original.option_index,
+      amount,
+      potentialPayout,
+      lockedOdds: original.locked_odds,
+      status: BET_STATUSES[0],
+      parentBetId: betId,
+      txHash: event.txHash,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp
+    });
+  },
+
+  // Bets are ERC-721 receipts: a transfer moves the bet to the new owner. Mints are already covered
+  // by BetRecorded and BetSplit
+  // A bet's receipt is minted with its BetRecorded; later transfers hand the bet to a new owner
+  Transfer(statements, event) {
+    const { from, to, tokenId } = event.args;
+    if (BigInt(from) !== 0n) {
+      statements.setBetUser.run(to, tokenId);
+    }
+  },
+
+  EarlyExit(statements, event) {
+    statements.setExitAmount.run(event.args.exitAmount, event.args.betId);
+  },
+
+  // OddsChanged's first argument is named poolId but carries the option group ID
+  OddsChanged(statements, event) {
+    const { args } = event;
+    const liquidity = getLiquidity(statements, args.poolId);
+    liquidity.currentLiquidity = args.optionLiquidity.map(BigInt);
+    setLiquidity(statements, args.poolId, liquidity);
+    statements.insertOdds.run({
+      groupId: args.poolId,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp,
+      odds: JSON.stringify(args.odds),
+      optionLiquidity: JSON.stringify(args.optionLiquidity),
+      reserves: JSON.stringify(reservesOf(liquidity)),
+      totalLiquidity: args.totalLiquidity
+    });
+  },
+
+  // Mirrors _addLiquidity: the first deposit is split evenly, later ones scale every option by the
+  // deposit's share of the remaining liquidity. The OddsChanged that follows sets the current side.
+  LiquidityAdded(statements, event) {
+    const { optionGroupId, amount } = event.args;
+    const liquidity = getLiquidity(statements, optionGroupId);
+    const value = calculateTotalRemainingLiquidity(liquidity);
+    if (liquidity.totalShares === 0n || value === 0n) {
+      const perOption = BigInt(amount) / BigInt(liquidity.initialLiquidity.length);
+      liquidity.initialLiquidity = liquidity.initialLiquidity.map((initial) => initial + perOption);
+      liquidity.currentLiquidity = liquidity.currentLiquidity.map((current) => current + perOption);
+    } else {
+      liquidity.initialLiquidity = scaleLiquidity(liquidity.initialLiquidity, BigInt(amount), value, true);
+      liquidity.currentLiquidity = scaleLiquidity(liquidity.currentLiquidity, BigInt(amount), value, true);
+    }
+    setLiquidity(statements, optionGroupId, liquidity);
+  },
+
+  LiquiditySharesMinted(statements, event) {
+    const liquidity = getLiquidity(statements, event.args.optionGroupId);
+    liquidity.totalShares += BigInt(event.args.shares);
+    setLiquidity(statements, event.args.optionGroupId, liquidity);
+  },
+
+  // removeLiquidity takes the shares' part out of every option without emitting OddsChanged, so the
+  // odds after it are derived here
+  LiquiditySharesBurned(statements, event) {
+    const { optionGroupId, shares } = event.args;
+    const liquidity = getLiquidity(statements, optionGroupId);
+    liquidity.initialLiquidity = scaleLiquidity(liquidity.initialLiquidity, BigInt(shares), liquidity.totalShares, false);
+    liquidity.currentLiquidity = scaleLiquidity(liquidity.currentLiquidity, BigInt(shares), liquidity.totalShares, false);
+    liquidity.totalShares -= BigInt(shares);
+    setLiquidity(statements, optionGroupId, liquidity);
+    statements.insertOdds.run({
+      groupId: optionGroupId,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp,
+      odds: JSON.stringify(calculateOdds(liquidity).map(String)),
+      optionLiquidity: JSON.stringify(liquidity.currentLiquidity.map(String)),
+      reserves: JSON.stringify(reservesOf(liquidity)),
+      totalLiquidity: calculateTotalRemainingLiquidity(liquidity).toString()
+    });
+  },
+
+  EvaluationVoteCast(statements, event) {
+    insertVote(statements, event, "evaluation", event.args.approved ? "1" : "0");
+  },
+
+  OptionVoteCast(statements, event) {
+    insertVote(statements, event, "option", event.args.optionIndex);
+  },
+
+  DisputeVoteCast(statements, event) {
+    const kind = event.args.isEvaluationDispute ? "evaluation_dispute" : "option_dispute";
+    insertVote(statements, event, kind, event.args.voteValue);
+  }
+};
+
+function getLiquidity(statements, groupId) {
+  const market = statements.getMarket.get(groupId);
+  if (!market) {
+    throw new Error(`Liquidity event for unknown option group ${groupId}`);
+  }
+  const empty = JSON.stringify(new Array(market.options_count).fill("0"));
+  return {
+    initialLiquidity: JSON.parse(market.initial_liquidity || empty).map(BigInt),
+    currentLiquidity: JSON.parse(market.current_liquidity || empty).map(BigInt),
+    totalShares: BigInt(market.total_shares)
+  };
+}
+
+function setLiquidity(statements, groupId, liquidity) {
+  statements.setMarketLiquidity.run({
+    groupId,
+    initialLiquidity: JSON.stringify(liquidity.initialLiquidity.map(String)),
+    currentLiquidity: JSON.stringify(liquidity.currentLiquidity.map(String)),
+    totalShares: liquidity.totalShares.toString()
+  });
+}
+
+function reservesOf({ initialLiquidity, currentLiquidity }) {
+  return initialLiquidity.map((initial, i) => calculateReserve(initial, currentLiquidity[i]).toString());
+}
+
+function insertVote(statements, event, kind, value) {
+  statements.insertVote.run({
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    poolId: event.args.poolId,
+    voter: event.args.evaluator,
+    kind,
+    value,
+    timestamp: event.timestamp
+  });
+}
+
+/**
+ * Apply one event to the derived tables.
+ * @param {ReturnType<typeof prepareStatements>} statements
+ * @param {IndexedEvent} event
+ */
+function applyEvent(statements, event) {
+  const handler = handlers[event.name];
+  if (handler) handler(statements, event);
+}
+
+module.exports = {
+  TRACKED_EVENTS,
+  prepareStatements,
+  applyEvent
+};
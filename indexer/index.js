@@ -0,0 +1,421 @@
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+const { HiloSDK } = require("../sdk");
+const { loadAbis } = require("../sdk/abis");
+const { SCHEMA, SCHEMA_VERSION, DERIVED_TABLES } = require("./schema");
+const { TRACKED_EVENTS, prepareStatements, applyEvent } = require("./handlers");
+const { toCandles } = require("./series");
+const { createOddsServer } = require("./server");
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+
+// Event args as plain JSON: uints become decimal strings, indexed dynamic values their topic hash
+function normalizeValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof ethers.Indexed) return value.hash;
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  return value;
+}
+
+function normalizeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = normalizeValue(parsed.args[i]);
+  });
+  return args;
+}
+
+function decodeBetRow(row) {
+  return {
+    id: BigInt(row.bet_id),
+    user: row.user,
+    groupId: BigInt(row.group_id),
+    optionIndex: row.option_index,
+    amount: BigInt(row.amount),
+    potentialPayout: BigInt(row.potential_payout),
+    lockedOdds: row.locked_odds === null ? null : BigInt(row.locked_odds),
+    statusName: row.status,
+    exitAmount: row.exit_amount === null ? null : BigInt(row.exit_amount),
+    parentBetId: row.parent_bet_id === null ? null : BigInt(row.parent_bet_id),
+    txHash: row.tx_hash,
+    blockNumber: row.block_number,
+    timestamp: row.timestamp
+  };
+}
+
+function decodeMarketRow(row) {
+  return {
+    id: BigInt(row.group_id),
+    poolId: BigInt(row.pool_id),
+    title: row.title,
+    optionNames: row.options === null ? null : JSON.parse(row.options),
+    optionsCount: row.options_count,
+    startTimeframe: row.start_timeframe,
+    settleTimeframe: row.settle_timeframe,
+    settled: row.settled === 1,
+    canceled: row.canceled === 1,
+    winningOptionIndex: row.winning_option,
+    createdBlock: row.created_block
+  };
+}
+
+function decodeOddsRow(row) {
+  return {
+    blockNumber: row.block_number,
+    timestamp: row.timestamp,
+    odds: JSON.parse(row.odds).map(BigInt),
+    optionLiquidity: JSON.parse(row.option_liquidity).map(BigInt),
+    reserves: JSON.parse(row.reserves).map(BigInt),
+    totalLiquidity: BigInt(row.total_liquidity)
+  };
+}
+
+function decodeVoteRow(row) {
+  return {
+    poolId: BigInt(row.pool_id),
+    voter: row.voter,
+    kind: row.kind,
+    value: BigInt(row.value),
+    blockNumber: row.block_number,
+    timestamp: row.timestamp
+  };
+}
+
+/**
+ * Open (or create) an index database and apply the schema.
+ * @param {string} file Path of the SQLite file, or ":memory:"
+ * @returns {import("better-sqlite3").Database}
+ */
+function openDatabase(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+  if (!row) {
+    db.prepare("INSERT INTO meta (key, value) VALUES ('schemaVersion', ?)").run(String(SCHEMA_VERSION));
+  } else if (Number(row.value) !== SCHEMA_VERSION) {
+    db.close();
+    throw new Error(`Index ${file} has schema version ${row.value}, expected ${SCHEMA_VERSION}. Delete it and reindex.`);
+  }
+  return db;
+}
+
+/**
+ * Replays HiloPredictionMarket, BetLedger and HiloBonding events into SQLite.
+ * Each batch of blocks is written in one transaction together with the checkpoint, so an
+ * interrupted run resumes from the last complete batch. Block hashes are kept to detect reorgs;
+ * on a reorg the events after the common ancestor are dropped and the derived tables are rebuilt.
+ */
+class EventIndexer {
+  /**
+   * @param {Object} params
+   * @param {ethers.Provider} params.provider
+   * @param {Object<string, string>} params.addresses HiloPredictionMarket, BetLedger and HiloBonding addresses
+   * @param {Object<string, Array>} params.abis ABIs keyed by contract name (see loadAbis)
+   * @param {import("better-sqlite3").Database} params.db Database from openDatabase
+   * @param {number} [params.startBlock] First block to index, usually the deployment block
+   * @param {number} [params.batchSize] Blocks per eth_getLogs request
+   * @param {number} [params.confirmations] Blocks to stay behind the chain head
+   */
+  constructor({ provider, addresses, abis, db, startBlock = 0, batchSize = DEFAULT_BATCH_SIZE, confirmations = 0 }) {
+    this.provider = provider;
+    this.db = db;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.statements = prepareStatements(db);
+
+    // Lowercased address => { name, iface }
+    this.contracts = new Map();
+    for (const name of Object.keys(TRACKED_EVENTS)) {
+      if (!addresses[name]) throw new Error(`Missing ${name} address`);
+      this.contracts.set(addresses[name].toLowerCase(), { name, iface: new ethers.Interface(abis[name]) });
+    }
+  }
+
+  /**
+   * Create an indexer for the deployment in a manifest. Addresses missing from the manifest are
+   * read from the market contract, as in HiloSDK.fromManifest.
+   * @param {ethers.Provider} provider
+   * @param {Object} options
+   * @param {string} options.dbPath SQLite file
+   * @param {string} [options.manifestPath] Defaults to scripts/build/deployment.json
+   * @param {string} [options.abiDir] Directory of `<Name>.json` ABIs; defaults to Hardhat artifacts
+   * @returns {Promise<EventIndexer>}
+   */
+  static async fromManifest(provider, { dbPath, manifestPath, abiDir, ...options }) {
+    const sdk = await HiloSDK.fromManifest(provider, { manifestPath, abiDir });
+    return new EventIndexer({
+      ...options,
+      provider,
+      addresses: sdk.addresses,
+      abis: loadAbis(abiDir),
+      db: openDatabase(dbPath)
+    });
+  }
+
+  /**
+   * Last fully indexed block, or null before the first sync.
+   * @returns {{blockNumber: number, blockHash: string}|null}
+   */
+  getCheckpoint() {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = 'checkpoint'").get();
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  _setCheckpoint(blockNumber, blockHash) {
+    this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('checkpoint', ?)")
+      .run(JSON.stringify({ blockNumber, blockHash }));
+  }
+
+  /**
+   * Index every block up to the chain head (less `confirmations`), after undoing any reorg.
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorgedTo: number|null}>}
+   */
+  async sync() {
+    const reorgedTo = await this._handleReorg();
+    const checkpoint = this.getCheckpoint();
+    const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+
+    let events = 0;
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      events += await this._indexRange(from, to);
+    }
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), events, reorgedTo };
+  }
+
+  /**
+   * Call sync() every `intervalMs` until `signal` is aborted.
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs]
+   * @param {AbortSignal} [options.signal]
+   * @param {(result: Object) => void} [options.onSync] Called after every sync
+   * @param {(error: Error) => void} [options.onError] Called on a failed sync; without it the error is thrown
+   */
+  async watch({ intervalMs = DEFAULT_POLL_INTERVAL_MS, signal, onSync, onError } = {}) {
+    while (!signal || !signal.aborted) {
+      try {
+        const result = await this.sync();
+        if (onSync) onSync(result);
+      } catch (error) {
+        if (!onError) throw error;
+        onError(error);
+      }
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, intervalMs);
+        if (signal) signal.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+      });
+    }
+  }
+
+  async _indexRange(from, to) {
+    const logs = await this.provider.getLogs({
+      address: [...this.contracts.keys()],
+      fromBlock: from,
+      toBlock: to
+    });
+
+    const blockNumbers = new Set([from, to, ...logs.map((log) => log.blockNumber)]);
+    const blocks = new Map();
+    for (const number of blockNumbers) {
+      const block = await this.provider.getBlock(number);
+      if (!block) throw new Error(`Block ${number} not found`);
+      blocks.set(number, block);
+    }
+
+    // The batch must extend the indexed chain and its logs must belong to the blocks fetched above
+    const checkpoint = this.getCheckpoint();
+    if (checkpoint && checkpoint.blockNumber === from - 1 && blocks.get(from).parentHash !== checkpoint.blockHash) {
+      throw new Error(`Chain reorganized below block ${from} during sync; sync again`);
+    }
+
+    const events = [];
+    for (const log of logs) {
+      if (blocks.get(log.blockNumber).hash !== log.blockHash) {
+        throw new Error(`Chain reorganized at block ${log.blockNumber} during sync; sync again`);
+      }
+      const contract = this.contracts.get(log.address.toLowerCase());
+      const parsed = contract.iface.parseLog(log);
+      if (!parsed || !TRACKED_EVENTS[contract.name].includes(parsed.name)) continue;
+
+      events.push({
+        contract: contract.name,
+        name: parsed.name,
+        args: normalizeArgs(parsed),
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+        timestamp: blocks.get(log.blockNumber).timestamp
+      });
+    }
+
+    const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)");
+    const insertEvent = this.db.prepare(`
+      INSERT INTO events (block_number, log_index, tx_hash, contract, name, args)
+      VALUES (?, ?, ?, ?, ?, ?)`);
+
+    this.db.transaction(() => {
+      for (const block of blocks.values()) {
+        insertBlock.run(block.number, block.hash, block.timestamp);
+      }
+      for (const event of events) {
+        insertEvent.run(event.blockNumber, event.logIndex, event.txHash, event.contract, event.name, JSON.stringify(event.args));
+        applyEvent(this.statements, event);
+      }
+      this._setCheckpoint(to, blocks.get(to).hash);
+    })();
+
+    return events.length;
+  }
+
+  // Compare stored block hashes with the chain, newest first, and roll back to the newest match
+  async _handleReorg() {
+    const checkpoint = this.getCheckpoint();
+    if (!checkpoint) return null;
+
+    const stored = this.db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC")
+      .iterate(checkpoint.blockNumber);
+    let ancestor = this.startBlock - 1;
+    for (const row of stored) {
+      const block = await this.provider.getBlock(row.number);
+      if (block && block.hash === row.hash) {
+        ancestor = row.number;
+        break;
+      }
+    }
+
+    if (ancestor === checkpoint.blockNumber) return null;
+    this.rollback(ancestor);
+    return ancestor;
+  }
+
+  /**
+   * Drop everything indexed after `blockNumber` and rebuild the derived tables from the events kept.
+   * @param {number} blockNumber Last block to keep
+   */
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+      this._replay();
+
+      const block = this.db.prepare("SELECT hash FROM blocks WHERE number = ?").get(blockNumber);
+      if (block) {
+        this._setCheckpoint(blockNumber, block.hash);
+      } else {
+        this.db.prepare("DELETE FROM meta WHERE key = 'checkpoint'").run();
+      }
+    })();
+  }
+
+  _replay() {
+    for (const table of DERIVED_TABLES) {
+      this.db.prepare(`DELETE FROM ${table}`).run();
+    }
+    const rows = this.db.prepare(`
+      SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number
+      ORDER BY e.block_number, e.log_index`).all();
+    for (const row of rows) {
+      applyEvent(this.statements, {
+        contract: row.contract,
+        name: row.name,
+        args: JSON.parse(row.args),
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        timestamp: row.timestamp
+      });
+    }
+  }
+
+  /**
+   * @param {bigint|number|string} groupId
+   * @returns {Object|null} The indexed option group, or null if it has not been seen
+   */
+  getMarket(groupId) {
+    const row = this.db.prepare("SELECT * FROM markets WHERE group_id = ?").get(String(groupId));
+    return row ? decodeMarketRow(row) : null;
+  }
+
+  /**
+   * Every bet in an option group, including cashed-out slices of partial exits, by bet ID.
+   * @param {bigint|number|string} groupId
+   */
+  getBetsInGroup(groupId) {
+    return this.db.prepare("SELECT * FROM bets WHERE group_id = ? ORDER BY CAST(bet_id AS INTEGER)")
+      .all(String(groupId))
+      .map(decodeBetRow);
+  }
+
+  /**
+   * A user's bets, optionally limited to one option group.
+   * @param {string} user
+   * @param {bigint|number|string} [groupId]
+   */
+  getUserBets(user, groupId) {
+    const rows = groupId === undefined
+      ? this.db.prepare("SELECT * FROM bets WHERE user = ? ORDER BY CAST(bet_id AS INTEGER)").all(user)
+      : this.db.prepare("SELECT * FROM bets WHERE user = ? AND group_id = ? ORDER BY CAST(bet_id AS INTEGER)")
+        .all(user, String(groupId));
+    return rows.map(decodeBetRow);
+  }
+
+  /**
+   * Odds, liquidity and reserves after every change in an option group, oldest first. Includes
+   * liquidity removals, which change the odds without an OddsChanged event.
+   * @param {bigint|number|string} groupId
+   * @param {Object} [range] Block timestamps, inclusive
+   * @param {number} [range.fromTime]
+   * @param {number} [range.toTime]
+   * @returns {import("./series").OddsPoint[]}
+   */
+  getOddsHistory(groupId, { fromTime = 0, toTime = Number.MAX_SAFE_INTEGER } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM odds WHERE group_id = ? AND timestamp BETWEEN ? AND ?
+      ORDER BY block_number, log_index`)
+      .all(String(groupId), fromTime, toTime)
+      .map(decodeOddsRow);
+  }
+
+  /**
+   * OHLC candles of one option's odds (see toCandles).
+   * @param {bigint|number|string} groupId
+   * @param {Object} options
+   * @param {number} options.interval Seconds per candle
+   * @param {number} [options.optionIndex]
+   * @param {number} [options.fromTime]
+   * @param {number} [options.toTime]
+   * @returns {import("./series").OddsCandle[]}
+   */
+  getOddsCandles(groupId, { interval, optionIndex = 0, fromTime, toTime }) {
+    const history = this.getOddsHistory(groupId, { fromTime, toTime });
+    return toCandles(history, { interval, optionIndex, toTime });
+  }
+
+  /**
+   * Evaluation, option and dispute votes cast on a pool, oldest first.
+   * @param {bigint|number|string} poolId
+   */
+  getVotes(poolId) {
+    return this.db.prepare("SELECT * FROM votes WHERE pool_id = ? ORDER BY block_number, log_index")
+      .all(String(poolId))
+      .map(decodeVoteRow);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  EventIndexer,
+  openDatabase,
+  createOddsServer,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_POLL_INTERVAL_MS,
+  ...require("./series")
+};
@@ -0,0 +1,98 @@
+// SQLite schema of the event index.
+// `events` and `blocks` are the source of truth; markets, bets, odds and votes are derived from the
+// events and rebuilt from them after a reorg. Token amounts and odds are stored as decimal strings
+// because they do not fit SQLite's 64-bit integers.
+
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  contract TEXT NOT NULL,
+  name TEXT NOT NULL,
+  args TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS markets (
+  group_id TEXT PRIMARY KEY,
+  pool_id TEXT NOT NULL,
+  title TEXT,
+  options TEXT,
+  options_count INTEGER NOT NULL,
+  start_timeframe INTEGER,
+  settle_timeframe INTEGER,
+  settled INTEGER NOT NULL DEFAULT 0,
+  canceled INTEGER NOT NULL DEFAULT 0,
+  winning_option INTEGER,
+  created_block INTEGER NOT NULL,
+  -- Liquidity state needed to derive reserves, which OddsChanged does not carry
+  initial_liquidity TEXT,
+  current_liquidity TEXT,
+  total_shares TEXT NOT NULL DEFAULT '0'
+);
+
+CREATE TABLE IF NOT EXISTS bets (
+  bet_id TEXT PRIMARY KEY,
+  user TEXT NOT NULL,
+  group_id TEXT NOT NULL,
+  option_index INTEGER NOT NULL,
+  amount TEXT NOT NULL,
+  potential_payout TEXT NOT NULL,
+  locked_odds TEXT,
+  status TEXT NOT NULL,
+  exit_amount TEXT,
+  parent_bet_id TEXT,
+  tx_hash TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  timestamp INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS bets_group ON bets (group_id);
+CREATE INDEX IF NOT EXISTS bets_user ON bets (user, group_id);
+
+CREATE TABLE IF NOT EXISTS odds (
+  group_id TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  timestamp INTEGER NOT NULL,
+  odds TEXT NOT NULL,
+  option_liquidity TEXT NOT NULL,
+  reserves TEXT NOT NULL,
+  total_liquidity TEXT NOT NULL,
+  PRIMARY KEY (group_id, block_number, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS votes (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  pool_id TEXT NOT NULL,
+  voter TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  value TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS votes_pool ON votes (pool_id);
+`;
+
+// Tables derived from `events`, cleared before a replay
+const DERIVED_TABLES = ["markets", "bets", "odds", "votes"];
+
+module.exports = {
+  SCHEMA_VERSION,
+  SCHEMA,
+  DERIVED_TABLES
+};
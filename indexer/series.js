@@ -0,0 +1,136 @@
+// Odds time series of an option group: candles per interval and CSV / chart exports of the points
+// returned by EventIndexer.getOddsHistory. Odds are scaled by PRECISION and amounts are in wei, as
+// on chain; only toChartData converts them to plain numbers.
+
+const { ethers } = require("ethers");
+const { PRECISION } = require("../sdk/pricing");
+
+// Most candles one call returns, so a short interval over a long range fails instead of filling memory
+const MAX_CANDLES = 10000;
+
+/**
+ * @typedef {Object} OddsPoint
+ * @property {number} blockNumber
+ * @property {number} timestamp
+ * @property {bigint[]} odds Per option, scaled by PRECISION
+ * @property {bigint[]} optionLiquidity
+ * @property {bigint[]} reserves Initial liquidity not backed by current liquidity, per option
+ * @property {bigint} totalLiquidity Current liquidity plus reserves
+ */
+
+/**
+ * @typedef {Object} OddsCandle
+ * @property {number} time Start of the interval, unix seconds
+ * @property {bigint} open Odds at the start of the interval
+ * @property {bigint} high
+ * @property {bigint} low
+ * @property {bigint} close Odds at the end of the interval
+ * @property {number} changes Odds changes within the interval
+ */
+
+/**
+ * Group one option's odds into OHLC candles. Odds are a state rather than trades, so a candle
+ * opens at the previous close and intervals without changes are filled with flat candles.
+ * @param {OddsPoint[]} points Oldest first
+ * @param {Object} options
+ * @param {number} options.interval Seconds per candle
+ * @param {number} [options.optionIndex] Defaults to 0
+ * @param {number} [options.toTime] Extend flat candles up to this timestamp; defaults to the last point
+ * @returns {OddsCandle[]}
+ */
+function toCandles(points, { interval, optionIndex = 0, toTime }) {
+  if (!Number.isInteger(interval) || interval <= 0) {
+    throw new Error(`Candle interval must be a positive number of seconds, got ${interval}`);
+  }
+  if (points.length === 0) return [];
+
+  const bucketOf = (timestamp) => timestamp - (timestamp % interval);
+  const firstBucket = bucketOf(points[0].timestamp);
+  const lastBucket = bucketOf(Math.max(toTime ?? 0, points.at(-1).timestamp));
+  const count = (lastBucket - firstBucket) / interval + 1;
+  if (count > MAX_CANDLES) {
+    throw new Error(`${count} candles requested, at most ${MAX_CANDLES}; use a longer interval or a shorter range`);
+  }
+
+  const candles = [];
+  let next = 0;
+  let close = null;
+  for (let time = firstBucket; time <= lastBucket; time += interval) {
+    const candle = { time, open: close, high: close, low: close, close, changes: 0 };
+    for (; next < points.length && bucketOf(points[next].timestamp) === time; next++) {
+      const odds = points[next].odds[optionIndex];
+      if (candle.open === null) candle.open = odds;
+      candle.high = candle.high === null || odds > candle.high ? odds : candle.high;
+      candle.low = candle.low === null || odds < candle.low ? odds : candle.low;
+      candle.close = odds;
+      candle.changes++;
+    }
+    close = candle.close;
+    candles.push(candle);
+  }
+  return candles;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.join(",")).join("\n") + "\n";
+}
+
+/**
+ * CSV of odds points, one column per option and value. Raw on-chain units.
+ * @param {OddsPoint[]} points
+ * @returns {string}
+ */
+function oddsToCsv(points) {
+  const optionsCount = points.length > 0 ? points[0].odds.length : 0;
+  const perOption = (name) => Array.from({ length: optionsCount }, (_, i) => `${name}${i}`);
+  const header = ["timestamp", "blockNumber", "totalLiquidity", ...perOption("odds"), ...perOption("liquidity"),
+    ...perOption("reserve")];
+  return toCsv(header, points.map((point) => [
+    point.timestamp,
+    point.blockNumber,
+    point.totalLiquidity,
+    ...point.odds,
+    ...point.optionLiquidity,
+    ...point.reserves
+  ]));
+}
+
+/**
+ * CSV of candles from toCandles.
+ * @param {OddsCandle[]} candles
+ * @returns {string}
+ */
+function candlesToCsv(candles) {
+  return toCsv(
+    ["time", "open", "high", "low", "close", "changes"],
+    candles.map(({ time, open, high, low, close, changes }) => [time, open, high, low, close, changes])
+  );
+}
+
+/**
+ * Rows in the shape of the chartData of prediction-market-simulator-fixed.tsx, so recorded odds can
+ * be drawn by the same charts: odds as plain multipliers and amounts in whole tokens. Reserves of
+ * the first two options are reserveX and reserveY as in the simulator, further options reserveOption<n>.
+ * @param {OddsPoint[]} points
+ * @returns {Object[]}
+ */
+function toChartData(points) {
+  return points.map((point) => {
+    const row = { name: new Date(point.timestamp * 1000).toISOString(), timestamp: point.timestamp };
+    point.odds.forEach((odds, i) => {
+      row[`liquidityOption${i + 1}`] = Number(ethers.formatEther(point.optionLiquidity[i]));
+      const reserveKey = i === 0 ? "reserveX" : i === 1 ? "reserveY" : `reserveOption${i + 1}`;
+      row[reserveKey] = Number(ethers.formatEther(point.reserves[i]));
+      row[`oddsOption${i + 1}`] = Number(odds) / Number(PRECISION);
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  MAX_CANDLES,
+  toCandles,
+  oddsToCsv,
+  candlesToCsv,
+  toChartData
+};
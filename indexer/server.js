@@ -0,0 +1,96 @@
+// Read-only HTTP API over an EventIndexer's odds history.
+//
+//   GET /groups/:groupId/odds?from=&to=&format=json|csv|chart
+//   GET /groups/:groupId/candles?interval=3600&option=0&from=&to=&format=json|csv
+//
+// `from` and `to` are unix timestamps, inclusive. JSON amounts are decimal strings in wei and odds
+// are scaled by PRECISION; format=chart returns rows for the simulator charts (see toChartData).
+const http = require("http");
+const { oddsToCsv, candlesToCsv, toChartData } = require("./series");
+
+const ROUTE = /^\/groups\/(\d+)\/(odds|candles)$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function integerParam(params, name, fallback) {
+  const value = params.get(name);
+  if (value === null || value === "") return fallback;
+  if (!/^\d+$/.test(value)) throw new HttpError(400, `${name} must be a non-negative integer, got "${value}"`);
+  return Number(value);
+}
+
+// Any origin may read: the data is public chain history, and the simulator page runs elsewhere
+function send(response, status, contentType, body) {
+  response.writeHead(status, { "Content-Type": contentType, "Access-Control-Allow-Origin": "*" });
+  response.end(body);
+}
+
+function sendJson(response, status, value) {
+  const body = JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+  send(response, status, "application/json", body);
+}
+
+function handle(indexer, request) {
+  const url = new URL(request.url, "http://localhost");
+  const match = request.method === "GET" && ROUTE.exec(url.pathname);
+  if (!match) throw new HttpError(404, `No route for ${request.method} ${url.pathname}`);
+
+  const [, groupId, resource] = match;
+  const market = indexer.getMarket(groupId);
+  if (!market) throw new HttpError(404, `Option group ${groupId} is not indexed`);
+
+  const params = url.searchParams;
+  const range = { fromTime: integerParam(params, "from", undefined), toTime: integerParam(params, "to", undefined) };
+  const format = params.get("format") || "json";
+
+  if (resource === "odds") {
+    const history = indexer.getOddsHistory(groupId, range);
+    if (format === "json") return { json: { groupId, optionNames: market.optionNames, points: history } };
+    if (format === "chart") return { json: toChartData(history) };
+    if (format === "csv") return { csv: oddsToCsv(history) };
+  } else {
+    const optionIndex = integerParam(params, "option", 0);
+    if (optionIndex >= market.optionsCount) {
+      throw new HttpError(400, `Option group ${groupId} has ${market.optionsCount} options, got option=${optionIndex}`);
+    }
+    const interval = integerParam(params, "interval", 3600);
+    let candles;
+    try {
+      candles = indexer.getOddsCandles(groupId, { ...range, interval, optionIndex });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (format === "json") return { json: { groupId, optionIndex, interval, candles } };
+    if (format === "csv") return { csv: candlesToCsv(candles) };
+  }
+  throw new HttpError(400, `Unknown format "${format}"`);
+}
+
+/**
+ * Create (but do not start) an HTTP server for the odds history of an indexer.
+ * @param {import("./index").EventIndexer} indexer
+ * @returns {http.Server} Call listen(port) to start it
+ */
+function createOddsServer(indexer) {
+  return http.createServer((request, response) => {
+    try {
+      const result = handle(indexer, request);
+      if (result.csv !== undefined) {
+        send(response, 200, "text/csv", result.csv);
+      } else {
+        sendJson(response, 200, result.json);
+      }
+    } catch (error) {
+      sendJson(response, error.status || 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  createOddsServer
+};
@@ -0,0 +1,260 @@
+const { ethers } = require("ethers");
+const { HiloSDK } = require("../sdk");
+const { decodePoolTimelines } = require("../sdk/decode");
+const { planActions, nextTransitionTime, isPoolDone } = require("./plan");
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 5000;
+const DEFAULT_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Events that create pools and option groups or move them through their lifecycle
+const WATCHED_EVENTS = {
+  HiloBonding: ["PoolCreated", "EvaluationVoteCast", "EvaluationPhaseCompleted", "PoolProcessed"],
+  HiloPredictionMarket: ["OptionGroupCreated", "PoolAndOptionGroupCreated", "OptionGroupSettled", "OptionGroupCanceled"]
+};
+
+const actionKey = (action) => `${action.method}(${action.args.join(",")})`;
+
+/**
+ * Advances pools through their lifecycle: completes evaluations, processes pools after their
+ * dispute window, then settles or cancels their option groups.
+ *
+ * Pools and option groups are discovered from contract events; timelines are read once per pool.
+ * Every tick compares them with the latest block's timestamp, so a chain whose clock is moved
+ * forward is handled like one that runs in real time. A failed transition is retried on later
+ * ticks with exponential backoff and given up after `maxAttempts`.
+ */
+class PoolKeeper {
+  /**
+   * @param {Object} params
+   * @param {HiloSDK} params.sdk Connected to the keeper's signer. Canceling option groups needs validator stake.
+   * @param {number} [params.startBlock] First block to scan for pools, usually the deployment block
+   * @param {number} [params.batchSize] Blocks per eth_getLogs request
+   * @param {number} [params.maxAttempts] Failed sends of one transition before giving up on it
+   * @param {number} [params.retryBaseMs] Delay before the first retry, doubled after each failure
+   * @param {number} [params.retryMaxMs] Longest delay between retries
+   * @param {(message: string) => void} [params.log]
+   */
+  constructor({
+    sdk,
+    startBlock = 0,
+    batchSize = DEFAULT_BATCH_SIZE,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS,
+    retryMaxMs = DEFAULT_RETRY_MAX_MS,
+    log = console.log
+  }) {
+    this.sdk = sdk;
+    this.provider = sdk.runner.provider;
+    this.batchSize = batchSize;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.log = log;
+
+    this.nextBlock = startBlock;
+    /** @type {Map<string, import("./plan").PoolState>} Keyed by pool ID */
+    this.pools = new Map();
+    // Option groups seen before their pool, keyed by pool ID
+    this.orphanGroups = new Map();
+    // Failed transitions: key => { attempts, retryAt }
+    this.failures = new Map();
+
+    // Lowercased address => { name, contract }
+    this.contracts = new Map([
+      [sdk.bonding.target.toLowerCase(), { name: "HiloBonding", contract: sdk.bonding }],
+      [sdk.market.target.toLowerCase(), { name: "HiloPredictionMarket", contract: sdk.market }]
+    ]);
+  }
+
+  /**
+   * Create a keeper for the deployment in a manifest.
+   * @param {ethers.Signer} signer
+   * @param {Object} [options] manifestPath and abiDir as in HiloSDK.fromManifest, plus the constructor options
+   * @returns {Promise<PoolKeeper>}
+   */
+  static async fromManifest(signer, { manifestPath, abiDir, ...options } = {}) {
+    const sdk = await HiloSDK.fromManifest(signer, { manifestPath, abiDir });
+    return new PoolKeeper({ ...options, sdk });
+  }
+
+  /**
+   * Pools the keeper still has work for.
+   * @returns {import("./plan").PoolState[]}
+   */
+  getOpenPools() {
+    return [...this.pools.values()].filter((pool) => !isPoolDone(pool));
+  }
+
+  /**
+   * Scan new blocks, then send every transition that is due.
+   * @returns {Promise<{executed: Array<{method: string, args: Array, txHash: string}>, failed: Array<{method: string, args: Array, error: string}>, nextTransition: number|null}>}
+   *   nextTransition is the chain timestamp of the next due transition, null when nothing is scheduled
+   */
+  async tick() {
+    await this._scan();
+    const { timestamp: now } = await this.provider.getBlock("latest");
+
+    const executed = [];
+    const failed = [];
+    for (const pool of this.getOpenPools()) {
+      for (const action of planActions(pool, now)) {
+        const key = actionKey(action);
+        const failure = this.failures.get(key);
+        if (failure && (failure.attempts >= this.maxAttempts || failure.retryAt > Date.now())) break;
+
+        this.log(`Pool ${pool.poolId}: ${action.reason}, calling ${key}`);
+        try {
+          const tx = await this.sdk[action.contract][action.method](...action.args);
+          await tx.wait();
+          this.failures.delete(key);
+          this.log(`Pool ${pool.poolId}: ${key} confirmed in ${tx.hash}`);
+          executed.push({ method: action.method, args: action.args, txHash: tx.hash });
+        } catch (error) {
+          const message = error.shortMessage || error.message;
+          failed.push({ method: action.method, args: action.args, error: message });
+          this._recordFailure(key, message);
+          // Later transitions of the pool depend on this one
+          break;
+        }
+      }
+    }
+
+    // Transactions sent above emit the events that update the pools
+    if (executed.length > 0) await this._scan();
+
+    const upcoming = this.getOpenPools()
+      .map((pool) => nextTransitionTime(pool, now))
+      .filter((time) => time !== null);
+    return { executed, failed, nextTransition: upcoming.length > 0 ? Math.min(...upcoming) : null };
+  }
+
+  /**
+   * Call tick() until `signal` is aborted, every `intervalMs` or sooner when a transition is due.
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs]
+   * @param {AbortSignal} [options.signal]
+   * @param {(result: Object) => void} [options.onTick] Called after every tick
+   * @param {(error: Error) => void} [options.onError] Called on a failed tick; without it the error is thrown
+   */
+  async watch({ intervalMs = DEFAULT_POLL_INTERVAL_MS, signal, onTick, onError } = {}) {
+    while (!signal || !signal.aborted) {
+      let delay = intervalMs;
+      try {
+        const result = await this.tick();
+        if (onTick) onTick(result);
+        if (result.nextTransition !== null) {
+          const { timestamp } = await this.provider.getBlock("latest");
+          delay = Math.min(intervalMs, Math.max(0, result.nextTransition - timestamp) * 1000);
+        }
+      } catch (error) {
+        if (!onError) throw error;
+        onError(error);
+      }
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, delay);
+        if (signal) signal.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+      });
+    }
+  }
+
+  _recordFailure(key, message) {
+    const attempts = (this.failures.get(key)?.attempts ?? 0) + 1;
+    const delay = Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+    this.failures.set(key, { attempts, retryAt: Date.now() + delay });
+
+    if (attempts >= this.maxAttempts) {
+      this.log(`${key} failed ${attempts} times, giving up: ${message}`);
+    } else {
+      this.log(`${key} failed (attempt ${attempts} of ${this.maxAttempts}), retrying in ${delay / 1000}s: ${message}`);
+    }
+  }
+
+  async _scan() {
+    const head = await this.provider.getBlockNumber();
+    for (let from = this.nextBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const logs = await this.provider.getLogs({ address: [...this.contracts.keys()], fromBlock: from, toBlock: to });
+      for (const log of logs) {
+        const { name, contract } = this.contracts.get(log.address.toLowerCase());
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && WATCHED_EVENTS[name].includes(parsed.name)) {
+          await this._apply(parsed);
+        }
+      }
+      this.nextBlock = to + 1;
+    }
+  }
+
+  async _apply({ name, args }) {
+    switch (name) {
+      case "PoolCreated": {
+        const poolId = args.poolId;
+        const pool = {
+          poolId,
+          timelines: decodePoolTimelines(await this.sdk.bonding.getPoolTimelines(poolId)),
+          hasEvaluationVotes: false,
+          evaluationCompleted: false,
+          result: null,
+          groups: this.orphanGroups.get(poolId.toString()) || []
+        };
+        this.orphanGroups.delete(poolId.toString());
+        this.pools.set(poolId.toString(), pool);
+        break;
+      }
+      case "EvaluationVoteCast":
+        this._withPool(args.poolId, (pool) => { pool.hasEvaluationVotes = true; });
+        break;
+      case "EvaluationPhaseCompleted":
+        this._withPool(args.poolId, (pool) => { pool.evaluationCompleted = true; });
+        break;
+      case "PoolProcessed":
+        this._withPool(args.poolId, (pool) => {
+          pool.result = { finalApproval: args.finalApproval, winningOptionIndex: Number(args.winningOptionIndex) };
+        });
+        break;
+      case "OptionGroupCreated":
+      case "PoolAndOptionGroupCreated": {
+        const group = await this.sdk.market.optionGroups(args.optionGroupId);
+        const state = {
+          groupId: args.optionGroupId,
+          settleTimeframe: Number(group.settleTimeframe),
+          settled: false,
+          canceled: false
+        };
+        const pool = this.pools.get(args.poolId.toString());
+        if (pool) {
+          pool.groups.push(state);
+        } else {
+          const orphans = this.orphanGroups.get(args.poolId.toString()) || [];
+          this.orphanGroups.set(args.poolId.toString(), [...orphans, state]);
+        }
+        break;
+      }
+      case "OptionGroupSettled":
+      case "OptionGroupCanceled":
+        for (const pool of this.pools.values()) {
+          const group = pool.groups.find((candidate) => candidate.groupId === args.optionGroupId);
+          if (group) group[name === "OptionGroupSettled" ? "settled" : "canceled"] = true;
+        }
+        break;
+    }
+  }
+
+  _withPool(poolId, update) {
+    const pool = this.pools.get(poolId.toString());
+    if (pool) update(pool);
+  }
+}
+
+module.exports = {
+  PoolKeeper,
+  WATCHED_EVENTS,
+  DEFAULT_POLL_INTERVAL_MS,
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_RETRY_BASE_MS,
+  DEFAULT_RETRY_MAX_MS,
+  ...require("./plan")
+};
@@ -0,0 +1,120 @@
+// Which lifecycle transition a pool needs, decided from its timelines and the events seen so far.
+//
+// Pools only move forward when someone calls the transition, and processPool uses the stored
+// evaluation result: a pool approved by its validators but never completed is processed as
+// rejected. So the evaluation is completed first, then the pool processed, then its option groups
+// settled (approved) or canceled (rejected).
+
+/**
+ * @typedef {Object} OptionGroupState
+ * @property {bigint} groupId
+ * @property {number} settleTimeframe
+ * @property {boolean} settled
+ * @property {boolean} canceled
+ */
+
+/**
+ * @typedef {Object} PoolState
+ * @property {bigint} poolId
+ * @property {import("../sdk/decode").PoolTimelines} timelines
+ * @property {boolean} hasEvaluationVotes At least one evaluation vote was cast
+ * @property {boolean} evaluationCompleted EvaluationPhaseCompleted was emitted
+ * @property {{finalApproval: boolean, winningOptionIndex: number}|null} result From PoolProcessed, null before
+ * @property {OptionGroupState[]} groups
+ */
+
+/**
+ * @typedef {Object} KeeperAction
+ * @property {"bonding"|"market"} contract HiloBonding or HiloPredictionMarket, as named on HiloSDK
+ * @property {"completeEvaluationPhase"|"processPool"|"settleOptionGroup"|"cancelOptionGroup"} method
+ * @property {Array} args
+ * @property {string} reason Logged with the decision
+ */
+
+/**
+ * Transitions that are due at `now`, in the order they must be sent.
+ * @param {PoolState} pool
+ * @param {number} now Unix timestamp of the latest block
+ * @returns {KeeperAction[]}
+ */
+function planActions(pool, now) {
+  const { poolId, timelines } = pool;
+  const actions = [];
+
+  if (!pool.result) {
+    // Once the window has ended any vote count completes the evaluation; without votes it needs the
+    // owner, and processPool rejects the pool anyway
+    if (!pool.evaluationCompleted && pool.hasEvaluationVotes && now > timelines.evaluationEnd) {
+      actions.push({
+        contract: "bonding",
+        method: "completeEvaluationPhase",
+        args: [poolId],
+        reason: `evaluation of pool ${poolId} ended at ${timelines.evaluationEnd}`
+      });
+    }
+    if (now > timelines.disputeEnd) {
+      actions.push({
+        contract: "bonding",
+        method: "processPool",
+        args: [poolId],
+        reason: `dispute window of pool ${poolId} ended at ${timelines.disputeEnd}`
+      });
+    }
+    return actions;
+  }
+
+  for (const group of pool.groups) {
+    if (group.settled || group.canceled) continue;
+    if (!pool.result.finalApproval) {
+      actions.push({
+        contract: "market",
+        method: "cancelOptionGroup",
+        args: [group.groupId],
+        reason: `pool ${poolId} was rejected`
+      });
+    } else if (now >= group.settleTimeframe) {
+      actions.push({
+        contract: "market",
+        method: "settleOptionGroup",
+        args: [group.groupId, pool.result.winningOptionIndex],
+        reason: `pool ${poolId} was approved with option ${pool.result.winningOptionIndex} winning`
+      });
+    }
+  }
+  return actions;
+}
+
+/**
+ * Earliest timestamp after `now` at which planActions will return something new for the pool.
+ * @param {PoolState} pool
+ * @param {number} now
+ * @returns {number|null} null when the pool needs nothing more
+ */
+function nextTransitionTime(pool, now) {
+  const candidates = [];
+  if (!pool.result) {
+    if (!pool.evaluationCompleted && pool.hasEvaluationVotes) candidates.push(pool.timelines.evaluationEnd + 1);
+    candidates.push(pool.timelines.disputeEnd + 1);
+  } else if (pool.result.finalApproval) {
+    for (const group of pool.groups) {
+      if (!group.settled && !group.canceled) candidates.push(group.settleTimeframe);
+    }
+  }
+  const future = candidates.filter((time) => time > now);
+  return future.length > 0 ? Math.min(...future) : null;
+}
+
+/**
+ * Whether the keeper has nothing left to do for the pool.
+ * @param {PoolState} pool
+ * @returns {boolean}
+ */
+function isPoolDone(pool) {
+  return Boolean(pool.result) && pool.groups.every((group) => group.settled || group.canceled);
+}
+
+module.exports = {
+  planActions,
+  nextTransitionTime,
+  isPoolDone
+};
@@ -17,6 +17,8 @@ const PredictionMarketSimulator = () => {
   const [betHistory, setBetHistory] = useState([]);
   const [chartData, setChartData] = useState([]);
   const [activeBets, setActiveBets] = useState([]); // Track active bets for cashout
+  const [historyUrl, setHistoryUrl] = useState(''); // Indexer odds API, e.g. http://localhost:3000/groups/117/odds?format=chart
+  const [historyError, setHistoryError] = useState('');
   
   const constantK = initialLiquidity * initialLiquidity;
   
@@ -365,6 +367,19 @@ const PredictionMarketSimulator = () => {
     setChartData([...chartData, newDataPoint]);
   };
   
+  // Show a recorded on-chain history instead of the simulation (scripts/runIndexer.js --serve)
+  const loadHistory = async () => {
+    setHistoryError('');
+    try {
+      const response = await fetch(historyUrl);
+      const rows = await response.json();
+      if (!response.ok) throw new Error(rows.error);
+      setChartData(rows);
+    } catch (error) {
+      setHistoryError(error.message);
+    }
+  };
+  
   // Reset when params change
   useEffect(() => {
     resetSimulation();
@@ -471,6 +486,26 @@ const PredictionMarketSimulator = () => {
               min="1"
             />
           </div>
+          <div className="mb-3">
+            <label className="block text-sm font-medium mb-1">On-chain History URL:</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={historyUrl}
+                onChange={(e) => setHistoryUrl(e.target.value)}
+                className="w-full p-2 border rounded"
+                placeholder="http://localhost:3000/groups/117/odds?format=chart"
+              />
+              <button
+                onClick={loadHistory}
+                disabled={!historyUrl}
+                className="bg-gray-500 text-white py-2 px-4 rounded hover:bg-gray-600"
+              >
+                Load
+              </button>
+            </div>
+            {historyError && <div className="text-sm text-red-600 mt-1">{historyError}</div>}
+          </div>
         </div>
         
         <div className="bg-gray-100 p-4 rounded">
@@ -0,0 +1,32 @@
+// Deploy the Hilo contracts with the config of the selected network (scripts/config/<network>.json).
+// Rerunning resumes from the manifest: contracts already deployed are reused and only missing
+// wiring is sent.
+//
+//   npx hardhat run scripts/deploy.js --network uat
+//
+// DEPLOYMENT_MANIFEST overrides the manifest path (default scripts/build/deployment.json).
+const hre = require("hardhat");
+const { loadDeployConfig, deployHilo, DEFAULT_MANIFEST_PATH } = require("./lib/deployment");
+
+async function main() {
+  const { ethers, network } = hre;
+  const [deployer] = await ethers.getSigners();
+  console.log(`Deploying to ${network.name} as ${deployer.address}`);
+
+  const manifestPath = process.env.DEPLOYMENT_MANIFEST || DEFAULT_MANIFEST_PATH;
+  const { manifest } = await deployHilo({
+    ethers,
+    deployer,
+    config: loadDeployConfig(network.name),
+    networkName: network.name,
+    manifestPath
+  });
+
+  console.log(`Saved deployment to ${manifestPath}`);
+  console.table({ ...manifest.contracts, ...manifest.libraries });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
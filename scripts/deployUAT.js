@@ -1,21 +1,14 @@
+// Deploy the Hilo contracts with scripts/config/<network>.json, then run the UAT scenario against them.
+//
+//   npx hardhat run scripts/deployUAT.js --network uat
 const hre = require("hardhat");
 const { ethers, network } = hre;
-const fs = require("fs");
-const path = require("path");
-require("dotenv").config();
+const { applySlippage, DEFAULT_SLIPPAGE_BPS } = require("../sdk");
+const { loadDeployConfig, deployHilo, DEFAULT_MANIFEST_PATH } = require("./lib/deployment");
 
 async function main() {
-  // Set up the custom RPC provider.
-  const rpcUrl = "https://erc20.hiloscan.io:8448";
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  
-
-  // Load deployer's private key from the environment.
-  const deployerPrivateKey = process.env.DEPLOYER_PRIVATE_KEY;
-  if (!deployerPrivateKey) {
-    throw new Error("DEPLOYER_PRIVATE_KEY is not set in your .env file.");
-  }
-  const deployer = new ethers.Wallet(deployerPrivateKey, provider);
+  const provider = ethers.provider;
+  const [deployer] = await ethers.getSigners();
   console.log("Deployer address:", deployer.address);
 
   // Create new random wallets for validators and fund them
@@ -40,210 +33,27 @@ async function main() {
   // DEPLOYMENT PHASE
   // ----------------------
 
-  // Deploy MockERC20 token
-  const MockERC20 = await ethers.getContractFactory("MockERC20", deployer);
-  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("10000000"); // 10 million tokens
-  const mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
-  await mockToken.waitForDeployment();
-  console.log("MockERC20 deployed at:", mockToken.target);
-
-  // Deploy HiloStaking
-  const HiloStaking = await ethers.getContractFactory("HiloStaking", deployer);
-  const validatorThreshold = ethers.parseEther("1");
-  const poolCreatorThreshold = ethers.parseEther("2");
-  const evaluatorThreshold = ethers.parseEther("0.5");
-  const hiloStaking = await HiloStaking.deploy(validatorThreshold, poolCreatorThreshold, evaluatorThreshold);
-  await hiloStaking.waitForDeployment();
-  console.log("HiloStaking deployed at:", hiloStaking.target);
+  const config = loadDeployConfig(network.name);
+  const { contracts } = await deployHilo({
+    ethers,
+    deployer,
+    config,
+    networkName: network.name,
+    manifestPath: process.env.DEPLOYMENT_MANIFEST || DEFAULT_MANIFEST_PATH
+  });
+  const { token: mockToken, hiloStaking, hiloBonding, hiloPredictionMarket } = contracts;
+  const DEFAULT_LIQUIDITY = ethers.parseEther(config.predictionMarket.defaultLiquidity);
 
   // Stake roles
-  let tx = await hiloStaking.connect(poolCreator).buyPoolCreator({ value: poolCreatorThreshold });
+  let tx = await hiloStaking.connect(poolCreator).buyPoolCreator({ value: await hiloStaking.poolCreatorThreshold() });
   await tx.wait();
   console.log("PoolCreator role acquired by:", poolCreator.address);
 
-  tx = await hiloStaking.connect(validator1).buyValidator({ value: validatorThreshold });
-  await tx.wait();
-  console.log("Validator role acquired by validator 1:", validator1.address);
-
-  tx = await hiloStaking.connect(validator2).buyValidator({ value: validatorThreshold });
-  await tx.wait();
-  console.log("Validator role acquired by validator 2:", validator2.address);
-
-  tx = await hiloStaking.connect(validator3).buyValidator({ value: validatorThreshold });
-  await tx.wait();
-  console.log("Validator role acquired by validator 3:", validator3.address);
-
-  // Deploy HiloBonding with custom durations
-  const HiloBonding = await ethers.getContractFactory("HiloBonding", deployer);
-
-  // Define durations (shorter for testing)
-  const EVALUATION_DURATION = 60 * 60 * 24; // 1 day
-  const OPTION_VOTING_DURATION = 60 * 60 * 24; // 1 day
-  const DISPUTE_DURATION = 60 * 60 * 12; // 12 hours
-  const AUTO_UNFREEZE_DELAY = 60 * 60 * 6; // 6 hours
-
-  const FALSE_EVAL_PENALTY = ethers.parseEther("0.1");
-  const TRUE_EVAL_REWARD = ethers.parseEther("0.05");
-  const TRUE_DISPUTE_REWARD = ethers.parseEther("0.1");
-  const FALSE_DISPUTE_PENALTY = ethers.parseEther("0.15");
-  const GOOD_POOL_REWARD = ethers.parseEther("0.2");
-  const BAD_POOL_PENALTY = ethers.parseEther("0.3");
-  const MIN_VOTES_REQUIRED = 2; // Standard requirement
-  const POOL_CREATION_FEE = ethers.parseEther("0");
-  const INITIAL_PER_OPTION_CAP = 5;
-  const MAX_VOTE_DIFFERENCE = 5;
-
-  const configValues = [
-    EVALUATION_DURATION,
-    OPTION_VOTING_DURATION,
-    DISPUTE_DURATION,
-    AUTO_UNFREEZE_DELAY,
-    FALSE_EVAL_PENALTY,
-    TRUE_EVAL_REWARD,
-    TRUE_DISPUTE_REWARD,
-    FALSE_DISPUTE_PENALTY,
-    GOOD_POOL_REWARD,
-    BAD_POOL_PENALTY,
-    MIN_VOTES_REQUIRED,
-    POOL_CREATION_FEE,
-    INITIAL_PER_OPTION_CAP,
-    MAX_VOTE_DIFFERENCE
-  ];
-
-  const hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
-  await hiloBonding.waitForDeployment();
-  console.log("HiloBonding deployed at:", hiloBonding.target);
-  console.log("Configured with evaluation duration:", EVALUATION_DURATION, "seconds");
-  console.log("Configured with option voting duration:", OPTION_VOTING_DURATION, "seconds");
-  console.log("Configured with dispute duration:", DISPUTE_DURATION, "seconds");
-
-  // Deploy HiloPredictionMarket
-  const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", deployer);
-  const hiloPredictionMarket = await HiloPredictionMarket.deploy(
-    hiloBonding.target,
-    hiloStaking.target,
-    mockToken.target
-  );
-  await hiloPredictionMarket.waitForDeployment();
-  console.log("HiloPredictionMarket deployed at:", hiloPredictionMarket.target);
-  
-  // Configure default liquidity
-  // Set default liquidity amount (100 tokens per pool)
-  const DEFAULT_LIQUIDITY = ethers.parseEther("150");
-  
-  // Fund prediction market with tokens for default liquidity
-  const LIQUIDITY_FUND = ethers.parseEther("1000000");
-  tx = await mockToken.transfer(hiloPredictionMarket.target, LIQUIDITY_FUND);
-  await tx.wait();
-  console.log(`Transferred ${ethers.formatEther(LIQUIDITY_FUND)} tokens to prediction market contract`);
-  
-  // Enable default liquidity in prediction market
-  tx = await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
-  await tx.wait();
-  console.log(`Configured default liquidity: Enabled with ${ethers.formatEther(DEFAULT_LIQUIDITY)} tokens per pool`);
-  
-  // Update platform fee in prediction market
-  tx = await hiloPredictionMarket.connect(deployer).updatePlatformFee(300); // 3%
-  await tx.wait(); 
-  console.log("Updated platform fee to 3%");
-  
-  // Save deployment artifacts
-  const buildDir = path.join(__dirname, "build");
-  
-  // Create build directory if it doesn't exist
-  if (!fs.existsSync(buildDir)) {
-    fs.mkdirSync(buildDir, { recursive: true });
-  }
-  
-  // Save contract addresses
-  const deploymentConfig = {
-    network: network.name,
-    timestamp: new Date().toISOString(),
-    contracts: {
-      MockERC20: mockToken.target,
-      HiloStaking: hiloStaking.target,
-      HiloBonding: hiloBonding.target,
-      HiloPredictionMarket: hiloPredictionMarket.target
-    }
-  };
-  
-  fs.writeFileSync(
-    path.join(buildDir, "deployment.json"),
-    JSON.stringify(deploymentConfig, null, 2)
-  );
-  console.log("Saved deployment configuration to build/deployment.json");
-
-  // Authorize contracts
-  tx = await hiloStaking.updateAuthorizedAddress(hiloBonding.target, true);
-  await tx.wait();
-  tx = await hiloStaking.updateAuthorizedAddress(hiloPredictionMarket.target, true);
-  await tx.wait();
-  tx = await hiloStaking.updateAuthorizedAddress(poolCreator.address, true);
-  await tx.wait();
-  console.log("Authorized HiloBonding, HiloPredictionMarket, and poolCreator in HiloStaking");
-
-  tx = await hiloBonding.updateAuthorizedAddress(hiloPredictionMarket.target, true);
-  await tx.wait();
-  tx = await hiloBonding.updateAuthorizedAddress(deployer.address, true);
-  await tx.wait();
-  console.log("Authorized HiloPredictionMarket and deployer in HiloBonding");
-
-  // Fund staking contract
-  await deployer.sendTransaction({ to: hiloStaking.target, value: ethers.parseEther("10") });
-  console.log("Added 10 ETH to staking contract for rewards");
-  
-  // Save ABIs and contract configuration to build directory
-  try {
-    // Get ABIs from contract factories
-    const mockTokenABI = MockERC20.interface.formatJson();
-    const hiloStakingABI = HiloStaking.interface.formatJson();
-    const hiloBondingABI = HiloBonding.interface.formatJson();
-    const hiloPredictionMarketABI = HiloPredictionMarket.interface.formatJson();
-    
-    // Save ABIs
-    fs.writeFileSync(path.join(buildDir, "MockERC20.json"), mockTokenABI);
-    fs.writeFileSync(path.join(buildDir, "HiloStaking.json"), hiloStakingABI);
-    fs.writeFileSync(path.join(buildDir, "HiloBonding.json"), hiloBondingABI);
-    fs.writeFileSync(path.join(buildDir, "HiloPredictionMarket.json"), hiloPredictionMarketABI);
-    
-    // Save contract configurations
-    const contractConfig = {
-      staking: {
-        validatorThreshold: ethers.formatEther(validatorThreshold),
-        poolCreatorThreshold: ethers.formatEther(poolCreatorThreshold),
-        evaluatorThreshold: ethers.formatEther(evaluatorThreshold)
-      },
-      bonding: {
-        evaluationDuration: EVALUATION_DURATION,
-        optionVotingDuration: OPTION_VOTING_DURATION,
-        disputeDuration: DISPUTE_DURATION,
-        autoUnfreezeDelay: AUTO_UNFREEZE_DELAY,
-        falseEvalPenalty: ethers.formatEther(FALSE_EVAL_PENALTY),
-        trueEvalReward: ethers.formatEther(TRUE_EVAL_REWARD),
-        trueDisputeReward: ethers.formatEther(TRUE_DISPUTE_REWARD),
-        falseDisputePenalty: ethers.formatEther(FALSE_DISPUTE_PENALTY),
-        goodPoolReward: ethers.formatEther(GOOD_POOL_REWARD),
-        badPoolPenalty: ethers.formatEther(BAD_POOL_PENALTY),
-        minVotesRequired: MIN_VOTES_REQUIRED,
-        poolCreationFee: ethers.formatEther(POOL_CREATION_FEE),
-        initialPerOptionCap: INITIAL_PER_OPTION_CAP,
-        maxVoteDifference: MAX_VOTE_DIFFERENCE
-      },
-      predictionMarket: {
-        defaultLiquidity: ethers.formatEther(DEFAULT_LIQUIDITY),
-        defaultLiquidityEnabled: true,
-        initialFund: ethers.formatEther(LIQUIDITY_FUND),
-      }
-    };
-    
-    fs.writeFileSync(
-      path.join(buildDir, "config.json"),
-      JSON.stringify(contractConfig, null, 2)
-    );
-    
-    console.log("Saved contract ABIs and configuration to build directory");
-  } catch (error) {
-    console.error("Error saving ABIs and configuration:", error);
+  const validatorThreshold = await hiloStaking.validatorThreshold();
+  for (const [label, validator] of [["1", validator1], ["2", validator2], ["3", validator3]]) {
+    tx = await hiloStaking.connect(validator).buyValidator({ value: validatorThreshold });
+    await tx.wait();
+    console.log(`Validator role acquired by validator ${label}:`, validator.address);
   }
 
   // Transfer tokens to validators
@@ -319,22 +129,23 @@ async function main() {
     }
   }
 
-  // New helper function for placing bets with minOdds = 0
+  // Helper function for placing bets at the previewed odds less 0.5% slippage, valid for 5 minutes
   async function placeBet(user, optionGroupId, optionIndex, amount) {
-    const minOdds = 0; // Accept any odds
+    const quote = await hiloPredictionMarket.previewBet(optionGroupId, optionIndex, amount);
+    const minOdds = applySlippage(quote.lockedOdds, DEFAULT_SLIPPAGE_BPS);
+    const deadline = (await provider.getBlock("latest")).timestamp + 300;
+
     await mockToken.connect(user).approve(hiloPredictionMarket.target, amount);
-    const tx = await hiloPredictionMarket.connect(user).placeBet(
+    const tx = await hiloPredictionMarket.connect(user)["placeBet(uint256,uint256,uint256,uint256,uint256)"](
       optionGroupId, 
       optionIndex, 
       amount, 
-      minOdds
+      minOdds,
+      deadline
     );
     await tx.wait();
     console.log(`User ${user.address} placed bet of ${ethers.formatEther(amount)} tokens on option ${optionIndex} in group ${optionGroupId}`);
-    
-    // Get potential return for this bet
-    const betDetails = await hiloPredictionMarket.calculatePotentialReturn(optionGroupId, optionIndex, amount);
-    console.log(`Potential return: ${ethers.formatEther(betDetails[0])} tokens, Odds: ${betDetails[1]}`);
+    console.log(`Potential return: ${ethers.formatEther(quote.potentialPayout)} tokens, Odds: ${quote.lockedOdds}`);
   }
 
   // ----------------------
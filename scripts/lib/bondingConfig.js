@@ -0,0 +1,252 @@
+// HiloBonding config fields by name.
+//
+// `updateConfig(uint256[14])` and the constructor take the values positionally, in a different
+// order from the `config` struct getter, so every caller goes through BONDING_CONFIG_FIELDS.
+const { ethers } = require("ethers");
+
+const DAY = 24 * 60 * 60;
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: DAY, w: 7 * DAY };
+
+/**
+ * @typedef {Object} ConfigField
+ * @property {string} name Field name in the `config` struct
+ * @property {"duration"|"tokens"|"count"} unit Seconds, token amount in wei, or plain integer
+ * @property {bigint} min Smallest accepted value
+ * @property {bigint} [max] Largest accepted value
+ */
+
+/** @type {ConfigField[]} In updateConfig order */
+const BONDING_CONFIG_FIELDS = [
+  { name: "evaluationDuration", unit: "duration", min: 1n, max: BigInt(365 * DAY) },
+  { name: "optionVotingDuration", unit: "duration", min: 1n, max: BigInt(365 * DAY) },
+  { name: "disputeDuration", unit: "duration", min: 1n, max: BigInt(365 * DAY) },
+  { name: "autoUnfreezeDelay", unit: "duration", min: 0n, max: BigInt(365 * DAY) },
+  { name: "falseEvalPenalty", unit: "tokens", min: 0n },
+  { name: "trueEvalReward", unit: "tokens", min: 0n },
+  { name: "trueDisputeReward", unit: "tokens", min: 0n },
+  { name: "falseDisputePenalty", unit: "tokens", min: 0n },
+  { name: "goodPoolReward", unit: "tokens", min: 0n },
+  { name: "badPoolPenalty", unit: "tokens", min: 0n },
+  { name: "minVotesRequired", unit: "count", min: 1n, max: 1000n },
+  { name: "poolCreationFee", unit: "tokens", min: 0n },
+  { name: "initialPerOptionCap", unit: "count", min: 1n, max: 1000n },
+  // Votes are refused once the difference reaches this value, so 0 would block all voting
+  { name: "maxVoteDifference", unit: "count", min: 1n, max: 1000n }
+];
+
+const FIELDS_BY_NAME = new Map(BONDING_CONFIG_FIELDS.map((field) => [field.name, field]));
+
+function getField(name) {
+  const field = FIELDS_BY_NAME.get(name);
+  if (!field) {
+    throw new Error(`Unknown HiloBonding config field "${name}". Valid fields: ${[...FIELDS_BY_NAME.keys()].join(", ")}`);
+  }
+  return field;
+}
+
+/**
+ * Parse a duration in seconds or with a unit suffix: "90", "90s", "30m", "2h", "1.5d", "1w".
+ * @param {string} text
+ * @returns {bigint} Seconds
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([smhdw])?$/.exec(text);
+  if (!match) throw new Error(`"${text}" is not a duration (e.g. 90, 30m, 2h, 1d)`);
+  const seconds = Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+  if (!Number.isInteger(seconds)) throw new Error(`"${text}" is not a whole number of seconds`);
+  return BigInt(seconds);
+}
+
+/**
+ * Parse a field value as written by an operator or in a deployment config.
+ * Durations take seconds or a unit suffix ("90", "90s", "30m", "2h", "1.5d", "1w"), token amounts
+ * are whole tokens ("0.15"), counts are integers.
+ * @param {string} name Field name
+ * @param {string|number} raw
+ * @returns {bigint}
+ */
+function parseFieldValue(name, raw) {
+  const field = getField(name);
+  const text = String(raw).trim();
+
+  if (field.unit === "tokens") {
+    try {
+      return ethers.parseEther(text);
+    } catch {
+      throw new Error(`${name}: "${text}" is not a token amount`);
+    }
+  }
+
+  if (field.unit === "duration") {
+    try {
+      return parseDuration(text);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+
+  if (!/^\d+$/.test(text)) throw new Error(`${name}: "${text}" is not a whole number`);
+  return BigInt(text);
+}
+
+/**
+ * Human-readable field value, e.g. "7200s (2h)" or "0.15 tokens".
+ * @param {string} name
+ * @param {bigint} value
+ * @returns {string}
+ */
+function formatFieldValue(name, value) {
+  const field = getField(name);
+  if (field.unit === "tokens") return `${ethers.formatEther(value)} tokens`;
+  if (field.unit === "count") return value.toString();
+
+  const seconds = Number(value);
+  for (const [suffix, size] of [["w", 7 * DAY], ["d", DAY], ["h", 3600], ["m", 60]]) {
+    if (seconds >= size && seconds % size === 0) return `${seconds}s (${seconds / size}${suffix})`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Check every field is present and within its range.
+ * @param {Object<string, bigint>} config
+ * @throws {Error} Listing every invalid field
+ */
+function validateBondingConfig(config) {
+  const problems = [];
+  for (const field of BONDING_CONFIG_FIELDS) {
+    const value = config[field.name];
+    if (value === undefined) {
+      problems.push(`${field.name} is missing`);
+    } else if (value < field.min) {
+      problems.push(`${field.name} must be at least ${formatFieldValue(field.name, field.min)}`);
+    } else if (field.max !== undefined && value > field.max) {
+      problems.push(`${field.name} must be at most ${formatFieldValue(field.name, field.max)}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid HiloBonding config:\n  ${problems.join("\n  ")}`);
+  }
+}
+
+/**
+ * @param {Object<string, bigint>} config
+ * @returns {bigint[]} Values in updateConfig order
+ */
+function toConfigArray(config) {
+  return BONDING_CONFIG_FIELDS.map((field) => config[field.name]);
+}
+
+/**
+ * Read the current config from the `config` getter, by name.
+ * @param {ethers.Contract} hiloBonding
+ * @returns {Promise<Object<string, bigint>>}
+ */
+async function readBondingConfig(hiloBonding) {
+  const current = await hiloBonding.config();
+  const config = {};
+  for (const field of BONDING_CONFIG_FIELDS) {
+    config[field.name] = current[field.name];
+  }
+  return config;
+}
+
+/**
+ * @param {Object<string, bigint>} current
+ * @param {Object<string, bigint>} next
+ * @returns {Array<{name: string, from: bigint, to: bigint}>} Fields whose value differs
+ */
+function diffBondingConfig(current, next) {
+  return BONDING_CONFIG_FIELDS
+    .filter((field) => current[field.name] !== next[field.name])
+    .map((field) => ({ name: field.name, from: current[field.name], to: next[field.name] }));
+}
+
+/**
+ * Update the named fields: read the current config, validate the merged result, show the diff,
+ * ask for confirmation, submit, and re-read to check every changed field.
+ * @param {ethers.Contract} hiloBonding Connected to the owner
+ * @param {Object<string, bigint>} updates Parsed values by field name
+ * @param {Object} [options]
+ * @param {(changes: Array) => Promise<boolean>|boolean} [options.confirm] Returning false aborts
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{changes: Array<{name: string, from: bigint, to: bigint}>, submitted: boolean}>}
+ */
+async function updateBondingConfig(hiloBonding, updates, { confirm = () => true, log = console.log } = {}) {
+  for (const name of Object.keys(updates)) getField(name);
+
+  const current = await readBondingConfig(hiloBonding);
+  const next = { ...current, ...updates };
+  validateBondingConfig(next);
+
+  const changes = diffBondingConfig(current, next);
+  if (changes.length === 0) {
+    log("Nothing to change: the requested values are already set");
+    return { changes, submitted: false };
+  }
+  for (const { name, from, to } of changes) {
+    log(`  ${name}: ${formatFieldValue(name, from)} -> ${formatFieldValue(name, to)}`);
+  }
+  if (!(await confirm(changes))) {
+    log("Aborted, nothing submitted");
+    return { changes, submitted: false };
+  }
+
+  const tx = await hiloBonding.updateConfig(toConfigArray(next));
+  await tx.wait();
+  log(`Submitted in ${tx.hash}`);
+
+  const after = await readBondingConfig(hiloBonding);
+  const mismatched = BONDING_CONFIG_FIELDS.filter((field) => after[field.name] !== next[field.name]);
+  if (mismatched.length > 0) {
+    throw new Error(`Config not applied for: ${mismatched.map((field) => field.name).join(", ")}`);
+  }
+  for (const { name, to } of changes) {
+    log(`  confirmed ${name} = ${formatFieldValue(name, to)}`);
+  }
+  return { changes, submitted: true };
+}
+
+/**
+ * Parse command-line arguments: `--<field> <value>` or `--<field>=<value>` for config fields, plus
+ * the options `--network <name>`, `--manifest <path>`, `--yes` and `--dry-run`.
+ * @param {string[]} argv Arguments after the script name
+ * @returns {{updates: Object<string, bigint>, options: {network?: string, manifest?: string, yes: boolean, dryRun: boolean}}}
+ */
+function parseConfigArgs(argv) {
+  const updates = {};
+  const options = { yes: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument "${arg}"`);
+
+    let [key, value] = arg.slice(2).split(/=(.*)/s, 2);
+    if (key === "yes") { options.yes = true; continue; }
+    if (key === "dry-run") { options.dryRun = true; continue; }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || value.startsWith("--")) throw new Error(`Missing value for --${key}`);
+    }
+    if (key === "network" || key === "manifest") {
+      options[key] = value;
+    } else {
+      updates[key] = parseFieldValue(key, value);
+    }
+  }
+  return { updates, options };
+}
+
+module.exports = {
+  BONDING_CONFIG_FIELDS,
+  parseDuration,
+  parseFieldValue,
+  formatFieldValue,
+  validateBondingConfig,
+  toConfigArray,
+  readBondingConfig,
+  diffBondingConfig,
+  updateBondingConfig,
+  parseConfigArgs
+};
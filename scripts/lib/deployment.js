@@ -0,0 +1,308 @@
+// Config-driven deployment of the Hilo contracts.
+//
+// Contracts are deployed in dependency order and the manifest is rewritten after every deployment,
+// so a rerun reuses what is already on chain and continues with the first missing step. Wiring
+// steps (authorizations, BetLedger ownership, fees, default liquidity and its vault, collateral
+// tokens) read the current on-chain value and only send a transaction when it differs from the
+// config.
+const fs = require("fs");
+const path = require("path");
+const { BONDING_CONFIG_FIELDS, parseFieldValue, validateBondingConfig, toConfigArray } = require("./bondingConfig");
+
+const CONFIG_DIR = path.join(__dirname, "..", "config");
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, "..", "build", "deployment.json");
+
+function requireField(section, name, sectionName) {
+  if (section[name] === undefined || section[name] === null) {
+    throw new Error(`Deployment config is missing ${sectionName}.${name}`);
+  }
+  return section[name];
+}
+
+/**
+ * Read `scripts/config/<network>.json`.
+ * Token amounts are decimal strings in whole tokens ("1.5"), durations are seconds and fees are
+ * basis points.
+ * @param {string} networkName Hardhat network name
+ * @param {string} [configDir]
+ * @returns {Object} The parsed config
+ */
+function loadDeployConfig(networkName, configDir = CONFIG_DIR) {
+  const file = path.join(configDir, `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment config for network "${networkName}" at ${file}`);
+  }
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (const section of ["token", "staking", "bonding", "predictionMarket"]) {
+    if (!config[section]) throw new Error(`Deployment config ${file} has no "${section}" section`);
+  }
+  return config;
+}
+
+/**
+ * HiloBonding constructor config array from the `bonding` config section.
+ * @param {Object} bonding
+ * @returns {bigint[]}
+ */
+function bondingConfigValues(bonding) {
+  const values = {};
+  for (const { name } of BONDING_CONFIG_FIELDS) {
+    values[name] = parseFieldValue(name, requireField(bonding, name, "bonding"));
+  }
+  validateBondingConfig(values);
+  return toConfigArray(values);
+}
+
+/**
+ * Read a manifest to resume from. A manifest written for another chain is never reused.
+ * @param {string} manifestPath
+ * @param {bigint} chainId
+ */
+function loadManifestForChain(manifestPath, chainId) {
+  if (!fs.existsSync(manifestPath)) return null;
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (manifest.chainId !== undefined && BigInt(manifest.chainId) !== chainId) {
+    throw new Error(
+      `Manifest ${manifestPath} belongs to chain ${manifest.chainId}, not ${chainId}. ` +
+      "Move it away or pass another manifest path."
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Deploy and wire the Hilo contracts as described by `config`, resuming from `manifestPath`.
+ * @param {Object} params
+ * @param {Object} params.ethers Hardhat's ethers (hre.ethers)
+ * @param {ethers.Signer} params.deployer Owner of every deployed contract
+ * @param {Object} params.config From loadDeployConfig
+ * @param {string} params.networkName
+ * @param {string} [params.manifestPath] Defaults to scripts/build/deployment.json
+ * @param {(message: string) => void} [params.log]
+ * @returns {Promise<{manifest: Object, contracts: Object<string, ethers.Contract>}>}
+ */
+async function deployHilo({ ethers, deployer, config, networkName, manifestPath = DEFAULT_MANIFEST_PATH, log = console.log }) {
+  const { chainId } = await deployer.provider.getNetwork();
+  const previous = loadManifestForChain(manifestPath, chainId) || {};
+  const manifest = {
+    network: networkName,
+    chainId: chainId.toString(),
+    deployer: deployer.address,
+    timestamp: previous.timestamp,
+    contracts: { ...previous.contracts },
+    libraries: { ...previous.libraries },
+    steps: { ...previous.steps }
+  };
+
+  const saveManifest = () => {
+    manifest.timestamp = new Date().toISOString();
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  };
+
+  // Reuse the recorded deployment if it has code on this chain, otherwise deploy and record it
+  async function deployOnce(section, name, args, factoryOptions = {}) {
+    const recorded = manifest[section][name];
+    const factory = await ethers.getContractFactory(name, { signer: deployer, ...factoryOptions });
+    if (recorded && (await deployer.provider.getCode(recorded)) !== "0x") {
+      log(`${name} already deployed at ${recorded}`);
+      return factory.attach(recorded);
+    }
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    manifest[section][name] = await contract.getAddress();
+    saveManifest();
+    log(`${name} deployed at ${manifest[section][name]}`);
+    return contract;
+  }
+
+  async function send(description, txPromise) {
+    const tx = await txPromise;
+    await tx.wait();
+    log(description);
+    return tx;
+  }
+
+  const resolveAddress = (entry) => (entry === "deployer" ? deployer.address : ethers.getAddress(entry));
+
+  const { token: tokenConfig, staking: stakingConfig, bonding: bondingConfig, predictionMarket: marketConfig } = config;
+
+  // Betting token: an existing ERC-20, or a MockERC20 for test networks
+  let token;
+  if (tokenConfig.address) {
+    token = await ethers.getContractAt("MockERC20", tokenConfig.address, deployer);
+    manifest.contracts.BettingToken = ethers.getAddress(tokenConfig.address);
+  } else {
+    token = await deployOnce("contracts", "MockERC20", [
+      requireField(tokenConfig, "name", "token"),
+      requireField(tokenConfig, "symbol", "token"),
+      ethers.parseEther(String(requireField(tokenConfig, "initialSupply", "token")))
+    ]);
+  }
+  // Betting token amounts are whole tokens in the config, converted with the token's own decimals
+  const tokenDecimals = await token.decimals();
+  const parseTokens = (value) => ethers.parseUnits(String(value), tokenDecimals);
+  const formatTokens = (amount) => ethers.formatUnits(amount, tokenDecimals);
+
+  const hiloStaking = await deployOnce("contracts", "HiloStaking", [
+    ethers.parseEther(String(requireField(stakingConfig, "validatorThreshold", "staking"))),
+    ethers.parseEther(String(requireField(stakingConfig, "poolCreatorThreshold", "staking"))),
+    ethers.parseEther(String(requireField(stakingConfig, "evaluatorThreshold", "staking")))
+  ]);
+  const hiloBonding = await deployOnce("contracts", "HiloBonding", [
+    await hiloStaking.getAddress(),
+    bondingConfigValues(bondingConfig)
+  ]);
+  const betLedger = await deployOnce("contracts", "BetLedger", [deployer.address]);
+  const marketMath = await deployOnce("libraries", "MarketMath", []);
+  const hiloPredictionMarket = await deployOnce("contracts", "HiloPredictionMarket", [
+    await hiloBonding.getAddress(),
+    await hiloStaking.getAddress(),
+    await token.getAddress(),
+    await betLedger.getAddress()
+  ], { libraries: { MarketMath: await marketMath.getAddress() } });
+
+  const marketAddress = await hiloPredictionMarket.getAddress();
+  const bondingAddress = await hiloBonding.getAddress();
+
+  // BetLedger must point at the market before the market becomes its owner
+  if ((await betLedger.hiloMarket()) !== marketAddress) {
+    await send("BetLedger linked to HiloPredictionMarket", betLedger.updateHiloPredictionMarket(marketAddress));
+  }
+  if ((await betLedger.owner()) !== marketAddress) {
+    await send("BetLedger ownership transferred to HiloPredictionMarket", betLedger.transferOwnership(marketAddress));
+  }
+
+  const stakingAuthorized = [bondingAddress, marketAddress, ...(stakingConfig.authorized || []).map(resolveAddress)];
+  for (const address of stakingAuthorized) {
+    if (!(await hiloStaking.authorizedContracts(address))) {
+      await send(`Authorized ${address} in HiloStaking`, hiloStaking.updateAuthorizedAddress(address, true));
+    }
+  }
+  const bondingAuthorized = [marketAddress, ...(bondingConfig.authorized || []).map(resolveAddress)];
+  for (const address of bondingAuthorized) {
+    if (!(await hiloBonding.authorizedAddresses(address))) {
+      await send(`Authorized ${address} in HiloBonding`, hiloBonding.updateAuthorizedAddress(address, true));
+    }
+  }
+
+  const defaultLiquidityEnabled = Boolean(requireField(marketConfig, "defaultLiquidityEnabled", "predictionMarket"));
+  const defaultLiquidity = parseTokens(requireField(marketConfig, "defaultLiquidity", "predictionMarket"));
+  if ((await hiloPredictionMarket.defaultLiquidityEnabled()) !== defaultLiquidityEnabled ||
+      (await hiloPredictionMarket.defaultLiquidityAmount()) !== defaultLiquidity) {
+    await send(
+      `Configured default liquidity: ${defaultLiquidityEnabled ? "enabled" : "disabled"}, ${formatTokens(defaultLiquidity)} tokens per group`,
+      hiloPredictionMarket.configureDefaultLiquidity(defaultLiquidityEnabled, defaultLiquidity)
+    );
+  }
+
+  // Optional vault funding default liquidity in the betting token; disabling it disconnects the vault
+  const vaultConfig = marketConfig.liquidityVault || {};
+  let liquidityVault = null;
+  if (vaultConfig.enabled) {
+    liquidityVault = await deployOnce("contracts", "HiloDefaultLiquidityProvider", [marketAddress, await token.getAddress()]);
+  }
+  const vaultAddress = liquidityVault ? await liquidityVault.getAddress() : ethers.ZeroAddress;
+  if ((await hiloPredictionMarket.liquidityProvider()) !== vaultAddress) {
+    await send(
+      liquidityVault ? `Default liquidity vault ${vaultAddress} connected` : "Default liquidity vault disconnected",
+      hiloPredictionMarket.setLiquidityProvider(vaultAddress, defaultLiquidityEnabled)
+    );
+  }
+
+  const platformFee = BigInt(requireField(marketConfig, "platformFee", "predictionMarket"));
+  if ((await hiloPredictionMarket.platformFee()) !== platformFee) {
+    await send(`Platform fee set to ${platformFee} bps`, hiloPredictionMarket.updatePlatformFee(platformFee));
+  }
+  const earlyExitFee = BigInt(requireField(marketConfig, "earlyExitFee", "predictionMarket"));
+  if ((await hiloPredictionMarket.earlyExitFee()) !== earlyExitFee) {
+    await send(`Early exit fee set to ${earlyExitFee} bps`, hiloPredictionMarket.updateEarlyExitFee(earlyExitFee));
+  }
+
+  // Without a feeSplit section LPs keep every fee; a null treasury needs a protocol share of 0
+  if (marketConfig.feeSplit) {
+    const feeSplit = marketConfig.feeSplit;
+    const treasury = feeSplit.treasury ? resolveAddress(feeSplit.treasury) : ethers.ZeroAddress;
+    const protocolFeeShare = BigInt(requireField(feeSplit, "protocolFeeShare", "predictionMarket.feeSplit"));
+    const creatorFeeShare = BigInt(requireField(feeSplit, "creatorFeeShare", "predictionMarket.feeSplit"));
+    if ((await hiloPredictionMarket.treasury()) !== treasury ||
+        (await hiloPredictionMarket.protocolFeeShare()) !== protocolFeeShare ||
+        (await hiloPredictionMarket.creatorFeeShare()) !== creatorFeeShare) {
+      await send(
+        `Fee split set to ${protocolFeeShare} bps for ${treasury}, ${creatorFeeShare} bps for pool creators`,
+        hiloPredictionMarket.configureFeeSplit(treasury, protocolFeeShare, creatorFeeShare)
+      );
+    }
+  }
+
+  // Collateral tokens other than the betting token; defaultLiquidity is in whole units of each token
+  for (const entry of marketConfig.tokens || []) {
+    const address = ethers.getAddress(requireField(entry, "address", "predictionMarket.tokens[]"));
+    const allowed = entry.allowed !== false;
+    const collateral = await ethers.getContractAt("MockERC20", address, deployer);
+    const tokenDefaultLiquidity = ethers.parseUnits(String(entry.defaultLiquidity || "0"), await collateral.decimals());
+    if ((await hiloPredictionMarket.allowedTokens(address)) !== allowed ||
+        (await hiloPredictionMarket.tokenDefaultLiquidity(address)) !== tokenDefaultLiquidity) {
+      await send(
+        `Collateral token ${address} ${allowed ? "allowed" : "disallowed"}, default liquidity ${entry.defaultLiquidity || "0"}`,
+        hiloPredictionMarket.configureToken(address, allowed, tokenDefaultLiquidity)
+      );
+    }
+  }
+
+  // Transfers cannot be read back from balances, so they are recorded in the manifest once sent
+  const initialFund = parseTokens(marketConfig.initialFund || "0");
+  if (initialFund > 0n && !manifest.steps.fundPredictionMarket) {
+    const tx = await send(
+      `Transferred ${formatTokens(initialFund)} tokens to HiloPredictionMarket`,
+      token.transfer(marketAddress, initialFund)
+    );
+    manifest.steps.fundPredictionMarket = tx.hash;
+    saveManifest();
+  }
+  const vaultDeposit = parseTokens(vaultConfig.deposit || "0");
+  if (liquidityVault && vaultDeposit > 0n && !manifest.steps.fundLiquidityVault) {
+    await send("Approved the default liquidity vault", token.approve(vaultAddress, vaultDeposit));
+    const tx = await send(
+      `Deposited ${formatTokens(vaultDeposit)} tokens into the default liquidity vault`,
+      liquidityVault.depositFunds(vaultDeposit)
+    );
+    manifest.steps.fundLiquidityVault = tx.hash;
+    saveManifest();
+  }
+  const rewardFund = ethers.parseEther(String(stakingConfig.rewardFund || "0"));
+  if (rewardFund > 0n && !manifest.steps.fundStakingRewards) {
+    const tx = await send(
+      `Sent ${ethers.formatEther(rewardFund)} ETH to HiloStaking for rewards`,
+      deployer.sendTransaction({ to: await hiloStaking.getAddress(), value: rewardFund })
+    );
+    manifest.steps.fundStakingRewards = tx.hash;
+  }
+
+  saveManifest();
+
+  // ABIs next to the manifest, for the SDK's abiDir option
+  const contracts = { token, hiloStaking, hiloBonding, betLedger, marketMath, hiloPredictionMarket, liquidityVault };
+  const abiFiles = {
+    MockERC20: token,
+    HiloStaking: hiloStaking,
+    HiloBonding: hiloBonding,
+    BetLedger: betLedger,
+    MarketMath: marketMath,
+    HiloPredictionMarket: hiloPredictionMarket
+  };
+  if (liquidityVault) abiFiles.HiloDefaultLiquidityProvider = liquidityVault;
+  for (const [name, contract] of Object.entries(abiFiles)) {
+    fs.writeFileSync(path.join(path.dirname(manifestPath), `${name}.json`), contract.interface.formatJson());
+  }
+
+  return { manifest, contracts };
+}
+
+module.exports = {
+  CONFIG_DIR,
+  DEFAULT_MANIFEST_PATH,
+  loadDeployConfig,
+  bondingConfigValues,
+  deployHilo
+};
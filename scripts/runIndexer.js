@@ -0,0 +1,55 @@
+// Index Hilo contract events into SQLite.
+//
+//   node scripts/runIndexer.js           index up to the chain head and exit
+//   node scripts/runIndexer.js --watch   keep polling for new blocks
+//   node scripts/runIndexer.js --serve   keep polling and serve the odds history over HTTP
+//
+// RPC_URL (default http://localhost:8545), INDEXER_DB (default hilo-index.db), DEPLOYMENT_MANIFEST
+// (default scripts/build/deployment.json), INDEXER_START_BLOCK, INDEXER_CONFIRMATIONS and
+// INDEXER_PORT (default 3000) are read from the environment or .env.
+const { ethers } = require("ethers");
+const { EventIndexer, createOddsServer } = require("../indexer");
+require("dotenv").config();
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://localhost:8545");
+  const indexer = await EventIndexer.fromManifest(provider, {
+    dbPath: process.env.INDEXER_DB || "hilo-index.db",
+    manifestPath: process.env.DEPLOYMENT_MANIFEST,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0)
+  });
+
+  const report = ({ fromBlock, toBlock, events, reorgedTo }) => {
+    if (reorgedTo !== null) console.log(`Reorg detected, rolled back to block ${reorgedTo}`);
+    if (toBlock >= fromBlock) console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} events`);
+  };
+
+  const serve = process.argv.includes("--serve");
+  if (!serve && !process.argv.includes("--watch")) {
+    report(await indexer.sync());
+    indexer.close();
+    return;
+  }
+
+  const controller = new AbortController();
+  let server;
+  if (serve) {
+    const port = Number(process.env.INDEXER_PORT || 3000);
+    server = createOddsServer(indexer).listen(port);
+    console.log(`Serving odds history on http://localhost:${port}/groups/<id>/odds`);
+  }
+  process.on("SIGINT", () => controller.abort());
+  await indexer.watch({
+    signal: controller.signal,
+    onSync: report,
+    onError: (error) => console.error("Sync failed:", error.message)
+  });
+  if (server) server.close();
+  indexer.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
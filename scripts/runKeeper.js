@@ -0,0 +1,58 @@
+// Advance Hilo pools through their lifecycle: complete evaluations, process pools, then settle or
+// cancel their option groups when they are due.
+//
+//   node scripts/runKeeper.js           send every transition that is due now and exit
+//   node scripts/runKeeper.js --watch   keep running, waking up for the next transition
+//
+// KEEPER_PRIVATE_KEY (required), RPC_URL (default http://localhost:8545), DEPLOYMENT_MANIFEST
+// (default scripts/build/deployment.json), KEEPER_START_BLOCK, KEEPER_POLL_INTERVAL_MS and
+// KEEPER_MAX_ATTEMPTS are read from the environment or .env.
+const { ethers } = require("ethers");
+const { PoolKeeper, DEFAULT_POLL_INTERVAL_MS, DEFAULT_MAX_ATTEMPTS } = require("../keeper");
+require("dotenv").config();
+
+async function main() {
+  if (!process.env.KEEPER_PRIVATE_KEY) {
+    throw new Error("KEEPER_PRIVATE_KEY is not set in your .env file.");
+  }
+  // Without the request cache: transitions are sent back to back, and a cached transaction count
+  // would give the second one the nonce of the first
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://localhost:8545", undefined, { cacheTimeout: -1 });
+  const signer = new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider);
+  const keeper = await PoolKeeper.fromManifest(signer, {
+    manifestPath: process.env.DEPLOYMENT_MANIFEST,
+    startBlock: Number(process.env.KEEPER_START_BLOCK || 0),
+    maxAttempts: Number(process.env.KEEPER_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS)
+  });
+  console.log(`Keeper ${signer.address} started`);
+
+  const report = ({ executed, failed, nextTransition }) => {
+    const next = nextTransition === null ? "none scheduled" : new Date(nextTransition * 1000).toISOString();
+    console.log(`Sent ${executed.length} transitions, ${failed.length} failed. ` +
+      `${keeper.getOpenPools().length} open pools, next transition: ${next}`);
+  };
+
+  if (!process.argv.includes("--watch")) {
+    report(await keeper.tick());
+    return;
+  }
+
+  // Quiet ticks are not reported; every transition is logged by the keeper itself
+  const reportActivity = (result) => {
+    if (result.executed.length > 0 || result.failed.length > 0) report(result);
+  };
+
+  const controller = new AbortController();
+  process.on("SIGINT", () => controller.abort());
+  await keeper.watch({
+    intervalMs: Number(process.env.KEEPER_POLL_INTERVAL_MS || DEFAULT_POLL_INTERVAL_MS),
+    signal: controller.signal,
+    onTick: reportActivity,
+    onError: (error) => console.error("Tick failed:", error.shortMessage || error.message)
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
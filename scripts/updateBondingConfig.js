@@ -0,0 +1,47 @@
+// Update HiloBonding config fields by name.
+//
+//   node scripts/updateBondingConfig.js --network uat --disputeDuration 2h --minVotesRequired 3
+//
+// Durations take seconds or s/m/h/d/w suffixes, token amounts are whole tokens ("0.15"). The diff
+// against the current on-chain config is shown and confirmed before submitting; --yes skips the
+// prompt and --dry-run stops after the diff. The HiloBonding address comes from the deployment
+// manifest (--manifest, default scripts/build/deployment.json).
+const readline = require("readline/promises");
+const { parseConfigArgs, updateBondingConfig } = require("./lib/bondingConfig");
+
+async function main() {
+  const { updates, options } = parseConfigArgs(process.argv.slice(2));
+  if (Object.keys(updates).length === 0) {
+    throw new Error("No config fields given, e.g. --disputeDuration 2h --minVotesRequired 3");
+  }
+
+  // Hardhat picks the network from HARDHAT_NETWORK when run with plain node
+  if (options.network) process.env.HARDHAT_NETWORK = options.network;
+  const hre = require("hardhat");
+  const { ethers } = hre;
+  const { loadManifest } = require("../sdk/abis");
+
+  const [owner] = await ethers.getSigners();
+  const { contracts } = loadManifest(options.manifest);
+  const bondingAddress = contracts.HiloBonding ||
+    await (await ethers.getContractAt("HiloPredictionMarket", contracts.HiloPredictionMarket)).bondingContract();
+  const hiloBonding = await ethers.getContractAt("HiloBonding", bondingAddress, owner);
+
+  console.log(`HiloBonding ${bondingAddress} on ${hre.network.name}, sending as ${owner.address}`);
+
+  const confirm = async () => {
+    if (options.dryRun) return false;
+    if (options.yes) return true;
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await prompt.question("Submit these changes? [y/N] ");
+    prompt.close();
+    return answer.trim().toLowerCase() === "y";
+  };
+
+  await updateBondingConfig(hiloBonding, updates, { confirm });
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+
+// Contract name => Solidity source file, used to locate Hardhat artifacts
+const CONTRACT_SOURCES = {
+  HiloStaking: "hiloStaking.sol",
+  HiloBonding: "hiloBonding.sol",
+  HiloPredictionMarket: "hiloPredict.sol",
+  BetLedger: "BetLedger.sol"
+};
+
+// The betting token only needs the ERC-20 surface used by the SDK
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, "..", "scripts", "build", "deployment.json");
+
+/**
+ * Load the ABI of one Hilo contract.
+ * With `abiDir` the ABI is read from `<abiDir>/<Name>.json` (either a bare ABI array, as written by
+ * deployUAT.js, or an artifact with an `abi` field); otherwise from the Hardhat artifacts.
+ * @param {string} name Contract name, e.g. "HiloPredictionMarket"
+ * @param {string} [abiDir] Directory holding `<Name>.json` files
+ * @returns {Array} The ABI
+ */
+function loadAbi(name, abiDir) {
+  const file = abiDir
+    ? path.join(abiDir, `${name}.json`)
+    : path.join(DEFAULT_ARTIFACTS_DIR, CONTRACT_SOURCES[name], `${name}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`ABI for ${name} not found at ${file}. Run "npx hardhat compile" or pass abiDir.`);
+  }
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(json) ? json : json.abi;
+}
+
+/**
+ * Load the ABIs of the four Hilo contracts plus the ERC-20 betting token.
+ * @param {string} [abiDir] Directory holding `<Name>.json` files
+ * @returns {Object<string, Array>} ABIs keyed by contract name
+ */
+function loadAbis(abiDir) {
+  const abis = { BettingToken: ERC20_ABI };
+  for (const name of Object.keys(CONTRACT_SOURCES)) {
+    abis[name] = loadAbi(name, abiDir);
+  }
+  return abis;
+}
+
+/**
+ * Read a deployment manifest in the format written by deployUAT.js:
+ * `{ network, timestamp, contracts: { HiloPredictionMarket: "0x..", ... } }`.
+ * @param {string} [manifestPath] Defaults to scripts/build/deployment.json
+ * @returns {{network: string, timestamp: string, contracts: Object<string, string>}}
+ */
+function loadManifest(manifestPath = DEFAULT_MANIFEST_PATH) {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Deployment manifest not found at ${manifestPath}`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (!manifest.contracts || !manifest.contracts.HiloPredictionMarket) {
+    throw new Error(`Deployment manifest ${manifestPath} has no HiloPredictionMarket address`);
+  }
+  return manifest;
+}
+
+module.exports = {
+  CONTRACT_SOURCES,
+  ERC20_ABI,
+  DEFAULT_MANIFEST_PATH,
+  loadAbi,
+  loadAbis,
+  loadManifest
+};
@@ -0,0 +1,255 @@
+// Decoders turning contract tuples into named plain objects.
+// Token amounts and odds stay bigint; timestamps and indexes become numbers.
+
+const BET_STATUSES = ["Active", "CashedOut", "SettledWon", "SettledLost", "Refunded"];
+
+/**
+ * @typedef {Object} Bet
+ * @property {bigint} id
+ * @property {string} user
+ * @property {bigint} groupId
+ * @property {number} optionIndex
+ * @property {bigint} amount
+ * @property {bigint} potentialPayout
+ * @property {bigint} lockedOdds Scaled by PRECISION (10000)
+ * @property {number} timestamp
+ * @property {number} status
+ * @property {string} statusName One of BET_STATUSES
+ */
+
+/** @returns {Bet} */
+function decodeBet(bet) {
+  const status = Number(bet.status);
+  return {
+    id: bet.id,
+    user: bet.user,
+    groupId: bet.groupId,
+    optionIndex: Number(bet.optionIndex),
+    amount: bet.amount,
+    potentialPayout: bet.potentialPayout,
+    lockedOdds: bet.lockedOdds,
+    timestamp: Number(bet.timestamp),
+    status,
+    statusName: BET_STATUSES[status]
+  };
+}
+
+/**
+ * @typedef {Object} OptionGroup
+ * @property {bigint} poolId
+ * @property {boolean} initialized
+ * @property {boolean} settled
+ * @property {boolean} canceled
+ * @property {number} winningOptionIndex
+ * @property {number} settleTimeframe
+ * @property {bigint} totalLiquidity
+ * @property {bigint} totalFees
+ * @property {bigint} totalShares Liquidity provider shares outstanding
+ * @property {bigint} feesPerShare Accumulated fees per share, scaled by 1e18
+ * @property {string} token Collateral token of the group's liquidity, bets and payouts
+ * @property {bigint} balance Tokens the market holds for the group
+ */
+
+/** @returns {OptionGroup} */
+function decodeOptionGroup(group) {
+  return {
+    poolId: group.poolId,
+    initialized: group.initialized,
+    settled: group.settled,
+    canceled: group.canceled,
+    winningOptionIndex: Number(group.winningOptionIndex),
+    settleTimeframe: Number(group.settleTimeframe),
+    totalLiquidity: group.totalLiquidity,
+    totalFees: group.totalFees,
+    totalShares: group.totalShares,
+    feesPerShare: group.feesPerShare,
+    token: group.token,
+    balance: group.balance
+  };
+}
+
+/**
+ * @typedef {Object} OptionGroupSummary
+ * @property {bigint} groupId
+ * @property {bigint} poolId
+ * @property {boolean} settled
+ * @property {boolean} canceled
+ * @property {number} winningOptionIndex
+ * @property {number} settleTimeframe
+ * @property {bigint} totalLiquidity
+ * @property {string} token Collateral token
+ * @property {number} betCount Bets recorded in the group, including exit slices
+ * @property {bigint[]} odds Per option, scaled by PRECISION (10000)
+ */
+
+/** @returns {OptionGroupSummary} */
+function decodeOptionGroupSummary(summary) {
+  return {
+    groupId: summary.groupId,
+    poolId: summary.poolId,
+    settled: summary.settled,
+    canceled: summary.canceled,
+    winningOptionIndex: Number(summary.winningOptionIndex),
+    settleTimeframe: Number(summary.settleTimeframe),
+    totalLiquidity: summary.totalLiquidity,
+    token: summary.token,
+    betCount: Number(summary.betCount),
+    odds: [...summary.odds]
+  };
+}
+
+/**
+ * @typedef {Object} LiquidityPosition
+ * @property {bigint} shares
+ * @property {bigint} totalShares
+ * @property {bigint} liquidityValue Share of the group's remaining liquidity
+ * @property {bigint} accruedFees Trading fees earned since the shares were minted
+ */
+
+/** @returns {LiquidityPosition} */
+function decodeLiquidityPosition(position) {
+  return {
+    shares: position.shares,
+    totalShares: position.totalShares,
+    liquidityValue: position.liquidityValue,
+    accruedFees: position.accruedFees
+  };
+}
+
+/**
+ * @typedef {Object} PoolStatus
+ * @property {boolean} processed
+ * @property {number} processedTime
+ * @property {boolean} finalApproval
+ * @property {boolean} disputeRound
+ * @property {number} winningOptionIndex
+ */
+
+/** @returns {PoolStatus} */
+function decodePoolStatus(status) {
+  return {
+    processed: status.processed,
+    processedTime: Number(status.processedTime),
+    finalApproval: status.finalApproval,
+    disputeRound: status.disputeRound,
+    winningOptionIndex: Number(status.winningOptionIndex)
+  };
+}
+
+/**
+ * @typedef {Object} PoolTimelines
+ * @property {number} evaluationStart
+ * @property {number} evaluationEnd
+ * @property {number} optionVotingStart
+ * @property {number} optionVotingEnd
+ * @property {number} disputeEnd
+ */
+
+/** @returns {PoolTimelines} */
+function decodePoolTimelines(timelines) {
+  return {
+    evaluationStart: Number(timelines.evaluationStart),
+    evaluationEnd: Number(timelines.evaluationEnd),
+    optionVotingStart: Number(timelines.optionVotingStart),
+    optionVotingEnd: Number(timelines.optionVotingEnd),
+    disputeEnd: Number(timelines.disputeEnd)
+  };
+}
+
+/**
+ * @typedef {Object} PoolBasics
+ * @property {string} creator
+ * @property {string} title
+ * @property {number} startTimeframe
+ * @property {number} evaluationEnd
+ * @property {number} disputeEnd
+ */
+
+/** @returns {PoolBasics} */
+function decodePoolBasics(basics) {
+  return {
+    creator: basics.creator,
+    title: basics.title,
+    startTimeframe: Number(basics.startTimeframe),
+    evaluationEnd: Number(basics.evaluationEnd),
+    disputeEnd: Number(basics.disputeEnd)
+  };
+}
+
+/**
+ * @typedef {Object} FeeBreakdown
+ * @property {bigint} lpFees Fees credited to liquidity providers' shares
+ * @property {bigint} protocolFees Protocol treasury's cut accrued so far
+ * @property {bigint} creatorFees Pool creator's cut accrued so far
+ * @property {bigint} protocolCollected Part of protocolFees already sent to the treasury
+ * @property {bigint} creatorCollected Part of creatorFees already sent to the pool creator
+ * @property {bigint} protocolPending Protocol fees waiting for collectProtocolFees
+ * @property {bigint} creatorPending Creator fees waiting for collectProtocolFees
+ */
+
+/** @returns {FeeBreakdown} */
+function decodeFeeBreakdown(fees) {
+  return {
+    lpFees: fees.lpFees,
+    protocolFees: fees.protocolFees,
+    creatorFees: fees.creatorFees,
+    protocolCollected: fees.protocolCollected,
+    creatorCollected: fees.creatorCollected,
+    protocolPending: fees.protocolFees - fees.protocolCollected,
+    creatorPending: fees.creatorFees - fees.creatorCollected
+  };
+}
+
+/**
+ * @typedef {Object} GroupLiabilities
+ * @property {bigint} assets Tokens the market holds for the group
+ * @property {bigint[]} payouts Potential payouts of the active bets on each option, owed if it wins
+ * @property {bigint} refunds Stakes of the active bets, owed if the group is canceled
+ * @property {bigint} pendingFees Protocol and pool creator fees not collected yet
+ * @property {bigint} worstCase The most the group can still owe, including pendingFees
+ * @property {boolean} solvent Whether assets cover worstCase
+ * @property {bigint} surplus assets - worstCase, what liquidity providers stand to redeem (negative if insolvent)
+ */
+
+/** @returns {GroupLiabilities} */
+function decodeGroupLiabilities(liabilities) {
+  return {
+    assets: liabilities.assets,
+    payouts: [...liabilities.payouts],
+    refunds: liabilities.refunds,
+    pendingFees: liabilities.pendingFees,
+    worstCase: liabilities.worstCase,
+    solvent: liabilities.solvent,
+    surplus: liabilities.assets - liabilities.worstCase
+  };
+}
+
+/**
+ * @typedef {Object} RiskLimits
+ * @property {bigint} maxBetShare Largest bet in basis points of the group's remaining liquidity (0 = no limit)
+ * @property {bigint} maxOutcomeLiability Cap on the potential payouts of the active bets on one option (0 = no limit)
+ * @property {bigint} maxWalletStake Cap on the amounts of one wallet's active bets in the group (0 = no limit)
+ */
+
+/** @returns {RiskLimits} */
+function decodeRiskLimits(limits) {
+  return {
+    maxBetShare: limits.maxBetShare,
+    maxOutcomeLiability: limits.maxOutcomeLiability,
+    maxWalletStake: limits.maxWalletStake
+  };
+}
+
+module.exports = {
+  BET_STATUSES,
+  decodeBet,
+  decodeOptionGroup,
+  decodeOptionGroupSummary,
+  decodeLiquidityPosition,
+  decodePoolStatus,
+  decodePoolTimelines,
+  decodePoolBasics,
+  decodeFeeBreakdown,
+  decodeGroupLiabilities,
+  decodeRiskLimits
+};
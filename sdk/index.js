@@ -0,0 +1,640 @@
+const { ethers } = require("ethers");
+const { loadAbis, loadManifest } = require("./abis");
+const decode = require("./decode");
+const pricing = require("./pricing");
+const phase = require("./phase");
+const portfolio = require("./portfolio");
+
+const DEFAULT_SLIPPAGE_BPS = 50; // 0.5%
+const DEFAULT_DEADLINE_SECONDS = 300; // 5 minutes
+const DEFAULT_PAGE_SIZE = 50; // Option groups per getOptionGroups call
+
+// Accept bigint base-unit amounts or human-readable token amounts ("12.5", 12.5) in a token of `decimals`
+function toAmount(amount, decimals = 18) {
+  if (typeof amount === "bigint") return amount;
+  return ethers.parseUnits(String(amount), decimals);
+}
+
+// Return the first log in a receipt emitted by `contract` with the given event name
+function findEvent(receipt, contract, eventName) {
+  const address = contract.target.toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === eventName) return parsed;
+  }
+  throw new Error(`${eventName} event not found in transaction ${receipt.hash}`);
+}
+
+/**
+ * Thin client over the Hilo contracts (HiloStaking, HiloBonding, HiloPredictionMarket, BetLedger)
+ * returning named objects instead of positional tuples.
+ */
+class HiloSDK {
+  /**
+   * @param {Object} params
+   * @param {ethers.ContractRunner} params.runner Signer for transactions, or provider for read-only use
+   * @param {Object<string, string>} params.addresses HiloStaking, HiloBonding, HiloPredictionMarket, BetLedger, BettingToken
+   * @param {Object<string, Array>} params.abis ABIs keyed by the same names (see loadAbis)
+   */
+  constructor({ runner, addresses, abis }) {
+    this.runner = runner;
+    this.addresses = addresses;
+    this.staking = new ethers.Contract(addresses.HiloStaking, abis.HiloStaking, runner);
+    this.bonding = new ethers.Contract(addresses.HiloBonding, abis.HiloBonding, runner);
+    this.market = new ethers.Contract(addresses.HiloPredictionMarket, abis.HiloPredictionMarket, runner);
+    this.betLedger = new ethers.Contract(addresses.BetLedger, abis.BetLedger, runner);
+    this.token = new ethers.Contract(addresses.BettingToken, abis.BettingToken, runner);
+    this.erc20Abi = abis.BettingToken;
+    this.tokens = new Map(); // Lower-case address => {address, symbol, decimals}
+  }
+
+  /**
+   * Create an SDK from a deployment manifest. Only the HiloPredictionMarket address is required;
+   * addresses missing from the manifest are read from the market contract.
+   * @param {ethers.ContractRunner} runner
+   * @param {Object} [options]
+   * @param {string} [options.manifestPath] Defaults to scripts/build/deployment.json
+   * @param {string} [options.abiDir] Directory of `<Name>.json` ABIs; defaults to Hardhat artifacts
+   * @returns {Promise<HiloSDK>}
+   */
+  static async fromManifest(runner, options = {}) {
+    const manifest = loadManifest(options.manifestPath);
+    const abis = loadAbis(options.abiDir);
+    const contracts = manifest.contracts;
+    const market = new ethers.Contract(contracts.HiloPredictionMarket, abis.HiloPredictionMarket, runner);
+
+    const addresses = {
+      HiloPredictionMarket: contracts.HiloPredictionMarket,
+      HiloStaking: contracts.HiloStaking || await market.stakingContract(),
+      HiloBonding: contracts.HiloBonding || await market.bondingContract(),
+      BetLedger: contracts.BetLedger || await market.betLedgerContract(),
+      BettingToken: contracts.BettingToken || contracts.MockERC20 || await market.bettingToken()
+    };
+    return new HiloSDK({ runner, addresses, abis });
+  }
+
+  async _signerAddress() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new Error("A signer is required for transactions");
+    }
+    return this.runner.getAddress();
+  }
+
+  // Default transaction deadline, relative to the latest block so it also works on local chains
+  async _defaultDeadline() {
+    const block = await this.runner.provider.getBlock("latest");
+    return BigInt(block.timestamp + DEFAULT_DEADLINE_SECONDS);
+  }
+
+  /**
+   * Symbol and decimals of a collateral token, read once per address.
+   * @param {string} address
+   * @returns {Promise<{address: string, symbol: string, decimals: number}>}
+   */
+  async getToken(address) {
+    const key = address.toLowerCase();
+    if (!this.tokens.has(key)) {
+      const token = new ethers.Contract(address, this.erc20Abi, this.runner);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      this.tokens.set(key, { address, symbol, decimals: Number(decimals) });
+    }
+    return this.tokens.get(key);
+  }
+
+  /**
+   * The collateral token of an option group, with its symbol and decimals.
+   * @param {bigint|number} groupId
+   * @returns {Promise<{address: string, symbol: string, decimals: number}>}
+   */
+  async getGroupToken(groupId) {
+    const group = await this.market.optionGroups(groupId);
+    if (!group.initialized) {
+      throw new Error(`Option group ${groupId} does not exist`);
+    }
+    return this.getToken(group.token);
+  }
+
+  async _getMarketState(groupId) {
+    const [initialLiquidity, currentLiquidity, totalBets] = await Promise.all([
+      this.market.getInitialLiquidity(groupId),
+      this.market.getCurrentLiquidity(groupId),
+      this.market.getTotalBetsPerOption(groupId)
+    ]);
+    return {
+      initialLiquidity: [...initialLiquidity],
+      currentLiquidity: [...currentLiquidity],
+      totalBets: [...totalBets]
+    };
+  }
+
+  /**
+   * Everything needed to display a market: option group state, collateral token, pool info and per-option figures.
+   * @param {bigint|number} groupId Option group ID
+   */
+  async getMarket(groupId) {
+    const group = decode.decodeOptionGroup(await this.market.optionGroups(groupId));
+    if (!group.initialized) {
+      throw new Error(`Option group ${groupId} does not exist`);
+    }
+
+    const [collateral, names, odds, state, basics, status, timelines, poolPhase] = await Promise.all([
+      this.getToken(group.token),
+      this.market.getOptionNames(groupId),
+      this.market.getAllOdds(groupId),
+      this._getMarketState(groupId),
+      this.bonding.getPoolBasics(group.poolId),
+      this.bonding.getPoolStatus(group.poolId),
+      this.bonding.getPoolTimelines(group.poolId),
+      this.bonding.getPoolPhase(group.poolId)
+    ]);
+
+    const pool = decode.decodePoolBasics(basics);
+    return {
+      id: BigInt(groupId),
+      ...group,
+      collateral,
+      title: pool.title,
+      creator: pool.creator,
+      startTimeframe: pool.startTimeframe,
+      options: names.map((name, index) => ({
+        index,
+        name,
+        odds: odds[index],
+        initialLiquidity: state.initialLiquidity[index],
+        currentLiquidity: state.currentLiquidity[index],
+        totalBets: state.totalBets[index]
+      })),
+      status: decode.decodePoolStatus(status),
+      timelines: decode.decodePoolTimelines(timelines),
+      phase: phase.decodePoolPhase(poolPhase)
+    };
+  }
+
+  /**
+   * Lifecycle phase of a pool from HiloBonding.getPoolPhase.
+   * @param {bigint|number} poolId
+   * @returns {Promise<import("./phase").PoolPhase>}
+   */
+  async getPoolPhase(poolId) {
+    return phase.decodePoolPhase(await this.bonding.getPoolPhase(poolId));
+  }
+
+  /**
+   * @param {bigint|number} betId
+   * @returns {Promise<import("./decode").Bet>}
+   */
+  async getBet(betId) {
+    return decode.decodeBet(await this.betLedger.getBetDetails(betId));
+  }
+
+  /**
+   * Several bets in one call (BetLedger.getBetDetailsBatch). Rejects if any ID does not exist.
+   * @param {Array<bigint|number>} betIds
+   * @returns {Promise<import("./decode").Bet[]>}
+   */
+  async getBets(betIds) {
+    if (betIds.length === 0) return [];
+    const bets = await this.betLedger.getBetDetailsBatch([...betIds]);
+    return bets.map((bet) => decode.decodeBet(bet));
+  }
+
+  /**
+   * One page of the market's option groups in creation order, with state, odds and bet count.
+   * @param {Object} [options]
+   * @param {number} [options.offset=0]
+   * @param {number} [options.limit=DEFAULT_PAGE_SIZE]
+   * @returns {Promise<{total: number, groups: import("./decode").OptionGroupSummary[]}>}
+   */
+  async getOptionGroups({ offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const [summaries, total] = await this.betLedger.getOptionGroupSummaries(offset, limit);
+    return { total: Number(total), groups: summaries.map((summary) => decode.decodeOptionGroupSummary(summary)) };
+  }
+
+  /**
+   * A user's active bets in an option group, each with its current cashout value after fees.
+   * @param {string} user
+   * @param {bigint|number} groupId
+   */
+  async getPositions(user, groupId) {
+    const [betIds, cashouts] = await Promise.all([
+      this.betLedger.getUserActiveBetIds(user, groupId),
+      this.betLedger.getActiveBetsWithCashout(user, groupId)
+    ]);
+    const cashoutById = new Map(cashouts.map((info) => [info.betId, info.cashoutValue]));
+
+    const bets = await Promise.all(betIds.map((betId) => this.getBet(betId)));
+    return bets.map((bet) => ({ ...bet, cashoutValue: cashoutById.get(bet.id) ?? 0n }));
+  }
+
+  /**
+   * Every bet of a user across option groups (BetLedger.getUserBetIds) with its status, locked odds,
+   * current cashout value and P&L. Realized P&L of early exits comes from EarlyExit logs, so
+   * `fromBlock` must not be after the user's first exit or those bets report a null payout.
+   * @param {string} user
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock=0] First block searched for EarlyExit and WinningsClaimed logs
+   * @returns {Promise<{user: string, tokens: Object<string, {address: string, symbol: string, decimals: number}>,
+   *   bets: import("./portfolio").PortfolioBet[], totals: import("./portfolio").PortfolioTotals,
+   *   totalsByToken: Object<string, import("./portfolio").PortfolioTotals>}>}
+   */
+  async getPortfolio(user, { fromBlock = 0 } = {}) {
+    const [betIds, exitLogs, claimLogs] = await Promise.all([
+      this.betLedger.getUserBetIds(user),
+      this.market.queryFilter(this.market.filters.EarlyExit(null, user), fromBlock),
+      this.market.queryFilter(this.market.filters.WinningsClaimed(null, user), fromBlock)
+    ]);
+    const bets = await this.getBets(betIds);
+
+    const groupIds = [...new Set(bets.map((bet) => bet.groupId))];
+    const groups = new Map(await Promise.all(groupIds.map(async (groupId) =>
+      [groupId, decode.decodeOptionGroup(await this.market.optionGroups(groupId))]
+    )));
+
+    // One cashout call per group still open for exits, instead of one per bet
+    const cashoutValues = new Map();
+    const openGroups = groupIds.filter((groupId) => !groups.get(groupId).settled && !groups.get(groupId).canceled);
+    const cashouts = await Promise.all(
+      openGroups.map((groupId) => this.betLedger.getActiveBetsWithCashout(user, groupId))
+    );
+    for (const info of cashouts.flat()) cashoutValues.set(info.betId, info.cashoutValue);
+
+    const exitAmounts = new Map(exitLogs.map((log) => [log.args.betId, log.args.exitAmount]));
+    const claims = new Map();
+    for (const log of claimLogs) {
+      claims.set(log.args.optionGroupId, (claims.get(log.args.optionGroupId) ?? 0n) + log.args.amount);
+    }
+
+    // Symbol and decimals of each collateral token, keyed like totalsByToken
+    const tokenAddresses = [...new Set([...groups.values()].map((group) => group.token))];
+    const tokens = Object.fromEntries(await Promise.all(
+      tokenAddresses.map(async (address) => [address, await this.getToken(address)])
+    ));
+
+    return { user, tokens, ...portfolio.buildPortfolio({ bets, groups, exitAmounts, claims, cashoutValues }) };
+  }
+
+  /**
+   * A liquidity provider's shares in an option group and what they are currently worth.
+   * @param {string} provider
+   * @param {bigint|number} groupId
+   * @returns {Promise<import("./decode").LiquidityPosition>}
+   */
+  async getLiquidityPosition(provider, groupId) {
+    return decode.decodeLiquidityPosition(await this.market.getLiquidityPosition(groupId, provider));
+  }
+
+  /**
+   * How an option group's fees were split between liquidity providers, the protocol treasury and
+   * the pool creator, and how much of the latter two is still waiting to be collected.
+   * @param {bigint|number} groupId
+   * @returns {Promise<import("./decode").FeeBreakdown & {totalFees: bigint, token: Object}>}
+   */
+  async getFeeBreakdown(groupId) {
+    const group = await this.market.optionGroups(groupId);
+    if (!group.initialized) {
+      throw new Error(`Option group ${groupId} does not exist`);
+    }
+    const [fees, token] = await Promise.all([
+      this.market.getFeeBreakdown(groupId),
+      this.getToken(group.token)
+    ]);
+    return { totalFees: group.totalFees, ...decode.decodeFeeBreakdown(fees), token };
+  }
+
+  /**
+   * What an option group owes in the worst case against the tokens the market holds for it
+   * (BetLedger.getGroupLiabilities).
+   * @param {bigint|number} groupId
+   * @returns {Promise<import("./decode").GroupLiabilities>}
+   */
+  async getGroupLiabilities(groupId) {
+    return decode.decodeGroupLiabilities(await this.betLedger.getGroupLiabilities(groupId));
+  }
+
+  /**
+   * The risk limits new bets in an option group must stay within (BetLedger.riskLimits).
+   * @param {bigint|number} groupId
+   * @returns {Promise<import("./decode").RiskLimits>}
+   */
+  async getRiskLimits(groupId) {
+    return decode.decodeRiskLimits(await this.betLedger.riskLimits(groupId));
+  }
+
+  /**
+   * The largest amount `user` can bet on an option right now under the group's risk limits.
+   * @param {Object} params
+   * @param {bigint|number} params.groupId
+   * @param {number} params.option Option index
+   * @param {string} [params.user] Defaults to the signer
+   * @returns {Promise<bigint|null>} Base units of the group's token, or null if the group has no limits
+   */
+  async getMaxBet({ groupId, option, user }) {
+    const maxAmount = await this.betLedger.getMaxBet(groupId, option, user ?? await this._signerAddress());
+    return maxAmount === ethers.MaxUint256 ? null : maxAmount;
+  }
+
+  /**
+   * Quote a bet against the current on-chain state with the same math placeBet executes.
+   * @param {Object} params
+   * @param {bigint|number} params.groupId
+   * @param {number} params.option Option index
+   * @param {bigint|string|number} params.amount Base units, or a decimal amount of the group's token
+   * @returns {Promise<import("./pricing").BetQuote>}
+   */
+  async quoteBet({ groupId, option, amount }) {
+    const [state, platformFee, value] = await Promise.all([
+      this._getMarketState(groupId),
+      this.market.platformFee(),
+      this._groupAmount(groupId, amount)
+    ]);
+    return pricing.quoteBet(state, Number(option), value, platformFee);
+  }
+
+  /**
+   * Quote an early exit with the market's previewEarlyExit view, i.e. the amount earlyExit would pay now.
+   * @param {bigint|number} betId
+   * @returns {Promise<{newLiquidity: bigint[], fee: bigint, exitAmount: bigint}>}
+   */
+  async quoteEarlyExit(betId) {
+    const [newLiquidity, fee, exitAmount] = await this.market.previewEarlyExit(betId);
+    return { newLiquidity: [...newLiquidity], fee, exitAmount };
+  }
+
+  /**
+   * Quote a partial early exit with the market's previewPartialEarlyExit view.
+   * @param {bigint|number} betId
+   * @param {number} fractionBps Part of the bet to exit in basis points, e.g. 4000 for 40%
+   * @returns {Promise<{newLiquidity: bigint[], fee: bigint, exitAmount: bigint}>}
+   */
+  async quotePartialEarlyExit(betId, fractionBps) {
+    const [newLiquidity, fee, exitAmount] = await this.market.previewPartialEarlyExit(betId, fractionBps);
+    return { newLiquidity: [...newLiquidity], fee, exitAmount };
+  }
+
+  /**
+   * Place a bet, approving the group's collateral token first if the allowance is too low.
+   * The transaction reverts if the locked odds fall more than `slippageBps` below the quote,
+   * or if it is mined after `deadline`.
+   * @param {Object} params
+   * @param {bigint|number} params.groupId
+   * @param {number} params.option Option index
+   * @param {bigint|string|number} params.amount Base units, or a decimal amount of the group's token
+   * @param {number} [params.slippageBps=50]
+   * @param {bigint|number} [params.deadline] Unix timestamp; defaults to 5 minutes after the latest block
+   * @returns {Promise<{betId: bigint, quote: import("./pricing").BetQuote, minOdds: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async placeBet({ groupId, option, amount, slippageBps = DEFAULT_SLIPPAGE_BPS, deadline }) {
+    const token = await this.getGroupToken(groupId);
+    const value = toAmount(amount, token.decimals);
+    const quote = await this.quoteBet({ groupId, option, amount: value });
+    const minOdds = pricing.applySlippage(quote.lockedOdds, slippageBps);
+
+    await this._ensureAllowance(value, token.address);
+    const tx = await this.market["placeBet(uint256,uint256,uint256,uint256,uint256)"](
+      groupId, option, value, minOdds, deadline ?? await this._defaultDeadline()
+    );
+    const receipt = await tx.wait();
+    const recorded = findEvent(receipt, this.betLedger, "BetRecorded");
+
+    return { betId: recorded.args.betId, quote, minOdds, receipt };
+  }
+
+  /**
+   * Cash out an active bet. The transaction reverts if it would pay more than `slippageBps` less
+   * than the current quote, or if it is mined after `deadline`.
+   * @param {bigint|number} betId
+   * @param {Object} [options]
+   * @param {number} [options.slippageBps=50]
+   * @param {bigint|number} [options.deadline] Unix timestamp; defaults to 5 minutes after the latest block
+   * @returns {Promise<{exitAmount: bigint, minExitAmount: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async earlyExit(betId, { slippageBps = DEFAULT_SLIPPAGE_BPS, deadline } = {}) {
+    const quote = await this.quoteEarlyExit(betId);
+    const minExitAmount = pricing.applySlippage(quote.exitAmount, slippageBps);
+
+    const tx = await this.market["earlyExit(uint256,uint256,uint256)"](
+      betId, minExitAmount, deadline ?? await this._defaultDeadline()
+    );
+    const receipt = await tx.wait();
+    const exit = findEvent(receipt, this.market, "EarlyExit");
+    return { exitAmount: exit.args.exitAmount, minExitAmount, receipt };
+  }
+
+  /**
+   * Cash out part of an active bet. The bet keeps the remaining amount and potential payout; the
+   * cashed-out slice is recorded in the BetLedger under `sliceBetId`.
+   * @param {bigint|number} betId
+   * @param {number} fractionBps Part of the bet to exit in basis points, e.g. 4000 for 40%
+   * @param {Object} [options]
+   * @param {number} [options.slippageBps=50]
+   * @param {bigint|number} [options.deadline] Unix timestamp; defaults to 5 minutes after the latest block
+   * @returns {Promise<{exitAmount: bigint, minExitAmount: bigint, sliceBetId: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async partialEarlyExit(betId, fractionBps, { slippageBps = DEFAULT_SLIPPAGE_BPS, deadline } = {}) {
+    const quote = await this.quotePartialEarlyExit(betId, fractionBps);
+    const minExitAmount = pricing.applySlippage(quote.exitAmount, slippageBps);
+
+    const tx = await this.market.partialEarlyExit(
+      betId, fractionBps, minExitAmount, deadline ?? await this._defaultDeadline()
+    );
+    const receipt = await tx.wait();
+    const exit = findEvent(receipt, this.market, "EarlyExit");
+    return { exitAmount: exit.args.exitAmount, minExitAmount, sliceBetId: exit.args.betId, receipt };
+  }
+
+  /**
+   * Transfer a bet's ERC-721 receipt, and with it the right to exit or claim the bet.
+   * @param {bigint|number} betId
+   * @param {string} to Address of the new owner; contracts must implement onERC721Received
+   * @returns {Promise<{receipt: ethers.TransactionReceipt}>}
+   */
+  async transferBet(betId, to) {
+    const from = await this._signerAddress();
+    const tx = await this.betLedger["safeTransferFrom(address,address,uint256)"](from, to, betId);
+    return { receipt: await tx.wait() };
+  }
+
+  /**
+   * Settle an option group with the winning option HiloBonding reports for its pool.
+   * @param {bigint|number} groupId
+   * @returns {Promise<{winningOptionIndex: number, receipt: ethers.TransactionReceipt}>}
+   */
+  async settle(groupId) {
+    const group = decode.decodeOptionGroup(await this.market.optionGroups(groupId));
+    if (!group.initialized) {
+      throw new Error(`Option group ${groupId} does not exist`);
+    }
+    const status = decode.decodePoolStatus(await this.bonding.getPoolStatus(group.poolId));
+    if (!status.processed) {
+      throw new Error(`Pool ${group.poolId} has no voting result yet`);
+    }
+    const tx = await this.market.settleOptionGroup(groupId, status.winningOptionIndex);
+    return { winningOptionIndex: status.winningOptionIndex, receipt: await tx.wait() };
+  }
+
+  /**
+   * Claim the signer's winnings in a settled option group.
+   * @param {bigint|number} groupId
+   * @returns {Promise<{amount: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async claim(groupId) {
+    const tx = await this.market.claimWinnings(groupId);
+    const receipt = await tx.wait();
+    const claimed = findEvent(receipt, this.market, "WinningsClaimed");
+    return { amount: claimed.args.amount, receipt };
+  }
+
+  /**
+   * Create a pool in HiloBonding together with its option group. The signer must hold the pool
+   * creator role.
+   * @param {Object} params
+   * @param {bigint|number} params.poolId
+   * @param {bigint|number} [params.groupId] Defaults to the pool ID
+   * @param {string} params.title
+   * @param {bigint|number} params.startTime Unix timestamp betting opens at
+   * @param {bigint|number} params.settleTime Unix timestamp betting closes and the pool can settle at
+   * @param {string[]} params.options Option names, at least two
+   * @param {string} [params.data]
+   * @param {string} [params.token] Collateral token, one the market owner allowed; defaults to the market's bettingToken
+   * @returns {Promise<{poolId: bigint, groupId: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async createPool({ poolId, groupId = poolId, title, startTime, settleTime, options, data = "", token }) {
+    const tx = token === undefined
+      ? await this.market["createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[])"](
+        poolId, groupId, title, startTime, settleTime, data, options
+      )
+      : await this.market["createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[],address)"](
+        poolId, groupId, title, startTime, settleTime, data, options, token
+      );
+    const receipt = await tx.wait();
+    const created = findEvent(receipt, this.market, "PoolAndOptionGroupCreated");
+    return { poolId: created.args.poolId, groupId: created.args.optionGroupId, receipt };
+  }
+
+  /**
+   * Add liquidity to an option group, approving the group's collateral token first if needed.
+   * @param {bigint|number} groupId
+   * @param {bigint|string|number} amount Base units, or a decimal amount of the group's token
+   * @returns {Promise<{shares: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async addLiquidity(groupId, amount) {
+    const token = await this.getGroupToken(groupId);
+    const value = toAmount(amount, token.decimals);
+    await this._ensureAllowance(value, token.address);
+    const tx = await this.market.addLiquidity(groupId, value);
+    const receipt = await tx.wait();
+    const minted = findEvent(receipt, this.market, "LiquiditySharesMinted");
+    return { shares: minted.args.shares, receipt };
+  }
+
+  /**
+   * Redeem all of the signer's liquidity shares in an option group, with their accrued fees.
+   * @param {bigint|number} groupId
+   * @returns {Promise<{amount: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async removeLiquidity(groupId) {
+    const tx = await this.market.removeLiquidity(groupId);
+    const receipt = await tx.wait();
+    const removed = findEvent(receipt, this.market, "LiquidityRemoved");
+    return { amount: removed.args.amount, receipt };
+  }
+
+  /**
+   * Send an option group's uncollected protocol and creator fees to the treasury and the pool creator.
+   * Anyone can call this; the fees always go to the configured recipients.
+   * @param {bigint|number} groupId
+   * @returns {Promise<{protocolAmount: bigint, creatorAmount: bigint, creator: string|null, receipt: ethers.TransactionReceipt}>}
+   */
+  async collectProtocolFees(groupId) {
+    const tx = await this.market.collectProtocolFees(groupId);
+    const receipt = await tx.wait();
+    const result = { protocolAmount: 0n, creatorAmount: 0n, creator: null, receipt };
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.market.target.toLowerCase()) continue;
+      const parsed = this.market.interface.parseLog(log);
+      if (parsed && parsed.name === "FeesCollected") {
+        result.protocolAmount = parsed.args.amount;
+      } else if (parsed && parsed.name === "CreatorFeesCollected") {
+        result.creatorAmount = parsed.args.amount;
+        result.creator = parsed.args.creator;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Cast the signer's evaluation vote on a pool. The signer must be a validator.
+   * @param {bigint|number} poolId
+   * @param {boolean} approve
+   * @returns {Promise<{approveVotes: bigint, rejectVotes: bigint, receipt: ethers.TransactionReceipt}>} Tallies after this vote
+   */
+  async voteEvaluation(poolId, approve) {
+    const tx = await this.bonding.voteEvaluation(poolId, approve);
+    const receipt = await tx.wait();
+    const cast = findEvent(receipt, this.bonding, "EvaluationVoteCast");
+    return { approveVotes: cast.args.approveVotes, rejectVotes: cast.args.rejectVotes, receipt };
+  }
+
+  /**
+   * Vote for the winning option of a pool during its option voting window.
+   * @param {bigint|number} poolId
+   * @param {number} option Option index
+   * @returns {Promise<{voteCount: bigint, receipt: ethers.TransactionReceipt}>} Votes for the option after this one
+   */
+  async voteOption(poolId, option) {
+    const tx = await this.bonding.voteOption(poolId, option);
+    const receipt = await tx.wait();
+    const cast = findEvent(receipt, this.bonding, "OptionVoteCast");
+    return { voteCount: cast.args.currentVoteCount, receipt };
+  }
+
+  /**
+   * Cast a dispute vote, either on the evaluation result or on the winning option.
+   * @param {bigint|number} poolId
+   * @param {Object} vote
+   * @param {boolean} [vote.approve] Evaluation dispute: whether the pool should be approved
+   * @param {number} [vote.option] Option dispute: the option that should win
+   * @returns {Promise<{voteCount: bigint, receipt: ethers.TransactionReceipt}>}
+   */
+  async voteDispute(poolId, { approve, option }) {
+    const isEvaluationDispute = option === undefined;
+    if (isEvaluationDispute && typeof approve !== "boolean") {
+      throw new Error("A dispute vote needs either approve or option");
+    }
+    const value = isEvaluationDispute ? (approve ? 1 : 2) : option;
+    const tx = await this.bonding.voteDispute(poolId, isEvaluationDispute, value);
+    const receipt = await tx.wait();
+    const cast = findEvent(receipt, this.bonding, "DisputeVoteCast");
+    return { voteCount: cast.args.currentVoteCount, receipt };
+  }
+
+  // Base units of `amount` in the group's token; bigint amounts are taken as they are
+  async _groupAmount(groupId, amount) {
+    if (typeof amount === "bigint") return amount;
+    return toAmount(amount, (await this.getGroupToken(groupId)).decimals);
+  }
+
+  async _ensureAllowance(amount, tokenAddress = this.addresses.BettingToken) {
+    const owner = await this._signerAddress();
+    const token = new ethers.Contract(tokenAddress, this.erc20Abi, this.runner);
+    const allowance = await token.allowance(owner, this.addresses.HiloPredictionMarket);
+    if (allowance < amount) {
+      const tx = await token.approve(this.addresses.HiloPredictionMarket, amount);
+      await tx.wait();
+    }
+  }
+}
+
+module.exports = {
+  HiloSDK,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_DEADLINE_SECONDS,
+  DEFAULT_PAGE_SIZE,
+  toAmount,
+  ...decode,
+  ...pricing,
+  ...phase,
+  ...portfolio,
+  ...require("./abis")
+};
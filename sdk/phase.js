@@ -0,0 +1,58 @@
+// Pool lifecycle phases, mirroring HiloBonding.getPoolPhase.
+// The on-chain view is the reference; resolvePoolPhase applies the same rules to data already at
+// hand (an indexer, a cached timeline) without another call.
+
+// HiloBonding.PoolPhase, in enum order
+const POOL_PHASES = [
+  "Evaluation",
+  "Rejected",
+  "AwaitingOptionVoting",
+  "OptionVoting",
+  "Dispute",
+  "AwaitingProcessing",
+  "Processed"
+];
+
+/**
+ * @typedef {Object} PoolPhase
+ * @property {number} phase Index into POOL_PHASES
+ * @property {string} phaseName
+ * @property {number} nextTransition First timestamp of the next phase, 0 when none is time-based
+ */
+
+/** @returns {PoolPhase} */
+function decodePoolPhase([phase, nextTransition]) {
+  return {
+    phase: Number(phase),
+    phaseName: POOL_PHASES[Number(phase)],
+    nextTransition: Number(nextTransition)
+  };
+}
+
+/**
+ * Resolve the phase of a pool the way getPoolPhase does.
+ * @param {Object} pool
+ * @param {import("./decode").PoolTimelines} pool.timelines
+ * @param {boolean} pool.evaluationComplete As reported by getPoolEvaluationStatus; a clear result can end the evaluation early
+ * @param {boolean} pool.evaluationApproved As reported by getPoolEvaluationStatus; a rejected pool skips option voting
+ * @param {boolean} pool.processed Whether processPool has recorded the result (PoolProcessed emitted)
+ * @param {number} now Unix timestamp, e.g. of the latest block
+ * @returns {PoolPhase}
+ */
+function resolvePoolPhase({ timelines, evaluationComplete, evaluationApproved, processed }, now) {
+  const phase = (name, nextTransition) => ({ phase: POOL_PHASES.indexOf(name), phaseName: name, nextTransition });
+
+  if (processed) return phase("Processed", 0);
+  if (!evaluationComplete && now <= timelines.evaluationEnd) return phase("Evaluation", timelines.evaluationEnd + 1);
+  if (!evaluationApproved && now <= timelines.optionVotingEnd) return phase("Rejected", timelines.optionVotingEnd + 1);
+  if (now < timelines.optionVotingStart) return phase("AwaitingOptionVoting", timelines.optionVotingStart);
+  if (now <= timelines.optionVotingEnd) return phase("OptionVoting", timelines.optionVotingEnd + 1);
+  if (now <= timelines.disputeEnd) return phase("Dispute", timelines.disputeEnd + 1);
+  return phase("AwaitingProcessing", 0);
+}
+
+module.exports = {
+  POOL_PHASES,
+  decodePoolPhase,
+  resolvePoolPhase
+};
@@ -0,0 +1,127 @@
+// A user's bets across option groups with their profit and loss. buildPortfolio only combines data
+// already fetched (bets from BetLedger.getUserBetIds, option groups, EarlyExit / WinningsClaimed
+// logs and current cashout values), so the same rules apply to chain reads and to cached data.
+// Amounts are in the collateral token of each bet's option group; totalsByToken keeps them apart.
+
+/**
+ * @typedef {Object} PortfolioBet
+ * @property {bigint} id
+ * @property {bigint} groupId
+ * @property {string} token Collateral token of the bet's option group
+ * @property {number} optionIndex
+ * @property {bigint} amount
+ * @property {bigint} potentialPayout
+ * @property {bigint} lockedOdds Scaled by PRECISION (10000)
+ * @property {number} timestamp
+ * @property {string} statusName One of BET_STATUSES
+ * @property {bigint|null} cashoutValue What earlyExit would pay now; null unless the bet can still exit
+ * @property {bigint|null} payout Amount paid out (exit, winnings or refund); null while active or when the exit log is missing
+ * @property {bigint} claimable Payout waiting for claimWinnings or a refund of a settled or canceled group
+ * @property {bigint|null} realizedPnl payout - amount once the bet is closed
+ * @property {bigint|null} unrealizedPnl (cashoutValue or claimable) - amount while the bet is active
+ */
+
+/**
+ * @typedef {Object} PortfolioTotals
+ * @property {bigint} staked Sum of bet amounts
+ * @property {bigint} activeStake Sum of amounts of active bets
+ * @property {bigint} cashoutValue Sum of current cashout values
+ * @property {bigint} claimable
+ * @property {bigint} exited Sum of EarlyExit exit amounts
+ * @property {bigint} claimed Sum of WinningsClaimed amounts
+ * @property {bigint} realizedPnl
+ * @property {bigint} unrealizedPnl
+ */
+
+function emptyTotals() {
+  return {
+    staked: 0n,
+    activeStake: 0n,
+    cashoutValue: 0n,
+    claimable: 0n,
+    exited: 0n,
+    claimed: 0n,
+    realizedPnl: 0n,
+    unrealizedPnl: 0n
+  };
+}
+
+function valueOfActiveBet(bet, group, cashoutValue) {
+  if (group.canceled) {
+    // Refunded in full by refundBets
+    return { cashoutValue: null, claimable: bet.amount, unrealizedPnl: 0n };
+  }
+  if (group.settled) {
+    const claimable = bet.optionIndex === group.winningOptionIndex ? bet.potentialPayout : 0n;
+    return { cashoutValue: null, claimable, unrealizedPnl: claimable - bet.amount };
+  }
+  const value = cashoutValue ?? 0n;
+  return { cashoutValue: value, claimable: 0n, unrealizedPnl: value - bet.amount };
+}
+
+function payoutOfClosedBet(bet, exitAmount) {
+  switch (bet.statusName) {
+    case "CashedOut": return exitAmount ?? null;
+    case "SettledWon": return bet.potentialPayout;
+    case "SettledLost": return 0n;
+    case "Refunded": return bet.amount;
+    default: throw new Error(`Bet ${bet.id} has unknown status ${bet.status}`);
+  }
+}
+
+/**
+ * Combine a user's bets with their groups and payout logs into per-bet and total P&L.
+ * @param {Object} params
+ * @param {import("./decode").Bet[]} params.bets Every bet of the user
+ * @param {Map<bigint, import("./decode").OptionGroup>} params.groups Option group of each bet, by group ID
+ * @param {Map<bigint, bigint>} [params.exitAmounts] EarlyExit exitAmount by bet ID (the slice ID for partial exits)
+ * @param {Map<bigint, bigint>} [params.claims] Sum of WinningsClaimed amounts by group ID
+ * @param {Map<bigint, bigint>} [params.cashoutValues] Current cashout value of active bets, by bet ID
+ * @returns {{bets: PortfolioBet[], totals: PortfolioTotals, totalsByToken: Object<string, PortfolioTotals>}}
+ *   `totals` adds up amounts of every token; `totalsByToken` is keyed by collateral token address
+ */
+function buildPortfolio({ bets, groups, exitAmounts = new Map(), claims = new Map(), cashoutValues = new Map() }) {
+  const totals = emptyTotals();
+  const totalsByToken = {};
+  // Adds to the overall totals and to those of the token
+  const add = (token, field, amount) => {
+    totalsByToken[token] ??= emptyTotals();
+    totalsByToken[token][field] += amount;
+    totals[field] += amount;
+  };
+
+  const entries = bets.map((bet) => {
+    const group = groups.get(bet.groupId);
+    if (!group) throw new Error(`Option group ${bet.groupId} of bet ${bet.id} was not loaded`);
+    const { token } = group;
+    add(token, "staked", bet.amount);
+
+    if (bet.statusName === "Active") {
+      const value = valueOfActiveBet(bet, group, cashoutValues.get(bet.id));
+      add(token, "activeStake", bet.amount);
+      add(token, "cashoutValue", value.cashoutValue ?? 0n);
+      add(token, "claimable", value.claimable);
+      add(token, "unrealizedPnl", value.unrealizedPnl);
+      return { ...bet, token, ...value, payout: null, realizedPnl: null };
+    }
+
+    const exitAmount = exitAmounts.get(bet.id);
+    if (exitAmount !== undefined) add(token, "exited", exitAmount);
+    const payout = payoutOfClosedBet(bet, exitAmount);
+    const realizedPnl = payout === null ? null : payout - bet.amount;
+    add(token, "realizedPnl", realizedPnl ?? 0n);
+    return { ...bet, token, cashoutValue: null, claimable: 0n, payout, realizedPnl, unrealizedPnl: null };
+  });
+
+  for (const [groupId, amount] of claims) {
+    const group = groups.get(groupId);
+    if (!group) throw new Error(`Option group ${groupId} of a WinningsClaimed log was not loaded`);
+    add(group.token, "claimed", amount);
+  }
+
+  return { bets: entries, totals, totalsByToken };
+}
+
+module.exports = {
+  buildPortfolio
+};
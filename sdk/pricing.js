@@ -0,0 +1,269 @@
+// BigInt mirror of the HiloPredictionMarket pricing: placeBet (MarketMath.calculateBetOutcome),
+// earlyExit (MarketMath.calculateOffsettingExit) and the odds views. Uses the same integer rounding
+// as Solidity so quotes match what the contract executes, without an RPC call.
+
+const PRECISION = 10000n;
+
+function sumExcluding(values, index) {
+  return values.reduce((total, value, i) => (i === index ? total : total + value), 0n);
+}
+
+function calculateReserve(initialLiq, currentLiq) {
+  return currentLiq >= initialLiq ? 0n : initialLiq - currentLiq;
+}
+
+function calculateConstantK(initialLiquidity, currentLiquidity, optionIndex) {
+  if (currentLiquidity.length === 2) {
+    return initialLiquidity[0] * initialLiquidity[1];
+  }
+  return currentLiquidity[optionIndex] * sumExcluding(currentLiquidity, optionIndex);
+}
+
+function distributeLiquidity(currentLiquidity, optionIndex, newOptionLiquidity, newOtherLiquidity) {
+  const optionsCount = currentLiquidity.length;
+  const otherLiquidity = sumExcluding(currentLiquidity, optionIndex);
+  const lastOther = optionIndex === optionsCount - 1 ? optionsCount - 2 : optionsCount - 1;
+  const updated = new Array(optionsCount).fill(0n);
+  updated[optionIndex] = newOptionLiquidity;
+
+  let assigned = 0n;
+  for (let i = 0; i < optionsCount; i++) {
+    if (i === optionIndex || i === lastOther) continue;
+    updated[i] = otherLiquidity > 0n
+      ? (currentLiquidity[i] * newOtherLiquidity) / otherLiquidity
+      : newOtherLiquidity / BigInt(optionsCount - 1);
+    assigned += updated[i];
+  }
+  updated[lastOther] = newOtherLiquidity - assigned;
+  return updated;
+}
+
+/**
+ * Scale every option's liquidity by numerator / denominator, as when liquidity is added or removed
+ * (MarketMath.scaleLiquidity).
+ * @param {bigint[]} liquidity
+ * @param {bigint} numerator
+ * @param {bigint} denominator
+ * @param {boolean} increase Add the scaled part instead of removing it
+ * @returns {bigint[]}
+ */
+function scaleLiquidity(liquidity, numerator, denominator, increase) {
+  return liquidity.map((value) => {
+    const delta = (value * numerator) / denominator;
+    return increase ? value + delta : value - delta;
+  });
+}
+
+/**
+ * @typedef {Object} MarketState
+ * @property {bigint[]} initialLiquidity
+ * @property {bigint[]} currentLiquidity
+ * @property {bigint[]} totalBets
+ */
+
+/**
+ * @typedef {Object} BetQuote
+ * @property {bigint[]} newLiquidity Liquidity of every option after the bet
+ * @property {bigint} rawReturn Tokens extracted from the other options before fees
+ * @property {bigint} fee Platform fee on the raw return
+ * @property {bigint} potentialPayout Amount paid if the bet wins
+ * @property {bigint} lockedOdds Scaled by PRECISION
+ */
+
+/**
+ * Quote a bet exactly as placeBet would execute it.
+ * @param {MarketState} state
+ * @param {number} optionIndex
+ * @param {bigint} amount
+ * @param {bigint} platformFee Basis points
+ * @returns {BetQuote}
+ */
+function quoteBet(state, optionIndex, amount, platformFee) {
+  const { initialLiquidity, currentLiquidity, totalBets } = state;
+  if (amount <= 0n) throw new Error("Amount must be positive");
+
+  const constantK = calculateConstantK(initialLiquidity, currentLiquidity, optionIndex);
+  if (constantK === 0n) throw new Error("Option liquidity depleted");
+  const otherBets = sumExcluding(totalBets, optionIndex);
+  const otherLiquidity = sumExcluding(currentLiquidity, optionIndex);
+  const reserve = calculateReserve(initialLiquidity[optionIndex], currentLiquidity[optionIndex]);
+
+  let effectiveBet = amount;
+  if (otherBets > totalBets[optionIndex] && reserve > 0n) {
+    const scaleFactor = (reserve * PRECISION) / (otherBets - totalBets[optionIndex]);
+    effectiveBet = (amount * scaleFactor) / PRECISION;
+  }
+
+  const newOptionLiquidity = currentLiquidity[optionIndex] + effectiveBet;
+  if (newOptionLiquidity === 0n) throw new Error("Zero option liquidity");
+  const newOtherLiquidity = constantK / newOptionLiquidity;
+  const rawReturn = otherLiquidity > newOtherLiquidity ? otherLiquidity - newOtherLiquidity : 0n;
+
+  const extractionRatio = (rawReturn * PRECISION) / amount;
+  const lockedOdds = PRECISION + (extractionRatio * (PRECISION - platformFee)) / PRECISION;
+  const fee = (rawReturn * platformFee) / PRECISION;
+
+  return {
+    newLiquidity: distributeLiquidity(currentLiquidity, optionIndex, newOptionLiquidity, newOtherLiquidity),
+    rawReturn,
+    fee,
+    potentialPayout: amount + rawReturn - fee,
+    lockedOdds
+  };
+}
+
+/**
+ * Total remaining liquidity: current liquidity plus reserves, as used by the odds calculation.
+ * @param {MarketState} state
+ * @returns {bigint}
+ */
+function calculateTotalRemainingLiquidity(state) {
+  const { initialLiquidity, currentLiquidity } = state;
+  return currentLiquidity.reduce(
+    (total, liquidity, i) => total + liquidity + calculateReserve(initialLiquidity[i], liquidity),
+    0n
+  );
+}
+
+/**
+ * Display odds of every option (getAllOdds), scaled by PRECISION. Options without liquidity get 0.
+ * @param {MarketState} state
+ * @returns {bigint[]}
+ */
+function calculateOdds(state) {
+  const totalRemainingLiquidity = calculateTotalRemainingLiquidity(state);
+  return state.currentLiquidity.map((liquidity) =>
+    liquidity > 0n ? (totalRemainingLiquidity * PRECISION) / liquidity : 0n
+  );
+}
+
+/**
+ * @typedef {Object} ExitQuote
+ * @property {bigint[]} newLiquidity Liquidity of every option after the exit
+ * @property {bigint} rawValue Cashout value before fees
+ * @property {bigint} fee Early exit fee on the whole value
+ * @property {bigint} exitAmount Amount paid to the bettor
+ */
+
+/**
+ * Quote an early exit exactly as earlyExit would execute it: the bet's profit portion is simulated
+ * as a bet on all other options.
+ * @param {MarketState} state
+ * @param {{optionIndex: number, amount: bigint, potentialPayout: bigint}} bet
+ * @param {bigint} earlyExitFee Basis points
+ * @returns {ExitQuote}
+ */
+function quoteEarlyExit(state, bet, earlyExitFee) {
+  const { initialLiquidity, currentLiquidity } = state;
+  const optionIndex = Number(bet.optionIndex);
+  const profitPortion = bet.potentialPayout > bet.amount ? bet.potentialPayout - bet.amount : 0n;
+
+  const constantK = calculateConstantK(initialLiquidity, currentLiquidity, optionIndex);
+  if (constantK === 0n) throw new Error("Option liquidity depleted");
+  const newOtherLiquidity = sumExcluding(currentLiquidity, optionIndex) + profitPortion;
+  const newOptionLiquidity = constantK / newOtherLiquidity;
+  const rawValue = currentLiquidity[optionIndex] > newOptionLiquidity
+    ? currentLiquidity[optionIndex] - newOptionLiquidity
+    : 0n;
+  const fee = (rawValue * earlyExitFee) / PRECISION;
+
+  return {
+    newLiquidity: distributeLiquidity(currentLiquidity, optionIndex, newOptionLiquidity, newOtherLiquidity),
+    rawValue,
+    fee,
+    exitAmount: rawValue > fee ? rawValue - fee : 0n
+  };
+}
+
+/**
+ * The part of a bet a partial early exit cashes out: amount and potential payout scaled by
+ * `fractionBps` of PRECISION, rounded down like partialEarlyExit.
+ * @param {{optionIndex: number, amount: bigint, potentialPayout: bigint}} bet
+ * @param {number|bigint} fractionBps 1 to 10000
+ * @returns {{optionIndex: number, amount: bigint, potentialPayout: bigint}}
+ */
+function sliceBet(bet, fractionBps) {
+  const fraction = BigInt(fractionBps);
+  if (fraction <= 0n || fraction > PRECISION) throw new Error("fractionBps must be between 1 and 10000");
+  return {
+    optionIndex: Number(bet.optionIndex),
+    amount: (bet.amount * fraction) / PRECISION,
+    potentialPayout: (bet.potentialPayout * fraction) / PRECISION
+  };
+}
+
+/**
+ * State of a fresh option group with the given initial liquidity per option.
+ * @param {bigint[]} initialLiquidity
+ * @returns {MarketState}
+ */
+function createMarketState(initialLiquidity) {
+  return {
+    initialLiquidity: [...initialLiquidity],
+    currentLiquidity: [...initialLiquidity],
+    totalBets: initialLiquidity.map(() => 0n)
+  };
+}
+
+/**
+ * Apply a bet to a market state, returning the new state and the quote the bet was placed at.
+ * @param {MarketState} state
+ * @param {number} optionIndex
+ * @param {bigint} amount
+ * @param {bigint} platformFee Basis points
+ * @returns {{state: MarketState, quote: BetQuote}}
+ */
+function applyBet(state, optionIndex, amount, platformFee) {
+  const quote = quoteBet(state, optionIndex, amount, platformFee);
+  const totalBets = [...state.totalBets];
+  totalBets[optionIndex] += amount;
+  return {
+    state: { initialLiquidity: state.initialLiquidity, currentLiquidity: quote.newLiquidity, totalBets },
+    quote
+  };
+}
+
+/**
+ * Apply an early exit to a market state. Like the contract, total bets are left unchanged.
+ * @param {MarketState} state
+ * @param {{optionIndex: number, amount: bigint, potentialPayout: bigint}} bet
+ * @param {bigint} earlyExitFee Basis points
+ * @returns {{state: MarketState, quote: ExitQuote}}
+ */
+function applyEarlyExit(state, bet, earlyExitFee) {
+  const quote = quoteEarlyExit(state, bet, earlyExitFee);
+  return {
+    state: { initialLiquidity: state.initialLiquidity, currentLiquidity: quote.newLiquidity, totalBets: state.totalBets },
+    quote
+  };
+}
+
+/**
+ * Lower a quote by a slippage tolerance: locked odds for placeBet's `_minOdds`, or an exit amount
+ * for earlyExit's `_minExitAmount`.
+ * @param {bigint} quoted
+ * @param {number} slippageBps Tolerance in basis points
+ * @returns {bigint}
+ */
+function applySlippage(quoted, slippageBps) {
+  if (slippageBps < 0 || slippageBps > Number(PRECISION)) throw new Error("slippageBps must be between 0 and 10000");
+  return (quoted * (PRECISION - BigInt(slippageBps))) / PRECISION;
+}
+
+module.exports = {
+  PRECISION,
+  sumExcluding,
+  calculateReserve,
+  calculateConstantK,
+  distributeLiquidity,
+  scaleLiquidity,
+  calculateTotalRemainingLiquidity,
+  calculateOdds,
+  quoteBet,
+  quoteEarlyExit,
+  sliceBet,
+  createMarketState,
+  applyBet,
+  applyEarlyExit,
+  applySlippage
+};
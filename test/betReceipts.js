@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK } = require("../sdk");
+const { deployMarket } = require("./helpers/deploy");
+
+describe("Bet receipts", function () {
+  let owner, poolCreator, validator1, validator2, bettor, buyer, stranger;
+  let hiloPredictionMarket, hiloBonding, mockToken, betLedger, sdk;
+
+  const EXIT_POOL_ID = 9701;
+  const CLAIM_POOL_ID = 9702;
+  const EXIT_POOL_OPTIONS = ['Home "A"\\B', "Away"];
+
+  let betId, sliceBetId, soldBetId;
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  function placeBet(signer, groupId, option, amount) {
+    return hiloPredictionMarket.connect(signer)["placeBet(uint256,uint256,uint256,uint256)"](groupId, option, amount, 0);
+  }
+
+  async function readMetadata(id) {
+    const uri = await betLedger.tokenURI(id);
+    const prefix = "data:application/json;base64,";
+    expect(uri.startsWith(prefix)).to.equal(true);
+    const metadata = JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+    const attributes = Object.fromEntries(metadata.attributes.map(({ trait_type, value }) => [trait_type, value]));
+    return { ...metadata, attributes };
+  }
+
+  function formatOdds(odds) {
+    return `${odds / 10000n}.${(odds % 10000n).toString().padStart(4, "0")}`;
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, buyer, stranger] = await ethers.getSigners();
+
+    let addresses, abis;
+    ({ hiloPredictionMarket, hiloBonding, mockToken, betLedger, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor, buyer],
+      approveUsers: true
+    }));
+    sdk = new HiloSDK({ runner: bettor, addresses, abis });
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const pools = [[EXIT_POOL_ID, EXIT_POOL_OPTIONS], [CLAIM_POOL_ID, ["Yes", "No"]]];
+    for (const [poolId, options] of pools) {
+      await hiloPredictionMarket.connect(poolCreator)[
+        "createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[])"
+      ](poolId, poolId, `Pool ${poolId}`, startTime, startTime + 3600 * 24, "Data", options);
+      await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+      await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+    }
+    await safeIncrementTime(startTime + 10);
+  });
+
+  describe("Minting", function () {
+    it("Should mint each bet to its bettor", async function () {
+      expect(await betLedger.name()).to.equal("Hilo Bet");
+      expect(await betLedger.symbol()).to.equal("HILOBET");
+
+      ({ betId } = await sdk.placeBet({ groupId: EXIT_POOL_ID, option: 0, amount: "20" }));
+      expect(await betLedger.ownerOf(betId)).to.equal(bettor.address);
+      expect(await betLedger.balanceOf(bettor.address)).to.equal(1n);
+    });
+
+    it("Should mint the cashed-out slice of a partial early exit", async function () {
+      const { sliceBetId: slice, receipt } = await sdk.partialEarlyExit(betId, 5000);
+      sliceBetId = slice;
+      await expect(receipt)
+        .to.emit(betLedger, "Transfer")
+        .withArgs(ethers.ZeroAddress, bettor.address, sliceBetId);
+      expect(await betLedger.ownerOf(sliceBetId)).to.equal(bettor.address);
+      expect(await betLedger.balanceOf(bettor.address)).to.equal(2n);
+    });
+
+    it("Should describe a bet in its token URI", async function () {
+      const bet = await betLedger.getBetDetails(betId);
+      const metadata = await readMetadata(betId);
+      expect(metadata.name).to.equal(`Hilo Bet #${betId}`);
+      expect(metadata.description).to.equal(`Bet on ${EXIT_POOL_OPTIONS[0]} in Hilo option group ${EXIT_POOL_ID}`);
+      expect(metadata.attributes).to.deep.equal({
+        "Option Group": String(EXIT_POOL_ID),
+        Option: EXIT_POOL_OPTIONS[0],
+        Amount: bet.amount.toString(),
+        "Locked Odds": formatOdds(bet.lockedOdds),
+        Status: "Active"
+      });
+
+      expect((await readMetadata(sliceBetId)).attributes.Status).to.equal("CashedOut");
+      await expect(betLedger.tokenURI(sliceBetId + 1n))
+        .to.be.revertedWithCustomError(betLedger, "ERC721NonexistentToken");
+    });
+  });
+
+  describe("Transfers", function () {
+    it("Should only let the owner or an approved account transfer a bet", async function () {
+      await expect(betLedger.connect(stranger).transferFrom(bettor.address, stranger.address, betId))
+        .to.be.revertedWithCustomError(betLedger, "ERC721InsufficientApproval");
+    });
+
+    it("Should hand a transferred bet and its early exit to the new owner", async function () {
+      await sdk.transferBet(betId, buyer.address);
+
+      expect(await betLedger.ownerOf(betId)).to.equal(buyer.address);
+      expect((await betLedger.getBetDetails(betId)).user).to.equal(buyer.address);
+      expect(await betLedger.getUserBetIds(bettor.address)).to.deep.equal([sliceBetId]);
+      expect(await betLedger.getUserBetIds(buyer.address)).to.deep.equal([betId]);
+      expect(await betLedger.getUserActiveBetIds(bettor.address, EXIT_POOL_ID)).to.deep.equal([]);
+      expect(await betLedger.getUserActiveBetIds(buyer.address, EXIT_POOL_ID)).to.deep.equal([betId]);
+
+      await expect(hiloPredictionMarket.connect(bettor)["earlyExit(uint256,uint256,uint256)"](betId, 0, ethers.MaxUint256))
+        .to.be.revertedWith("EarlyExit: Caller is not the bet owner");
+
+      const { exitAmount } = await hiloPredictionMarket.previewEarlyExit(betId);
+      await expect(hiloPredictionMarket.connect(buyer)["earlyExit(uint256,uint256,uint256)"](betId, 0, ethers.MaxUint256))
+        .to.changeTokenBalance(mockToken, buyer, exitAmount);
+      expect((await readMetadata(betId)).attributes.Status).to.equal("CashedOut");
+    });
+
+    it("Should move an active bet's stake to the new owner's wallet cap", async function () {
+      const cap = ethers.parseEther("20");
+      await betLedger.configureRiskLimits(CLAIM_POOL_ID, 0, 0, cap);
+
+      await placeBet(buyer, CLAIM_POOL_ID, 0, ethers.parseEther("10"));
+      ({ betId: soldBetId } = await sdk.placeBet({ groupId: CLAIM_POOL_ID, option: 0, amount: "15" }));
+      expect(await betLedger.getMaxBet(CLAIM_POOL_ID, 0, bettor.address)).to.equal(ethers.parseEther("5"));
+
+      // The transfer goes through even though it takes the buyer past the cap
+      await betLedger.connect(bettor).transferFrom(bettor.address, buyer.address, soldBetId);
+      expect(await betLedger.getMaxBet(CLAIM_POOL_ID, 0, bettor.address)).to.equal(cap);
+      expect(await betLedger.getMaxBet(CLAIM_POOL_ID, 0, buyer.address)).to.equal(0n);
+      await expect(placeBet(buyer, CLAIM_POOL_ID, 1, 1n))
+        .to.be.revertedWith("RiskLimit: Wallet position cap reached");
+    });
+
+    it("Should let the new owner claim a winning bet", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(CLAIM_POOL_ID);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(CLAIM_POOL_ID, 0);
+      await hiloBonding.connect(validator2).voteOption(CLAIM_POOL_ID, 0);
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(CLAIM_POOL_ID);
+      await hiloPredictionMarket.settleOptionGroup(CLAIM_POOL_ID, 0);
+
+      await expect(hiloPredictionMarket.connect(bettor).claimWinnings(CLAIM_POOL_ID))
+        .to.be.revertedWith("No active bets to claim");
+
+      let expected = 0n;
+      for (const id of await betLedger.getUserActiveBetIds(buyer.address, CLAIM_POOL_ID)) {
+        expected += (await betLedger.getBetDetails(id)).potentialPayout;
+      }
+      await expect(hiloPredictionMarket.connect(buyer).claimWinnings(CLAIM_POOL_ID))
+        .to.changeTokenBalance(mockToken, buyer, expected);
+      expect((await betLedger.getBetDetails(soldBetId)).status).to.equal(2n); // SettledWon
+      expect((await readMetadata(soldBetId)).attributes.Status).to.equal("SettledWon");
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  parseFieldValue,
+  parseConfigArgs,
+  readBondingConfig,
+  updateBondingConfig
+} = require("../scripts/lib/bondingConfig");
+const { deployBonding } = require("./helpers/deploy");
+
+describe("HiloBonding config updates by name", function () {
+  let owner, other, hiloBonding, initial;
+
+  const quiet = () => {};
+
+  before(async function () {
+    [owner, other] = await ethers.getSigners();
+
+    ({ hiloBonding } = await deployBonding({ bonding: { poolCreationFee: ethers.parseEther("0.01") } }));
+
+    initial = await readBondingConfig(hiloBonding);
+  });
+
+  describe("Parsing", function () {
+    it("Should read the struct getter by name despite the positional order", async function () {
+      expect(initial.disputeDuration).to.equal(43200n);
+      expect(initial.poolCreationFee).to.equal(ethers.parseEther("0.01"));
+      expect(initial.minVotesRequired).to.equal(2n);
+      expect(initial.maxVoteDifference).to.equal(3n);
+    });
+
+    it("Should parse durations, token amounts and counts", function () {
+      expect(parseFieldValue("disputeDuration", "2h")).to.equal(7200n);
+      expect(parseFieldValue("evaluationDuration", "1.5d")).to.equal(129600n);
+      expect(parseFieldValue("autoUnfreezeDelay", 90)).to.equal(90n);
+      expect(parseFieldValue("falseEvalPenalty", "0.25")).to.equal(ethers.parseEther("0.25"));
+      expect(parseFieldValue("minVotesRequired", "3")).to.equal(3n);
+
+      expect(() => parseFieldValue("disputeDuration", "2 hours")).to.throw("is not a duration");
+      expect(() => parseFieldValue("minVotesRequired", "2.5")).to.throw("is not a whole number");
+    });
+
+    it("Should parse flags in both forms and reject unknown fields", function () {
+      const { updates, options } = parseConfigArgs([
+        "--disputeDuration", "2h", "--minVotesRequired=3", "--network", "uat", "--yes"
+      ]);
+      expect(updates).to.deep.equal({ disputeDuration: 7200n, minVotesRequired: 3n });
+      expect(options).to.deep.equal({ network: "uat", yes: true, dryRun: false });
+
+      expect(() => parseConfigArgs(["--disputeDuraton", "2h"])).to.throw('Unknown HiloBonding config field "disputeDuraton"');
+      expect(() => parseConfigArgs(["--disputeDuration"])).to.throw("Missing value for --disputeDuration");
+    });
+  });
+
+  describe("Updating", function () {
+    it("Should change only the named fields and confirm them on chain", async function () {
+      const { changes, submitted } = await updateBondingConfig(
+        hiloBonding,
+        { disputeDuration: 7200n, minVotesRequired: 3n },
+        { log: quiet }
+      );
+
+      expect(submitted).to.equal(true);
+      expect(changes.map((change) => change.name)).to.deep.equal(["disputeDuration", "minVotesRequired"]);
+
+      const updated = await readBondingConfig(hiloBonding);
+      expect(updated).to.deep.equal({ ...initial, disputeDuration: 7200n, minVotesRequired: 3n });
+    });
+
+    it("Should not submit when the values are already set", async function () {
+      const nonceBefore = await ethers.provider.getTransactionCount(owner.address);
+      const { changes, submitted } = await updateBondingConfig(hiloBonding, { disputeDuration: 7200n }, { log: quiet });
+
+      expect(changes).to.deep.equal([]);
+      expect(submitted).to.equal(false);
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonceBefore);
+    });
+
+    it("Should not submit when the operator declines the diff", async function () {
+      let shown;
+      const { submitted } = await updateBondingConfig(hiloBonding, { maxVoteDifference: 4n }, {
+        log: quiet,
+        confirm: (changes) => { shown = changes; return false; }
+      });
+
+      expect(submitted).to.equal(false);
+      expect(shown).to.deep.equal([{ name: "maxVoteDifference", from: 3n, to: 4n }]);
+      expect((await readBondingConfig(hiloBonding)).maxVoteDifference).to.equal(3n);
+    });
+
+    it("Should reject out-of-range values before sending", async function () {
+      await expect(
+        updateBondingConfig(hiloBonding, { minVotesRequired: 0n, maxVoteDifference: 0n }, { log: quiet })
+      ).to.be.rejectedWith(/minVotesRequired must be at least 1[\s\S]*maxVoteDifference must be at least 1/);
+      await expect(
+        updateBondingConfig(hiloBonding, { disputeDuration: BigInt(400 * 24 * 3600) }, { log: quiet })
+      ).to.be.rejectedWith("disputeDuration must be at most");
+    });
+
+    it("Should surface the owner check of updateConfig", async function () {
+      await expect(
+        updateBondingConfig(hiloBonding.connect(other), { maxVoteDifference: 4n }, { log: quiet })
+      ).to.be.revertedWithCustomError(hiloBonding, "OwnableUnauthorizedAccount");
+    });
+  });
+});
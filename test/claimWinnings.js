@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("HiloPredictionMarket - Per-Bet Claiming", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettors = [];
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+
+  // Pool details
+  let poolId, optionGroupId;
+  let betIds = {};
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("150"); // 75/75 split, as in custom_bet_sequence.csv
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+  const PLATFORM_FEE = 500; // 5%
+  const EARLY_EXIT_FEE = 500; // 5%
+  const TOLERANCE = ethers.parseEther("0.0001");
+
+  // Bet statuses as defined in BetLedger
+  const Status = { Active: 0n, CashedOut: 1n, SettledWon: 2n, SettledLost: 3n, Refunded: 4n };
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // Helper function to format BigInt to a string with proper decimal places
+  function formatBigInt(value, decimals = 4) {
+    return (Number(ethers.formatEther(value))).toFixed(decimals);
+  }
+
+  // Place a bet and return the new bet ID (last entry in the user's active index)
+  async function placeBet(bettor, optionIndex, amount) {
+    await hiloPredictionMarket.connect(bettor).placeBet(optionGroupId, optionIndex, ethers.parseEther(amount), 1n);
+    const activeBets = await betLedger.getUserActiveBetIds(bettor.address, optionGroupId);
+    return activeBets[activeBets.length - 1];
+  }
+
+  // Claim for a bettor and return the amount of tokens received
+  async function claimAndGetReceived(bettor) {
+    const balanceBefore = await mockToken.balanceOf(bettor.address);
+    await hiloPredictionMarket.connect(bettor).claimWinnings(optionGroupId);
+    const balanceAfter = await mockToken.balanceOf(bettor.address);
+    return balanceAfter - balanceBefore;
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, ...bettors] = await ethers.getSigners();
+    bettors = bettors.slice(0, 6);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+    await hiloPredictionMarket.updatePlatformFee(PLATFORM_FEE);
+    await hiloPredictionMarket.updateEarlyExitFee(EARLY_EXIT_FEE);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+    await hiloStaking.connect(validator1).buyValidator({ value: VALIDATOR_THRESHOLD });
+    await hiloStaking.connect(validator2).buyValidator({ value: VALIDATOR_THRESHOLD });
+
+    for (const bettor of bettors) {
+      await mockToken.transfer(bettor.address, INITIAL_USER_TOKENS);
+      await mockToken.connect(bettor).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    // Create and approve the pool
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+    poolId = 1001;
+    optionGroupId = poolId;
+
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "Per-Bet Claim Pool", startTime, settleTime, "Data for per-bet claims", ["Yes", "No"]
+    );
+    await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+    await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+    await safeIncrementTime(startTime + 10);
+  });
+
+  describe("Custom bet sequence (custom_bet_sequence.csv)", function () {
+    it("Should reproduce the custom bet sequence with cashouts", async function () {
+      const [bettor1, bettor2, bettor3, bettor4, bettor5, bettor6] = bettors;
+
+      betIds.yes20 = await placeBet(bettor1, 0, "20");
+      betIds.no5 = await placeBet(bettor2, 1, "5");
+      betIds.yes50 = await placeBet(bettor3, 0, "50");
+      betIds.no40 = await placeBet(bettor4, 1, "40");
+      betIds.no30 = await placeBet(bettor5, 1, "30");
+      betIds.yes20b = await placeBet(bettor6, 0, "20");
+      await hiloPredictionMarket.connect(bettor5).earlyExit(betIds.no30);
+      betIds.yes10 = await placeBet(bettor1, 0, "10");
+      await hiloPredictionMarket.connect(bettor1).earlyExit(betIds.yes20);
+
+      // Potential payouts recorded in custom_bet_sequence.csv (principal + potentialReturn)
+      const expectedPayouts = {
+        yes50: ethers.parseEther("71.5728"),
+        yes20b: ethers.parseEther("29.1565"),
+        yes10: ethers.parseEther("14.8136")
+      };
+      for (const [key, expected] of Object.entries(expectedPayouts)) {
+        const details = await betLedger.getBetDetails(betIds[key]);
+        console.log(`Bet ${betIds[key]} (${key}) potential payout: ${formatBigInt(details.potentialPayout)}`);
+        expect(details.potentialPayout).to.be.closeTo(expected, TOLERANCE);
+      }
+
+      expect((await betLedger.getBetDetails(betIds.yes20)).status).to.equal(Status.CashedOut);
+      expect((await betLedger.getBetDetails(betIds.no30)).status).to.equal(Status.CashedOut);
+    });
+
+    it("Should not allow claiming before the option group is settled", async function () {
+      await expect(hiloPredictionMarket.connect(bettors[2]).claimWinnings(optionGroupId))
+        .to.be.revertedWith("Option group not settled");
+    });
+
+    it("Should settle the option group with Yes as the winner", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolId);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(poolId, 0);
+      await hiloBonding.connect(validator2).voteOption(poolId, 0);
+
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(poolId);
+
+      await expect(hiloPredictionMarket.settleOptionGroup(optionGroupId, 0))
+        .to.emit(hiloPredictionMarket, "OptionGroupSettled")
+        .withArgs(optionGroupId, 0);
+    });
+
+    it("Should pay each winner exactly the potential payout of their own bets", async function () {
+      const winners = [
+        { bettor: bettors[2], betId: betIds.yes50 },
+        { bettor: bettors[5], betId: betIds.yes20b }
+      ];
+
+      for (const { bettor, betId } of winners) {
+        const details = await betLedger.getBetDetails(betId);
+        const received = await claimAndGetReceived(bettor);
+        console.log(`Bettor ${bettor.address.slice(0, 6)} claimed ${formatBigInt(received)} for bet ${betId}`);
+
+        expect(received).to.equal(details.potentialPayout);
+        expect((await betLedger.getBetDetails(betId)).status).to.equal(Status.SettledWon);
+        expect(await betLedger.getUserActiveBetIds(bettor.address, optionGroupId)).to.be.empty;
+      }
+    });
+
+    it("Should only pay the active winning bet of a user who also cashed out", async function () {
+      const bettor1 = bettors[0];
+      const details = await betLedger.getBetDetails(betIds.yes10);
+
+      await expect(hiloPredictionMarket.connect(bettor1).claimWinnings(optionGroupId))
+        .to.emit(hiloPredictionMarket, "WinningsClaimed")
+        .withArgs(optionGroupId, bettor1.address, details.potentialPayout);
+
+      expect((await betLedger.getBetDetails(betIds.yes10)).status).to.equal(Status.SettledWon);
+      expect((await betLedger.getBetDetails(betIds.yes20)).status).to.equal(Status.CashedOut);
+    });
+
+    it("Should mark losing bets as SettledLost without paying out", async function () {
+      for (const [bettor, betId] of [[bettors[1], betIds.no5], [bettors[3], betIds.no40]]) {
+        const received = await claimAndGetReceived(bettor);
+        expect(received).to.equal(0n);
+        expect((await betLedger.getBetDetails(betId)).status).to.equal(Status.SettledLost);
+      }
+    });
+
+    it("Should reject a second claim from the same user", async function () {
+      await expect(hiloPredictionMarket.connect(bettors[2]).claimWinnings(optionGroupId))
+        .to.be.revertedWith("No active bets to claim");
+    });
+
+    it("Should reject claims from users whose only bet was cashed out", async function () {
+      await expect(hiloPredictionMarket.connect(bettors[4]).claimWinnings(optionGroupId))
+        .to.be.revertedWith("No active bets to claim");
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK } = require("../sdk");
+const { runCli } = require("../cli");
+const { deployMarket, DEFAULT_LIQUIDITY } = require("./helpers/deploy");
+
+describe("hilo CLI", function () {
+  // Actors, by account index as passed to --account
+  let owner, poolCreator, validator1, validator2, bettor, provider;
+  let hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+  let addresses, abis;
+
+  // Pool details
+  const poolId = 5001;
+  let placedBetId;
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // Run a command in-process; --account picks the signer like it does on a real network
+  async function hilo(...argv) {
+    const output = [];
+    const result = await runCli(argv, {
+      connect: async ({ account }) => {
+        const signers = await ethers.getSigners();
+        return new HiloSDK({ runner: signers[Number(account)], addresses, abis });
+      },
+      write: (text) => output.push(text)
+    });
+    return { result, output: output.join("\n") };
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, provider] = await ethers.getSigners();
+
+    ({ hiloBonding, hiloPredictionMarket, mockToken, betLedger, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor, provider]
+    }));
+  });
+
+  describe("Pools and votes", function () {
+    it("Should create a pool with relative times as the pool creator", async function () {
+      const { result, output } = await hilo(
+        "pool", "create", "--pool", String(poolId), "--title", "CLI Pool",
+        "--start", "+10m", "--settle", "+1d", "--options", "Yes, No", "--account", "1"
+      );
+
+      expect(result.poolId).to.equal(BigInt(poolId));
+      expect(result.groupId).to.equal(BigInt(poolId));
+      expect(output).to.contain(`Created pool ${poolId} with option group ${poolId} (Yes, No)`);
+
+      const [creator, title, startTimeframe] = await hiloBonding.getPoolBasics(poolId);
+      const latestBlock = await ethers.provider.getBlock("latest");
+      expect(creator).to.equal(poolCreator.address);
+      expect(title).to.equal("CLI Pool");
+      expect(startTimeframe).to.be.closeTo(BigInt(latestBlock.timestamp + 600), 5n);
+    });
+
+    it("Should refuse pool creation from an account without the role", async function () {
+      await expect(hilo(
+        "pool", "create", "--pool", "5002", "--title", "No role",
+        "--start", "+10m", "--settle", "+1d", "--options", "Yes,No", "--account", "4"
+      )).to.be.rejectedWith("Not a pool creator");
+    });
+
+    it("Should cast evaluation votes from two validators", async function () {
+      await hilo("vote", "evaluate", String(poolId), "approve", "--account", "2");
+      const { result, output } = await hilo("vote", "evaluate", String(poolId), "approve", "--account", "3");
+
+      expect(result.approveVotes).to.equal(2n);
+      expect(result.rejectVotes).to.equal(0n);
+      expect(output).to.contain(`Voted to approve pool ${poolId}: 2 approve, 0 reject`);
+    });
+
+    it("Should print the pool status as JSON with bigints as strings", async function () {
+      const { output } = await hilo("pool", "status", String(poolId), "--json");
+      const status = JSON.parse(output);
+
+      expect(status.title).to.equal("CLI Pool");
+      expect(status.poolId).to.equal(String(poolId));
+      expect(status.options.map((option) => option.name)).to.deep.equal(["Yes", "No"]);
+      expect(status.options[0].initialLiquidity).to.equal((DEFAULT_LIQUIDITY / 2n).toString());
+      expect(status.options[0].odds).to.equal((await hiloPredictionMarket.getAllOdds(poolId))[0].toString());
+    });
+
+    it("Should list option groups a page at a time", async function () {
+      const { result, output } = await hilo("pool", "list", "--limit", "1");
+      expect(result.total).to.equal(1);
+      expect(result.groups[0].groupId).to.equal(BigInt(poolId));
+      expect(output).to.contain(`Option group ${poolId} (pool ${poolId}): open until`);
+      expect(output).to.contain("1-1 of 1");
+    });
+  });
+
+  describe("Liquidity and bets", function () {
+    before(async function () {
+      const [,, startTimeframe] = await hiloBonding.getPoolBasics(poolId);
+      await safeIncrementTime(startTimeframe + 10n);
+    });
+
+    it("Should add liquidity and report the provider's shares", async function () {
+      const { result } = await hilo("liquidity", "add", String(poolId), "100", "--account", "5");
+      expect(result.amount).to.equal(ethers.parseEther("100"));
+      expect(result.shares).to.be.gt(0n);
+
+      const { result: position, output } = await hilo("liquidity", "status", String(poolId), "--account", "5");
+      expect(position.provider).to.equal(provider.address);
+      expect(position.shares).to.equal(result.shares);
+      expect(output).to.contain(`${provider.address}: ${ethers.formatEther(result.shares)} of`);
+    });
+
+    it("Should place a bet on an option given by name", async function () {
+      const { result, output } = await hilo("bet", "place", String(poolId), "no", "10", "--account", "4");
+
+      const bet = await betLedger.getBetDetails(result.betId);
+      expect(bet.user).to.equal(bettor.address);
+      expect(bet.optionIndex).to.equal(1n);
+      expect(bet.amount).to.equal(ethers.parseEther("10"));
+      expect(result.lockedOdds).to.equal(bet.lockedOdds);
+      expect(output).to.contain(`Placed bet ${result.betId}: 10.0 HTT on option 1`);
+      placedBetId = result.betId;
+    });
+
+    it("Should reject an unknown option name before sending", async function () {
+      await expect(hilo("bet", "place", String(poolId), "Maybe", "10", "--account", "4"))
+        .to.be.rejectedWith('No option named "Maybe", options are: Yes, No');
+    });
+
+    it("Should list the bettor's active bets", async function () {
+      const { result } = await hilo("bet", "list", String(poolId), "--user", bettor.address);
+      expect(result.bets.map((bet) => bet.id)).to.deep.equal([placedBetId]);
+      expect(result.bets[0].cashoutValue).to.be.gt(0n);
+    });
+
+    it("Should exit part of a bet and then the rest", async function () {
+      const { result: partial } = await hilo("bet", "exit", String(placedBetId), "--fraction", "4000", "--account", "4");
+      expect(partial.sliceBetId).to.not.equal(placedBetId);
+      expect((await betLedger.getBetDetails(placedBetId)).amount).to.equal(ethers.parseEther("6"));
+
+      const balanceBefore = await mockToken.balanceOf(bettor.address);
+      const { result: full, output } = await hilo("bet", "exit", String(placedBetId), "--account", "4");
+      expect(await mockToken.balanceOf(bettor.address)).to.equal(balanceBefore + full.exitAmount);
+      expect(output).to.contain(`Cashed out bet ${placedBetId} for`);
+    });
+  });
+
+  describe("Settlement", function () {
+    before(async function () {
+      // A winning bet on Yes to claim later
+      const { result } = await hilo("bet", "place", String(poolId), "0", "20", "--account", "4");
+      placedBetId = result.betId;
+    });
+
+    it("Should vote the winning option by name", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolId);
+      // Evaluation completes once its window has passed
+      await safeIncrementTime(timelines.optionVotingStart + 1n);
+
+      await hilo("vote", "option", String(poolId), "Yes", "--account", "2");
+      const { result } = await hilo("vote", "option", String(poolId), "0", "--account", "3");
+      expect(result.voteCount).to.equal(2n);
+    });
+
+    it("Should cast an option dispute vote", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolId);
+      await safeIncrementTime(timelines.optionVotingEnd + 1n);
+
+      const { result, output } = await hilo("vote", "dispute", String(poolId), "option", "Yes", "--account", "2");
+      expect(result.option).to.equal(0);
+      expect(result.voteCount).to.equal(1n);
+      expect(output).to.contain(`Cast option dispute vote on pool ${poolId} for option 0`);
+    });
+
+    it("Should settle with the bonded result and let the winner claim", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolId);
+      const group = await hiloPredictionMarket.optionGroups(poolId);
+      await safeIncrementTime(Math.max(Number(timelines.disputeEnd) + 1, Number(group.settleTimeframe)));
+
+      const { result: settled } = await hilo("pool", "settle", String(poolId));
+      expect(settled.winningOptionIndex).to.equal(0);
+
+      const bet = await betLedger.getBetDetails(placedBetId);
+      const balanceBefore = await mockToken.balanceOf(bettor.address);
+      const { result: claimed } = await hilo("claim", String(poolId), "--account", "4");
+      expect(claimed.amount).to.equal(bet.potentialPayout);
+      expect(await mockToken.balanceOf(bettor.address)).to.equal(balanceBefore + bet.potentialPayout);
+    });
+
+    it("Should list the bettor's portfolio with realized P&L", async function () {
+      const { result, output } = await hilo("bet", "portfolio", "--user", bettor.address);
+      expect(result.bets.map((bet) => bet.statusName)).to.not.include("Active");
+      expect(result.totals.realizedPnl).to.equal(result.bets.reduce((sum, bet) => sum + bet.realizedPnl, 0n));
+      expect(output).to.contain(`Bet ${placedBetId} (group ${poolId}) SettledWon`);
+      expect(output).to.contain("Staked ");
+    });
+  });
+
+  describe("Arguments", function () {
+    it("Should print the usage without connecting", async function () {
+      const { result, output } = await hilo("help");
+      expect(result).to.equal(null);
+      expect(output).to.contain("hilo bet exit <betId> [--fraction <bps>] [--slippage <bps>]");
+      expect(output).to.contain("hilo vote dispute <poolId> <kind> <value>");
+    });
+
+    it("Should explain unknown commands, missing arguments and bad values", async function () {
+      await expect(hilo("bet", "cancel", "1")).to.be.rejectedWith('Unknown command "bet cancel"');
+      await expect(hilo("bet", "place", "1", "Yes")).to.be.rejectedWith("Usage: hilo bet place <groupId> <option> <amount>");
+      await expect(hilo("pool", "create", "--pool", "1")).to.be.rejectedWith("Missing --title, --start, --settle, --options");
+      await expect(hilo("bet", "exit", "1", "--fraction", "150%")).to.be.rejectedWith("--fraction must be basis points");
+      await expect(hilo("claim", "1", "--bogus")).to.be.rejectedWith("Unknown option '--bogus'");
+    });
+  });
+});
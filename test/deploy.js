@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadDeployConfig, deployHilo } = require("../scripts/lib/deployment");
+const { HiloSDK } = require("../sdk");
+
+describe("Config-driven deployment", function () {
+  let deployer, config, workDir;
+
+  const quiet = () => {};
+
+  function readManifest(manifestPath) {
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  }
+
+  before(async function () {
+    [deployer] = await ethers.getSigners();
+    config = loadDeployConfig("localhost");
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hilo-deploy-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe("Fresh deployment", function () {
+    let manifestPath, manifest, contracts;
+
+    before(async function () {
+      this.timeout(300000);
+      manifestPath = path.join(workDir, "fresh", "deployment.json");
+      ({ manifest, contracts } = await deployHilo({ ethers, deployer, config, networkName: "localhost", manifestPath, log: quiet }));
+    });
+
+    it("Should write every contract and library address to the manifest", async function () {
+      const written = readManifest(manifestPath);
+      expect(written).to.deep.equal(JSON.parse(JSON.stringify(manifest)));
+      expect(Object.keys(written.contracts)).to.have.members([
+        "MockERC20", "HiloStaking", "HiloBonding", "BetLedger", "HiloPredictionMarket"
+      ]);
+      expect(written.libraries.MarketMath).to.equal(await contracts.marketMath.getAddress());
+      expect(written.contracts.BetLedger).to.equal(await contracts.betLedger.getAddress());
+      expect(written.chainId).to.equal((await ethers.provider.getNetwork()).chainId.toString());
+    });
+
+    it("Should wire authorizations and BetLedger ownership", async function () {
+      const { hiloStaking, hiloBonding, betLedger, hiloPredictionMarket } = contracts;
+      const marketAddress = await hiloPredictionMarket.getAddress();
+
+      expect(await betLedger.hiloMarket()).to.equal(marketAddress);
+      expect(await betLedger.owner()).to.equal(marketAddress);
+      expect(await hiloStaking.authorizedContracts(await hiloBonding.getAddress())).to.equal(true);
+      expect(await hiloStaking.authorizedContracts(marketAddress)).to.equal(true);
+      expect(await hiloStaking.authorizedContracts(deployer.address)).to.equal(true);
+      expect(await hiloBonding.authorizedAddresses(marketAddress)).to.equal(true);
+      expect(await hiloBonding.authorizedAddresses(deployer.address)).to.equal(true);
+    });
+
+    it("Should apply thresholds, fees and default liquidity from the config", async function () {
+      const { token, hiloStaking, hiloPredictionMarket } = contracts;
+      const market = config.predictionMarket;
+
+      expect(await hiloStaking.validatorThreshold()).to.equal(ethers.parseEther(config.staking.validatorThreshold));
+      expect(await hiloPredictionMarket.platformFee()).to.equal(BigInt(market.platformFee));
+      expect(await hiloPredictionMarket.earlyExitFee()).to.equal(BigInt(market.earlyExitFee));
+      expect(await hiloPredictionMarket.defaultLiquidityAmount()).to.equal(ethers.parseEther(market.defaultLiquidity));
+      expect(await token.balanceOf(await hiloPredictionMarket.getAddress())).to.equal(ethers.parseEther(market.initialFund));
+      expect(await hiloPredictionMarket.liquidityProvider()).to.equal(ethers.ZeroAddress);
+      expect(await hiloPredictionMarket.treasury()).to.equal(ethers.ZeroAddress);
+      expect(await hiloPredictionMarket.protocolFeeShare()).to.equal(BigInt(market.feeSplit.protocolFeeShare));
+      expect(await hiloPredictionMarket.creatorFeeShare()).to.equal(BigInt(market.feeSplit.creatorFeeShare));
+    });
+
+    it("Should leave a manifest and ABIs the SDK can load", async function () {
+      const sdk = await HiloSDK.fromManifest(ethers.provider, { manifestPath, abiDir: path.dirname(manifestPath) });
+      expect(sdk.addresses.BetLedger).to.equal(manifest.contracts.BetLedger);
+      expect(sdk.addresses.BettingToken).to.equal(manifest.contracts.MockERC20);
+      expect(await sdk.market.platformFee()).to.equal(BigInt(config.predictionMarket.platformFee));
+    });
+
+    it("Should not send any transaction when rerun on a complete deployment", async function () {
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+      const rerun = await deployHilo({ ethers, deployer, config, networkName: "localhost", manifestPath, log: quiet });
+
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+      expect(rerun.manifest.contracts).to.deep.equal(manifest.contracts);
+      expect(rerun.manifest.libraries).to.deep.equal(manifest.libraries);
+    });
+
+    it("Should apply a changed fee split on rerun", async function () {
+      const feeSplit = { treasury: "deployer", protocolFeeShare: 2000, creatorFeeShare: 1000 };
+      const withSplit = { ...config, predictionMarket: { ...config.predictionMarket, feeSplit } };
+      const { hiloPredictionMarket } = contracts;
+
+      await deployHilo({ ethers, deployer, config: withSplit, networkName: "localhost", manifestPath, log: quiet });
+      expect(await hiloPredictionMarket.treasury()).to.equal(deployer.address);
+      expect(await hiloPredictionMarket.protocolFeeShare()).to.equal(2000n);
+      expect(await hiloPredictionMarket.creatorFeeShare()).to.equal(1000n);
+
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+      await deployHilo({ ethers, deployer, config: withSplit, networkName: "localhost", manifestPath, log: quiet });
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+    });
+
+    it("Should deploy, connect and fund the default liquidity vault once enabled", async function () {
+      const liquidityVault = { enabled: true, deposit: "500.0" };
+      const withVault = { ...config, predictionMarket: { ...config.predictionMarket, liquidityVault } };
+      const { hiloPredictionMarket, token } = contracts;
+
+      const { manifest: updated, contracts: deployed } =
+        await deployHilo({ ethers, deployer, config: withVault, networkName: "localhost", manifestPath, log: quiet });
+      const vaultAddress = updated.contracts.HiloDefaultLiquidityProvider;
+      expect(vaultAddress).to.equal(await deployed.liquidityVault.getAddress());
+      expect(await deployed.liquidityVault.predictionMarket()).to.equal(await hiloPredictionMarket.getAddress());
+      expect(await hiloPredictionMarket.liquidityProvider()).to.equal(vaultAddress);
+      expect(await token.balanceOf(vaultAddress)).to.equal(ethers.parseEther("500"));
+      expect(fs.existsSync(path.join(path.dirname(manifestPath), "HiloDefaultLiquidityProvider.json"))).to.equal(true);
+
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+      await deployHilo({ ethers, deployer, config: withVault, networkName: "localhost", manifestPath, log: quiet });
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+
+      // Disabling the vault in the config disconnects it again
+      await deployHilo({ ethers, deployer, config, networkName: "localhost", manifestPath, log: quiet });
+      expect(await hiloPredictionMarket.liquidityProvider()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should allow the collateral tokens listed in the config once", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const collateral = await MockERC20.deploy("Collateral", "COL", ethers.parseEther("1000"));
+      const collateralAddress = await collateral.getAddress();
+      const withTokens = {
+        ...config,
+        predictionMarket: { ...config.predictionMarket, tokens: [{ address: collateralAddress, defaultLiquidity: "25.0" }] }
+      };
+      const { hiloPredictionMarket } = contracts;
+
+      await deployHilo({ ethers, deployer, config: withTokens, networkName: "localhost", manifestPath, log: quiet });
+      expect(await hiloPredictionMarket.allowedTokens(collateralAddress)).to.equal(true);
+      expect(await hiloPredictionMarket.tokenDefaultLiquidity(collateralAddress)).to.equal(ethers.parseEther("25"));
+
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+      await deployHilo({ ethers, deployer, config: withTokens, networkName: "localhost", manifestPath, log: quiet });
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+    });
+  });
+
+  describe("Existing betting token", function () {
+    it("Should convert betting token amounts with the token's own decimals", async function () {
+      this.timeout(300000);
+      const manifestPath = path.join(workDir, "usdc", "deployment.json");
+      const MockERC20Decimals = await ethers.getContractFactory("MockERC20Decimals");
+      const usdc = await MockERC20Decimals.deploy("USD Coin", "USDC", ethers.parseUnits("1000000", 6), 6);
+      const liquidityVault = { enabled: true, deposit: "500.0" };
+      const withUsdc = {
+        ...config,
+        token: { address: await usdc.getAddress() },
+        predictionMarket: { ...config.predictionMarket, liquidityVault }
+      };
+
+      const { manifest, contracts } = await deployHilo({ ethers, deployer, config: withUsdc, networkName: "localhost", manifestPath, log: quiet });
+      const { hiloPredictionMarket } = contracts;
+      const market = config.predictionMarket;
+
+      expect(manifest.contracts.BettingToken).to.equal(await usdc.getAddress());
+      expect(await hiloPredictionMarket.defaultLiquidityAmount()).to.equal(ethers.parseUnits(market.defaultLiquidity, 6));
+      expect(await usdc.balanceOf(await hiloPredictionMarket.getAddress())).to.equal(ethers.parseUnits(market.initialFund, 6));
+      expect(await usdc.balanceOf(manifest.contracts.HiloDefaultLiquidityProvider)).to.equal(ethers.parseUnits("500", 6));
+    });
+  });
+
+  describe("Resuming", function () {
+    it("Should resume after a failure without redeploying finished contracts", async function () {
+      this.timeout(300000);
+      const manifestPath = path.join(workDir, "resume", "deployment.json");
+
+      // Fail right after the library is deployed, before the market
+      const failAfterLibrary = (message) => {
+        if (message.startsWith("MarketMath deployed")) throw new Error("RPC went away");
+      };
+      await expect(
+        deployHilo({ ethers, deployer, config, networkName: "localhost", manifestPath, log: failAfterLibrary })
+      ).to.be.rejectedWith("RPC went away");
+
+      const partial = readManifest(manifestPath);
+      expect(partial.contracts.HiloPredictionMarket).to.equal(undefined);
+      expect(partial.libraries.MarketMath).to.not.equal(undefined);
+
+      const { manifest, contracts } = await deployHilo({ ethers, deployer, config, networkName: "localhost", manifestPath, log: quiet });
+      for (const name of ["MockERC20", "HiloStaking", "HiloBonding", "BetLedger"]) {
+        expect(manifest.contracts[name]).to.equal(partial.contracts[name]);
+      }
+      expect(manifest.libraries.MarketMath).to.equal(partial.libraries.MarketMath);
+      expect(await contracts.betLedger.owner()).to.equal(manifest.contracts.HiloPredictionMarket);
+    });
+
+    it("Should refuse a manifest written for another chain", async function () {
+      const manifestPath = path.join(workDir, "other-chain.json");
+      fs.writeFileSync(manifestPath, JSON.stringify({ network: "mainnet", chainId: "1", contracts: {} }));
+
+      await expect(
+        deployHilo({ ethers, deployer, config, networkName: "localhost", manifestPath, log: quiet })
+      ).to.be.rejectedWith("belongs to chain 1");
+    });
+
+    it("Should explain a missing network config", function () {
+      expect(() => loadDeployConfig("nowhere")).to.throw('No deployment config for network "nowhere"');
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK } = require("../sdk");
+const { runCli } = require("../cli");
+const { deployMarket } = require("./helpers/deploy");
+
+describe("Fee split", function () {
+  // Actors, by account index as passed to --account
+  let owner, poolCreator, validator1, validator2, bettor, liquidityProvider, treasury;
+  let hiloBonding, hiloPredictionMarket, mockToken;
+  let marketAddress, addresses, abis, sdk;
+
+  const POOL_ID = 9301;
+  const UNSPLIT_POOL_ID = 9302;
+
+  // Constants
+  const PROTOCOL_SHARE = 2000n; // 20%
+  const CREATOR_SHARE = 1000n; // 10%
+  const PRECISION = 10000n;
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // Run a CLI command in-process with the signer at `account`
+  async function hilo(...argv) {
+    const output = [];
+    const result = await runCli(argv, {
+      connect: async ({ account }) => {
+        const signers = await ethers.getSigners();
+        return new HiloSDK({ runner: signers[Number(account)], addresses, abis });
+      },
+      write: (text) => output.push(text)
+    });
+    return { result, output: output.join("\n") };
+  }
+
+  // Expected protocol, creator and LP cuts of `fee` with the configured shares
+  function split(fee) {
+    const protocol = (fee * PROTOCOL_SHARE) / PRECISION;
+    const creator = (fee * CREATOR_SHARE) / PRECISION;
+    return { protocol, creator, lp: fee - protocol - creator };
+  }
+
+  // Place a bet as `bettor`, returning its ID and the platform fee it was charged
+  async function placeQuotedBet(groupId, option, amount) {
+    const { fee } = await sdk.quoteBet({ groupId, option, amount });
+    const { betId } = await sdk.placeBet({ groupId, option, amount });
+    return { betId, fee };
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, liquidityProvider, treasury] = await ethers.getSigners();
+
+    ({ hiloBonding, hiloPredictionMarket, mockToken, marketAddress, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor, liquidityProvider]
+    }));
+    sdk = new HiloSDK({ runner: bettor, addresses, abis });
+  });
+
+  describe("Configuration", function () {
+    it("Should give LPs every fee until a split is configured", async function () {
+      expect(await hiloPredictionMarket.treasury()).to.equal(ethers.ZeroAddress);
+      expect(await hiloPredictionMarket.protocolFeeShare()).to.equal(0n);
+      expect(await hiloPredictionMarket.creatorFeeShare()).to.equal(0n);
+    });
+
+    it("Should only let the owner configure the split", async function () {
+      await expect(hiloPredictionMarket.connect(poolCreator).configureFeeSplit(treasury.address, PROTOCOL_SHARE, CREATOR_SHARE))
+        .to.be.revertedWithCustomError(hiloPredictionMarket, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject shares over 100% and a protocol share without a treasury", async function () {
+      await expect(hiloPredictionMarket.configureFeeSplit(treasury.address, 6000, 4001))
+        .to.be.revertedWith("Fee shares exceed 100%");
+      await expect(hiloPredictionMarket.configureFeeSplit(ethers.ZeroAddress, PROTOCOL_SHARE, 0))
+        .to.be.revertedWith("Invalid treasury address");
+    });
+  });
+
+  describe("Fee accrual and collection", function () {
+    before(async function () {
+      const creatorSdk = new HiloSDK({ runner: poolCreator, addresses, abis });
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const startTime = latestBlock.timestamp + 300;
+      for (const poolId of [UNSPLIT_POOL_ID, POOL_ID]) {
+        await creatorSdk.createPool({
+          poolId,
+          title: `Pool ${poolId}`,
+          startTime,
+          settleTime: startTime + 3600 * 24,
+          options: ["Yes", "No"]
+        });
+        await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+        await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+      }
+      await safeIncrementTime(startTime + 10);
+    });
+
+    it("Should credit the whole fee to LPs without a split", async function () {
+      const { fee } = await placeQuotedBet(UNSPLIT_POOL_ID, 0, "10");
+
+      const fees = await sdk.getFeeBreakdown(UNSPLIT_POOL_ID);
+      expect(fee).to.be.gt(0n);
+      expect(fees.totalFees).to.equal(fee);
+      expect(fees.lpFees).to.equal(fees.totalFees);
+      expect(fees.protocolFees + fees.creatorFees).to.equal(0n);
+
+      await expect(hiloPredictionMarket.collectProtocolFees(UNSPLIT_POOL_ID))
+        .to.be.revertedWith("No fees to collect");
+    });
+
+    it("Should emit the configured split", async function () {
+      await expect(hiloPredictionMarket.configureFeeSplit(treasury.address, PROTOCOL_SHARE, CREATOR_SHARE))
+        .to.emit(hiloPredictionMarket, "FeeSplitConfigured")
+        .withArgs(treasury.address, PROTOCOL_SHARE, CREATOR_SHARE);
+      expect(await hiloPredictionMarket.treasury()).to.equal(treasury.address);
+    });
+
+    it("Should split bet and early exit fees between LPs, the treasury and the pool creator", async function () {
+      await mockToken.connect(liquidityProvider).approve(marketAddress, ethers.parseEther("100"));
+      await hiloPredictionMarket.connect(liquidityProvider).addLiquidity(POOL_ID, ethers.parseEther("100"));
+
+      const yes = await placeQuotedBet(POOL_ID, 0, "100");
+      const no = await placeQuotedBet(POOL_ID, 1, "40");
+      const exitFee = (await sdk.quoteEarlyExit(no.betId)).fee;
+      await sdk.earlyExit(no.betId);
+
+      const charged = [yes.fee, no.fee, exitFee].map(split);
+      const fees = await sdk.getFeeBreakdown(POOL_ID);
+      expect(fees.totalFees).to.equal(yes.fee + no.fee + exitFee);
+      expect(fees.protocolFees).to.equal(charged.reduce((sum, cut) => sum + cut.protocol, 0n));
+      expect(fees.creatorFees).to.equal(charged.reduce((sum, cut) => sum + cut.creator, 0n));
+      expect(fees.lpFees).to.equal(charged.reduce((sum, cut) => sum + cut.lp, 0n));
+      expect(fees.protocolPending).to.equal(fees.protocolFees);
+      expect(fees.creatorPending).to.equal(fees.creatorFees);
+    });
+
+    it("Should only credit the LP cut to liquidity shares", async function () {
+      const fees = await sdk.getFeeBreakdown(POOL_ID);
+      const [marketPosition, providerPosition] = await Promise.all([
+        sdk.getLiquidityPosition(marketAddress, POOL_ID),
+        sdk.getLiquidityPosition(liquidityProvider.address, POOL_ID)
+      ]);
+      const credited = marketPosition.accruedFees + providerPosition.accruedFees;
+
+      expect(credited).to.be.lte(fees.lpFees);
+      expect(fees.lpFees - credited).to.be.lte(1000n); // feesPerShare rounds down on every accrual
+    });
+
+    it("Should report the breakdown from the CLI", async function () {
+      const { output } = await hilo("fees", "status", String(POOL_ID));
+      const fees = await sdk.getFeeBreakdown(POOL_ID);
+
+      expect(output).to.contain(`Option group ${POOL_ID}: ${ethers.formatEther(fees.totalFees)} HTT in fees`);
+      expect(output).to.contain(`Protocol: ${ethers.formatEther(fees.protocolFees)} HTT`);
+      expect(output).to.contain(`Creator: ${ethers.formatEther(fees.creatorFees)} HTT`);
+    });
+
+    it("Should send pending fees to the treasury and the pool creator once", async function () {
+      const fees = await sdk.getFeeBreakdown(POOL_ID);
+      const treasuryBefore = await mockToken.balanceOf(treasury.address);
+      const creatorBefore = await mockToken.balanceOf(poolCreator.address);
+
+      // Anyone may trigger collection; the fees still go to the configured recipients
+      await expect(hiloPredictionMarket.connect(bettor).collectProtocolFees(POOL_ID))
+        .to.emit(hiloPredictionMarket, "FeesCollected")
+        .withArgs(POOL_ID, fees.protocolFees)
+        .and.to.emit(hiloPredictionMarket, "CreatorFeesCollected")
+        .withArgs(POOL_ID, poolCreator.address, fees.creatorFees);
+
+      expect(await mockToken.balanceOf(treasury.address) - treasuryBefore).to.equal(fees.protocolFees);
+      expect(await mockToken.balanceOf(poolCreator.address) - creatorBefore).to.equal(fees.creatorFees);
+
+      const after = await sdk.getFeeBreakdown(POOL_ID);
+      expect(after.protocolCollected).to.equal(fees.protocolFees);
+      expect(after.creatorCollected).to.equal(fees.creatorFees);
+      expect(after.protocolPending + after.creatorPending).to.equal(0n);
+
+      await expect(hiloPredictionMarket.collectProtocolFees(POOL_ID))
+        .to.be.revertedWith("No fees to collect");
+    });
+
+    it("Should collect fees accrued after a collection from the SDK and CLI", async function () {
+      const expected = split((await placeQuotedBet(POOL_ID, 1, "20")).fee);
+
+      const { result, output } = await hilo("fees", "collect", String(POOL_ID), "--account", "4");
+      expect(result.protocolAmount).to.equal(expected.protocol);
+      expect(result.creatorAmount).to.equal(expected.creator);
+      expect(result.creator).to.equal(poolCreator.address);
+      expect(output).to.contain(`Collected ${ethers.formatEther(expected.protocol)} HTT for the treasury`);
+    });
+
+    it("Should collect creator fees while no treasury is set and keep protocol fees pending", async function () {
+      const expected = split((await placeQuotedBet(POOL_ID, 1, "20")).fee);
+      await hiloPredictionMarket.configureFeeSplit(ethers.ZeroAddress, 0, CREATOR_SHARE);
+
+      await expect(hiloPredictionMarket.collectProtocolFees(POOL_ID))
+        .to.emit(hiloPredictionMarket, "CreatorFeesCollected")
+        .withArgs(POOL_ID, poolCreator.address, expected.creator)
+        .and.not.to.emit(hiloPredictionMarket, "FeesCollected");
+      let fees = await sdk.getFeeBreakdown(POOL_ID);
+      expect(fees.protocolPending).to.equal(expected.protocol);
+      expect(fees.creatorPending).to.equal(0n);
+      await expect(hiloPredictionMarket.collectProtocolFees(POOL_ID))
+        .to.be.revertedWith("No fees to collect");
+
+      // Once a treasury is set again it receives what accrued before
+      await hiloPredictionMarket.configureFeeSplit(treasury.address, PROTOCOL_SHARE, CREATOR_SHARE);
+      const treasuryBefore = await mockToken.balanceOf(treasury.address);
+      await hiloPredictionMarket.collectProtocolFees(POOL_ID);
+      expect(await mockToken.balanceOf(treasury.address) - treasuryBefore).to.equal(expected.protocol);
+      fees = await sdk.getFeeBreakdown(POOL_ID);
+      expect(fees.protocolPending).to.equal(0n);
+    });
+
+    it("Should keep uncollected protocol fees out of LP withdrawals", async function () {
+      // Leave fees pending for the treasury and the creator until after the LP withdraws
+      await placeQuotedBet(POOL_ID, 1, "10");
+
+      const timelines = await hiloBonding.getPoolTimelines(POOL_ID);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(POOL_ID, 0);
+      await hiloBonding.connect(validator2).voteOption(POOL_ID, 0);
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(POOL_ID);
+      await sdk.claim(POOL_ID);
+
+      const pending = await sdk.getFeeBreakdown(POOL_ID);
+      const position = await sdk.getLiquidityPosition(liquidityProvider.address, POOL_ID);
+      const providerSdk = new HiloSDK({ runner: liquidityProvider, addresses, abis });
+      const { amount } = await providerSdk.removeLiquidity(POOL_ID);
+      expect(amount).to.equal(position.liquidityValue + position.accruedFees);
+
+      // The market can still pay out what is owed to the treasury and the creator
+      const { protocolAmount, creatorAmount } = await sdk.collectProtocolFees(POOL_ID);
+      expect(protocolAmount).to.equal(pending.protocolPending);
+      expect(creatorAmount).to.equal(pending.creatorPending);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+// Shared test deployment.
+//
+// Deploys and wires the contracts the same way scripts/lib/deployment.js does, with the
+// thresholds, bonding config and funding the suites have in common. Suites pass only what differs.
+const { ethers, artifacts } = require("hardhat");
+const { ERC20_ABI, CONTRACT_SOURCES } = require("../../sdk");
+const { toConfigArray } = require("../../scripts/lib/bondingConfig");
+
+const DAY = 24 * 60 * 60;
+
+const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+const DEFAULT_LIQUIDITY = ethers.parseEther("150");
+const LIQUIDITY_FUND = ethers.parseEther("1000");
+
+/** HiloBonding config by field name, see BONDING_CONFIG_FIELDS */
+const TEST_BONDING_CONFIG = {
+  evaluationDuration: DAY,
+  optionVotingDuration: DAY,
+  disputeDuration: DAY / 2,
+  autoUnfreezeDelay: DAY / 4,
+  falseEvalPenalty: ethers.parseEther("0.1"),
+  trueEvalReward: ethers.parseEther("0.05"),
+  trueDisputeReward: ethers.parseEther("0.1"),
+  falseDisputePenalty: ethers.parseEther("0.15"),
+  goodPoolReward: ethers.parseEther("0.2"),
+  badPoolPenalty: ethers.parseEther("0.3"),
+  minVotesRequired: 2,
+  poolCreationFee: 0n,
+  initialPerOptionCap: 5,
+  maxVoteDifference: 3
+};
+
+/**
+ * Deploy HiloStaking and HiloBonding, authorize bonding in staking and buy the given roles.
+ * @param {Object} [options]
+ * @param {Object} [options.bonding] Config fields overriding TEST_BONDING_CONFIG
+ * @param {import("ethers").Signer[]} [options.poolCreators] Accounts that buy the pool creator role
+ * @param {import("ethers").Signer[]} [options.validators] Accounts that buy the validator role
+ * @returns {Promise<{hiloStaking: import("ethers").Contract, hiloBonding: import("ethers").Contract}>}
+ */
+async function deployBonding({ bonding = {}, poolCreators = [], validators = [] } = {}) {
+  const HiloStaking = await ethers.getContractFactory("HiloStaking");
+  const hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+  await hiloStaking.waitForDeployment();
+
+  const HiloBonding = await ethers.getContractFactory("HiloBonding");
+  const hiloBonding = await HiloBonding.deploy(
+    await hiloStaking.getAddress(),
+    toConfigArray({ ...TEST_BONDING_CONFIG, ...bonding })
+  );
+  await hiloBonding.waitForDeployment();
+
+  await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+  for (const account of poolCreators) {
+    await hiloStaking.connect(account).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+  }
+  for (const account of validators) {
+    await hiloStaking.connect(account).buyValidator({ value: VALIDATOR_THRESHOLD });
+  }
+
+  return { hiloStaking, hiloBonding };
+}
+
+/**
+ * Deploy the full market on a fresh MockERC20: staking, bonding, BetLedger, MarketMath and
+ * HiloPredictionMarket, wired and authorized like a deployment, then funded for default liquidity.
+ * @param {Object} [options] deployBonding options, plus:
+ * @param {bigint} [options.tokenSupply] MockERC20 supply minted to the deployer
+ * @param {bigint|null} [options.defaultLiquidity] Per-group default liquidity, null leaves it off
+ * @param {bigint} [options.marketFund] Tokens sent to the market for default liquidity
+ * @param {import("ethers").Signer[]} [options.users] Accounts that receive `userTokens`
+ * @param {bigint} [options.userTokens] Tokens sent to each user
+ * @param {boolean} [options.approveUsers] Whether users approve the market for unlimited spending
+ * @returns {Promise<Object>} The contracts, the market address and SDK `addresses`/`abis`
+ */
+async function deployMarket({
+  tokenSupply = INITIAL_TOKEN_SUPPLY,
+  defaultLiquidity = DEFAULT_LIQUIDITY,
+  marketFund = LIQUIDITY_FUND,
+  users = [],
+  userTokens = INITIAL_USER_TOKENS,
+  approveUsers = false,
+  ...bondingOptions
+} = {}) {
+  const [owner] = await ethers.getSigners();
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", tokenSupply);
+  await mockToken.waitForDeployment();
+
+  const { hiloStaking, hiloBonding } = await deployBonding(bondingOptions);
+
+  const BetLedger = await ethers.getContractFactory("BetLedger");
+  const betLedger = await BetLedger.deploy(owner.address);
+  await betLedger.waitForDeployment();
+
+  const MarketMath = await ethers.getContractFactory("MarketMath");
+  const marketMath = await MarketMath.deploy();
+  await marketMath.waitForDeployment();
+
+  const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+    libraries: { MarketMath: await marketMath.getAddress() }
+  });
+  const hiloPredictionMarket = await HiloPredictionMarket.deploy(
+    await hiloBonding.getAddress(),
+    await hiloStaking.getAddress(),
+    await mockToken.getAddress(),
+    await betLedger.getAddress()
+  );
+  await hiloPredictionMarket.waitForDeployment();
+  const marketAddress = await hiloPredictionMarket.getAddress();
+
+  await betLedger.updateHiloPredictionMarket(marketAddress);
+  await betLedger.transferOwnership(marketAddress);
+
+  await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+  await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+  if (defaultLiquidity !== null) {
+    await hiloPredictionMarket.configureDefaultLiquidity(true, defaultLiquidity);
+  }
+  if (marketFund > 0n) {
+    await mockToken.transfer(marketAddress, marketFund);
+  }
+
+  for (const user of users) {
+    await mockToken.transfer(user.address, userTokens);
+    if (approveUsers) {
+      await mockToken.connect(user).approve(marketAddress, ethers.MaxUint256);
+    }
+  }
+
+  const addresses = {
+    HiloStaking: await hiloStaking.getAddress(),
+    HiloBonding: await hiloBonding.getAddress(),
+    HiloPredictionMarket: marketAddress,
+    BetLedger: await betLedger.getAddress(),
+    BettingToken: await mockToken.getAddress()
+  };
+  const abis = { BettingToken: ERC20_ABI };
+  for (const name of Object.keys(CONTRACT_SOURCES)) {
+    abis[name] = (await artifacts.readArtifact(name)).abi;
+  }
+
+  return { mockToken, hiloStaking, hiloBonding, betLedger, marketMath, hiloPredictionMarket, marketAddress, addresses, abis };
+}
+
+module.exports = {
+  VALIDATOR_THRESHOLD,
+  POOL_CREATOR_THRESHOLD,
+  EVALUATOR_THRESHOLD,
+  INITIAL_USER_TOKENS,
+  DEFAULT_LIQUIDITY,
+  LIQUIDITY_FUND,
+  TEST_BONDING_CONFIG,
+  deployBonding,
+  deployMarket
+};
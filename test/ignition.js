@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const path = require("path");
+const HiloModule = require("../ignition/modules/Hilo");
+const CollateralTokenModule = require("../ignition/modules/CollateralToken");
+const LiquidityVaultModule = require("../ignition/modules/LiquidityVault");
+const { readBondingConfig } = require("../scripts/lib/bondingConfig");
+
+describe("Hilo Ignition modules", function () {
+  let deployer, contracts;
+
+  const PARAMETERS = path.join(__dirname, "..", "ignition", "parameters", "localhost.json");
+  const parameters = require(PARAMETERS);
+
+  before(async function () {
+    this.timeout(300000);
+    [deployer] = await ethers.getSigners();
+    contracts = await ignition.deploy(HiloModule, { parameters: PARAMETERS });
+  });
+
+  it("Should link MarketMath and deploy the market against the other contracts", async function () {
+    const { hiloPredictionMarket, hiloBonding, hiloStaking, bettingToken, betLedger } = contracts;
+
+    expect(await hiloPredictionMarket.bondingContract()).to.equal(await hiloBonding.getAddress());
+    expect(await hiloPredictionMarket.stakingContract()).to.equal(await hiloStaking.getAddress());
+    expect(await hiloPredictionMarket.bettingToken()).to.equal(await bettingToken.getAddress());
+    expect(await hiloPredictionMarket.betLedgerContract()).to.equal(await betLedger.getAddress());
+  });
+
+  it("Should hand BetLedger to the market and wire authorizations", async function () {
+    const { hiloPredictionMarket, hiloBonding, hiloStaking, betLedger } = contracts;
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    expect(await betLedger.hiloMarket()).to.equal(marketAddress);
+    expect(await betLedger.owner()).to.equal(marketAddress);
+    expect(await hiloStaking.authorizedContracts(await hiloBonding.getAddress())).to.equal(true);
+    expect(await hiloStaking.authorizedContracts(marketAddress)).to.equal(true);
+    expect(await hiloStaking.authorizedContracts(deployer.address)).to.equal(true);
+    expect(await hiloBonding.authorizedAddresses(marketAddress)).to.equal(true);
+    expect(await hiloBonding.authorizedAddresses(deployer.address)).to.equal(true);
+  });
+
+  it("Should apply the parameter file", async function () {
+    const { hiloPredictionMarket, hiloBonding, bettingToken } = contracts;
+    const market = parameters.HiloModule;
+
+    expect(await hiloPredictionMarket.platformFee()).to.equal(BigInt(market.platformFee));
+    expect(await hiloPredictionMarket.earlyExitFee()).to.equal(BigInt(market.earlyExitFee));
+    expect(await hiloPredictionMarket.defaultLiquidityAmount()).to.equal(BigInt(market.defaultLiquidity.slice(0, -1)));
+    expect(await bettingToken.balanceOf(await hiloPredictionMarket.getAddress()))
+      .to.equal(BigInt(market.initialFund.slice(0, -1)));
+    expect(await hiloPredictionMarket.treasury()).to.equal(market.treasury);
+    expect(await hiloPredictionMarket.protocolFeeShare()).to.equal(BigInt(market.protocolFeeShare));
+    expect(await hiloPredictionMarket.creatorFeeShare()).to.equal(BigInt(market.creatorFeeShare));
+
+    const config = await readBondingConfig(hiloBonding);
+    expect(config.disputeDuration).to.equal(BigInt(parameters.HiloBondingModule.disputeDuration));
+    expect(config.minVotesRequired).to.equal(BigInt(parameters.HiloBondingModule.minVotesRequired));
+  });
+
+  it("Should allow a collateral token on the deployed market", async function () {
+    const { hiloPredictionMarket } = contracts;
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const collateral = await MockERC20.deploy("Collateral", "COL", ethers.parseEther("1000"));
+    const collateralAddress = await collateral.getAddress();
+
+    await ignition.deploy(CollateralTokenModule, {
+      parameters: {
+        CollateralTokenModule: {
+          market: await hiloPredictionMarket.getAddress(),
+          token: collateralAddress,
+          defaultLiquidity: ethers.parseEther("25")
+        }
+      }
+    });
+
+    expect(await hiloPredictionMarket.allowedTokens(collateralAddress)).to.equal(true);
+    expect(await hiloPredictionMarket.tokenDefaultLiquidity(collateralAddress)).to.equal(ethers.parseEther("25"));
+  });
+
+  it("Should deploy the stack with a connected and funded default liquidity vault", async function () {
+    this.timeout(300000);
+    const { hiloPredictionMarket, bettingToken, liquidityVault } =
+      await ignition.deploy(LiquidityVaultModule, { parameters: PARAMETERS });
+    const vaultAddress = await liquidityVault.getAddress();
+
+    expect(await liquidityVault.predictionMarket()).to.equal(await hiloPredictionMarket.getAddress());
+    expect(await liquidityVault.bettingToken()).to.equal(await bettingToken.getAddress());
+    expect(await hiloPredictionMarket.liquidityProvider()).to.equal(vaultAddress);
+    expect(await hiloPredictionMarket.defaultLiquidityEnabled()).to.equal(true);
+    expect(await bettingToken.balanceOf(vaultAddress))
+      .to.equal(BigInt(parameters.LiquidityVaultModule.deposit.slice(0, -1)));
+  });
+});
@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventIndexer, openDatabase } = require("../indexer");
+
+describe("Hilo Event Indexer", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettor1, bettor2;
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+  let indexer, addresses, abis, workDir, dbPath, deployBlock;
+
+  const poolId = 5001;
+  const optionGroupId = 5001;
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("150");
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  function createIndexer() {
+    return new EventIndexer({
+      provider: ethers.provider,
+      addresses,
+      abis,
+      db: openDatabase(dbPath),
+      startBlock: deployBlock,
+      batchSize: 5
+    });
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor1, bettor2] = await ethers.getSigners();
+    deployBlock = await ethers.provider.getBlockNumber();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await hiloPredictionMarket.updatePlatformFee(500);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+    await hiloStaking.connect(validator1).buyValidator({ value: VALIDATOR_THRESHOLD });
+    await hiloStaking.connect(validator2).buyValidator({ value: VALIDATOR_THRESHOLD });
+
+    for (const bettor of [bettor1, bettor2]) {
+      await mockToken.transfer(bettor.address, INITIAL_USER_TOKENS);
+      await mockToken.connect(bettor).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    addresses = {
+      HiloPredictionMarket: marketAddress,
+      BetLedger: await betLedger.getAddress(),
+      HiloBonding: await hiloBonding.getAddress()
+    };
+    abis = {};
+    for (const name of Object.keys(addresses)) {
+      abis[name] = (await artifacts.readArtifact(name)).abi;
+    }
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hilo-indexer-"));
+    dbPath = path.join(workDir, "index.db");
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "Indexer Pool", startTime, settleTime, "Data for the indexer", ["Yes", "No"]
+    );
+    await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+    await hiloBonding.connect(validator2).voteEvaluation(poolId, false);
+    await safeIncrementTime(startTime + 10);
+
+    await hiloPredictionMarket.connect(bettor1).placeBet(optionGroupId, 0, ethers.parseEther("20"), 1n);
+    await hiloPredictionMarket.connect(bettor2).placeBet(optionGroupId, 1, ethers.parseEther("10"), 1n);
+
+    indexer = createIndexer();
+  });
+
+  after(function () {
+    indexer.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should index markets, bets, odds and votes", async function () {
+    const result = await indexer.sync();
+    expect(result.fromBlock).to.equal(deployBlock);
+    expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(result.reorgedTo).to.equal(null);
+
+    const market = indexer.getMarket(optionGroupId);
+    expect(market.title).to.equal("Indexer Pool");
+    expect(market.optionNames).to.deep.equal(["Yes", "No"]);
+    expect(market.settled).to.equal(false);
+
+    const bets = indexer.getBetsInGroup(optionGroupId);
+    expect(bets.map((bet) => bet.user)).to.deep.equal([bettor1.address, bettor2.address]);
+    for (const bet of bets) {
+      const onChain = await betLedger.getBetDetails(bet.id);
+      expect(bet.amount).to.equal(onChain.amount);
+      expect(bet.potentialPayout).to.equal(onChain.potentialPayout);
+      expect(bet.lockedOdds).to.equal(onChain.lockedOdds);
+      expect(bet.statusName).to.equal("Active");
+    }
+
+    // One entry for the default liquidity and one per bet
+    const history = indexer.getOddsHistory(optionGroupId);
+    expect(history.length).to.equal(3);
+    expect(history[0].odds).to.deep.equal([20000n, 20000n]);
+    expect(history[2].odds).to.deep.equal([...await hiloPredictionMarket.getAllOdds(optionGroupId)]);
+
+    const votes = indexer.getVotes(poolId);
+    expect(votes.map((vote) => [vote.voter, vote.kind, vote.value])).to.deep.equal([
+      [validator1.address, "evaluation", 1n],
+      [validator2.address, "evaluation", 0n]
+    ]);
+  });
+
+  it("Should record a partial early exit as a cashed-out slice", async function () {
+    const [betId] = await betLedger.getUserActiveBetIds(bettor1.address, optionGroupId);
+    await hiloPredictionMarket.connect(bettor1)["partialEarlyExit(uint256,uint256,uint256,uint256)"](
+      betId, 5000, 0, ethers.MaxUint256
+    );
+    await indexer.sync();
+
+    const bets = indexer.getUserBets(bettor1.address, optionGroupId);
+    expect(bets.length).to.equal(2);
+    const [original, slice] = bets;
+    const onChain = await betLedger.getBetDetails(original.id);
+    expect(original.amount).to.equal(onChain.amount);
+    expect(original.statusName).to.equal("Active");
+    expect(slice.parentBetId).to.equal(original.id);
+    expect(slice.statusName).to.equal("CashedOut");
+    expect(slice.lockedOdds).to.equal(original.lockedOdds);
+    expect(slice.exitAmount).to.be.gt(0n);
+  });
+
+  it("Should move a transferred bet to its new owner", async function () {
+    const [betId] = await betLedger.getUserActiveBetIds(bettor1.address, optionGroupId);
+    await betLedger.connect(bettor1).transferFrom(bettor1.address, bettor2.address, betId);
+    await indexer.sync();
+
+    expect(indexer.getUserBets(bettor1.address, optionGroupId).map((bet) => bet.id)).to.not.include(betId);
+    const moved = indexer.getUserBets(bettor2.address, optionGroupId).find((bet) => bet.id === betId);
+    expect(moved.statusName).to.equal("Active");
+  });
+
+  it("Should resume from the checkpoint of an earlier run", async function () {
+    const checkpoint = indexer.getCheckpoint();
+    indexer.close();
+
+    await hiloPredictionMarket.connect(bettor2).placeBet(optionGroupId, 0, ethers.parseEther("5"), 1n);
+    indexer = createIndexer();
+    const result = await indexer.sync();
+
+    expect(result.fromBlock).to.equal(checkpoint.blockNumber + 1);
+    expect(result.events).to.equal(4); // BetRecorded, the receipt's Transfer, BetPlaced and OddsChanged
+    expect(indexer.getBetsInGroup(optionGroupId).length).to.equal(4);
+  });
+
+  it("Should roll back blocks orphaned by a reorg", async function () {
+    const snapshot = await network.provider.send("evm_snapshot");
+    const forkBlock = await ethers.provider.getBlockNumber();
+
+    await hiloPredictionMarket.connect(bettor1).placeBet(optionGroupId, 1, ethers.parseEther("7"), 1n);
+    await indexer.sync();
+    const orphaned = indexer.getBetsInGroup(optionGroupId).at(-1);
+    expect(orphaned.user).to.equal(bettor1.address);
+
+    // Replace the indexed block with a different one at the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("evm_mine");
+    await hiloPredictionMarket.connect(bettor2).placeBet(optionGroupId, 1, ethers.parseEther("3"), 1n);
+
+    const result = await indexer.sync();
+    expect(result.reorgedTo).to.equal(forkBlock);
+
+    const bets = indexer.getBetsInGroup(optionGroupId);
+    expect(bets.length).to.equal(5);
+    const replacement = bets.at(-1);
+    expect(replacement.id).to.equal(orphaned.id);
+    expect(replacement.user).to.equal(bettor2.address);
+    expect(replacement.amount).to.equal(ethers.parseEther("3"));
+
+    const history = indexer.getOddsHistory(optionGroupId);
+    expect(history.at(-1).odds).to.deep.equal([...await hiloPredictionMarket.getAllOdds(optionGroupId)]);
+  });
+});
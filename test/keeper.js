@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK, decodePoolTimelines } = require("../sdk");
+const { PoolKeeper, planActions, nextTransitionTime } = require("../keeper");
+const { deployMarket, VALIDATOR_THRESHOLD } = require("./helpers/deploy");
+
+describe("Hilo Pool Keeper", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, keeperAccount;
+  let hiloStaking, hiloBonding, hiloPredictionMarket;
+  let keeper, logs, deployBlock;
+
+  // Pools: one the validators approve, one they reject
+  const approvedPoolId = 7001;
+  const rejectedPoolId = 7002;
+  let timelines, rejectedTimelines;
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  const methods = (actions) => actions.map(({ method, args }) => `${method}(${args.join(",")})`);
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, keeperAccount] = await ethers.getSigners();
+    deployBlock = await ethers.provider.getBlockNumber();
+
+    let addresses, abis;
+    ({ hiloStaking, hiloBonding, hiloPredictionMarket, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2]
+    }));
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+    for (const [poolId, title] of [[approvedPoolId, "Keeper Approved Pool"], [rejectedPoolId, "Keeper Rejected Pool"]]) {
+      await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+        poolId, poolId, title, startTime, settleTime, "Data for the keeper", ["Yes", "No"]
+      );
+    }
+    timelines = decodePoolTimelines(await hiloBonding.getPoolTimelines(approvedPoolId));
+    // Created a block later, so its evaluation ends a little later
+    rejectedTimelines = decodePoolTimelines(await hiloBonding.getPoolTimelines(rejectedPoolId));
+
+    // Two votes each, too close for the evaluation to complete before its window ends
+    await hiloBonding.connect(validator1).voteEvaluation(approvedPoolId, true);
+    await hiloBonding.connect(validator2).voteEvaluation(approvedPoolId, true);
+    await hiloBonding.connect(validator1).voteEvaluation(rejectedPoolId, false);
+    await hiloBonding.connect(validator2).voteEvaluation(rejectedPoolId, false);
+
+    // The keeper account has no validator stake yet, which canceling needs
+    logs = [];
+    keeper = new PoolKeeper({
+      sdk: new HiloSDK({ runner: keeperAccount, addresses, abis }),
+      startBlock: deployBlock,
+      batchSize: 5,
+      retryBaseMs: 0,
+      log: (message) => logs.push(message)
+    });
+  });
+
+  describe("Planning", function () {
+    const pool = {
+      poolId: 1n,
+      timelines: { evaluationStart: 0, evaluationEnd: 100, optionVotingStart: 200, optionVotingEnd: 300, disputeEnd: 400 },
+      hasEvaluationVotes: true,
+      evaluationCompleted: false,
+      result: null,
+      groups: [{ groupId: 11n, settleTimeframe: 200, settled: false, canceled: false }]
+    };
+
+    it("Should complete the evaluation after its window and process the pool after disputes", function () {
+      expect(planActions(pool, 100)).to.deep.equal([]);
+      expect(methods(planActions(pool, 101))).to.deep.equal(["completeEvaluationPhase(1)"]);
+      expect(methods(planActions(pool, 401))).to.deep.equal(["completeEvaluationPhase(1)", "processPool(1)"]);
+
+      const withoutVotes = { ...pool, hasEvaluationVotes: false };
+      expect(methods(planActions(withoutVotes, 401))).to.deep.equal(["processPool(1)"]);
+      expect(nextTransitionTime(withoutVotes, 50)).to.equal(401);
+      expect(nextTransitionTime(pool, 50)).to.equal(101);
+    });
+
+    it("Should settle approved groups at their settle time and cancel rejected ones", function () {
+      const approved = { ...pool, evaluationCompleted: true, result: { finalApproval: true, winningOptionIndex: 1 } };
+      const late = { groupId: 12n, settleTimeframe: 600, settled: false, canceled: false };
+      approved.groups = [...pool.groups, late];
+      expect(methods(planActions(approved, 401))).to.deep.equal(["settleOptionGroup(11,1)"]);
+      expect(nextTransitionTime(approved, 401)).to.equal(600);
+
+      const rejected = { ...approved, result: { finalApproval: false, winningOptionIndex: 0 } };
+      expect(methods(planActions(rejected, 401))).to.deep.equal(["cancelOptionGroup(11)", "cancelOptionGroup(12)"]);
+      expect(nextTransitionTime(rejected, 401)).to.equal(null);
+    });
+  });
+
+  describe("Against the chain", function () {
+    it("Should discover both pools and wait for the end of their evaluation", async function () {
+      const result = await keeper.tick();
+
+      expect(result.executed).to.deep.equal([]);
+      expect(result.nextTransition).to.equal(timelines.evaluationEnd + 1);
+      expect(keeper.getOpenPools().map((pool) => pool.poolId)).to.deep.equal([
+        BigInt(approvedPoolId), BigInt(rejectedPoolId)
+      ]);
+      expect(keeper.pools.get(String(approvedPoolId)).groups).to.deep.equal([
+        { groupId: BigInt(approvedPoolId), settleTimeframe: timelines.optionVotingStart, settled: false, canceled: false }
+      ]);
+    });
+
+    it("Should complete both evaluations once their window has ended", async function () {
+      await safeIncrementTime(rejectedTimelines.evaluationEnd + 1);
+      const result = await keeper.tick();
+
+      expect(methods(result.executed)).to.deep.equal([
+        `completeEvaluationPhase(${approvedPoolId})`, `completeEvaluationPhase(${rejectedPoolId})`
+      ]);
+      expect((await hiloBonding.getPoolEvaluationStatus(approvedPoolId))[0]).to.equal(true);
+      expect(result.nextTransition).to.equal(timelines.disputeEnd + 1);
+      expect(logs).to.include(`Pool ${approvedPoolId}: evaluation of pool ${approvedPoolId} ended at ${timelines.evaluationEnd}, calling completeEvaluationPhase(${approvedPoolId})`);
+
+      // Nothing is due until the dispute window ends
+      expect((await keeper.tick()).executed).to.deep.equal([]);
+    });
+
+    it("Should process both pools after the dispute window and settle the approved group", async function () {
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(approvedPoolId, 1);
+      await hiloBonding.connect(validator2).voteOption(approvedPoolId, 1);
+
+      await safeIncrementTime(timelines.disputeEnd + 1);
+      const processed = await keeper.tick();
+      expect(methods(processed.executed)).to.deep.equal([`processPool(${approvedPoolId})`, `processPool(${rejectedPoolId})`]);
+      expect(processed.failed).to.have.length(0);
+
+      // Canceling needs a validator stake the keeper does not have yet
+      const settled = await keeper.tick();
+      expect(methods(settled.executed)).to.deep.equal([`settleOptionGroup(${approvedPoolId},1)`]);
+      expect(methods(settled.failed)).to.deep.equal([`cancelOptionGroup(${rejectedPoolId})`]);
+      expect(settled.failed[0].error).to.include("Not a validator");
+
+      const group = await hiloPredictionMarket.optionGroups(approvedPoolId);
+      expect(group.settled).to.equal(true);
+      expect(group.winningOptionIndex).to.equal(1n);
+    });
+
+    it("Should retry a failed transition with backoff until it succeeds", async function () {
+      expect(logs.some((line) => line.startsWith(`cancelOptionGroup(${rejectedPoolId}) failed (attempt 1 of 5)`))).to.equal(true);
+
+      await keeper.tick();
+      expect(keeper.failures.get(`cancelOptionGroup(${rejectedPoolId})`).attempts).to.equal(2);
+
+      await hiloStaking.connect(keeperAccount).buyValidator({ value: VALIDATOR_THRESHOLD });
+      const result = await keeper.tick();
+      expect(methods(result.executed)).to.deep.equal([`cancelOptionGroup(${rejectedPoolId})`]);
+      expect(keeper.failures.size).to.equal(0);
+      expect((await hiloPredictionMarket.optionGroups(rejectedPoolId)).canceled).to.equal(true);
+
+      expect(keeper.getOpenPools()).to.deep.equal([]);
+      expect(result.nextTransition).to.equal(null);
+    });
+
+    // A rejected pool whose option group does not exist, so canceling always fails
+    function keeperWithFailingPool(options) {
+      const failing = new PoolKeeper({ sdk: keeper.sdk, startBlock: deployBlock, log: () => {}, ...options });
+      failing.pools.set("999", {
+        poolId: 999n,
+        timelines,
+        hasEvaluationVotes: false,
+        evaluationCompleted: true,
+        result: { finalApproval: false, winningOptionIndex: 0 },
+        groups: [{ groupId: 999n, settleTimeframe: 0, settled: false, canceled: false }]
+      });
+      return failing;
+    }
+
+    it("Should wait out the backoff before retrying", async function () {
+      const failing = keeperWithFailingPool({ retryBaseMs: 60000 });
+
+      const failedAt = Date.now();
+      expect((await failing.tick()).failed).to.have.length(1);
+      const { attempts, retryAt } = failing.failures.get("cancelOptionGroup(999)");
+      expect(attempts).to.equal(1);
+      expect(retryAt).to.be.gte(failedAt + 60000);
+
+      expect((await failing.tick()).failed).to.have.length(0);
+
+      // Due again: the second failure doubles the delay
+      failing.failures.get("cancelOptionGroup(999)").retryAt = 0;
+      const retried = Date.now();
+      expect((await failing.tick()).failed).to.have.length(1);
+      expect(failing.failures.get("cancelOptionGroup(999)").retryAt).to.be.gte(retried + 120000);
+    });
+
+    it("Should give up on a transition after maxAttempts failures", async function () {
+      const failing = keeperWithFailingPool({ maxAttempts: 2, retryBaseMs: 0 });
+
+      expect((await failing.tick()).failed).to.have.length(1);
+      expect((await failing.tick()).failed).to.have.length(1);
+      expect((await failing.tick()).failed).to.have.length(0);
+      expect(failing.failures.get("cancelOptionGroup(999)").attempts).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("HiloPredictionMarket - Liquidity Provider Shares", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, lp1, lp2, bettor1, bettor2;
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+  let marketAddress;
+
+  const poolId = 3201;
+  const optionGroupId = 3201;
+  let startTime, settleTime;
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("150");
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+  const PLATFORM_FEE = 500n; // 5%
+  const EARLY_EXIT_FEE = 500n; // 5%
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  async function position(provider) {
+    return hiloPredictionMarket.getLiquidityPosition(optionGroupId, provider);
+  }
+
+  // Fee-per-share rounding leaves at most a few hundred wei undistributed, never over-credits
+  const FEE_DUST = 1000n;
+
+  async function totalFees() {
+    return (await hiloPredictionMarket.optionGroups(optionGroupId)).totalFees;
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, lp1, lp2, bettor1, bettor2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await hiloPredictionMarket.updatePlatformFee(PLATFORM_FEE);
+    await hiloPredictionMarket.updateEarlyExitFee(EARLY_EXIT_FEE);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+    await hiloStaking.connect(validator1).buyValidator({ value: VALIDATOR_THRESHOLD });
+    await hiloStaking.connect(validator2).buyValidator({ value: VALIDATOR_THRESHOLD });
+
+    for (const user of [lp1, lp2, bettor1, bettor2]) {
+      await mockToken.transfer(user.address, INITIAL_USER_TOKENS);
+      await mockToken.connect(user).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    startTime = latestBlock.timestamp + 300;
+    settleTime = startTime + (3600 * 24);
+
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "LP Share Pool", startTime, settleTime, "Data for LP shares", ["Yes", "No"]
+    );
+    await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+    await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+  });
+
+  describe("Minting shares", function () {
+    it("Should mint one share per token for the first liquidity", async function () {
+      const contractPosition = await position(marketAddress);
+      expect(contractPosition.shares).to.equal(DEFAULT_LIQUIDITY);
+      expect(contractPosition.totalShares).to.equal(DEFAULT_LIQUIDITY);
+      expect(contractPosition.liquidityValue).to.equal(DEFAULT_LIQUIDITY);
+    });
+
+    it("Should mint at par before any trading", async function () {
+      const amount = ethers.parseEther("150");
+      await expect(hiloPredictionMarket.connect(lp1).addLiquidity(optionGroupId, amount))
+        .to.emit(hiloPredictionMarket, "LiquiditySharesMinted")
+        .withArgs(optionGroupId, lp1.address, amount);
+
+      const lp1Position = await position(lp1.address);
+      expect(lp1Position.totalShares).to.equal(DEFAULT_LIQUIDITY + amount);
+      expect(lp1Position.liquidityValue).to.equal(amount);
+      expect(await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)).to.deep.equal([amount, amount]);
+    });
+
+    it("Should credit trading fees to shares pro rata", async function () {
+      await safeIncrementTime(startTime + 10);
+      await hiloPredictionMarket.connect(bettor1).placeBet(optionGroupId, 0, ethers.parseEther("40"), 1n);
+      await hiloPredictionMarket.connect(bettor2).placeBet(optionGroupId, 1, ethers.parseEther("15"), 1n);
+
+      const fees = await totalFees();
+      expect(fees).to.be.gt(0n);
+
+      // Both LPs hold half the shares
+      const lp1Position = await position(lp1.address);
+      const contractPosition = await position(marketAddress);
+      expect(lp1Position.accruedFees).to.equal(contractPosition.accruedFees);
+      expect(lp1Position.accruedFees + contractPosition.accruedFees).to.be.lte(fees);
+      expect(lp1Position.accruedFees + contractPosition.accruedFees).to.be.closeTo(fees, FEE_DUST);
+    });
+
+    it("Should price mid-market liquidity at remaining liquidity without moving odds", async function () {
+      const oddsBefore = await hiloPredictionMarket.getAllOdds(optionGroupId);
+      const valueBefore = await hiloPredictionMarket.calculateRemainingLiquidity(optionGroupId);
+      const { totalShares } = await position(lp1.address);
+
+      const amount = ethers.parseEther("60");
+      const expectedShares = (amount * totalShares) / valueBefore;
+      await expect(hiloPredictionMarket.connect(lp2).addLiquidity(optionGroupId, amount))
+        .to.emit(hiloPredictionMarket, "LiquiditySharesMinted")
+        .withArgs(optionGroupId, lp2.address, expectedShares);
+
+      const oddsAfter = await hiloPredictionMarket.getAllOdds(optionGroupId);
+      for (let i = 0; i < oddsBefore.length; i++) {
+        expect(oddsAfter[i]).to.be.closeTo(oddsBefore[i], 1n);
+      }
+      expect(await hiloPredictionMarket.calculateRemainingLiquidity(optionGroupId)).to.be.closeTo(valueBefore + amount, 2n);
+
+      // The new LP is worth what they paid and has not earned earlier fees
+      const lp2Position = await position(lp2.address);
+      expect(lp2Position.shares).to.equal(expectedShares);
+      expect(lp2Position.liquidityValue).to.be.closeTo(amount, 2n);
+      expect(lp2Position.accruedFees).to.equal(0n);
+    });
+
+    it("Should credit later fees to the new shares as well", async function () {
+      const lp1Before = await position(lp1.address);
+      const lp2Before = await position(lp2.address);
+      const feesBefore = await totalFees();
+
+      await hiloPredictionMarket.connect(bettor2).placeBet(optionGroupId, 1, ethers.parseEther("25"), 1n);
+      const newFees = (await totalFees()) - feesBefore;
+
+      const lp1Earned = (await position(lp1.address)).accruedFees - lp1Before.accruedFees;
+      const lp2Earned = (await position(lp2.address)).accruedFees - lp2Before.accruedFees;
+      expect(lp1Earned).to.be.closeTo((newFees * lp1Before.shares) / lp1Before.totalShares, FEE_DUST);
+      expect(lp2Earned).to.be.closeTo((newFees * lp2Before.shares) / lp2Before.totalShares, FEE_DUST);
+    });
+
+    it("Should reject empty and late liquidity", async function () {
+      await expect(hiloPredictionMarket.connect(lp1).addLiquidity(optionGroupId, 0))
+        .to.be.revertedWith("Amount must be positive");
+
+      await safeIncrementTime(settleTime);
+      await expect(hiloPredictionMarket.connect(lp1).addLiquidity(optionGroupId, ethers.parseEther("1")))
+        .to.be.revertedWith("Betting window closed");
+    });
+  });
+
+  describe("Redeeming shares", function () {
+    before(async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolId);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(poolId, 0);
+      await hiloBonding.connect(validator2).voteOption(poolId, 0);
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(poolId);
+      // Settled shares are priced against what the group still owes its winners
+      await hiloPredictionMarket.settleOptionGroup(optionGroupId, 0);
+    });
+
+    it("Should pay the previewed value plus accrued fees and burn the shares", async function () {
+      const lp1Position = await position(lp1.address);
+      const lp2Before = await position(lp2.address);
+      const redeemable = lp1Position.liquidityValue + lp1Position.accruedFees;
+      const balanceBefore = await mockToken.balanceOf(lp1.address);
+
+      await expect(hiloPredictionMarket.connect(lp1).removeLiquidity(optionGroupId))
+        .to.emit(hiloPredictionMarket, "LiquiditySharesBurned")
+        .withArgs(optionGroupId, lp1.address, lp1Position.shares)
+        .and.to.emit(hiloPredictionMarket, "LiquidityRemoved")
+        .withArgs(optionGroupId, lp1.address, redeemable);
+
+      expect(await mockToken.balanceOf(lp1.address) - balanceBefore).to.equal(redeemable);
+
+      const lp1After = await position(lp1.address);
+      expect(lp1After.shares).to.equal(0n);
+      expect(lp1After.totalShares).to.equal(lp1Position.totalShares - lp1Position.shares);
+
+      // Redeeming does not dilute or inflate the remaining LPs
+      const lp2After = await position(lp2.address);
+      expect(lp2After.liquidityValue).to.be.closeTo(lp2Before.liquidityValue, 2n);
+      expect(lp2After.accruedFees).to.equal(lp2Before.accruedFees);
+    });
+
+    it("Should let the remaining LP redeem the same value afterwards", async function () {
+      const lp2Position = await position(lp2.address);
+      const balanceBefore = await mockToken.balanceOf(lp2.address);
+
+      await hiloPredictionMarket.connect(lp2).removeLiquidity(optionGroupId);
+
+      expect(await mockToken.balanceOf(lp2.address) - balanceBefore)
+        .to.equal(lp2Position.liquidityValue + lp2Position.accruedFees);
+    });
+
+    it("Should not redeem twice", async function () {
+      await expect(hiloPredictionMarket.connect(lp1).removeLiquidity(optionGroupId))
+        .to.be.revertedWith("No liquidity provided");
+    });
+
+    it("Should let the owner redeem the market's default liquidity into its free balance", async function () {
+      const marketPosition = await position(marketAddress);
+      const redeemable = marketPosition.liquidityValue + marketPosition.accruedFees;
+      expect(marketPosition.shares).to.equal(DEFAULT_LIQUIDITY);
+
+      await expect(hiloPredictionMarket.connect(lp1).removeDefaultLiquidity(optionGroupId))
+        .to.be.revertedWithCustomError(hiloPredictionMarket, "OwnableUnauthorizedAccount");
+
+      const groupBalanceBefore = (await hiloPredictionMarket.optionGroups(optionGroupId)).balance;
+      const marketBalanceBefore = await mockToken.balanceOf(marketAddress);
+      await expect(hiloPredictionMarket.removeDefaultLiquidity(optionGroupId))
+        .to.emit(hiloPredictionMarket, "LiquidityRemoved")
+        .withArgs(optionGroupId, marketAddress, redeemable);
+
+      // The tokens stay in the market but no longer belong to the group
+      expect(await mockToken.balanceOf(marketAddress)).to.equal(marketBalanceBefore);
+      expect((await hiloPredictionMarket.optionGroups(optionGroupId)).balance).to.equal(groupBalanceBefore - redeemable);
+      expect((await position(marketAddress)).shares).to.equal(0n);
+      await expect(hiloPredictionMarket.removeDefaultLiquidity(optionGroupId))
+        .to.be.revertedWith("No liquidity provided");
+    });
+  });
+});
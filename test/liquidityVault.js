@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deployMarket, DEFAULT_LIQUIDITY } = require("./helpers/deploy");
+
+describe("Default liquidity vault", function () {
+  let owner, poolCreator, validator1, validator2, bettor, stranger;
+  let hiloBonding, hiloPredictionMarket, mockToken, vault;
+  let marketAddress, vaultAddress;
+
+  const SETTLED_POOL_ID = 9601;
+  const CANCELED_POOL_ID = 9602;
+  const UNFUNDED_POOL_ID = 9603;
+
+  // Constants
+  const VAULT_FUND = ethers.parseEther("400");
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  function createPool(poolId, startTime) {
+    return hiloPredictionMarket.connect(poolCreator)[
+      "createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[])"
+    ](poolId, poolId, `Pool ${poolId}`, startTime, startTime + 3600 * 24, "Data", ["Yes", "No"]);
+  }
+
+  function placeBet(groupId, option, amount) {
+    return hiloPredictionMarket.connect(bettor)["placeBet(uint256,uint256,uint256,uint256)"](groupId, option, amount, 0);
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, stranger] = await ethers.getSigners();
+
+    // The market itself holds no tokens, so default liquidity can only come from the vault
+    ({ hiloBonding, hiloPredictionMarket, mockToken, marketAddress } = await deployMarket({
+      marketFund: 0n,
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor],
+      approveUsers: true
+    }));
+
+    const HiloDefaultLiquidityProvider = await ethers.getContractFactory("HiloDefaultLiquidityProvider");
+    vault = await HiloDefaultLiquidityProvider.deploy(marketAddress, await mockToken.getAddress());
+    await vault.waitForDeployment();
+    vaultAddress = await vault.getAddress();
+  });
+
+  describe("Configuration", function () {
+    it("Should only let the owner set the liquidity provider", async function () {
+      await expect(hiloPredictionMarket.connect(stranger).setLiquidityProvider(vaultAddress, true))
+        .to.be.revertedWithCustomError(hiloPredictionMarket, "OwnableUnauthorizedAccount");
+
+      await expect(hiloPredictionMarket.setLiquidityProvider(vaultAddress, true))
+        .to.emit(hiloPredictionMarket, "LiquidityProviderConfigured")
+        .withArgs(vaultAddress, true);
+      expect(await hiloPredictionMarket.liquidityProvider()).to.equal(vaultAddress);
+      expect(await hiloPredictionMarket.defaultLiquidityEnabled()).to.be.true;
+    });
+
+    it("Should only let the market draw on the vault", async function () {
+      await expect(vault.fundOptionGroup(SETTLED_POOL_ID, DEFAULT_LIQUIDITY))
+        .to.be.revertedWith("Caller is not the prediction market");
+    });
+
+    it("Should accept deposits", async function () {
+      await mockToken.approve(vaultAddress, VAULT_FUND);
+      await expect(vault.depositFunds(VAULT_FUND))
+        .to.emit(vault, "FundsDeposited")
+        .withArgs(owner.address, VAULT_FUND);
+
+      const [available, deployed, pnl] = await vault.getFundingStatus();
+      expect(available).to.equal(VAULT_FUND);
+      expect(deployed).to.equal(0n);
+      expect(pnl).to.equal(0n);
+    });
+  });
+
+  describe("Funding", function () {
+    it("Should fund new option groups and hold their LP shares", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const startTime = latestBlock.timestamp + 300;
+
+      await expect(createPool(SETTLED_POOL_ID, startTime))
+        .to.emit(vault, "DefaultLiquidityAdded")
+        .withArgs(SETTLED_POOL_ID, DEFAULT_LIQUIDITY);
+      await createPool(CANCELED_POOL_ID, startTime);
+
+      for (const poolId of [SETTLED_POOL_ID, CANCELED_POOL_ID]) {
+        expect(await hiloPredictionMarket.getLiquidityProvidedByAddress(poolId, vaultAddress)).to.equal(DEFAULT_LIQUIDITY);
+        const { shares } = await hiloPredictionMarket.getLiquidityPosition(poolId, vaultAddress);
+        expect(shares).to.equal(DEFAULT_LIQUIDITY);
+        expect((await vault.positions(poolId)).deployed).to.equal(DEFAULT_LIQUIDITY);
+      }
+
+      const [available, deployed] = await vault.getFundingStatus();
+      expect(available).to.equal(VAULT_FUND - 2n * DEFAULT_LIQUIDITY);
+      expect(deployed).to.equal(2n * DEFAULT_LIQUIDITY);
+      expect(await vault.getActivePools(0, 10)).to.deep.equal([BigInt(SETTLED_POOL_ID), BigInt(CANCELED_POOL_ID)]);
+      expect(await vault.getActivePoolsCount()).to.equal(2n);
+    });
+
+    it("Should skip default liquidity rather than fund it from the market when the vault is short", async function () {
+      // Tokens the market holds itself are not used for groups in the vault's token
+      await mockToken.transfer(marketAddress, DEFAULT_LIQUIDITY);
+
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await expect(createPool(UNFUNDED_POOL_ID, latestBlock.timestamp + 300))
+        .to.emit(hiloPredictionMarket, "DefaultLiquidityFailed")
+        .withArgs(UNFUNDED_POOL_ID, "Insufficient balance for default liquidity");
+
+      expect(await hiloPredictionMarket.getCurrentLiquidity(UNFUNDED_POOL_ID)).to.deep.equal([0n, 0n]);
+      expect((await hiloPredictionMarket.getLiquidityPosition(UNFUNDED_POOL_ID, marketAddress)).shares).to.equal(0n);
+      expect((await vault.positions(UNFUNDED_POOL_ID)).deployed).to.equal(0n);
+      expect(await vault.getActivePoolsCount()).to.equal(2n);
+    });
+
+    it("Should only let the owner withdraw idle funds", async function () {
+      const idle = VAULT_FUND - 2n * DEFAULT_LIQUIDITY;
+      await expect(vault.connect(stranger).withdrawFunds(idle))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.withdrawFunds(idle + 1n)).to.be.revertedWith("Amount exceeds idle funds");
+
+      await expect(vault.withdrawFunds(idle))
+        .to.changeTokenBalances(mockToken, [vault, owner], [-idle, idle]);
+      const [available, deployed] = await vault.getFundingStatus();
+      expect(available).to.equal(0n);
+      expect(deployed).to.equal(2n * DEFAULT_LIQUIDITY);
+    });
+  });
+
+  describe("Recall and P&L", function () {
+    before(async function () {
+      await hiloBonding.connect(validator1).voteEvaluation(SETTLED_POOL_ID, true);
+      await hiloBonding.connect(validator2).voteEvaluation(SETTLED_POOL_ID, true);
+      await hiloBonding.connect(validator1).voteEvaluation(CANCELED_POOL_ID, false);
+      await hiloBonding.connect(validator2).voteEvaluation(CANCELED_POOL_ID, false);
+
+      const { startTimeframe } = await hiloBonding.getPoolBasics(SETTLED_POOL_ID);
+      await safeIncrementTime(startTimeframe + 10n);
+      await placeBet(SETTLED_POOL_ID, 0, ethers.parseEther("30"));
+      await placeBet(SETTLED_POOL_ID, 1, ethers.parseEther("12"));
+      await placeBet(CANCELED_POOL_ID, 0, ethers.parseEther("20"));
+    });
+
+    it("Should not recall liquidity before the group is resolved", async function () {
+      await expect(vault.removeDefaultLiquidity(SETTLED_POOL_ID))
+        .to.be.revertedWith("Option group not settled or canceled");
+      expect(await vault.batchRemoveLiquidity.staticCall(10)).to.equal(0n);
+      await expect(vault.removeDefaultLiquidity(UNFUNDED_POOL_ID))
+        .to.be.revertedWith("No default liquidity to remove");
+    });
+
+    it("Should redeem a settled group's shares and book the profit or loss", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(SETTLED_POOL_ID);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(SETTLED_POOL_ID, 1);
+      await hiloBonding.connect(validator2).voteOption(SETTLED_POOL_ID, 1);
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(SETTLED_POOL_ID);
+      await hiloBonding.processPool(CANCELED_POOL_ID);
+      await hiloPredictionMarket.settleOptionGroup(SETTLED_POOL_ID, 1);
+
+      const { liquidityValue, accruedFees } = await hiloPredictionMarket.getLiquidityPosition(SETTLED_POOL_ID, vaultAddress);
+      const returned = liquidityValue + accruedFees;
+      const pnl = returned - DEFAULT_LIQUIDITY;
+
+      // Anyone can trigger the recall; the tokens go to the vault
+      await expect(vault.connect(stranger).removeDefaultLiquidity(SETTLED_POOL_ID))
+        .to.emit(vault, "DefaultLiquidityRemoved")
+        .withArgs(SETTLED_POOL_ID, returned, pnl);
+
+      const position = await vault.positions(SETTLED_POOL_ID);
+      expect(position.returned).to.equal(returned);
+      expect(position.pnl).to.equal(pnl);
+      expect(position.recalled).to.be.true;
+
+      const [available, deployed, realizedPnl] = await vault.getFundingStatus();
+      expect(available).to.equal(returned);
+      expect(deployed).to.equal(DEFAULT_LIQUIDITY);
+      expect(realizedPnl).to.equal(pnl);
+      expect(await vault.getActivePools(0, 10)).to.deep.equal([BigInt(CANCELED_POOL_ID)]);
+
+      await expect(vault.removeDefaultLiquidity(SETTLED_POOL_ID))
+        .to.be.revertedWith("No default liquidity to remove");
+    });
+
+    it("Should recall canceled groups in a batch", async function () {
+      const [availableBefore, , pnlBefore] = await vault.getFundingStatus();
+
+      const tx = await vault.batchRemoveLiquidity(10);
+      const receipt = await tx.wait();
+      const removed = receipt.logs
+        .map((log) => vault.interface.parseLog(log))
+        .filter((log) => log && log.name === "DefaultLiquidityRemoved");
+      expect(removed.map((log) => log.args.optionGroupId)).to.deep.equal([BigInt(CANCELED_POOL_ID)]);
+
+      // The bettor is refunded from the group, so the vault gets its liquidity back
+      expect((await hiloPredictionMarket.optionGroups(CANCELED_POOL_ID)).canceled).to.be.true;
+      const position = await vault.positions(CANCELED_POOL_ID);
+      expect(position.returned).to.be.gte(DEFAULT_LIQUIDITY);
+      expect(position.pnl).to.equal(position.returned - DEFAULT_LIQUIDITY);
+
+      const [available, deployed, realizedPnl] = await vault.getFundingStatus();
+      expect(available).to.equal(availableBefore + position.returned);
+      expect(deployed).to.equal(0n);
+      expect(realizedPnl).to.equal(pnlBefore + position.pnl);
+      expect(await vault.getActivePoolsCount()).to.equal(0n);
+
+      await hiloPredictionMarket.connect(bettor).refundBets(CANCELED_POOL_ID);
+      expect((await hiloPredictionMarket.optionGroups(CANCELED_POOL_ID)).balance).to.equal(0n);
+    });
+  });
+});
@@ -3,6 +3,7 @@
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
 const fs = require("fs");
+const { calculateTotalRemainingLiquidity, calculateOdds } = require("../sdk/pricing");
 
 describe("HiloPredictionMarket - Pool Betting Tests", function () {
   // Actors
@@ -51,21 +52,10 @@ describe("HiloPredictionMarket - Pool Betting Tests", function () {
       
       const currentLiquidity = await hiloPredictionMarket.getCurrentLiquidity(groupId);
       const initialLiquidity = await hiloPredictionMarket.getInitialLiquidity(groupId);
-      const MarketMathFactory = await ethers.getContractFactory("MarketMath"); // Need factory to call library functions if not linked via `using for`
-      // const marketMath = await MarketMathFactory.attach(ADDRESS_IF_DEPLOYED_SEPARATELY_OR_USE_STATIC_CALL);
-      // This is tricky - Hardhat doesn't easily let you call library functions directly in tests
-      // A common workaround is to have a helper contract or replicate the logic in JS.
-      // Let's replicate the essential logic needed here for TotalRemainingLiquidity and OddsForOption in JS for simplicity.
-      const calculateJsReserve = (initial, current) => current >= initial ? 0n : initial - current;
-      let jsTotalRemainingLiquidity = 0n;
-      for (let i = 0; i < currentLiquidity.length; i++) {
-          jsTotalRemainingLiquidity += currentLiquidity[i];
-          jsTotalRemainingLiquidity += calculateJsReserve(initialLiquidity[i], currentLiquidity[i]);
-      }
-      const calculateJsOdds = (optionLiq, totalRemLiq, precision) => optionLiq > 0 ? (totalRemLiq * precision) / optionLiq : 0n;
-
-      const oddsYes = calculateJsOdds(currentLiquidity[0], jsTotalRemainingLiquidity, BigInt(PRECISION));
-      const oddsNo = calculateJsOdds(currentLiquidity[1], jsTotalRemainingLiquidity, BigInt(PRECISION));
+      // Odds and total remaining liquidity come from the shared off-chain pricing engine
+      const marketState = { initialLiquidity: [...initialLiquidity], currentLiquidity: [...currentLiquidity] };
+      const totalRemainingLiquidity = calculateTotalRemainingLiquidity(marketState);
+      const [oddsYes, oddsNo] = calculateOdds(marketState);
 
       const totalBetsVolume = await hiloPredictionMarket.getTotalBetsPerOption(groupId);
       const reservedTokens = await hiloPredictionMarket.getReservedTokens(groupId);
@@ -133,7 +123,7 @@ describe("HiloPredictionMarket - Pool Betting Tests", function () {
         liquidityNo: formatBigInt(currentLiquidity[1]),
         reservedYes: formatBigInt(reservedTokens[0]),
         reservedNo: formatBigInt(reservedTokens[1]),
-        totalRemainingLiquidity: formatBigInt(jsTotalRemainingLiquidity),
+        totalRemainingLiquidity: formatBigInt(totalRemainingLiquidity),
         oddsYes: (Number(oddsYes) / PRECISION).toFixed(4),
         oddsNo: (Number(oddsNo) / PRECISION).toFixed(4),
         lockedOdds: lockedOdds,
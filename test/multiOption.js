@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { quoteBet, quoteEarlyExit } = require("../sdk/pricing");
+
+describe("Multi-Outcome (N-Option) Market Verifier", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettors = [];
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+
+  // Pool details
+  let poolId, optionGroupId;
+  let betIds = {};
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("200"); // 50 per candidate
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+  const PRECISION = 10000n;
+  const PLATFORM_FEE = 300n; // 3%
+  const EARLY_EXIT_FEE = 500n; // 5%
+  const CANDIDATES = ["Alice", "Bob", "Carol", "Dave"];
+
+  // Bet statuses as defined in BetLedger
+  const Status = { Active: 0n, CashedOut: 1n, SettledWon: 2n, SettledLost: 3n, Refunded: 4n };
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // Helper function to format BigInt to a string with proper decimal places
+  function formatBigInt(value, decimals = 4) {
+    return (Number(ethers.formatEther(value))).toFixed(decimals);
+  }
+
+  async function getMarketState() {
+    return {
+      initialLiquidity: [...await hiloPredictionMarket.getInitialLiquidity(optionGroupId)],
+      currentLiquidity: [...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)],
+      totalBets: [...await hiloPredictionMarket.getTotalBetsPerOption(optionGroupId)]
+    };
+  }
+
+  // Place a bet, verify it against the off-chain pricing engine and return the new bet ID
+  async function placeAndVerifyBet(bettor, optionIndex, amount) {
+    const betAmount = ethers.parseEther(amount);
+    const expected = quoteBet(await getMarketState(), optionIndex, betAmount, PLATFORM_FEE);
+
+    await hiloPredictionMarket.connect(bettor).placeBet(optionGroupId, optionIndex, betAmount, 1n);
+    const activeBets = await betLedger.getUserActiveBetIds(bettor.address, optionGroupId);
+    const betId = activeBets[activeBets.length - 1];
+    const details = await betLedger.getBetDetails(betId);
+
+    console.log(
+      `${CANDIDATES[optionIndex]} ${amount}: payout ${formatBigInt(details.potentialPayout)}, ` +
+      `odds ${(Number(details.lockedOdds) / Number(PRECISION)).toFixed(4)}x`
+    );
+
+    expect(details.potentialPayout).to.equal(expected.potentialPayout);
+    expect(details.lockedOdds).to.equal(expected.lockedOdds);
+    expect([...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)]).to.deep.equal(expected.newLiquidity);
+    return betId;
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, ...bettors] = await ethers.getSigners();
+    bettors = bettors.slice(0, 5);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+    await hiloPredictionMarket.updatePlatformFee(PLATFORM_FEE);
+    await hiloPredictionMarket.updateEarlyExitFee(EARLY_EXIT_FEE);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+    await hiloStaking.connect(validator1).buyValidator({ value: VALIDATOR_THRESHOLD });
+    await hiloStaking.connect(validator2).buyValidator({ value: VALIDATOR_THRESHOLD });
+
+    for (const bettor of bettors) {
+      await mockToken.transfer(bettor.address, INITIAL_USER_TOKENS);
+      await mockToken.connect(bettor).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    // Create and approve a four-candidate pool
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+    poolId = 3001;
+    optionGroupId = poolId;
+
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "Four Candidate Election", startTime, settleTime, "Categorical market data", CANDIDATES
+    );
+    await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+    await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+    await safeIncrementTime(startTime + 10);
+  });
+
+  describe("Four candidate market", function () {
+    it("Should split default liquidity evenly with equal odds", async function () {
+      const current = await hiloPredictionMarket.getCurrentLiquidity(optionGroupId);
+      const odds = await hiloPredictionMarket.getAllOdds(optionGroupId);
+
+      expect(current).to.have.lengthOf(CANDIDATES.length);
+      for (let i = 0; i < CANDIDATES.length; i++) {
+        expect(current[i]).to.equal(ethers.parseEther("50"));
+        expect(odds[i]).to.equal(4n * PRECISION);
+      }
+    });
+
+    it("Should price a bet sequence across all candidates like the pricing engine", async function () {
+      const [bettor1, bettor2, bettor3, bettor4, bettor5] = bettors;
+
+      betIds.alice20 = await placeAndVerifyBet(bettor1, 0, "20");
+      betIds.bob10 = await placeAndVerifyBet(bettor2, 1, "10"); // Scaled: Bob has a reserve and the rest has excess
+      betIds.carol35 = await placeAndVerifyBet(bettor3, 2, "35");
+      betIds.alice15 = await placeAndVerifyBet(bettor4, 0, "15");
+      betIds.dave5 = await placeAndVerifyBet(bettor5, 3, "5");
+      betIds.carol10 = await placeAndVerifyBet(bettor1, 2, "10");
+
+      const totals = await hiloPredictionMarket.getTotalBetsPerOption(optionGroupId);
+      expect(totals).to.deep.equal([ethers.parseEther("35"), ethers.parseEther("10"), ethers.parseEther("45"), ethers.parseEther("5")]);
+    });
+
+    it("Should give the candidate with the fewest bets the highest odds", async function () {
+      const odds = await hiloPredictionMarket.getAllOdds(optionGroupId);
+      console.log(`Odds: ${odds.map((o, i) => `${CANDIDATES[i]} ${(Number(o) / Number(PRECISION)).toFixed(4)}x`).join(", ")}`);
+
+      expect(odds[3]).to.be.gt(odds[1]);
+      expect(odds[1]).to.be.gt(odds[0]);
+      expect(odds[0]).to.be.gt(odds[2]);
+    });
+
+    it("Should quote the same cashout in BetLedger as earlyExit pays", async function () {
+      const bettor3 = bettors[2];
+      const bet = await betLedger.getBetDetails(betIds.carol35);
+      const expected = quoteEarlyExit(await getMarketState(), bet, EARLY_EXIT_FEE);
+
+      const quotes = await betLedger.getActiveBetsWithCashout(bettor3.address, optionGroupId);
+      expect(quotes[0].betId).to.equal(betIds.carol35);
+      expect(quotes[0].cashoutValue).to.equal(expected.exitAmount);
+
+      const balanceBefore = await mockToken.balanceOf(bettor3.address);
+      await expect(hiloPredictionMarket.connect(bettor3).earlyExit(betIds.carol35))
+        .to.emit(hiloPredictionMarket, "EarlyExit")
+        .withArgs(optionGroupId, bettor3.address, 2, bet.amount, expected.exitAmount, betIds.carol35);
+      const balanceAfter = await mockToken.balanceOf(bettor3.address);
+
+      console.log(`Carol 35 cashed out for ${formatBigInt(balanceAfter - balanceBefore)}`);
+      expect(balanceAfter - balanceBefore).to.equal(expected.exitAmount);
+      expect([...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)]).to.deep.equal(expected.newLiquidity);
+      expect((await betLedger.getBetDetails(betIds.carol35)).status).to.equal(Status.CashedOut);
+    });
+
+    it("Should keep pricing bets like the pricing engine after an early exit", async function () {
+      betIds.dave15 = await placeAndVerifyBet(bettors[3], 3, "15");
+    });
+
+    it("Should settle on a non-binary winning index and pay its bettors", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolId);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(poolId, 3);
+      await hiloBonding.connect(validator2).voteOption(poolId, 3);
+
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(poolId);
+      await hiloPredictionMarket.settleOptionGroup(optionGroupId, 3);
+
+      const bettor4 = bettors[3];
+      const winningBet = await betLedger.getBetDetails(betIds.dave15);
+      const losingBet = await betLedger.getBetDetails(betIds.alice15);
+
+      await expect(hiloPredictionMarket.connect(bettor4).claimWinnings(optionGroupId))
+        .to.emit(hiloPredictionMarket, "WinningsClaimed")
+        .withArgs(optionGroupId, bettor4.address, winningBet.potentialPayout);
+
+      expect((await betLedger.getBetDetails(betIds.dave15)).status).to.equal(Status.SettledWon);
+      expect((await betLedger.getBetDetails(losingBet.id)).status).to.equal(Status.SettledLost);
+    });
+  });
+
+  describe("Depleted option", function () {
+    const depletedGroupId = 3002;
+
+    before(async function () {
+      // Without default liquidity a few wei of LP liquidity leave the options easy to drain
+      await hiloPredictionMarket.configureDefaultLiquidity(false, 0);
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const startTime = latestBlock.timestamp + 300;
+      await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+        depletedGroupId, depletedGroupId, "Three Way Market", startTime, startTime + 3600 * 24, "Data", ["Low", "Mid", "High"]
+      );
+      await hiloBonding.connect(validator1).voteEvaluation(depletedGroupId, true);
+      await hiloBonding.connect(validator2).voteEvaluation(depletedGroupId, true);
+      await safeIncrementTime(startTime + 10);
+      await hiloPredictionMarket.connect(bettors[0]).addLiquidity(depletedGroupId, 3n);
+    });
+
+    it("Should reject bets and exits on an option whose liquidity rounded down to zero", async function () {
+      // K of Mid is 1 * 2 wei, so a 10 wei bet leaves 2 / 11 = 0 wei to spread over Low and High
+      await hiloPredictionMarket.connect(bettors[1]).placeBet(depletedGroupId, 1, 10n, 1n);
+      expect([...await hiloPredictionMarket.getCurrentLiquidity(depletedGroupId)]).to.deep.equal([0n, 11n, 0n]);
+      const [betId] = await betLedger.getUserActiveBetIds(bettors[1].address, depletedGroupId);
+
+      // Pricing Low against K = 0 would pay out all of Mid's liquidity
+      await expect(hiloPredictionMarket.previewBet(depletedGroupId, 0, 10n))
+        .to.be.revertedWith("MarketMath: Option liquidity depleted");
+      await expect(hiloPredictionMarket.connect(bettors[2]).placeBet(depletedGroupId, 0, 10n, 1n))
+        .to.be.revertedWith("MarketMath: Option liquidity depleted");
+      const state = {
+        initialLiquidity: [...await hiloPredictionMarket.getInitialLiquidity(depletedGroupId)],
+        currentLiquidity: [...await hiloPredictionMarket.getCurrentLiquidity(depletedGroupId)],
+        totalBets: [...await hiloPredictionMarket.getTotalBetsPerOption(depletedGroupId)]
+      };
+      expect(() => quoteBet(state, 0, 10n, PLATFORM_FEE)).to.throw("Option liquidity depleted");
+
+      // Mid has liquidity but every other option is empty, so its K is zero as well
+      await expect(hiloPredictionMarket.connect(bettors[1]).earlyExit(betId))
+        .to.be.revertedWith("MarketMath: Option liquidity depleted");
+      expect((await betLedger.getBetDetails(betId)).status).to.equal(Status.Active);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK } = require("../sdk");
+const { runCli } = require("../cli");
+const { deployMarket, DEFAULT_LIQUIDITY } = require("./helpers/deploy");
+
+describe("Per-group collateral tokens", function () {
+  // Actors, by account index as passed to --account
+  let owner, poolCreator, validator1, validator2, bettor, otherBettor;
+  let hiloBonding, hiloPredictionMarket, mockToken, usdc, betLedger;
+  let addresses, abis, sdk;
+
+  // HTT pools use the market's bettingToken, USDC pools the 6-decimal token
+  const pools = {
+    httOpen: 9201,
+    usdcOpen: 9202,
+    usdcRejected: 9203,
+    httRejected: 9204
+  };
+  const betIds = {};
+
+  const usdcUnits = (amount) => ethers.parseUnits(amount, 6);
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // Run a CLI command in-process with the signer at `account`
+  async function hilo(...argv) {
+    const output = [];
+    const result = await runCli(argv, {
+      connect: async ({ account }) => {
+        const signers = await ethers.getSigners();
+        return new HiloSDK({ runner: signers[Number(account)], addresses, abis });
+      },
+      write: (text) => output.push(text)
+    });
+    return { result, output: output.join("\n") };
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, otherBettor] = await ethers.getSigners();
+
+    ({ hiloBonding, hiloPredictionMarket, mockToken, betLedger, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor, otherBettor]
+    }));
+    sdk = new HiloSDK({ runner: bettor, addresses, abis });
+
+    // Default liquidity is funded separately in each token
+    const MockERC20Decimals = await ethers.getContractFactory("MockERC20Decimals");
+    usdc = await MockERC20Decimals.deploy("USD Coin", "USDC", usdcUnits("1000000"), 6);
+    await usdc.waitForDeployment();
+    await usdc.transfer(addresses.HiloPredictionMarket, usdcUnits("1000"));
+    for (const user of [bettor, otherBettor]) {
+      await usdc.transfer(user.address, usdcUnits("10000"));
+    }
+  });
+
+  describe("Token allowlist", function () {
+    it("Should allow the betting token from deployment", async function () {
+      expect(await hiloPredictionMarket.allowedTokens(await mockToken.getAddress())).to.be.true;
+      expect(await hiloPredictionMarket.allowedTokens(await usdc.getAddress())).to.be.false;
+    });
+
+    it("Should refuse option groups in tokens that are not allowed", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const creatorSdk = new HiloSDK({ runner: poolCreator, addresses, abis });
+      await expect(creatorSdk.createPool({
+        poolId: 9299,
+        title: "Not allowed",
+        startTime: latestBlock.timestamp + 300,
+        settleTime: latestBlock.timestamp + 3600 * 24,
+        options: ["Yes", "No"],
+        token: await usdc.getAddress()
+      })).to.be.rejectedWith("Token not allowed");
+    });
+
+    it("Should only let the owner configure tokens", async function () {
+      await expect(hiloPredictionMarket.connect(poolCreator).configureToken(await usdc.getAddress(), true, 0))
+        .to.be.revertedWithCustomError(hiloPredictionMarket, "OwnableUnauthorizedAccount");
+      await expect(hiloPredictionMarket.configureToken(ethers.ZeroAddress, true, 0))
+        .to.be.revertedWith("Invalid token address");
+
+      await expect(hiloPredictionMarket.configureToken(await usdc.getAddress(), true, usdcUnits("150")))
+        .to.emit(hiloPredictionMarket, "TokenConfigured")
+        .withArgs(await usdc.getAddress(), true, usdcUnits("150"));
+      expect(await hiloPredictionMarket.tokenDefaultLiquidity(await usdc.getAddress())).to.equal(usdcUnits("150"));
+    });
+  });
+
+  describe("Option groups in different tokens", function () {
+    before(async function () {
+      const creatorSdk = new HiloSDK({ runner: poolCreator, addresses, abis });
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const startTime = latestBlock.timestamp + 300;
+      for (const [name, poolId] of Object.entries(pools)) {
+        await creatorSdk.createPool({
+          poolId,
+          title: `Pool ${poolId}`,
+          startTime,
+          settleTime: startTime + 3600 * 24,
+          options: ["Yes", "No"],
+          token: name.startsWith("usdc") ? await usdc.getAddress() : undefined
+        });
+        const approve = !name.endsWith("Rejected");
+        await hiloBonding.connect(validator1).voteEvaluation(poolId, approve);
+        await hiloBonding.connect(validator2).voteEvaluation(poolId, approve);
+      }
+      await safeIncrementTime(startTime + 10);
+    });
+
+    it("Should record each group's token and fund default liquidity in it", async function () {
+      const httGroup = await hiloPredictionMarket.optionGroups(pools.httOpen);
+      const usdcGroup = await hiloPredictionMarket.optionGroups(pools.usdcOpen);
+
+      expect(httGroup.token).to.equal(await mockToken.getAddress());
+      expect(usdcGroup.token).to.equal(await usdc.getAddress());
+      expect(await hiloPredictionMarket.getInitialLiquidity(pools.httOpen))
+        .to.deep.equal([DEFAULT_LIQUIDITY / 2n, DEFAULT_LIQUIDITY / 2n]);
+      expect(await hiloPredictionMarket.getInitialLiquidity(pools.usdcOpen))
+        .to.deep.equal([usdcUnits("75"), usdcUnits("75")]);
+    });
+
+    it("Should take bets and liquidity in the group's token with SDK amounts in its decimals", async function () {
+      const httBefore = await mockToken.balanceOf(bettor.address);
+      const usdcBefore = await usdc.balanceOf(bettor.address);
+
+      betIds.usdcYes = (await sdk.placeBet({ groupId: pools.usdcOpen, option: 0, amount: "10" })).betId;
+      betIds.usdcNo = (await sdk.placeBet({ groupId: pools.usdcOpen, option: 1, amount: "4.5" })).betId;
+      await sdk.addLiquidity(pools.usdcOpen, "20");
+
+      expect(usdcBefore - await usdc.balanceOf(bettor.address)).to.equal(usdcUnits("34.5"));
+      expect(await mockToken.balanceOf(bettor.address)).to.equal(httBefore);
+      expect((await sdk.getBet(betIds.usdcNo)).amount).to.equal(usdcUnits("4.5"));
+
+      betIds.httYes = (await sdk.placeBet({ groupId: pools.httOpen, option: 0, amount: "10" })).betId;
+      expect(httBefore - await mockToken.balanceOf(bettor.address)).to.equal(ethers.parseEther("10"));
+
+      betIds.usdcRefund = (await sdk.placeBet({ groupId: pools.usdcRejected, option: 0, amount: "8" })).betId;
+      betIds.httRefund = (await sdk.placeBet({ groupId: pools.httRejected, option: 1, amount: "6" })).betId;
+    });
+
+    it("Should describe the collateral in market views", async function () {
+      const market = await sdk.getMarket(pools.usdcOpen);
+      expect(market.collateral).to.deep.equal({ address: await usdc.getAddress(), symbol: "USDC", decimals: 6 });
+
+      const { groups } = await sdk.getOptionGroups();
+      const tokens = Object.fromEntries(groups.map((group) => [Number(group.groupId), group.token]));
+      expect(tokens[pools.usdcOpen]).to.equal(await usdc.getAddress());
+      expect(tokens[pools.httOpen]).to.equal(await mockToken.getAddress());
+    });
+
+    it("Should format CLI amounts with the group token's symbol and decimals", async function () {
+      const { output } = await hilo("bet", "place", String(pools.usdcOpen), "Yes", "2.25", "--account", "5");
+      expect(output).to.match(/Placed bet \d+: 2\.25 USDC on option 0 at [\d.]+x, pays [\d.]+ USDC if it wins/);
+
+      const status = (await hilo("pool", "status", String(pools.usdcOpen))).output;
+      expect(status).to.contain("bets 12.25 USDC");
+      expect(status).to.contain("bets 4.5 USDC");
+
+      const list = (await hilo("pool", "list")).output;
+      expect(list).to.match(new RegExp(`Option group ${pools.httOpen} .* liquidity [\\d.]+ HTT`));
+      expect(list).to.match(new RegExp(`Option group ${pools.usdcOpen} .* liquidity [\\d.]+ USDC`));
+    });
+
+    it("Should keep portfolio totals apart per token", async function () {
+      const portfolio = await sdk.getPortfolio(bettor.address);
+      const usdcTotals = portfolio.totalsByToken[await usdc.getAddress()];
+      const httTotals = portfolio.totalsByToken[await mockToken.getAddress()];
+
+      expect(usdcTotals.staked).to.equal(usdcUnits("22.5"));
+      expect(httTotals.staked).to.equal(ethers.parseEther("16"));
+      expect(portfolio.tokens[await usdc.getAddress()].symbol).to.equal("USDC");
+
+      const { output } = await hilo("bet", "portfolio", "--account", "4");
+      expect(output).to.contain("Staked 22.5 USDC");
+      expect(output).to.contain("Staked 16.0 HTT");
+    });
+
+    it("Should pay winnings in the group's token", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(pools.usdcOpen);
+      await safeIncrementTime(timelines.optionVotingStart);
+      for (const poolId of [pools.httOpen, pools.usdcOpen]) {
+        await hiloBonding.connect(validator1).voteOption(poolId, 0);
+        await hiloBonding.connect(validator2).voteOption(poolId, 0);
+      }
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(pools.usdcOpen);
+
+      const winner = await betLedger.getBetDetails(betIds.usdcYes);
+      const httBefore = await mockToken.balanceOf(bettor.address);
+      const usdcBefore = await usdc.balanceOf(bettor.address);
+
+      await expect(hiloPredictionMarket.connect(bettor).claimWinnings(pools.usdcOpen))
+        .to.emit(hiloPredictionMarket, "WinningsClaimed")
+        .withArgs(pools.usdcOpen, bettor.address, winner.potentialPayout);
+
+      expect(await usdc.balanceOf(bettor.address) - usdcBefore).to.equal(winner.potentialPayout);
+      expect(await mockToken.balanceOf(bettor.address)).to.equal(httBefore);
+    });
+
+    it("Should return liquidity and fees in the group's token", async function () {
+      const position = await sdk.getLiquidityPosition(bettor.address, pools.usdcOpen);
+      const usdcBefore = await usdc.balanceOf(bettor.address);
+
+      const { amount } = await sdk.removeLiquidity(pools.usdcOpen);
+
+      expect(amount).to.equal(position.liquidityValue + position.accruedFees);
+      expect(await usdc.balanceOf(bettor.address) - usdcBefore).to.equal(amount);
+    });
+
+    it("Should refund a batch of groups each in its own token", async function () {
+      const httBefore = await mockToken.balanceOf(bettor.address);
+      const usdcBefore = await usdc.balanceOf(bettor.address);
+
+      await expect(hiloPredictionMarket.connect(bettor).refundBetsBatch([pools.usdcRejected, pools.httRejected]))
+        .to.emit(hiloPredictionMarket, "BetRefunded")
+        .withArgs(pools.usdcRejected, bettor.address, usdcUnits("8"), betIds.usdcRefund)
+        .and.to.emit(hiloPredictionMarket, "BetRefunded")
+        .withArgs(pools.httRejected, bettor.address, ethers.parseEther("6"), betIds.httRefund);
+
+      expect(await usdc.balanceOf(bettor.address) - usdcBefore).to.equal(usdcUnits("8"));
+      expect(await mockToken.balanceOf(bettor.address) - httBefore).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should create an option group for an existing pool in the declared token", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const startTime = latestBlock.timestamp + 300;
+      await hiloBonding.connect(poolCreator).createPool(
+        9297, "Existing pool", startTime, startTime + 3600 * 24, "Data", poolCreator.address
+      );
+
+      await expect(hiloPredictionMarket.connect(poolCreator).createOptionGroup(9297, 9297, ["Yes", "No"], await usdc.getAddress()))
+        .to.emit(hiloPredictionMarket, "DefaultLiquiditySuccess")
+        .withArgs(9297, usdcUnits("150"));
+      expect((await hiloPredictionMarket.optionGroups(9297)).token).to.equal(await usdc.getAddress());
+    });
+
+    it("Should keep existing groups in a token that is no longer allowed", async function () {
+      await hiloPredictionMarket.configureToken(await usdc.getAddress(), false, 0);
+      expect((await hiloPredictionMarket.optionGroups(pools.usdcOpen)).token).to.equal(await usdc.getAddress());
+
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await expect(hiloPredictionMarket.connect(poolCreator)[
+        "createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[],address)"
+      ](9298, 9298, "Disallowed", latestBlock.timestamp + 300, latestBlock.timestamp + 3600 * 24, "Data",
+        ["Yes", "No"], await usdc.getAddress()))
+        .to.be.revertedWith("Token not allowed");
+
+      await hiloBonding.connect(poolCreator).createPool(
+        9296, "Existing pool", latestBlock.timestamp + 300, latestBlock.timestamp + 3600 * 24, "Data", poolCreator.address
+      );
+      await expect(hiloPredictionMarket.connect(poolCreator).createOptionGroup(9296, 9296, ["Yes", "No"], await usdc.getAddress()))
+        .to.be.revertedWith("Token not allowed");
+    });
+  });
+});
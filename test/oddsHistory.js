@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { EventIndexer, openDatabase, createOddsServer, toCandles, oddsToCsv, toChartData } = require("../indexer");
+const { deployMarket, DEFAULT_LIQUIDITY } = require("./helpers/deploy");
+
+describe("Odds History", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettor1, bettor2, liquidityProvider;
+  let hiloBonding, hiloPredictionMarket, betLedger;
+  let indexer, server, baseUrl, timelines;
+
+  const poolId = 8001;
+  const optionGroupId = 8001;
+  const HOUR = 3600;
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // The latest point must match the contract's own views
+  async function expectLatestPointOnChain() {
+    await indexer.sync();
+    const latest = indexer.getOddsHistory(optionGroupId).at(-1);
+    expect(latest.odds).to.deep.equal([...await hiloPredictionMarket.getAllOdds(optionGroupId)]);
+    expect(latest.reserves).to.deep.equal([...await hiloPredictionMarket.getReservedTokens(optionGroupId)]);
+    expect(latest.optionLiquidity).to.deep.equal([...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)]);
+    return latest;
+  }
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, type: response.headers.get("content-type"), body: await response.text() };
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor1, bettor2, liquidityProvider] = await ethers.getSigners();
+    const deployBlock = await ethers.provider.getBlockNumber();
+
+    let addresses, abis;
+    ({ hiloBonding, hiloPredictionMarket, betLedger, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor1, bettor2, liquidityProvider],
+      approveUsers: true
+    }));
+    await hiloPredictionMarket.updatePlatformFee(500);
+
+    indexer = new EventIndexer({ provider: ethers.provider, addresses, abis, db: openDatabase(":memory:"), startBlock: deployBlock });
+
+    server = createOddsServer(indexer);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "Odds History Pool", startTime, settleTime, "Data for the odds history", ["Yes", "No"]
+    );
+    timelines = { startTime, settleTime };
+    await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+    await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+  });
+
+  after(function () {
+    server.close();
+    indexer.close();
+  });
+
+  describe("Reconstruction", function () {
+    it("Should start from the default liquidity without reserves", async function () {
+      const first = await expectLatestPointOnChain();
+      expect(first.odds).to.deep.equal([20000n, 20000n]);
+      expect(first.reserves).to.deep.equal([0n, 0n]);
+      expect(first.totalLiquidity).to.equal(DEFAULT_LIQUIDITY);
+    });
+
+    it("Should track reserves through bets and exits", async function () {
+      await safeIncrementTime(timelines.startTime + 10);
+      await hiloPredictionMarket.connect(bettor1).placeBet(optionGroupId, 0, ethers.parseEther("20"), 1n);
+      const afterBet = await expectLatestPointOnChain();
+      expect(afterBet.reserves.some((reserve) => reserve > 0n)).to.equal(true);
+
+      await safeIncrementTime(timelines.startTime + HOUR + 10);
+      await hiloPredictionMarket.connect(bettor2).placeBet(optionGroupId, 1, ethers.parseEther("10"), 1n);
+      await expectLatestPointOnChain();
+
+      const [betId] = await betLedger.getUserActiveBetIds(bettor1.address, optionGroupId);
+      await hiloPredictionMarket.connect(bettor1)["earlyExit(uint256)"](betId);
+      await expectLatestPointOnChain();
+    });
+
+    it("Should scale the reserves when liquidity is added to a traded group", async function () {
+      await safeIncrementTime(timelines.startTime + 3 * HOUR + 10);
+      await hiloPredictionMarket.connect(bettor2).placeBet(optionGroupId, 0, ethers.parseEther("15"), 1n);
+      await hiloPredictionMarket.connect(liquidityProvider).addLiquidity(optionGroupId, ethers.parseEther("50"));
+      await expectLatestPointOnChain();
+    });
+
+    it("Should derive the odds after liquidity is removed, which emits no OddsChanged", async function () {
+      await safeIncrementTime(timelines.settleTime);
+      const poolTimelines = await hiloBonding.getPoolTimelines(poolId);
+      await hiloBonding.completeEvaluationPhase(poolId);
+      await hiloBonding.connect(validator1).voteOption(poolId, 1);
+      await safeIncrementTime(poolTimelines.disputeEnd + 1n);
+      await hiloBonding.processPool(poolId);
+      await hiloPredictionMarket.settleOptionGroup(optionGroupId, 1);
+
+      await indexer.sync();
+      const pointsBefore = indexer.getOddsHistory(optionGroupId).length;
+      await hiloPredictionMarket.connect(liquidityProvider).removeLiquidity(optionGroupId);
+      const afterRemoval = await expectLatestPointOnChain();
+
+      expect(indexer.getOddsHistory(optionGroupId).length).to.equal(pointsBefore + 1);
+      const initial = await hiloPredictionMarket.getInitialLiquidity(optionGroupId);
+      expect(afterRemoval.totalLiquidity).to.equal(
+        afterRemoval.optionLiquidity.reduce((total, liquidity) => total + liquidity, 0n) +
+        afterRemoval.reserves.reduce((total, reserve) => total + reserve, 0n)
+      );
+      expect(afterRemoval.reserves).to.deep.equal(
+        initial.map((liquidity, i) => (afterRemoval.optionLiquidity[i] >= liquidity ? 0n : liquidity - afterRemoval.optionLiquidity[i]))
+      );
+    });
+
+    it("Should rebuild the same history after a replay", function () {
+      const history = indexer.getOddsHistory(optionGroupId);
+      indexer.rollback(indexer.getCheckpoint().blockNumber);
+      expect(indexer.getOddsHistory(optionGroupId)).to.deep.equal(history);
+    });
+  });
+
+  describe("Candles and exports", function () {
+    it("Should build hourly candles that open at the previous close", function () {
+      const history = indexer.getOddsHistory(optionGroupId, { toTime: timelines.startTime + 3 * HOUR + 3599 });
+      const candles = indexer.getOddsCandles(optionGroupId, { interval: HOUR, toTime: timelines.startTime + 3 * HOUR + 3599 });
+
+      expect(candles.map((candle) => candle.changes).reduce((total, changes) => total + changes, 0)).to.equal(history.length);
+      for (let i = 1; i < candles.length; i++) {
+        expect(candles[i].time - candles[i - 1].time).to.equal(HOUR);
+        expect(candles[i].open).to.equal(candles[i - 1].close);
+        expect(candles[i].high >= candles[i].open && candles[i].high >= candles[i].close).to.equal(true);
+        expect(candles[i].low <= candles[i].open && candles[i].low <= candles[i].close).to.equal(true);
+      }
+      expect(candles.at(-1).close).to.equal(history.at(-1).odds[0]);
+
+      // No bets in the hour between the exit and the next bet: a flat candle
+      const quiet = candles.find((candle) => candle.changes === 0);
+      expect(quiet.open).to.equal(quiet.close);
+      expect(quiet.high).to.equal(quiet.low);
+    });
+
+    it("Should bucket points into candles by interval", function () {
+      const point = (timestamp, odds) => ({ timestamp, odds: [odds] });
+      const points = [point(100, 30n), point(110, 10n), point(150, 20n), point(290, 25n)];
+
+      expect(toCandles(points, { interval: 100 })).to.deep.equal([
+        { time: 100, open: 30n, high: 30n, low: 10n, close: 20n, changes: 3 },
+        { time: 200, open: 20n, high: 25n, low: 20n, close: 25n, changes: 1 }
+      ]);
+      expect(toCandles(points, { interval: 100, toTime: 450 }).at(-1)).to.deep.equal(
+        { time: 400, open: 25n, high: 25n, low: 25n, close: 25n, changes: 0 }
+      );
+      expect(() => toCandles(points, { interval: 0 })).to.throw("positive number of seconds");
+      expect(() => toCandles(points, { interval: 1, toTime: 10 ** 9 })).to.throw("candles requested");
+    });
+
+    it("Should export CSV and simulator chart rows", function () {
+      const history = indexer.getOddsHistory(optionGroupId);
+      const [header, first] = oddsToCsv(history).split("\n");
+      expect(header).to.equal("timestamp,blockNumber,totalLiquidity,odds0,odds1,liquidity0,liquidity1,reserve0,reserve1");
+      expect(first).to.equal([
+        history[0].timestamp, history[0].blockNumber, DEFAULT_LIQUIDITY, 20000, 20000,
+        ethers.parseEther("75"), ethers.parseEther("75"), 0, 0
+      ].join(","));
+
+      const [chartRow] = toChartData(history);
+      expect(chartRow).to.include({
+        oddsOption1: 2, oddsOption2: 2, liquidityOption1: 75, liquidityOption2: 75, reserveX: 0, reserveY: 0
+      });
+    });
+  });
+
+  describe("HTTP API", function () {
+    it("Should serve the odds history as JSON, CSV and chart rows", async function () {
+      const json = await get(`/groups/${optionGroupId}/odds`);
+      expect(json.status).to.equal(200);
+      const body = JSON.parse(json.body);
+      expect(body.optionNames).to.deep.equal(["Yes", "No"]);
+      expect(body.points.length).to.equal(indexer.getOddsHistory(optionGroupId).length);
+      expect(body.points[0].odds).to.deep.equal(["20000", "20000"]);
+
+      const csv = await get(`/groups/${optionGroupId}/odds?format=csv&to=${timelines.startTime}`);
+      expect(csv.type).to.equal("text/csv");
+      expect(csv.body).to.equal(oddsToCsv(indexer.getOddsHistory(optionGroupId, { toTime: timelines.startTime })));
+
+      const chart = JSON.parse((await get(`/groups/${optionGroupId}/odds?format=chart`)).body);
+      expect(chart[0].oddsOption1).to.equal(2);
+    });
+
+    it("Should serve candles for an option", async function () {
+      const { status, body } = await get(`/groups/${optionGroupId}/candles?interval=${HOUR}&option=1`);
+      expect(status).to.equal(200);
+      const { candles } = JSON.parse(body);
+      const expected = indexer.getOddsCandles(optionGroupId, { interval: HOUR, optionIndex: 1 });
+      expect(candles.map((candle) => candle.close)).to.deep.equal(expected.map((candle) => candle.close.toString()));
+
+      const csv = await get(`/groups/${optionGroupId}/candles?interval=${HOUR}&format=csv`);
+      expect(csv.body.split("\n")[0]).to.equal("time,open,high,low,close,changes");
+    });
+
+    it("Should reject unknown groups and bad parameters", async function () {
+      expect((await get("/groups/999/odds")).status).to.equal(404);
+      expect((await get("/markets")).status).to.equal(404);
+
+      const badOption = await get(`/groups/${optionGroupId}/candles?option=2`);
+      expect(badOption.status).to.equal(400);
+      expect(JSON.parse(badOption.body).error).to.include("has 2 options");
+
+      expect((await get(`/groups/${optionGroupId}/candles?interval=1&to=${10 ** 10}`)).status).to.equal(400);
+      expect((await get(`/groups/${optionGroupId}/odds?from=yesterday`)).status).to.equal(400);
+      expect((await get(`/groups/${optionGroupId}/odds?format=xml`)).status).to.equal(400);
+    });
+  });
+});
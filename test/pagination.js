@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK } = require("../sdk");
+const { deployMarket } = require("./helpers/deploy");
+
+describe("Paginated views", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettor, otherBettor;
+  let hiloBonding, hiloPredictionMarket, betLedger;
+  let sdk;
+
+  // Three pools; the last one's option group ID differs from its pool ID
+  const groups = [
+    { poolId: 9101, groupId: 9101 },
+    { poolId: 9102, groupId: 9102 },
+    { poolId: 9103, groupId: 19103 }
+  ];
+  const betIds = [];
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, otherBettor] = await ethers.getSigners();
+
+    let addresses, abis;
+    ({ hiloBonding, hiloPredictionMarket, betLedger, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor, otherBettor]
+    }));
+    sdk = new HiloSDK({ runner: bettor, addresses, abis });
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    for (const { poolId, groupId } of groups) {
+      await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+        poolId, groupId, `Pool ${poolId}`, startTime, startTime + 3600 * 24, "Data", ["Yes", "No"]
+      );
+      await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+      await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+    }
+    await safeIncrementTime(startTime + 10);
+
+    // Five bets by the bettor in the first group, one in the second; one by someone else
+    for (const amount of ["10", "5", "8", "3", "7"]) {
+      betIds.push((await sdk.placeBet({ groupId: 9101, option: betIds.length % 2, amount })).betId);
+    }
+    betIds.push((await sdk.placeBet({ groupId: 9102, option: 0, amount: "4" })).betId);
+    const otherSdk = new HiloSDK({ runner: otherBettor, addresses: sdk.addresses, abis });
+    await otherSdk.placeBet({ groupId: 9101, option: 1, amount: "6" });
+  });
+
+  describe("Option groups", function () {
+    it("Should enumerate option group IDs in creation order, a page at a time", async function () {
+      const [firstPage, total] = await hiloPredictionMarket.getOptionGroupIds(0, 2);
+      expect(firstPage).to.deep.equal([9101n, 9102n]);
+      expect(total).to.equal(3n);
+
+      const [secondPage] = await hiloPredictionMarket.getOptionGroupIds(2, 2);
+      expect(secondPage).to.deep.equal([19103n]);
+      const [pastEnd, totalPastEnd] = await hiloPredictionMarket.getOptionGroupIds(5, 2);
+      expect(pastEnd).to.deep.equal([]);
+      expect(totalPastEnd).to.equal(3n);
+      // A limit far beyond the end must not overflow
+      const [all] = await hiloPredictionMarket.getOptionGroupIds(1, ethers.MaxUint256);
+      expect(all).to.deep.equal([9102n, 19103n]);
+    });
+
+    it("Should summarize a page of option groups with odds and bet counts", async function () {
+      const [summaries, total] = await betLedger.getOptionGroupSummaries(0, 10);
+      expect(total).to.equal(3n);
+      expect(summaries.map((summary) => summary.groupId)).to.deep.equal([9101n, 9102n, 19103n]);
+
+      const [first, second, third] = summaries;
+      const group = await hiloPredictionMarket.optionGroups(9101);
+      expect(first.poolId).to.equal(9101n);
+      expect(first.settled).to.equal(false);
+      expect(first.totalLiquidity).to.equal(group.totalLiquidity);
+      expect(first.betCount).to.equal(6n);
+      expect(first.odds).to.deep.equal(await hiloPredictionMarket.getAllOdds(9101));
+      expect(second.betCount).to.equal(1n);
+      expect(third.poolId).to.equal(9103n);
+      expect(third.betCount).to.equal(0n);
+    });
+
+    it("Should page option groups through the SDK", async function () {
+      const { total, groups: page } = await sdk.getOptionGroups({ offset: 1, limit: 1 });
+      expect(total).to.equal(3);
+      expect(page).to.have.length(1);
+      expect(page[0].groupId).to.equal(9102n);
+      expect(page[0].betCount).to.equal(1);
+    });
+  });
+
+  describe("Bets", function () {
+    it("Should page the bets of a group, a user and a user's active bets", async function () {
+      const [groupPage, groupTotal] = await betLedger.getAllBetIdsInGroupPaginated(9101, 1, 3);
+      expect(groupPage).to.deep.equal((await betLedger.getAllBetIdsInGroup(9101)).slice(1, 4));
+      expect(groupTotal).to.equal(6n);
+
+      const [userPage, userTotal] = await betLedger.getUserBetIdsPaginated(bettor.address, 4, 10);
+      expect(userPage).to.deep.equal(betIds.slice(4));
+      expect(userTotal).to.equal(6n);
+
+      const [activePage, activeTotal] = await betLedger.getUserActiveBetIdsPaginated(bettor.address, 9101, 0, 2);
+      expect(activePage).to.deep.equal(betIds.slice(0, 2));
+      expect(activeTotal).to.equal(5n);
+
+      const [empty, totalPastEnd] = await betLedger.getUserActiveBetIdsPaginated(bettor.address, 9101, 5, 2);
+      expect(empty).to.deep.equal([]);
+      expect(totalPastEnd).to.equal(5n);
+    });
+
+    it("Should price only the requested page of active bets", async function () {
+      const all = await betLedger.getActiveBetsWithCashout(bettor.address, 9101);
+      const [page, total] = await betLedger.getActiveBetsWithCashoutPaginated(bettor.address, 9101, 3, 5);
+
+      expect(total).to.equal(5n);
+      expect(page.map((info) => info.betId)).to.deep.equal(betIds.slice(3, 5));
+      expect(page.map((info) => info.cashoutValue)).to.deep.equal(all.slice(3).map((info) => info.cashoutValue));
+      expect(page[0].cashoutValue).to.equal((await hiloPredictionMarket.previewEarlyExit(betIds[3])).exitAmount);
+    });
+
+    it("Should read several bets in one call and reject unknown IDs", async function () {
+      const bets = await sdk.getBets([betIds[5], betIds[0]]);
+      expect(bets.map((bet) => bet.id)).to.deep.equal([betIds[5], betIds[0]]);
+      expect(bets[0].groupId).to.equal(9102n);
+      expect(bets[1]).to.deep.equal(await sdk.getBet(betIds[0]));
+      expect(await sdk.getBets([])).to.deep.equal([]);
+
+      await expect(betLedger.getBetDetailsBatch([betIds[0], 999])).to.be.revertedWith("BetLedger: Bet ID does not exist");
+      await expect(betLedger.getBetDetailsBatch([0])).to.be.revertedWith("BetLedger: Bet ID does not exist");
+    });
+  });
+});
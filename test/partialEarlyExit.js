@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { quoteEarlyExit, sliceBet } = require("../sdk/pricing");
+
+describe("HiloPredictionMarket - Partial Early Exit", function () {
+  // Actors
+  let owner, poolCreator, bettor1, bettor2;
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+
+  const poolId = 3101;
+  const optionGroupId = 3101;
+  let betIds = {};
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("150");
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+  const PLATFORM_FEE = 500n; // 5%
+  const EARLY_EXIT_FEE = 500n; // 5%
+
+  // Bet statuses as defined in BetLedger
+  const Status = { Active: 0n, CashedOut: 1n, SettledWon: 2n, SettledLost: 3n, Refunded: 4n };
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  async function deadline() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 300;
+  }
+
+  // Place a bet and return the new bet ID (last entry in the user's active index)
+  async function placeBet(bettor, optionIndex, amount) {
+    await hiloPredictionMarket.connect(bettor).placeBet(optionGroupId, optionIndex, amount, 1n);
+    const activeBets = await betLedger.getUserActiveBetIds(bettor.address, optionGroupId);
+    return activeBets[activeBets.length - 1];
+  }
+
+  async function getMarketState() {
+    return {
+      initialLiquidity: [...await hiloPredictionMarket.getInitialLiquidity(optionGroupId)],
+      currentLiquidity: [...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)],
+      totalBets: [...await hiloPredictionMarket.getTotalBetsPerOption(optionGroupId)]
+    };
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, bettor1, bettor2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await hiloPredictionMarket.updatePlatformFee(PLATFORM_FEE);
+    await hiloPredictionMarket.updateEarlyExitFee(EARLY_EXIT_FEE);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+
+    for (const bettor of [bettor1, bettor2]) {
+      await mockToken.transfer(bettor.address, INITIAL_USER_TOKENS);
+      await mockToken.connect(bettor).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "Partial Exit Pool", startTime, settleTime, "Data for partial exits", ["Yes", "No"]
+    );
+    await safeIncrementTime(startTime + 10);
+  });
+
+  describe("Exiting part of a bet", function () {
+    it("Should price the slice with the offsetting-bet math on its share of the profit", async function () {
+      betIds.yes20 = await placeBet(bettor1, 0, ethers.parseEther("20"));
+      betIds.no15 = await placeBet(bettor2, 1, ethers.parseEther("15"));
+      betIds.yes8 = await placeBet(bettor2, 0, ethers.parseEther("8"));
+
+      const bet = await betLedger.getBetDetails(betIds.yes20);
+      const expected = quoteEarlyExit(await getMarketState(), sliceBet(bet, 4000), EARLY_EXIT_FEE);
+      const preview = await hiloPredictionMarket.previewPartialEarlyExit(betIds.yes20, 4000);
+
+      expect(preview.exitAmount).to.equal(expected.exitAmount);
+      expect(preview.fee).to.equal(expected.fee);
+      expect([...preview.newLiquidity]).to.deep.equal(expected.newLiquidity);
+    });
+
+    it("Should cash out 40% of a bet and split the ledger entry", async function () {
+      const before = await betLedger.getBetDetails(betIds.yes20);
+      const sliceAmount = (before.amount * 4000n) / 10000n;
+      const slicePayout = (before.potentialPayout * 4000n) / 10000n;
+      const preview = await hiloPredictionMarket.previewPartialEarlyExit(betIds.yes20, 4000);
+      const balanceBefore = await mockToken.balanceOf(bettor1.address);
+      const sliceBetId = await betLedger.nextBetId();
+
+      await expect(hiloPredictionMarket.connect(bettor1).partialEarlyExit(betIds.yes20, 4000, preview.exitAmount, await deadline()))
+        .to.emit(hiloPredictionMarket, "EarlyExit")
+        .withArgs(optionGroupId, bettor1.address, 0, sliceAmount, preview.exitAmount, sliceBetId)
+        .and.to.emit(betLedger, "BetSplit")
+        .withArgs(betIds.yes20, sliceBetId, sliceAmount, slicePayout);
+
+      expect(await mockToken.balanceOf(bettor1.address) - balanceBefore).to.equal(preview.exitAmount);
+      expect([...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)]).to.deep.equal([...preview.newLiquidity]);
+
+      // The original bet stays active with the remaining 60%
+      const remaining = await betLedger.getBetDetails(betIds.yes20);
+      expect(remaining.status).to.equal(Status.Active);
+      expect(remaining.amount).to.equal(before.amount - sliceAmount);
+      expect(remaining.potentialPayout).to.equal(before.potentialPayout - slicePayout);
+
+      // The slice is a cashed-out record with the original odds and timestamp
+      const slice = await betLedger.getBetDetails(sliceBetId);
+      expect(slice.status).to.equal(Status.CashedOut);
+      expect(slice.user).to.equal(bettor1.address);
+      expect(slice.optionIndex).to.equal(0n);
+      expect(slice.amount).to.equal(sliceAmount);
+      expect(slice.potentialPayout).to.equal(slicePayout);
+      expect(slice.lockedOdds).to.equal(before.lockedOdds);
+      expect(slice.timestamp).to.equal(before.timestamp);
+
+      expect(await betLedger.getUserActiveBetIds(bettor1.address, optionGroupId)).to.deep.equal([betIds.yes20]);
+      expect(await betLedger.getAllBetIdsInGroup(optionGroupId)).to.include(sliceBetId);
+    });
+
+    it("Should quote the remaining bet for its reduced amount", async function () {
+      const [info] = await betLedger.getActiveBetsWithCashout(bettor1.address, optionGroupId);
+      const expected = quoteEarlyExit(await getMarketState(), await betLedger.getBetDetails(betIds.yes20), EARLY_EXIT_FEE);
+      expect(info.cashoutValue).to.equal(expected.exitAmount);
+    });
+
+    it("Should reject invalid partial exits", async function () {
+      await expect(hiloPredictionMarket.connect(bettor1).partialEarlyExit(betIds.yes20, 0, 0, await deadline()))
+        .to.be.revertedWith("EarlyExit: Invalid fraction");
+      await expect(hiloPredictionMarket.connect(bettor1).partialEarlyExit(betIds.yes20, 10000, 0, await deadline()))
+        .to.be.revertedWith("EarlyExit: Invalid fraction");
+      await expect(hiloPredictionMarket.connect(bettor2).partialEarlyExit(betIds.yes20, 5000, 0, await deadline()))
+        .to.be.revertedWith("EarlyExit: Caller is not the bet owner");
+
+      const preview = await hiloPredictionMarket.previewPartialEarlyExit(betIds.yes20, 5000);
+      await expect(hiloPredictionMarket.connect(bettor1).partialEarlyExit(betIds.yes20, 5000, preview.exitAmount + 1n, await deadline()))
+        .to.be.revertedWith("EarlyExit: Exit amount below minimum");
+      await expect(hiloPredictionMarket.connect(bettor1).partialEarlyExit(betIds.yes20, 5000, 0, 0))
+        .to.be.revertedWith("EarlyExit: Transaction expired");
+
+      const dustBetId = await placeBet(bettor1, 1, 1n);
+      await expect(hiloPredictionMarket.connect(bettor1).partialEarlyExit(dustBetId, 5000, 0, await deadline()))
+        .to.be.revertedWith("EarlyExit: Exit slice too small");
+    });
+
+    it("Should fully exit what remains of a split bet", async function () {
+      const remaining = await betLedger.getBetDetails(betIds.yes20);
+      const preview = await hiloPredictionMarket.previewEarlyExit(betIds.yes20);
+
+      await expect(hiloPredictionMarket.connect(bettor1).earlyExit(betIds.yes20))
+        .to.emit(hiloPredictionMarket, "EarlyExit")
+        .withArgs(optionGroupId, bettor1.address, 0, remaining.amount, preview.exitAmount, betIds.yes20);
+
+      expect((await betLedger.getBetDetails(betIds.yes20)).status).to.equal(Status.CashedOut);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { POOL_PHASES, resolvePoolPhase, decodePoolPhase, decodePoolTimelines } = require("../sdk");
+const { deployBonding } = require("./helpers/deploy");
+
+describe("HiloBonding - Pool Phases", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2;
+  let hiloBonding;
+
+  // Pools: one running through every phase, one settling before its evaluation ends, one rejected
+  const poolId = 6001;
+  const shortPoolId = 6002;
+  const rejectedPoolId = 6003;
+
+  // Constants
+  const DAY = 24 * 60 * 60;
+
+  // Mine a block at exactly `timestamp`
+  async function mineAt(timestamp) {
+    await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+    await network.provider.send("evm_mine");
+  }
+
+  // Read the phase on chain and check the SDK resolves the same phase from the pool's data
+  async function expectPhase(id, phaseName, nextTransition) {
+    const onChain = decodePoolPhase(await hiloBonding.getPoolPhase(id));
+    const [evaluationComplete, evaluationApproved] = await hiloBonding.getPoolEvaluationStatus(id);
+    const processed = (await hiloBonding.queryFilter(hiloBonding.filters.PoolProcessed(id))).length > 0;
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const resolved = resolvePoolPhase({
+      timelines: decodePoolTimelines(await hiloBonding.getPoolTimelines(id)),
+      evaluationComplete,
+      evaluationApproved,
+      processed
+    }, timestamp);
+
+    expect(onChain.phaseName).to.equal(phaseName);
+    expect(onChain.nextTransition).to.equal(Number(nextTransition));
+    expect(resolved).to.deep.equal(onChain);
+  }
+
+  async function createPool(id, settleAfter) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    await hiloBonding.connect(poolCreator).createPool(
+      id, `Phase Pool ${id}`, startTime, startTime + settleAfter, "Data", poolCreator.address
+    );
+    await hiloBonding.connect(poolCreator).setPoolOptions(id, ["Yes", "No"]);
+    return decodePoolTimelines(await hiloBonding.getPoolTimelines(id));
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2] = await ethers.getSigners();
+
+    ({ hiloBonding } = await deployBonding({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2]
+    }));
+  });
+
+  it("Should list the phases in enum order", function () {
+    expect(POOL_PHASES).to.deep.equal([
+      "Evaluation", "Rejected", "AwaitingOptionVoting", "OptionVoting", "Dispute", "AwaitingProcessing", "Processed"
+    ]);
+  });
+
+  describe("Full lifecycle", function () {
+    let timelines;
+
+    before(async function () {
+      timelines = await createPool(poolId, 2 * DAY);
+    });
+
+    it("Should be in evaluation until the evaluation window ends", async function () {
+      await expectPhase(poolId, "Evaluation", timelines.evaluationEnd + 1);
+
+      await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+      await mineAt(timelines.evaluationEnd);
+      await expectPhase(poolId, "Evaluation", timelines.evaluationEnd + 1);
+    });
+
+    it("Should wait for option voting once the evaluation has ended", async function () {
+      await mineAt(timelines.evaluationEnd + 1);
+      await expectPhase(poolId, "AwaitingOptionVoting", timelines.optionVotingStart);
+
+      await expect(hiloBonding.connect(validator2).voteEvaluation(poolId, true))
+        .to.be.revertedWith("Evaluation phase complete");
+    });
+
+    it("Should accept option votes through the last second of option voting", async function () {
+      await mineAt(timelines.optionVotingStart);
+      await expectPhase(poolId, "OptionVoting", timelines.optionVotingEnd + 1);
+
+      await hiloBonding.connect(validator1).voteOption(poolId, 0);
+      await mineAt(timelines.optionVotingEnd - 1);
+      await hiloBonding.connect(validator2).voteOption(poolId, 0);
+      await expectPhase(poolId, "OptionVoting", timelines.optionVotingEnd + 1);
+    });
+
+    it("Should move to disputes after option voting", async function () {
+      await mineAt(timelines.optionVotingEnd + 1);
+      await expectPhase(poolId, "Dispute", timelines.disputeEnd + 1);
+
+      await hiloBonding.connect(validator1).voteDispute(poolId, false, 0);
+    });
+
+    it("Should wait for processPool after the dispute window", async function () {
+      await mineAt(timelines.disputeEnd + 1);
+      await expectPhase(poolId, "AwaitingProcessing", 0);
+
+      // getPoolStatus already reports the effective result, the phase shows it is not recorded yet
+      const [processed] = await hiloBonding.getPoolStatus(poolId);
+      expect(processed).to.equal(true);
+    });
+
+    it("Should be processed once processPool ran", async function () {
+      await hiloBonding.processPool(poolId);
+      await expectPhase(poolId, "Processed", 0);
+    });
+  });
+
+  describe("Event ending before the evaluation", function () {
+    it("Should stay in evaluation while the option voting window is already open", async function () {
+      const timelines = await createPool(shortPoolId, 60 * 60);
+      expect(timelines.optionVotingStart).to.be.lt(timelines.evaluationEnd);
+
+      await hiloBonding.connect(validator1).voteEvaluation(shortPoolId, true);
+      await mineAt(timelines.optionVotingStart + 10);
+      await expectPhase(shortPoolId, "Evaluation", timelines.evaluationEnd + 1);
+
+      // The contract agrees: option votes need a completed evaluation
+      await expect(hiloBonding.connect(validator2).voteOption(shortPoolId, 0))
+        .to.be.revertedWith("Evaluation phase not complete");
+    });
+
+    it("Should open option voting as soon as the late evaluation ends", async function () {
+      const timelines = decodePoolTimelines(await hiloBonding.getPoolTimelines(shortPoolId));
+      await mineAt(timelines.evaluationEnd + 1);
+      await expectPhase(shortPoolId, "OptionVoting", timelines.optionVotingEnd + 1);
+
+      await hiloBonding.connect(validator2).voteOption(shortPoolId, 0);
+    });
+  });
+
+  describe("Rejected pool", function () {
+    let timelines;
+
+    before(async function () {
+      timelines = await createPool(rejectedPoolId, 2 * DAY);
+    });
+
+    it("Should be rejected once the evaluation rejects it", async function () {
+      await hiloBonding.connect(validator1).voteEvaluation(rejectedPoolId, false);
+      await hiloBonding.connect(validator2).voteEvaluation(rejectedPoolId, false);
+      await mineAt(timelines.evaluationEnd + 1);
+      await expectPhase(rejectedPoolId, "Rejected", timelines.optionVotingEnd + 1);
+    });
+
+    it("Should stay rejected through the option voting window, where votes revert", async function () {
+      await mineAt(timelines.optionVotingStart);
+      await expectPhase(rejectedPoolId, "Rejected", timelines.optionVotingEnd + 1);
+
+      await expect(hiloBonding.connect(validator1).voteOption(rejectedPoolId, 0))
+        .to.be.revertedWith("Pool was not approved");
+    });
+
+    it("Should only take evaluation disputes in the dispute window", async function () {
+      await mineAt(timelines.optionVotingEnd + 1);
+      await expectPhase(rejectedPoolId, "Dispute", timelines.disputeEnd + 1);
+
+      await expect(hiloBonding.connect(validator1).voteDispute(rejectedPoolId, false, 0))
+        .to.be.revertedWith("Pool not approved in evaluation");
+      await hiloBonding.connect(validator1).voteDispute(rejectedPoolId, true, 2);
+    });
+
+    it("Should be processed as rejected after the dispute window", async function () {
+      await mineAt(timelines.disputeEnd + 1);
+      await expectPhase(rejectedPoolId, "AwaitingProcessing", 0);
+
+      await hiloBonding.processPool(rejectedPoolId);
+      await expectPhase(rejectedPoolId, "Processed", 0);
+      const [, , finalApproval] = await hiloBonding.getPoolStatus(rejectedPoolId);
+      expect(finalApproval).to.equal(false);
+    });
+  });
+});
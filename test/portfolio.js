@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK, buildPortfolio } = require("../sdk");
+const { deployMarket } = require("./helpers/deploy");
+
+describe("User portfolio", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettor, otherBettor;
+  let hiloBonding, hiloPredictionMarket, betLedger;
+  let sdk;
+
+  // Pools: the first one settles with Yes winning, the second one stays open for betting
+  const settledPoolId = 9001;
+  const openPoolId = 9002;
+  const betIds = {};
+  const exitAmounts = {};
+  let exitBlock;
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  const byId = (portfolio, betId) => portfolio.bets.find((bet) => bet.id === betId);
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, otherBettor] = await ethers.getSigners();
+
+    let addresses, abis;
+    ({ hiloBonding, hiloPredictionMarket, betLedger, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor, otherBettor]
+    }));
+    sdk = new HiloSDK({ runner: bettor, addresses, abis });
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      settledPoolId, settledPoolId, "Settled Pool", startTime, startTime + 3600 * 24, "Data", ["Yes", "No"]
+    );
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      openPoolId, openPoolId, "Open Pool", startTime, startTime + 3600 * 24 * 10, "Data", ["Yes", "No"]
+    );
+    for (const poolId of [settledPoolId, openPoolId]) {
+      await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+      await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+    }
+    await safeIncrementTime(startTime + 10);
+
+    const bet = async (groupId, option, amount) => (await sdk.placeBet({ groupId, option, amount })).betId;
+    betIds.winner = await bet(settledPoolId, 0, "10");
+    betIds.loser = await bet(settledPoolId, 1, "5");
+    betIds.partial = await bet(settledPoolId, 0, "8");
+    betIds.exited = await bet(openPoolId, 1, "10");
+    betIds.active = await bet(openPoolId, 0, "6");
+
+    // Someone else's bet moves the odds of the open pool but is not part of the portfolio
+    const otherSdk = new HiloSDK({ runner: otherBettor, addresses: sdk.addresses, abis });
+    betIds.other = await otherSdk.placeBet({ groupId: openPoolId, option: 0, amount: "20" }).then((result) => result.betId);
+
+    exitBlock = await ethers.provider.getBlockNumber() + 1;
+    const partial = await sdk.partialEarlyExit(betIds.partial, 4000);
+    betIds.slice = partial.sliceBetId;
+    exitAmounts.slice = partial.exitAmount;
+    exitAmounts.exited = (await sdk.earlyExit(betIds.exited)).exitAmount;
+  });
+
+  describe("BetLedger.getUserBetIds", function () {
+    it("Should list every bet of a user across groups, oldest first, including exit slices", async function () {
+      expect(await betLedger.getUserBetIds(bettor.address)).to.deep.equal([
+        betIds.winner, betIds.loser, betIds.partial, betIds.exited, betIds.active, betIds.slice
+      ]);
+      expect(await betLedger.getUserBetIds(otherBettor.address)).to.deep.equal([betIds.other]);
+      expect(await betLedger.getUserBetIds(owner.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("getPortfolio", function () {
+    it("Should value active bets at their cashout and realize early exits from EarlyExit logs", async function () {
+      const portfolio = await sdk.getPortfolio(bettor.address);
+      expect(portfolio.bets.map((bet) => bet.id)).to.deep.equal(await betLedger.getUserBetIds(bettor.address));
+
+      const active = byId(portfolio, betIds.active);
+      const { exitAmount } = await sdk.quoteEarlyExit(betIds.active);
+      expect(active.statusName).to.equal("Active");
+      expect(active.lockedOdds).to.equal((await betLedger.getBetDetails(betIds.active)).lockedOdds);
+      expect(active.cashoutValue).to.equal(exitAmount);
+      expect(active.unrealizedPnl).to.equal(exitAmount - active.amount);
+      expect(active.realizedPnl).to.equal(null);
+
+      const exited = byId(portfolio, betIds.exited);
+      expect(exited.statusName).to.equal("CashedOut");
+      expect(exited.payout).to.equal(exitAmounts.exited);
+      expect(exited.realizedPnl).to.equal(exitAmounts.exited - exited.amount);
+
+      // A partial exit realizes the slice; the rest of the bet stays active
+      const slice = byId(portfolio, betIds.slice);
+      expect(slice.realizedPnl).to.equal(exitAmounts.slice - slice.amount);
+      expect(byId(portfolio, betIds.partial).statusName).to.equal("Active");
+
+      const { totals } = portfolio;
+      expect(totals.exited).to.equal(exitAmounts.exited + exitAmounts.slice);
+      expect(totals.realizedPnl).to.equal(exited.realizedPnl + slice.realizedPnl);
+      expect(totals.unrealizedPnl).to.equal(portfolio.bets
+        .filter((bet) => bet.statusName === "Active")
+        .reduce((sum, bet) => sum + bet.cashoutValue - bet.amount, 0n));
+    });
+
+    it("Should report an unknown payout for exits before fromBlock", async function () {
+      const portfolio = await sdk.getPortfolio(bettor.address, { fromBlock: exitBlock + 1 });
+      // The partial exit is in exitBlock, the full exit in the block after
+      expect(byId(portfolio, betIds.slice).payout).to.equal(null);
+      expect(byId(portfolio, betIds.exited).payout).to.equal(exitAmounts.exited);
+    });
+
+    it("Should show what a settled group owes before the winnings are claimed", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(settledPoolId);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(settledPoolId, 0);
+      await hiloBonding.connect(validator2).voteOption(settledPoolId, 0);
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(settledPoolId);
+      await hiloPredictionMarket.settleOptionGroup(settledPoolId, 0);
+
+      const portfolio = await sdk.getPortfolio(bettor.address);
+      const winner = byId(portfolio, betIds.winner);
+      expect(winner.statusName).to.equal("Active");
+      expect(winner.cashoutValue).to.equal(null);
+      expect(winner.claimable).to.equal(winner.potentialPayout);
+      expect(winner.unrealizedPnl).to.equal(winner.potentialPayout - winner.amount);
+
+      const loser = byId(portfolio, betIds.loser);
+      expect(loser.claimable).to.equal(0n);
+      expect(loser.unrealizedPnl).to.equal(-loser.amount);
+
+      // The open pool is still valued at its cashout
+      expect(byId(portfolio, betIds.active).cashoutValue).to.be.greaterThan(0n);
+    });
+
+    it("Should realize settled bets once claimed and match WinningsClaimed", async function () {
+      const before = await sdk.getPortfolio(bettor.address);
+      const { amount } = await sdk.claim(settledPoolId);
+
+      const portfolio = await sdk.getPortfolio(bettor.address);
+      const winner = byId(portfolio, betIds.winner);
+      const partial = byId(portfolio, betIds.partial);
+      const loser = byId(portfolio, betIds.loser);
+      expect(winner.statusName).to.equal("SettledWon");
+      expect(winner.realizedPnl).to.equal(winner.potentialPayout - winner.amount);
+      expect(partial.statusName).to.equal("SettledWon");
+      expect(loser.statusName).to.equal("SettledLost");
+      expect(loser.payout).to.equal(0n);
+      expect(loser.realizedPnl).to.equal(-loser.amount);
+
+      expect(winner.payout + partial.payout).to.equal(amount);
+      expect(portfolio.totals.claimed).to.equal(amount);
+      expect(portfolio.totals.claimable).to.equal(0n);
+      // Claiming moves P&L from unrealized to realized without changing it
+      expect(portfolio.totals.realizedPnl - before.totals.realizedPnl)
+        .to.equal(before.bets
+          .filter((bet) => bet.groupId === BigInt(settledPoolId) && bet.statusName === "Active")
+          .reduce((sum, bet) => sum + bet.unrealizedPnl, 0n));
+    });
+  });
+
+  describe("buildPortfolio", function () {
+    const bet = (fields) => ({
+      id: 1n, groupId: 1n, optionIndex: 0, amount: 100n, potentialPayout: 180n, lockedOdds: 18000n,
+      timestamp: 0, status: 0, statusName: "Active", ...fields
+    });
+
+    it("Should treat bets of canceled groups as refundable at cost", function () {
+      const groups = new Map([[1n, { settled: false, canceled: true, winningOptionIndex: 0 }]]);
+      const { bets, totals } = buildPortfolio({
+        bets: [bet({ id: 1n }), bet({ id: 2n, status: 4, statusName: "Refunded" })],
+        groups
+      });
+
+      expect(bets[0].claimable).to.equal(100n);
+      expect(bets[0].unrealizedPnl).to.equal(0n);
+      expect(bets[1].payout).to.equal(100n);
+      expect(bets[1].realizedPnl).to.equal(0n);
+      expect(totals.staked).to.equal(200n);
+      expect(totals.claimable).to.equal(100n);
+    });
+
+    it("Should refuse bets whose option group was not loaded", function () {
+      expect(() => buildPortfolio({ bets: [bet({ groupId: 7n })], groups: new Map() }))
+        .to.throw("Option group 7 of bet 1 was not loaded");
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("HiloPredictionMarket - Previews, Slippage and Deadlines", function () {
+  // Actors
+  let owner, poolCreator, bettor1, bettor2;
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+
+  const poolId = 3001;
+  const optionGroupId = 3001;
+  let betIds = {};
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("150");
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+  const PLATFORM_FEE = 500n; // 5%
+  const EARLY_EXIT_FEE = 500n; // 5%
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // Overloads taking a deadline (and a minimum exit amount for early exit)
+  const PLACE_BET_WITH_DEADLINE = "placeBet(uint256,uint256,uint256,uint256,uint256)";
+  const EARLY_EXIT_WITH_LIMITS = "earlyExit(uint256,uint256,uint256)";
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  // Preview a bet, place it with the previewed odds as minimum and check the execution matches
+  async function placePreviewedBet(bettor, optionIndex, amount) {
+    const betAmount = ethers.parseEther(amount);
+    const preview = await hiloPredictionMarket.previewBet(optionGroupId, optionIndex, betAmount);
+
+    await expect(hiloPredictionMarket.connect(bettor).placeBet(optionGroupId, optionIndex, betAmount, preview.lockedOdds))
+      .to.emit(hiloPredictionMarket, "BetPlaced")
+      .withArgs(optionGroupId, bettor.address, optionIndex, betAmount, preview.potentialPayout, preview.lockedOdds);
+
+    expect([...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)]).to.deep.equal([...preview.newLiquidity]);
+
+    const activeBets = await betLedger.getUserActiveBetIds(bettor.address, optionGroupId);
+    return activeBets[activeBets.length - 1];
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, bettor1, bettor2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await hiloPredictionMarket.updatePlatformFee(PLATFORM_FEE);
+    await hiloPredictionMarket.updateEarlyExitFee(EARLY_EXIT_FEE);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+
+    for (const bettor of [bettor1, bettor2]) {
+      await mockToken.transfer(bettor.address, INITIAL_USER_TOKENS);
+      await mockToken.connect(bettor).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "Preview Pool", startTime, settleTime, "Data for previews", ["Yes", "No"]
+    );
+    await safeIncrementTime(startTime + 10);
+  });
+
+  describe("previewBet", function () {
+    it("Should quote the first bet exactly as placeBet executes it", async function () {
+      betIds.yes10 = await placePreviewedBet(bettor1, 0, "10");
+    });
+
+    it("Should quote reserve-scaled bets that calculatePotentialReturn misses", async function () {
+      betIds.no30 = await placePreviewedBet(bettor2, 1, "30");
+
+      // No bets now exceed Yes bets and Yes holds a reserve, so placeBet scales the Yes bet
+      const betAmount = ethers.parseEther("5");
+      const preview = await hiloPredictionMarket.previewBet(optionGroupId, 0, betAmount);
+      const [legacyReturn, legacyOdds] = await hiloPredictionMarket.calculatePotentialReturn(optionGroupId, 0, betAmount);
+      expect(preview.potentialPayout).to.not.equal(legacyReturn);
+      expect(preview.lockedOdds).to.not.equal(legacyOdds);
+
+      betIds.yes5 = await placePreviewedBet(bettor1, 0, "5");
+    });
+
+    it("Should report the platform fee on the raw return", async function () {
+      const betAmount = ethers.parseEther("12");
+      const preview = await hiloPredictionMarket.previewBet(optionGroupId, 1, betAmount);
+      const rawReturn = preview.potentialPayout + preview.fee - betAmount;
+      expect(preview.fee).to.equal((rawReturn * PLATFORM_FEE) / 10000n);
+
+      const feesBefore = (await hiloPredictionMarket.optionGroups(optionGroupId)).totalFees;
+      betIds.no12 = await placePreviewedBet(bettor2, 1, "12");
+      expect((await hiloPredictionMarket.optionGroups(optionGroupId)).totalFees - feesBefore).to.equal(preview.fee);
+    });
+
+    it("Should reject invalid quotes", async function () {
+      await expect(hiloPredictionMarket.previewBet(9999, 0, ethers.parseEther("1")))
+        .to.be.revertedWith("Option group does not exist");
+      await expect(hiloPredictionMarket.previewBet(optionGroupId, 2, ethers.parseEther("1")))
+        .to.be.revertedWith("Invalid option index");
+      await expect(hiloPredictionMarket.previewBet(optionGroupId, 0, 0))
+        .to.be.revertedWith("Amount must be positive");
+    });
+  });
+
+  describe("previewEarlyExit", function () {
+    it("Should match the cashout values reported by the BetLedger", async function () {
+      const cashouts = await betLedger.getActiveBetsWithCashout(bettor1.address, optionGroupId);
+      expect(cashouts).to.have.lengthOf(2);
+
+      for (const info of cashouts) {
+        const preview = await hiloPredictionMarket.previewEarlyExit(info.betId);
+        expect(info.cashoutValue).to.equal(preview.exitAmount);
+      }
+    });
+
+    it("Should quote the exit exactly as earlyExit executes it", async function () {
+      const preview = await hiloPredictionMarket.previewEarlyExit(betIds.no30);
+      expect(preview.exitAmount).to.be.gt(0n);
+
+      const feesBefore = (await hiloPredictionMarket.optionGroups(optionGroupId)).totalFees;
+      const balanceBefore = await mockToken.balanceOf(bettor2.address);
+
+      await expect(hiloPredictionMarket.connect(bettor2).earlyExit(betIds.no30))
+        .to.emit(hiloPredictionMarket, "EarlyExit")
+        .withArgs(optionGroupId, bettor2.address, 1, ethers.parseEther("30"), preview.exitAmount, betIds.no30);
+
+      expect(await mockToken.balanceOf(bettor2.address) - balanceBefore).to.equal(preview.exitAmount);
+      expect((await hiloPredictionMarket.optionGroups(optionGroupId)).totalFees - feesBefore).to.equal(preview.fee);
+      expect([...await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)]).to.deep.equal([...preview.newLiquidity]);
+    });
+
+    it("Should reject unknown and inactive bets", async function () {
+      await expect(hiloPredictionMarket.previewEarlyExit(9999))
+        .to.be.revertedWith("BetLedger: Bet ID does not exist");
+      await expect(hiloPredictionMarket.previewEarlyExit(betIds.no30))
+        .to.be.revertedWith("EarlyExit: Bet not active");
+    });
+  });
+
+  describe("Slippage and deadline protection", function () {
+    it("Should reject bets mined after their deadline", async function () {
+      const betAmount = ethers.parseEther("4");
+      const deadline = await latestTimestamp();
+
+      await expect(hiloPredictionMarket.connect(bettor1)[PLACE_BET_WITH_DEADLINE](optionGroupId, 0, betAmount, 1n, deadline))
+        .to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should place bets before their deadline at the previewed odds", async function () {
+      const betAmount = ethers.parseEther("4");
+      const preview = await hiloPredictionMarket.previewBet(optionGroupId, 0, betAmount);
+      const deadline = (await latestTimestamp()) + 300;
+
+      await expect(hiloPredictionMarket.connect(bettor1)[PLACE_BET_WITH_DEADLINE](optionGroupId, 0, betAmount, preview.lockedOdds, deadline))
+        .to.emit(hiloPredictionMarket, "BetPlaced")
+        .withArgs(optionGroupId, bettor1.address, 0, betAmount, preview.potentialPayout, preview.lockedOdds);
+
+      const activeBets = await betLedger.getUserActiveBetIds(bettor1.address, optionGroupId);
+      betIds.yes4 = activeBets[activeBets.length - 1];
+    });
+
+    it("Should reject exits mined after their deadline", async function () {
+      const deadline = await latestTimestamp();
+
+      await expect(hiloPredictionMarket.connect(bettor1)[EARLY_EXIT_WITH_LIMITS](betIds.yes10, 0, deadline))
+        .to.be.revertedWith("EarlyExit: Transaction expired");
+    });
+
+    it("Should reject an exit whose value fell below the quoted floor", async function () {
+      const quote = await hiloPredictionMarket.previewEarlyExit(betIds.yes10);
+      const deadline = (await latestTimestamp()) + 300;
+
+      // A large No bet lands first and lowers the value of the Yes position
+      await placePreviewedBet(bettor2, 1, "50");
+      expect((await hiloPredictionMarket.previewEarlyExit(betIds.yes10)).exitAmount).to.be.lt(quote.exitAmount);
+
+      await expect(hiloPredictionMarket.connect(bettor1)[EARLY_EXIT_WITH_LIMITS](betIds.yes10, quote.exitAmount, deadline))
+        .to.be.revertedWith("EarlyExit: Exit amount below minimum");
+    });
+
+    it("Should exit at the quote when the floor and deadline are met", async function () {
+      const quote = await hiloPredictionMarket.previewEarlyExit(betIds.yes10);
+      const deadline = (await latestTimestamp()) + 300;
+      const balanceBefore = await mockToken.balanceOf(bettor1.address);
+
+      await expect(hiloPredictionMarket.connect(bettor1)[EARLY_EXIT_WITH_LIMITS](betIds.yes10, quote.exitAmount, deadline))
+        .to.emit(hiloPredictionMarket, "EarlyExit")
+        .withArgs(optionGroupId, bettor1.address, 0, ethers.parseEther("10"), quote.exitAmount, betIds.yes10);
+
+      expect(await mockToken.balanceOf(bettor1.address) - balanceBefore).to.equal(quote.exitAmount);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+  PRECISION,
+  calculateReserve,
+  calculateTotalRemainingLiquidity,
+  calculateOdds,
+  createMarketState,
+  applyBet,
+  applyEarlyExit
+} = require("../sdk/pricing");
+
+describe("Off-chain Pricing Engine", function () {
+  // Fees used by test/main.js when the CSVs were recorded
+  const PLATFORM_FEE = 500n; // 5%
+  const EARLY_EXIT_FEE = 500n; // 5% (contract default)
+
+  // Each CSV is a recorded on-chain run, copied to test/fixtures/ so that test/main.js rewriting the
+  // root CSVs cannot change them; prelude bets happened before the first recorded row
+  const scenarios = [
+    { file: "bet_progression.csv", initialLiquidity: ["75", "75"], prelude: [] },
+    { file: "custom_bet_sequence.csv", initialLiquidity: ["75", "75"], prelude: [] },
+    { file: "sequential_bets.csv", initialLiquidity: ["37.5", "37.5"], prelude: [[0, "10"], [1, "15"]] }
+  ];
+
+  // Same formatting the CSV writer in test/main.js uses
+  function formatBigInt(value, decimals = 4) {
+    return (Number(ethers.formatEther(value))).toFixed(decimals);
+  }
+
+  function formatOdds(odds) {
+    return (Number(odds) / Number(PRECISION)).toFixed(4);
+  }
+
+  function formatYield(profit, amount) {
+    return ((Number(formatBigInt(profit)) / Number(formatBigInt(amount))) * 100).toFixed(2) + "%";
+  }
+
+  // Minimal parser for the quoted CSVs written by exportToCSV
+  function parseCsv(file) {
+    const [header, ...lines] = fs.readFileSync(path.join(__dirname, "fixtures", file), "utf8").trim().split("\n");
+    const columns = header.trim().split(",");
+    return lines.map((line) => {
+      const values = line.trim().replace(/^"|"$/g, "").split('","');
+      return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+  }
+
+  // Replay a recorded run through the engine, returning the expected and engine values per row
+  function replay({ file, initialLiquidity, prelude }) {
+    let state = createMarketState(initialLiquidity.map((amount) => ethers.parseEther(amount)));
+    for (const [optionIndex, amount] of prelude) {
+      state = applyBet(state, optionIndex, ethers.parseEther(amount), PLATFORM_FEE).state;
+    }
+
+    const bets = {};
+    const results = [];
+    for (const row of parseCsv(file)) {
+      const actual = {};
+
+      if (row.betSide === "Yes" || row.betSide === "No") {
+        const optionIndex = row.betSide === "Yes" ? 0 : 1;
+        const amount = ethers.parseEther(row.betAmount);
+        const applied = applyBet(state, optionIndex, amount, PLATFORM_FEE);
+        state = applied.state;
+        bets[row.betId] = { optionIndex, amount, potentialPayout: applied.quote.potentialPayout };
+
+        const profit = applied.quote.potentialPayout - amount;
+        actual.lockedOdds = formatOdds(applied.quote.lockedOdds);
+        actual.potentialReturn = formatBigInt(profit);
+        actual.yieldPct = formatYield(profit, amount);
+      }
+
+      const cashout = row.cashoutDetails && row.cashoutDetails.match(/^Cashout ([\d.]+) from ID (\d+)$/);
+      if (cashout) {
+        const applied = applyEarlyExit(state, bets[cashout[2]], EARLY_EXIT_FEE);
+        state = applied.state;
+        actual.cashoutDetails = `Cashout ${formatBigInt(applied.quote.exitAmount)} from ID ${cashout[2]}`;
+      }
+
+      const odds = calculateOdds(state);
+      Object.assign(actual, {
+        liquidityYes: formatBigInt(state.currentLiquidity[0]),
+        liquidityNo: formatBigInt(state.currentLiquidity[1]),
+        reservedYes: formatBigInt(calculateReserve(state.initialLiquidity[0], state.currentLiquidity[0])),
+        reservedNo: formatBigInt(calculateReserve(state.initialLiquidity[1], state.currentLiquidity[1])),
+        totalRemainingLiquidity: formatBigInt(calculateTotalRemainingLiquidity(state)),
+        oddsYes: formatOdds(odds[0]),
+        oddsNo: formatOdds(odds[1]),
+        totalVolYes: formatBigInt(state.totalBets[0]),
+        totalVolNo: formatBigInt(state.totalBets[1])
+      });
+
+      const expected = Object.fromEntries(Object.keys(actual).map((key) => [key, row[key]]));
+      results.push({ row, expected, actual });
+    }
+    return results;
+  }
+
+  for (const scenario of scenarios) {
+    it(`Should reproduce every row of ${scenario.file}`, function () {
+      const results = replay(scenario);
+      expect(results.length).to.be.gt(0);
+
+      results.forEach(({ row, expected, actual }, i) => {
+        expect(actual, `${scenario.file} row ${i + 1} (bet ${row.betId})`).to.deep.equal(expected);
+      });
+    });
+  }
+
+  it("Should replay both cashouts of the custom sequence", function () {
+    const cashouts = replay(scenarios[1]).filter(({ actual }) => actual.cashoutDetails);
+    expect(cashouts.map(({ actual }) => actual.cashoutDetails)).to.deep.equal([
+      "Cashout 11.4364 from ID 19",
+      "Cashout 23.8852 from ID 15"
+    ]);
+  });
+
+  it("Should leave total bets unchanged on early exit", function () {
+    let state = createMarketState([ethers.parseEther("75"), ethers.parseEther("75")]);
+    const placed = applyBet(state, 0, ethers.parseEther("20"), PLATFORM_FEE);
+    const bet = { optionIndex: 0, amount: ethers.parseEther("20"), potentialPayout: placed.quote.potentialPayout };
+
+    state = applyEarlyExit(placed.state, bet, EARLY_EXIT_FEE).state;
+    expect(state.totalBets).to.deep.equal([ethers.parseEther("20"), 0n]);
+  });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("HiloPredictionMarket - Per-Bet Refunds", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettors = [];
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+
+  // Two rejected pools, one option group each
+  const poolIds = [2001, 2002];
+  const groupIds = [2001, 2002];
+  let betIds = {};
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("150");
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+
+  // Bet statuses as defined in BetLedger
+  const Status = { Active: 0n, CashedOut: 1n, SettledWon: 2n, SettledLost: 3n, Refunded: 4n };
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  // Place a bet and return the new bet ID (last entry in the user's active index)
+  async function placeBet(bettor, optionGroupId, optionIndex, amount) {
+    await hiloPredictionMarket.connect(bettor).placeBet(optionGroupId, optionIndex, ethers.parseEther(amount), 1n);
+    const activeBets = await betLedger.getUserActiveBetIds(bettor.address, optionGroupId);
+    return activeBets[activeBets.length - 1];
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, ...bettors] = await ethers.getSigners();
+    bettors = bettors.slice(0, 3);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+    await hiloStaking.connect(validator1).buyValidator({ value: VALIDATOR_THRESHOLD });
+    await hiloStaking.connect(validator2).buyValidator({ value: VALIDATOR_THRESHOLD });
+
+    for (const bettor of bettors) {
+      await mockToken.transfer(bettor.address, INITIAL_USER_TOKENS);
+      await mockToken.connect(bettor).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    // Create both pools and have the validators reject them during evaluation.
+    // Betting stays open until the rejection is processed after the dispute window.
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+
+    for (let i = 0; i < poolIds.length; i++) {
+      await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+        poolIds[i], groupIds[i], `Refund Pool ${i + 1}`, startTime, settleTime, "Data for refunds", ["Yes", "No"]
+      );
+      await hiloBonding.connect(validator1).voteEvaluation(poolIds[i], false);
+      await hiloBonding.connect(validator2).voteEvaluation(poolIds[i], false);
+    }
+    await safeIncrementTime(startTime + 10);
+  });
+
+  describe("Refunding canceled option groups", function () {
+    it("Should record several bets per user across both groups", async function () {
+      const [bettor1, bettor2, bettor3] = bettors;
+
+      betIds.b1yes = await placeBet(bettor1, groupIds[0], 0, "20");
+      betIds.b1no = await placeBet(bettor1, groupIds[0], 1, "15");
+      betIds.b2yes = await placeBet(bettor2, groupIds[0], 0, "30");
+      betIds.b2no = await placeBet(bettor2, groupIds[1], 1, "25");
+      betIds.b3yes = await placeBet(bettor3, groupIds[1], 0, "10");
+
+      expect(await betLedger.getUserActiveBetIds(bettor1.address, groupIds[0])).to.have.lengthOf(2);
+    });
+
+    it("Should not refund before the option group is canceled", async function () {
+      await expect(hiloPredictionMarket.connect(bettors[0]).refundBets(groupIds[0]))
+        .to.be.revertedWith("Option group not canceled");
+    });
+
+    it("Should auto-cancel a rejected group and refund each bet with its own ID", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolIds[0]);
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+
+      const bettor1 = bettors[0];
+      const balanceBefore = await mockToken.balanceOf(bettor1.address);
+
+      await expect(hiloPredictionMarket.connect(bettor1).refundBets(groupIds[0]))
+        .to.emit(hiloPredictionMarket, "OptionGroupCanceled").withArgs(groupIds[0])
+        .and.to.emit(hiloPredictionMarket, "BetRefunded").withArgs(groupIds[0], bettor1.address, ethers.parseEther("20"), betIds.b1yes)
+        .and.to.emit(hiloPredictionMarket, "BetRefunded").withArgs(groupIds[0], bettor1.address, ethers.parseEther("15"), betIds.b1no);
+
+      const balanceAfter = await mockToken.balanceOf(bettor1.address);
+      expect(balanceAfter - balanceBefore).to.equal(ethers.parseEther("35"));
+      expect((await betLedger.getBetDetails(betIds.b1yes)).status).to.equal(Status.Refunded);
+      expect((await betLedger.getBetDetails(betIds.b1no)).status).to.equal(Status.Refunded);
+      expect(await betLedger.getUserActiveBetIds(bettor1.address, groupIds[0])).to.be.empty;
+    });
+
+    it("Should only refund the caller's own bets", async function () {
+      expect((await betLedger.getBetDetails(betIds.b2yes)).status).to.equal(Status.Active);
+      await expect(hiloPredictionMarket.connect(bettors[0]).refundBets(groupIds[0]))
+        .to.be.revertedWith("No bet to refund");
+    });
+
+    it("Should refund every group in a single batch transaction", async function () {
+      const bettor2 = bettors[1];
+      const balanceBefore = await mockToken.balanceOf(bettor2.address);
+
+      await expect(hiloPredictionMarket.connect(bettor2).refundBetsBatch(groupIds))
+        .to.emit(hiloPredictionMarket, "OptionGroupCanceled").withArgs(groupIds[1])
+        .and.to.emit(hiloPredictionMarket, "BetRefunded").withArgs(groupIds[0], bettor2.address, ethers.parseEther("30"), betIds.b2yes)
+        .and.to.emit(hiloPredictionMarket, "BetRefunded").withArgs(groupIds[1], bettor2.address, ethers.parseEther("25"), betIds.b2no);
+
+      const balanceAfter = await mockToken.balanceOf(bettor2.address);
+      expect(balanceAfter - balanceBefore).to.equal(ethers.parseEther("55"));
+      expect((await betLedger.getBetDetails(betIds.b2no)).status).to.equal(Status.Refunded);
+      expect((await betLedger.getBetDetails(betIds.b3yes)).status).to.equal(Status.Active);
+    });
+
+    it("Should reduce the option totals by the refunded principal", async function () {
+      const totals = await hiloPredictionMarket.getTotalBetsPerOption(groupIds[0]);
+      expect(totals[0]).to.equal(0n);
+      expect(totals[1]).to.equal(0n);
+    });
+
+    it("Should reject a batch with nothing left to refund", async function () {
+      await expect(hiloPredictionMarket.connect(bettors[1]).refundBetsBatch(groupIds))
+        .to.be.revertedWith("No bet to refund");
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK } = require("../sdk");
+const { deployMarket, DEFAULT_LIQUIDITY } = require("./helpers/deploy");
+
+describe("Risk limits", function () {
+  let owner, poolCreator, validator1, validator2, bettor, otherBettor;
+  let hiloPredictionMarket, betLedger, sdk;
+
+  const SHARE_POOL_ID = 9501;
+  const WALLET_POOL_ID = 9502;
+  const LIABILITY_POOL_ID = 9503;
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  function placeBet(signer, groupId, option, amount) {
+    return hiloPredictionMarket.connect(signer)["placeBet(uint256,uint256,uint256,uint256)"](groupId, option, amount, 0);
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor, otherBettor] = await ethers.getSigners();
+
+    let hiloBonding, addresses, abis;
+    ({ hiloBonding, hiloPredictionMarket, betLedger, addresses, abis } = await deployMarket({
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: [bettor, otherBettor],
+      approveUsers: true
+    }));
+    sdk = new HiloSDK({ runner: bettor, addresses, abis });
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    for (const poolId of [SHARE_POOL_ID, WALLET_POOL_ID, LIABILITY_POOL_ID]) {
+      await hiloPredictionMarket.connect(poolCreator)[
+        "createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[])"
+      ](poolId, poolId, `Pool ${poolId}`, startTime, startTime + 3600 * 24, "Data", ["Yes", "No"]);
+      await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+      await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+    }
+    await safeIncrementTime(startTime + 10);
+  });
+
+  describe("Configuration", function () {
+    it("Should not limit groups without configured limits", async function () {
+      const limits = await sdk.getRiskLimits(SHARE_POOL_ID);
+      expect(limits).to.deep.equal({ maxBetShare: 0n, maxOutcomeLiability: 0n, maxWalletStake: 0n });
+      expect(await sdk.getMaxBet({ groupId: SHARE_POOL_ID, option: 0 })).to.equal(null);
+      expect(await betLedger.getMaxBet(SHARE_POOL_ID, 0, bettor.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should only let the market owner configure limits", async function () {
+      await expect(betLedger.connect(poolCreator).configureRiskLimits(SHARE_POOL_ID, 1000, 0, 0))
+        .to.be.revertedWith("BetLedger: Caller is not the market owner");
+      await expect(betLedger.configureRiskLimits(SHARE_POOL_ID, 10001, 0, 0))
+        .to.be.revertedWith("BetLedger: Bet share above 100%");
+    });
+
+    it("Should emit the configured limits", async function () {
+      await expect(betLedger.configureRiskLimits(SHARE_POOL_ID, 1000, 0, 0))
+        .to.emit(betLedger, "RiskLimitsUpdated")
+        .withArgs(SHARE_POOL_ID, 1000, 0, 0);
+      expect((await sdk.getRiskLimits(SHARE_POOL_ID)).maxBetShare).to.equal(1000n);
+    });
+  });
+
+  describe("Enforcement", function () {
+    it("Should cap a bet at its share of the remaining liquidity", async function () {
+      // 10% of the 150 default liquidity
+      const maxBet = await sdk.getMaxBet({ groupId: SHARE_POOL_ID, option: 0 });
+      expect(maxBet).to.equal(DEFAULT_LIQUIDITY / 10n);
+
+      await expect(placeBet(bettor, SHARE_POOL_ID, 0, maxBet + 1n))
+        .to.be.revertedWith("RiskLimit: Bet exceeds max share of liquidity");
+      await placeBet(bettor, SHARE_POOL_ID, 0, maxBet);
+
+      // The bet moved liquidity into the pool, so the next cap follows the new remaining liquidity
+      const remaining = (await hiloPredictionMarket.optionGroups(SHARE_POOL_ID)).totalLiquidity;
+      expect(await sdk.getMaxBet({ groupId: SHARE_POOL_ID, option: 1 })).to.equal(remaining / 10n);
+    });
+
+    it("Should cap each wallet's active stake and free it on exit", async function () {
+      const cap = ethers.parseEther("20");
+      await betLedger.configureRiskLimits(WALLET_POOL_ID, 0, 0, cap);
+
+      const { betId } = await sdk.placeBet({ groupId: WALLET_POOL_ID, option: 0, amount: "12" });
+      expect(await sdk.getMaxBet({ groupId: WALLET_POOL_ID, option: 1 })).to.equal(ethers.parseEther("8"));
+      await expect(placeBet(bettor, WALLET_POOL_ID, 1, ethers.parseEther("8.01")))
+        .to.be.revertedWith("RiskLimit: Wallet position cap reached");
+
+      // Other wallets have their own cap
+      expect(await sdk.getMaxBet({ groupId: WALLET_POOL_ID, option: 1, user: otherBettor.address })).to.equal(cap);
+      await placeBet(otherBettor, WALLET_POOL_ID, 1, cap);
+
+      // Cashing out half the bet frees half its stake
+      await sdk.partialEarlyExit(betId, 5000);
+      expect(await sdk.getMaxBet({ groupId: WALLET_POOL_ID, option: 1 })).to.equal(ethers.parseEther("14"));
+      await sdk.earlyExit(betId);
+      expect(await sdk.getMaxBet({ groupId: WALLET_POOL_ID, option: 1 })).to.equal(cap);
+    });
+
+    it("Should cap the potential payouts owed on an outcome", async function () {
+      const cap = ethers.parseEther("60");
+      await betLedger.configureRiskLimits(LIABILITY_POOL_ID, 0, cap, 0);
+
+      await sdk.placeBet({ groupId: LIABILITY_POOL_ID, option: 0, amount: "20" });
+      const owed = (await sdk.getGroupLiabilities(LIABILITY_POOL_ID)).payouts[0];
+
+      // The largest bet whose payout still fits under the cap
+      const maxBet = await sdk.getMaxBet({ groupId: LIABILITY_POOL_ID, option: 0 });
+      const { potentialPayout } = await hiloPredictionMarket.previewBet(LIABILITY_POOL_ID, 0, maxBet);
+      const { potentialPayout: overPayout } = await hiloPredictionMarket.previewBet(LIABILITY_POOL_ID, 0, maxBet + 1n);
+      expect(owed + potentialPayout).to.be.lte(cap);
+      expect(owed + overPayout).to.be.gt(cap);
+
+      await expect(placeBet(otherBettor, LIABILITY_POOL_ID, 0, maxBet + 1n))
+        .to.be.revertedWith("RiskLimit: Outcome liability cap reached");
+      await placeBet(otherBettor, LIABILITY_POOL_ID, 0, maxBet);
+      expect((await sdk.getGroupLiabilities(LIABILITY_POOL_ID)).payouts[0]).to.be.lte(cap);
+      expect(await sdk.getMaxBet({ groupId: LIABILITY_POOL_ID, option: 0 })).to.equal(0n);
+
+      // The other outcome has its own headroom
+      expect(await sdk.getMaxBet({ groupId: LIABILITY_POOL_ID, option: 1 })).to.be.gt(0n);
+    });
+
+    it("Should apply the tightest of several limits", async function () {
+      await betLedger.configureRiskLimits(LIABILITY_POOL_ID, 500, 0, ethers.parseEther("1"));
+      expect(await sdk.getMaxBet({ groupId: LIABILITY_POOL_ID, option: 1, user: poolCreator.address }))
+        .to.equal(ethers.parseEther("1"));
+
+      await betLedger.configureRiskLimits(LIABILITY_POOL_ID, 0, 0, 0);
+      expect(await sdk.getMaxBet({ groupId: LIABILITY_POOL_ID, option: 1 })).to.equal(null);
+    });
+  });
+});
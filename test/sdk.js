@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { HiloSDK, DEFAULT_SLIPPAGE_BPS, applySlippage, loadAbi } = require("../sdk");
+
+describe("Hilo SDK", function () {
+  // Actors
+  let owner, poolCreator, validator1, validator2, bettor1, bettor2;
+  let hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger;
+  let sdk, workDir;
+
+  // Pool details
+  let poolId, optionGroupId;
+  let betIds = {};
+
+  // Constants
+  const VALIDATOR_THRESHOLD = ethers.parseEther("1");
+  const POOL_CREATOR_THRESHOLD = ethers.parseEther("2");
+  const EVALUATOR_THRESHOLD = ethers.parseEther("0.5");
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("10000");
+  const DEFAULT_LIQUIDITY = ethers.parseEther("150");
+  const LIQUIDITY_FUND = ethers.parseEther("1000");
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    [owner, poolCreator, validator1, validator2, bettor1, bettor2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Hilo Test Token", "HTT", INITIAL_TOKEN_SUPPLY);
+    await mockToken.waitForDeployment();
+
+    const HiloStaking = await ethers.getContractFactory("HiloStaking");
+    hiloStaking = await HiloStaking.deploy(VALIDATOR_THRESHOLD, POOL_CREATOR_THRESHOLD, EVALUATOR_THRESHOLD);
+    await hiloStaking.waitForDeployment();
+
+    const configValues = [
+      60 * 60 * 24, 60 * 60 * 24, 60 * 60 * 12, 60 * 60 * 6,
+      ethers.parseEther("0.1"), ethers.parseEther("0.05"),
+      ethers.parseEther("0.1"), ethers.parseEther("0.15"),
+      ethers.parseEther("0.2"), ethers.parseEther("0.3"),
+      2, ethers.parseEther("0"), 5, 3
+    ];
+    const HiloBonding = await ethers.getContractFactory("HiloBonding");
+    hiloBonding = await HiloBonding.deploy(await hiloStaking.getAddress(), configValues);
+    await hiloBonding.waitForDeployment();
+
+    const BetLedger = await ethers.getContractFactory("BetLedger");
+    betLedger = await BetLedger.deploy(owner.address);
+    await betLedger.waitForDeployment();
+
+    const MarketMath = await ethers.getContractFactory("MarketMath");
+    const marketMath = await MarketMath.deploy();
+    await marketMath.waitForDeployment();
+
+    const HiloPredictionMarket = await ethers.getContractFactory("HiloPredictionMarket", {
+      libraries: { MarketMath: await marketMath.getAddress() }
+    });
+    hiloPredictionMarket = await HiloPredictionMarket.deploy(
+      await hiloBonding.getAddress(),
+      await hiloStaking.getAddress(),
+      await mockToken.getAddress(),
+      await betLedger.getAddress()
+    );
+    await hiloPredictionMarket.waitForDeployment();
+    const marketAddress = await hiloPredictionMarket.getAddress();
+
+    await betLedger.updateHiloPredictionMarket(marketAddress);
+    await betLedger.transferOwnership(marketAddress);
+
+    await hiloStaking.updateAuthorizedAddress(await hiloBonding.getAddress(), true);
+    await hiloStaking.updateAuthorizedAddress(marketAddress, true);
+    await hiloBonding.updateAuthorizedAddress(marketAddress, true);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    await mockToken.transfer(marketAddress, LIQUIDITY_FUND);
+
+    await hiloStaking.connect(poolCreator).buyPoolCreator({ value: POOL_CREATOR_THRESHOLD });
+    await hiloStaking.connect(validator1).buyValidator({ value: VALIDATOR_THRESHOLD });
+    await hiloStaking.connect(validator2).buyValidator({ value: VALIDATOR_THRESHOLD });
+
+    // Bettors get tokens but no allowance: the SDK approves on demand
+    for (const bettor of [bettor1, bettor2]) {
+      await mockToken.transfer(bettor.address, INITIAL_USER_TOKENS);
+    }
+
+    // Write a manifest with only the market address, plus ABIs, like a deployment would
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hilo-sdk-"));
+    fs.writeFileSync(path.join(workDir, "deployment.json"), JSON.stringify({
+      network: network.name,
+      timestamp: new Date().toISOString(),
+      contracts: { HiloPredictionMarket: marketAddress }
+    }, null, 2));
+    for (const name of ["HiloStaking", "HiloBonding", "HiloPredictionMarket", "BetLedger"]) {
+      const { abi } = await artifacts.readArtifact(name);
+      fs.writeFileSync(path.join(workDir, `${name}.json`), JSON.stringify(abi));
+    }
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const settleTime = startTime + (3600 * 24);
+    poolId = 4001;
+    optionGroupId = poolId;
+
+    await hiloPredictionMarket.connect(poolCreator).createPoolAndOptionGroup(
+      poolId, optionGroupId, "SDK Pool", startTime, settleTime, "Data for the SDK", ["Yes", "No"]
+    );
+    await hiloBonding.connect(validator1).voteEvaluation(poolId, true);
+    await hiloBonding.connect(validator2).voteEvaluation(poolId, true);
+    await safeIncrementTime(startTime + 10);
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe("Setup", function () {
+    it("Should resolve missing manifest addresses from the market contract", async function () {
+      sdk = await HiloSDK.fromManifest(bettor1, {
+        manifestPath: path.join(workDir, "deployment.json"),
+        abiDir: workDir
+      });
+
+      expect(sdk.addresses.HiloBonding).to.equal(await hiloBonding.getAddress());
+      expect(sdk.addresses.HiloStaking).to.equal(await hiloStaking.getAddress());
+      expect(sdk.addresses.BetLedger).to.equal(await betLedger.getAddress());
+      expect(sdk.addresses.BettingToken).to.equal(await mockToken.getAddress());
+    });
+
+    it("Should explain where it looked for a missing ABI", function () {
+      expect(() => loadAbi("BetLedger", path.join(workDir, "missing")))
+        .to.throw(/ABI for BetLedger not found/);
+    });
+  });
+
+  describe("Markets and positions", function () {
+    it("Should decode a market into named fields", async function () {
+      const market = await sdk.getMarket(optionGroupId);
+
+      expect(market.id).to.equal(BigInt(optionGroupId));
+      expect(market.poolId).to.equal(BigInt(poolId));
+      expect(market.title).to.equal("SDK Pool");
+      expect(market.settled).to.equal(false);
+      expect(market.options.map((o) => o.name)).to.deep.equal(["Yes", "No"]);
+      expect(market.options[0].currentLiquidity).to.equal(ethers.parseEther("75"));
+      expect(market.options[0].odds).to.equal(20000n);
+      expect(market.status.processed).to.equal(false);
+      expect(market.timelines.disputeEnd).to.be.gt(market.timelines.optionVotingEnd);
+      expect(market.phase).to.deep.equal({
+        phase: 0, phaseName: "Evaluation", nextTransition: market.timelines.evaluationEnd + 1
+      });
+      expect(await sdk.getPoolPhase(poolId)).to.deep.equal(market.phase);
+      expect(market.totalShares).to.equal(DEFAULT_LIQUIDITY);
+    });
+
+    it("Should report the default liquidity's share position", async function () {
+      const lpPosition = await sdk.getLiquidityPosition(await hiloPredictionMarket.getAddress(), optionGroupId);
+      expect(lpPosition.shares).to.equal(DEFAULT_LIQUIDITY);
+      expect(lpPosition.totalShares).to.equal(DEFAULT_LIQUIDITY);
+      expect(lpPosition.liquidityValue).to.equal(DEFAULT_LIQUIDITY);
+      expect(lpPosition.accruedFees).to.equal(0n);
+    });
+
+    it("Should place bets at the quoted payout and return the bet ID", async function () {
+      const quote = await sdk.quoteBet({ groupId: optionGroupId, option: 0, amount: "20" });
+      const result = await sdk.placeBet({ groupId: optionGroupId, option: 0, amount: "20", slippageBps: 100 });
+      betIds.yes20 = result.betId;
+
+      const bet = await sdk.getBet(result.betId);
+      expect(bet.user).to.equal(bettor1.address);
+      expect(bet.optionIndex).to.equal(0);
+      expect(bet.statusName).to.equal("Active");
+      expect(bet.potentialPayout).to.equal(quote.potentialPayout);
+      expect(bet.lockedOdds).to.equal(quote.lockedOdds);
+      expect(result.minOdds).to.equal(applySlippage(quote.lockedOdds, 100));
+    });
+
+    it("Should quote the scaled-bet path exactly", async function () {
+      // bettor2 takes No while Yes has excess and No has a reserve
+      const sdk2 = await HiloSDK.fromManifest(bettor2, {
+        manifestPath: path.join(workDir, "deployment.json"),
+        abiDir: workDir
+      });
+      await sdk2.placeBet({ groupId: optionGroupId, option: 1, amount: ethers.parseEther("5") });
+
+      const quote = await sdk.quoteBet({ groupId: optionGroupId, option: 1, amount: "30" });
+      const result = await sdk.placeBet({ groupId: optionGroupId, option: 1, amount: "30", slippageBps: 0 });
+      betIds.no30 = result.betId;
+
+      const bet = await sdk.getBet(result.betId);
+      expect(bet.potentialPayout).to.equal(quote.potentialPayout);
+      expect(await hiloPredictionMarket.getCurrentLiquidity(optionGroupId)).to.deep.equal(quote.newLiquidity);
+    });
+
+    it("Should list positions with their cashout values", async function () {
+      const positions = await sdk.getPositions(bettor1.address, optionGroupId);
+
+      expect(positions.map((p) => p.id)).to.deep.equal([betIds.yes20, betIds.no30]);
+      for (const position of positions) {
+        expect(position.cashoutValue).to.be.gt(0n);
+      }
+    });
+
+    it("Should early exit and report the amount paid", async function () {
+      const [position] = (await sdk.getPositions(bettor1.address, optionGroupId)).filter((p) => p.id === betIds.no30);
+      const balanceBefore = await mockToken.balanceOf(bettor1.address);
+      const quote = await sdk.quoteEarlyExit(betIds.no30);
+
+      const { exitAmount, minExitAmount } = await sdk.earlyExit(betIds.no30);
+
+      expect(exitAmount).to.equal(position.cashoutValue);
+      expect(exitAmount).to.equal(quote.exitAmount);
+      expect(minExitAmount).to.equal(applySlippage(quote.exitAmount, DEFAULT_SLIPPAGE_BPS));
+      expect(await mockToken.balanceOf(bettor1.address)).to.equal(balanceBefore + exitAmount);
+      expect((await sdk.getBet(betIds.no30)).statusName).to.equal("CashedOut");
+    });
+
+    it("Should partially exit and report the cashed-out slice", async function () {
+      const before = await sdk.getBet(betIds.yes20);
+      const quote = await sdk.quotePartialEarlyExit(betIds.yes20, 2500);
+
+      const { exitAmount, sliceBetId } = await sdk.partialEarlyExit(betIds.yes20, 2500);
+
+      expect(exitAmount).to.equal(quote.exitAmount);
+      const slice = await sdk.getBet(sliceBetId);
+      expect(slice.statusName).to.equal("CashedOut");
+      expect(slice.amount).to.equal(before.amount / 4n);
+      expect((await sdk.getBet(betIds.yes20)).amount).to.equal(before.amount - slice.amount);
+    });
+
+    it("Should claim winnings after settlement", async function () {
+      const timelines = await hiloBonding.getPoolTimelines(poolId);
+      await safeIncrementTime(timelines.optionVotingStart);
+      await hiloBonding.connect(validator1).voteOption(poolId, 0);
+      await hiloBonding.connect(validator2).voteOption(poolId, 0);
+      await safeIncrementTime(timelines.disputeEnd + 1n);
+      await hiloBonding.processPool(poolId);
+
+      const bet = await sdk.getBet(betIds.yes20);
+      const { amount } = await sdk.claim(optionGroupId);
+
+      expect(amount).to.equal(bet.potentialPayout);
+      expect((await sdk.getMarket(optionGroupId)).settled).to.equal(true);
+      expect((await sdk.getBet(betIds.yes20)).statusName).to.equal("SettledWon");
+    });
+  });
+});
@@ -0,0 +1,356 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { HiloSDK } = require("../sdk");
+const { deployMarket, DEFAULT_LIQUIDITY } = require("./helpers/deploy");
+
+// Randomized bets, exits, liquidity, settlements, claims, refunds and fee collections against a fresh
+// deployment, checking after every step that each option group covers its worst case liabilities and
+// that its recorded assets match the tokens that actually moved. SOLVENCY_SEED replays a run and
+// SOLVENCY_ROUNDS makes it longer.
+describe("Solvency invariants", function () {
+  const SEED = Number(process.env.SOLVENCY_SEED || 20261019);
+  const ROUNDS = Number(process.env.SOLVENCY_ROUNDS || 8);
+  const GROUPS_PER_ROUND = 4;
+  const OPEN_STEPS_PER_ROUND = 250;
+
+  // Reverts a random step may legitimately hit; anything else fails the run
+  const EXPECTED_REVERTS = [
+    "Group liabilities exceed assets",
+    "Liquidity too small for a share",
+    "No fees to collect"
+  ];
+  const DEPLETED = "MarketMath: Option liquidity depleted";
+
+  let owner, poolCreator, validator1, validator2, treasury, actors;
+  let hiloBonding, hiloPredictionMarket, mockToken, betLedger, sdk;
+  let marketAddress;
+
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("10000000");
+  const INITIAL_USER_TOKENS = ethers.parseEther("100000");
+  const LIQUIDITY_FUND = ethers.parseEther("10000");
+
+  // Tokens the market holds outside option groups, and each group's assets as the harness saw them move
+  let unallocated = LIQUIDITY_FUND;
+  const expectedAssets = new Map();
+  const stats = { steps: 0, rejected: {} };
+
+  // mulberry32: small seeded generator so a failing run can be replayed
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+      next,
+      int: (max) => Math.floor(next() * max),
+      pick: (items) => items[Math.floor(next() * items.length)],
+      amount: (min, max) => ethers.parseUnits((min + next() * (max - min)).toFixed(4), 18)
+    };
+  }
+  const random = createRandom(SEED);
+
+  // Helper function to safely increment time
+  async function safeIncrementTime(targetTime) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const nextTime = Math.max(latestBlock.timestamp + 1, Number(targetTime));
+    await network.provider.send("evm_setNextBlockTimestamp", [nextTime]);
+    await network.provider.send("evm_mine");
+    return nextTime;
+  }
+
+  function revertReason(error) {
+    const match = /reverted with reason string '([^']*)'/.exec(error.message);
+    return match ? match[1] : error.message;
+  }
+
+  async function checkGroup(groupId, context) {
+    const liabilities = await sdk.getGroupLiabilities(groupId);
+    expect(liabilities.solvent, `group ${groupId} insolvent after ${context} (seed ${SEED})`).to.be.true;
+    expect(liabilities.assets, `group ${groupId} assets after ${context} (seed ${SEED})`)
+      .to.equal(expectedAssets.get(groupId));
+    return liabilities;
+  }
+
+  // Run one step touching `groupId`, attribute the market's balance change to the group and check the invariants
+  async function step(groupId, description, send) {
+    const balanceBefore = await mockToken.balanceOf(marketAddress);
+    try {
+      await (await send()).wait();
+    } catch (error) {
+      const reason = revertReason(error);
+      if (!EXPECTED_REVERTS.includes(reason)) {
+        throw new Error(`${description} in group ${groupId} reverted unexpectedly (seed ${SEED}): ${reason}`);
+      }
+      stats.rejected[reason] = (stats.rejected[reason] || 0) + 1;
+    }
+    stats.steps++;
+
+    const balanceAfter = await mockToken.balanceOf(marketAddress);
+    expectedAssets.set(groupId, expectedAssets.get(groupId) + balanceAfter - balanceBefore);
+    await checkGroup(groupId, description);
+    await checkUnallocated(description);
+  }
+
+  // Tokens outside the groups only ever fund default liquidity
+  async function checkUnallocated(context) {
+    const allocated = [...expectedAssets.values()].reduce((sum, assets) => sum + assets, 0n);
+    const balance = await mockToken.balanceOf(marketAddress);
+    expect(balance - allocated, `unallocated balance after ${context} (seed ${SEED})`).to.equal(unallocated);
+  }
+
+  // Multi-option pools can round an option's liquidity, or that of all the others, down to zero.
+  // Such an option cannot be priced, so bets and exits on it must revert instead of moving tokens.
+  async function isDepleted(group, option) {
+    if (group.optionsCount === 2) return false;
+    const liquidity = await hiloPredictionMarket.getCurrentLiquidity(group.groupId);
+    const others = liquidity.reduce((sum, value, i) => (i === option ? sum : sum + value), 0n);
+    return liquidity[option] === 0n || others === 0n;
+  }
+
+  async function expectDepleted(groupId, send) {
+    await expect(send()).to.be.revertedWith(DEPLETED);
+    stats.rejected[DEPLETED] = (stats.rejected[DEPLETED] || 0) + 1;
+    stats.steps++;
+    await checkGroup(groupId, "depleted option");
+  }
+
+  async function activeBetIds(groupId) {
+    const ids = [];
+    for (const actor of actors) {
+      ids.push(...await betLedger.getUserActiveBetIds(actor.address, groupId));
+    }
+    return ids;
+  }
+
+  async function createRound(round) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const groups = [];
+    for (let i = 0; i < GROUPS_PER_ROUND; i++) {
+      const groupId = 9400 + round * GROUPS_PER_ROUND + i;
+      const options = random.next() < 0.6 ? ["Yes", "No"] : ["Low", "Mid", "High"];
+      await hiloPredictionMarket.connect(poolCreator)[
+        "createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[])"
+      ](groupId, groupId, `Solvency ${groupId}`, startTime, startTime + 3600 * 24, "Data", options);
+
+      // Default liquidity moves from the market's free balance into the group
+      const perOption = DEFAULT_LIQUIDITY / BigInt(options.length);
+      expectedAssets.set(groupId, perOption * BigInt(options.length));
+      unallocated -= perOption * BigInt(options.length);
+      await checkGroup(groupId, "creation");
+
+      const approved = random.next() < 0.8;
+      await hiloBonding.connect(validator1).voteEvaluation(groupId, approved);
+      await hiloBonding.connect(validator2).voteEvaluation(groupId, approved);
+      groups.push({ groupId, optionsCount: options.length, approved, winner: random.int(options.length) });
+    }
+    await safeIncrementTime(startTime + 10);
+    return groups;
+  }
+
+  async function trade(groups) {
+    for (let i = 0; i < OPEN_STEPS_PER_ROUND; i++) {
+      const group = random.pick(groups);
+      const actor = random.pick(actors);
+      const roll = random.next();
+
+      if (roll < 0.55) {
+        const option = random.int(group.optionsCount);
+        const amount = random.amount(0.5, 80);
+        const send = () =>
+          hiloPredictionMarket.connect(actor)["placeBet(uint256,uint256,uint256,uint256)"](group.groupId, option, amount, 0);
+        if (await isDepleted(group, option)) {
+          await expectDepleted(group.groupId, send);
+          continue;
+        }
+        await step(group.groupId, `bet of ${ethers.formatEther(amount)} on option ${option}`, send);
+      } else if (roll < 0.8) {
+        const betIds = await activeBetIds(group.groupId);
+        if (betIds.length === 0) continue;
+        const bet = await betLedger.getBetDetails(random.pick(betIds));
+        const bettor = actors.find((candidate) => candidate.address === bet.user);
+        if (await isDepleted(group, Number(bet.optionIndex))) {
+          await expectDepleted(group.groupId, () => hiloPredictionMarket.connect(bettor)["earlyExit(uint256)"](bet.id));
+          continue;
+        }
+        if (random.next() < 0.5) {
+          await step(group.groupId, `exit of bet ${bet.id}`, () => hiloPredictionMarket.connect(bettor)["earlyExit(uint256)"](bet.id));
+        } else {
+          const fraction = 1000 + random.int(8000);
+          await step(group.groupId, `exit of ${fraction} bps of bet ${bet.id}`, () =>
+            hiloPredictionMarket.connect(bettor).partialEarlyExit(bet.id, fraction, 0, ethers.MaxUint256));
+        }
+      } else if (roll < 0.95) {
+        const amount = random.amount(1, 100);
+        await step(group.groupId, `liquidity of ${ethers.formatEther(amount)}`, () =>
+          hiloPredictionMarket.connect(actor).addLiquidity(group.groupId, amount));
+      } else {
+        await step(group.groupId, "fee collection", () => hiloPredictionMarket.connect(actor).collectProtocolFees(group.groupId));
+      }
+    }
+  }
+
+  async function resolve(groups) {
+    const timelines = await hiloBonding.getPoolTimelines(groups[0].groupId);
+    await safeIncrementTime(timelines.optionVotingStart);
+    for (const group of groups.filter((candidate) => candidate.approved)) {
+      await hiloBonding.connect(validator1).voteOption(group.groupId, group.winner);
+      await hiloBonding.connect(validator2).voteOption(group.groupId, group.winner);
+    }
+    await safeIncrementTime(timelines.disputeEnd + 1n);
+    for (const group of groups) {
+      await hiloBonding.processPool(group.groupId);
+    }
+
+    // Every bettor claims or is refunded, every LP redeems and the fees are collected, in random order
+    const tasks = [];
+    for (const group of groups) {
+      for (const actor of actors) {
+        if ((await betLedger.getUserActiveBetIds(actor.address, group.groupId)).length > 0) {
+          tasks.push(group.approved
+            ? { group, description: "claim", send: () => hiloPredictionMarket.connect(actor).claimWinnings(group.groupId) }
+            : { group, description: "refund", send: () => hiloPredictionMarket.connect(actor).refundBets(group.groupId) });
+        }
+        const { shares } = await sdk.getLiquidityPosition(actor.address, group.groupId);
+        if (shares > 0n) {
+          tasks.push({ group, description: "liquidity removal", send: () => hiloPredictionMarket.connect(actor).removeLiquidity(group.groupId) });
+        }
+      }
+      tasks.push({ group, description: "fee collection", send: () => hiloPredictionMarket.collectProtocolFees(group.groupId) });
+    }
+    for (let i = tasks.length - 1; i > 0; i--) {
+      const j = random.int(i + 1);
+      [tasks[i], tasks[j]] = [tasks[j], tasks[i]];
+    }
+    for (const task of tasks) {
+      await step(task.group.groupId, task.description, task.send);
+    }
+
+    // Nothing is owed any more; what is left belongs to the market's own default liquidity shares,
+    // which the owner redeems back into the free balance that funds later groups
+    for (const group of groups) {
+      const liabilities = await checkGroup(group.groupId, "resolution");
+      expect(liabilities.worstCase).to.equal(0n);
+      expect(liabilities.refunds).to.equal(0n);
+      const marketPosition = await sdk.getLiquidityPosition(marketAddress, group.groupId);
+      const redeemable = marketPosition.liquidityValue + marketPosition.accruedFees;
+      expect(redeemable).to.be.lte(liabilities.assets);
+      if (marketPosition.shares === 0n) continue;
+
+      await (await hiloPredictionMarket.removeDefaultLiquidity(group.groupId)).wait();
+      expectedAssets.set(group.groupId, liabilities.assets - redeemable);
+      unallocated += redeemable;
+      await checkGroup(group.groupId, "default liquidity recall");
+      await checkUnallocated("default liquidity recall");
+    }
+  }
+
+  before(async function () {
+    this.timeout(300000);
+
+    const signers = await ethers.getSigners();
+    [owner, poolCreator, validator1, validator2, treasury] = signers;
+    actors = signers.slice(5, 12);
+
+    let hiloStaking, addresses, abis;
+    ({ hiloStaking, hiloBonding, hiloPredictionMarket, mockToken, betLedger, marketAddress, addresses, abis } = await deployMarket({
+      tokenSupply: INITIAL_TOKEN_SUPPLY,
+      marketFund: LIQUIDITY_FUND,
+      poolCreators: [poolCreator],
+      validators: [validator1, validator2],
+      users: actors,
+      userTokens: INITIAL_USER_TOKENS,
+      approveUsers: true
+    }));
+    await hiloPredictionMarket.configureFeeSplit(treasury.address, 1000, 500);
+
+    // Validator rewards for every processed pool are paid in ETH from the staking contract
+    await owner.sendTransaction({ to: await hiloStaking.getAddress(), value: ethers.parseEther("50") });
+
+    sdk = new HiloSDK({ runner: owner, addresses, abis });
+  });
+
+  it("Should stay solvent and conserve tokens through random sequences", async function () {
+    this.timeout(0);
+
+    for (let round = 0; round < ROUNDS; round++) {
+      const groups = await createRound(round);
+      await trade(groups);
+      await resolve(groups);
+    }
+
+    expect(stats.steps).to.be.gte(ROUNDS * OPEN_STEPS_PER_ROUND);
+  });
+
+  it("Should fund default liquidity again once the market's shares of a canceled group are redeemed", async function () {
+    const create = async (groupId, startTime) => hiloPredictionMarket.connect(poolCreator)[
+      "createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[])"
+    ](groupId, groupId, `Recall ${groupId}`, startTime, startTime + 3600 * 24, "Data", ["Yes", "No"]);
+
+    // More than half of the free balance, so only one group can be funded; DEFAULT_LIQUIDITY stays free for the next test
+    const groupAmount = (unallocated - DEFAULT_LIQUIDITY) - ((unallocated - DEFAULT_LIQUIDITY) % 2n);
+    await hiloPredictionMarket.configureDefaultLiquidity(true, groupAmount);
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+
+    await expect(create(9390, startTime))
+      .to.emit(hiloPredictionMarket, "DefaultLiquiditySuccess")
+      .withArgs(9390, groupAmount);
+    await expect(create(9391, startTime))
+      .to.emit(hiloPredictionMarket, "DefaultLiquidityFailed")
+      .withArgs(9391, "Insufficient balance for default liquidity");
+
+    // The first group is rejected and canceled with nothing bet on it
+    await hiloBonding.connect(validator1).voteEvaluation(9390, false);
+    await hiloBonding.connect(validator2).voteEvaluation(9390, false);
+    const timelines = await hiloBonding.getPoolTimelines(9390);
+    await safeIncrementTime(timelines.disputeEnd + 1n);
+    await hiloBonding.processPool(9390);
+
+    await expect(hiloPredictionMarket.removeDefaultLiquidity(9390))
+      .to.emit(hiloPredictionMarket, "LiquidityRemoved")
+      .withArgs(9390, marketAddress, groupAmount);
+    expect((await sdk.getGroupLiabilities(9390)).assets).to.equal(0n);
+
+    const nextBlock = await ethers.provider.getBlock("latest");
+    await expect(create(9392, nextBlock.timestamp + 300))
+      .to.emit(hiloPredictionMarket, "DefaultLiquiditySuccess")
+      .withArgs(9392, groupAmount);
+
+    await hiloPredictionMarket.configureDefaultLiquidity(true, DEFAULT_LIQUIDITY);
+    expectedAssets.set(9392, groupAmount);
+    unallocated -= groupAmount;
+    await checkUnallocated("default liquidity recall test");
+  });
+
+  it("Should report worst case liabilities per outcome", async function () {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const startTime = latestBlock.timestamp + 300;
+    const groupId = 9399;
+    await hiloPredictionMarket.connect(poolCreator)[
+      "createPoolAndOptionGroup(uint256,uint256,string,uint256,uint256,string,string[])"
+    ](groupId, groupId, "Liabilities", startTime, startTime + 3600 * 24, "Data", ["Yes", "No"]);
+    await safeIncrementTime(startTime + 10);
+
+    const [bettor, otherBettor] = actors;
+    await hiloPredictionMarket.connect(bettor)["placeBet(uint256,uint256,uint256,uint256)"](groupId, 0, ethers.parseEther("20"), 0);
+    await hiloPredictionMarket.connect(otherBettor)["placeBet(uint256,uint256,uint256,uint256)"](groupId, 1, ethers.parseEther("5"), 0);
+    const [yes, no] = await Promise.all([1n, 2n].map(async (offset) =>
+      betLedger.getBetDetails((await betLedger.nextBetId()) - offset)));
+
+    const liabilities = await sdk.getGroupLiabilities(groupId);
+    expect(liabilities.assets).to.equal(DEFAULT_LIQUIDITY + ethers.parseEther("25"));
+    expect(liabilities.payouts).to.deep.equal([no.potentialPayout, yes.potentialPayout]);
+    expect(liabilities.refunds).to.equal(ethers.parseEther("25"));
+    const fees = await sdk.getFeeBreakdown(groupId);
+    expect(liabilities.pendingFees).to.equal(fees.protocolPending + fees.creatorPending);
+    expect(liabilities.worstCase).to.equal(no.potentialPayout + liabilities.pendingFees);
+    expect(liabilities.solvent).to.be.true;
+    expect(liabilities.surplus).to.equal(liabilities.assets - liabilities.worstCase);
+    expect(await betLedger.getWorstCaseLiability(groupId)).to.equal(liabilities.worstCase);
+  });
+});